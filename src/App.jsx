@@ -1,29 +1,79 @@
-import { EmployeeProvider } from './context/EmployeeContext';
+import { EmployeeProvider, useEmployees } from './context/EmployeeContext';
 import EmployeeList from './components/EmployeeList/EmployeeList';
 import OrgChart from './components/OrgChart/OrgChart';
+import OrgAnalytics from './components/OrgAnalytics/OrgAnalytics';
+import AuditHistory from './components/AuditHistory/AuditHistory';
+import OrgSnapshots from './components/OrgSnapshots/OrgSnapshots';
+import EmployeeDetail from './components/EmployeeDetail/EmployeeDetail';
+import DraftBar from './components/DraftBar/DraftBar';
+import SyncStatus from './components/SyncStatus/SyncStatus';
+import SyncConflicts from './components/SyncConflicts/SyncConflicts';
+import { VIEWS } from './utils/routes';
 import styles from './App.module.css';
 
+const VIEW_TABS = [
+  { view: VIEWS.CHART, label: 'Chart' },
+  { view: VIEWS.ANALYTICS, label: 'Analytics' },
+  { view: VIEWS.HISTORY, label: 'History' },
+  { view: VIEWS.SNAPSHOTS, label: 'Snapshots' },
+];
+
+const VIEW_COMPONENTS = {
+  [VIEWS.CHART]: OrgChart,
+  [VIEWS.ANALYTICS]: OrgAnalytics,
+  [VIEWS.HISTORY]: AuditHistory,
+  [VIEWS.SNAPSHOTS]: OrgSnapshots,
+};
+
+function AppLayout() {
+  const { activeView, showView } = useEmployees();
+  const ActiveView = VIEW_COMPONENTS[activeView];
+
+  return (
+    <div className={styles.app}>
+      <header className={styles.header}>
+        <div className={styles.headerContent}>
+          <h1 className={styles.logo}>HappyFox Org Chart</h1>
+          <nav className={styles.viewTabs} aria-label="Views">
+            {VIEW_TABS.map(({ view, label }) => (
+              <button
+                key={view}
+                type="button"
+                className={`${styles.viewTab} ${activeView === view ? styles.viewTabActive : ''}`}
+                aria-current={activeView === view ? 'page' : undefined}
+                onClick={() => showView(view)}
+              >
+                {label}
+              </button>
+            ))}
+          </nav>
+          <SyncStatus />
+          <p className={styles.tagline}>Interactive Employee Organization Chart</p>
+        </div>
+      </header>
+
+      <SyncConflicts />
+      <DraftBar />
+
+      <main className={styles.main}>
+        <aside className={styles.sidebar}>
+          <EmployeeList />
+        </aside>
+
+        <section className={styles.content}>
+          <ActiveView />
+        </section>
+      </main>
+
+      <EmployeeDetail />
+    </div>
+  );
+}
+
 function App() {
   return (
     <EmployeeProvider>
-      <div className={styles.app}>
-        <header className={styles.header}>
-          <div className={styles.headerContent}>
-            <h1 className={styles.logo}>HappyFox Org Chart</h1>
-            <p className={styles.tagline}>Interactive Employee Organization Chart</p>
-          </div>
-        </header>
-
-        <main className={styles.main}>
-          <aside className={styles.sidebar}>
-            <EmployeeList />
-          </aside>
-
-          <section className={styles.content}>
-            <OrgChart />
-          </section>
-        </main>
-      </div>
+      <AppLayout />
     </EmployeeProvider>
   );
 }
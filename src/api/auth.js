@@ -0,0 +1,30 @@
+/**
+ * Credentials for API requests, supplied at runtime. None can come from the build: Vite puts
+ * every VITE_* variable into the public bundle.
+ *
+ * A host page that signs people in registers a token provider before the app starts, for
+ * example with its SSO library's access token:
+ *
+ *   setTokenProvider(() => auth.getAccessToken());
+ *
+ * Without one, requests carry no Authorization header and rely on the browser's session
+ * cookie for the API (see VITE_API_CREDENTIALS in config.js).
+ */
+
+let tokenProvider = null;
+
+/**
+ * Registers where bearer tokens come from
+ * @param {Function|null} provider - Returns (or resolves to) the current token, or null
+ */
+export function setTokenProvider(provider) {
+  tokenProvider = provider;
+}
+
+/**
+ * Gets the bearer token for a request
+ * @returns {Promise<String|null>} - The token, or null when there is none
+ */
+export async function getToken() {
+  return tokenProvider ? ((await tokenProvider()) ?? null) : null;
+}
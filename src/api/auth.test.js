@@ -0,0 +1,19 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { getToken, setTokenProvider } from './auth';
+
+describe('auth', () => {
+  afterEach(() => setTokenProvider(null));
+
+  it('should have no token until a provider is registered', async () => {
+    expect(await getToken()).toBeNull();
+  });
+
+  it('should ask the provider for each token', async () => {
+    let current = 'first';
+    setTokenProvider(async () => current);
+
+    expect(await getToken()).toBe('first');
+    current = undefined;
+    expect(await getToken()).toBeNull();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * HTTP client the data sources are built on: resolves paths against the configured base
+ * URL, adds auth and per-request headers, and turns every failure into an ApiError, so
+ * callers handle one kind of error whatever the backend.
+ */
+
+import { ApiError, createApiError, NETWORK_ERROR } from '../utils/apiErrors';
+
+// Guards against a backend that never stops handing out next pages
+const MAX_PAGES = 1000;
+
+/**
+ * Creates an API client
+ * @param {Object} options
+ * @param {String} options.baseUrl - Prefix for every path, such as '/api' or
+ * 'https://hr.example.com/v1'
+ * @param {Function} options.getToken - Returns (or resolves to) a bearer token for each
+ * request, or null to send none
+ * @param {String} options.credentials - fetch's credentials option, which decides when the
+ * browser sends the session cookie
+ * @param {Function} options.getHeaders - Returns extra headers for each request
+ * @param {Function} options.fetch - Fetch to use; defaults to the global one at call time,
+ * so a mock server installed later is still used
+ * @returns {Object} - { request, requestAll }
+ */
+export function createApiClient({
+  baseUrl = '/api',
+  getToken = () => null,
+  credentials = 'same-origin',
+  getHeaders = () => ({}),
+  fetch: fetchImpl,
+} = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  // Query values that are null or undefined are left out
+  const buildUrl = (path, query = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) params.set(key, value);
+    });
+    const search = params.toString();
+    return `${base}${path}${search ? `?${search}` : ''}`;
+  };
+
+  /**
+   * Sends one request
+   * @param {String} path - Path under the base URL, such as '/employees/5'
+   * @param {Object} options - { method, query, body, headers }; body is sent as JSON
+   * @returns {Promise<Object|null>} - Parsed JSON body, or null for an empty one
+   */
+  const request = async (path, { method = 'GET', query, body, headers } = {}) => {
+    const send = fetchImpl ?? globalThis.fetch;
+    let token;
+    try {
+      token = await getToken();
+    } catch {
+      throw new ApiError('Could not get credentials for the server.', {
+        status: 0,
+        code: 'NO_CREDENTIALS',
+      });
+    }
+
+    let response;
+    try {
+      response = await send(buildUrl(path, query), {
+        method,
+        credentials,
+        headers: {
+          ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+          ...getHeaders(),
+          ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch {
+      throw new ApiError('Could not reach the server.', { status: 0, code: NETWORK_ERROR });
+    }
+
+    if (!response.ok) {
+      throw await createApiError(response);
+    }
+
+    const text = response.status === 204 ? '' : await response.text();
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new ApiError('The server sent a response that could not be read.', {
+        status: response.status,
+        code: 'INVALID_RESPONSE',
+      });
+    }
+  };
+
+  /**
+   * Loads every page of a paginated list
+   * @param {String} path - Path of the list
+   * @param {Object} options
+   * @param {Object} options.query - Query for the first page
+   * @param {Function} options.readPage - Takes a page's body and returns { items, next },
+   * where next is the query to add for the following page, or null on the last one
+   * @returns {Promise<Object>} - { items, first } with every page's items in order and the
+   * first page's body, for fields only sent once
+   */
+  const requestAll = async (path, { query = {}, readPage }) => {
+    const items = [];
+    let first = null;
+    let pageQuery = query;
+    for (let page = 0; pageQuery; page += 1) {
+      if (page === MAX_PAGES) {
+        throw new ApiError(`${path} has more than ${MAX_PAGES} pages.`, { code: 'TOO_MANY_PAGES' });
+      }
+      const body = await request(path, { query: pageQuery });
+      first = first ?? body;
+      const { items: pageItems, next } = readPage(body);
+      items.push(...pageItems);
+      pageQuery = next ? { ...query, ...next } : null;
+    }
+    return { items, first };
+  };
+
+  return { request, requestAll };
+}
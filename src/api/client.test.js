@@ -0,0 +1,107 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createApiClient } from './client';
+import { ApiError, NETWORK_ERROR } from '../utils/apiErrors';
+
+// A fetch Response stand-in with a JSON body
+const jsonResponse = (body, status = 200) =>
+  new Response(body === null ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+describe('createApiClient', () => {
+  it('should resolve paths and queries against the base URL', async () => {
+    const fetch = vi.fn().mockResolvedValue(jsonResponse({ ok: true }));
+    const client = createApiClient({ baseUrl: 'https://hr.example.com/v1/', fetch });
+
+    await client.request('/employees', { query: { since: '3', asOf: null } });
+
+    expect(fetch.mock.calls[0][0]).toBe('https://hr.example.com/v1/employees?since=3');
+  });
+
+  it('should send JSON bodies with auth and per-request headers', async () => {
+    const fetch = vi.fn().mockResolvedValue(jsonResponse({ employee: { id: 1 } }));
+    const client = createApiClient({
+      getToken: async () => 'secret',
+      getHeaders: () => ({ 'X-Actor': 'Dana' }),
+      fetch,
+    });
+
+    const data = await client.request('/employees/1', { method: 'PATCH', body: { team: 'A' } });
+
+    const [, init] = fetch.mock.calls[0];
+    expect(init.method).toBe('PATCH');
+    expect(init.credentials).toBe('same-origin');
+    expect(init.body).toBe('{"team":"A"}');
+    expect(init.headers).toEqual({
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer secret',
+      'X-Actor': 'Dana',
+    });
+    expect(data).toEqual({ employee: { id: 1 } });
+  });
+
+  it('should ask for the token on every request and leave it out when there is none', async () => {
+    const fetch = vi.fn().mockImplementation(() => Promise.resolve(jsonResponse({})));
+    const getToken = vi.fn().mockReturnValueOnce('first').mockReturnValueOnce(null);
+    const client = createApiClient({ getToken, credentials: 'include', fetch });
+
+    await client.request('/employees');
+    await client.request('/employees');
+
+    expect(fetch.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer first' });
+    expect(fetch.mock.calls[1][1].headers).toEqual({});
+    expect(fetch.mock.calls[1][1].credentials).toBe('include');
+  });
+
+  it('should report a failing token provider as an ApiError', async () => {
+    const fetch = vi.fn();
+    const client = createApiClient({ getToken: () => Promise.reject(new Error('expired')), fetch });
+
+    await expect(client.request('/employees')).rejects.toMatchObject({ code: 'NO_CREDENTIALS' });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('should resolve empty responses to null', async () => {
+    const fetch = vi.fn().mockResolvedValue(new Response(null, { status: 204 }));
+    const client = createApiClient({ fetch });
+
+    expect(await client.request('/employees/1', { method: 'DELETE' })).toBeNull();
+  });
+
+  it('should turn error responses into ApiErrors', async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValue(jsonResponse({ error: { code: 'CIRCULAR_REFERENCE', message: 'No' } }, 422));
+    const client = createApiClient({ fetch });
+
+    const error = await client.request('/employees/1').catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ status: 422, code: 'CIRCULAR_REFERENCE', message: 'No' });
+  });
+
+  it('should report requests that got no answer as network errors', async () => {
+    const fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const client = createApiClient({ fetch });
+
+    await expect(client.request('/employees')).rejects.toMatchObject({ code: NETWORK_ERROR });
+  });
+
+  it('should follow pages until there is no next one', async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse({ data: [1, 2], nextPage: 2, cursor: '7' }))
+      .mockResolvedValueOnce(jsonResponse({ data: [3], nextPage: null }));
+    const client = createApiClient({ fetch });
+
+    const { items, first } = await client.requestAll('/employees', {
+      query: { page: 1, pageSize: 2 },
+      readPage: (body) => ({ items: body.data, next: body.nextPage ? { page: body.nextPage } : null }),
+    });
+
+    expect(items).toEqual([1, 2, 3]);
+    expect(first.cursor).toBe('7');
+    expect(fetch.mock.calls[1][0]).toBe('/api/employees?page=2&pageSize=2');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Which backend the app talks to, from Vite env variables (see .env.example):
+ *
+ *   VITE_API_ADAPTER   'mirage' (the app's own API routes) or 'rest' (a generic REST backend)
+ *   VITE_API_BASE_URL     Prefix for every request, '/api' by default
+ *   VITE_API_CREDENTIALS  'same-origin' (default) or 'include', to send the session cookie
+ *                         to a backend on another origin
+ *   VITE_DEMO_MODE        'true' to run the Mirage mock server in a production build
+ *
+ * Without an adapter, development and demo builds use Mirage and other builds use REST.
+ * Every VITE_* value ends up in the public bundle, so none of these are secrets; tokens
+ * are supplied at runtime instead (see auth.js).
+ */
+
+export const API_ADAPTERS = {
+  MIRAGE: 'mirage',
+  REST: 'rest',
+};
+
+// Values of fetch's credentials option the backend can be reached with
+const CREDENTIALS = ['same-origin', 'include'];
+
+/**
+ * Reads the API settings
+ * @param {Object} env - Usually import.meta.env
+ * @returns {Object} - { adapter, baseUrl, credentials, startMirage } where startMirage says
+ * whether to run the mock server; it only runs in development or demo mode
+ */
+export function getApiConfig(env) {
+  const demo = env.VITE_DEMO_MODE === 'true';
+  const mockable = Boolean(env.DEV) || demo;
+  const adapter = env.VITE_API_ADAPTER || (mockable ? API_ADAPTERS.MIRAGE : API_ADAPTERS.REST);
+  if (!Object.values(API_ADAPTERS).includes(adapter)) {
+    throw new Error(
+      `Unknown VITE_API_ADAPTER "${adapter}"; use ${Object.values(API_ADAPTERS).join(' or ')}.`
+    );
+  }
+  const credentials = env.VITE_API_CREDENTIALS || 'same-origin';
+  if (!CREDENTIALS.includes(credentials)) {
+    throw new Error(
+      `Unknown VITE_API_CREDENTIALS "${credentials}"; use ${CREDENTIALS.join(' or ')}.`
+    );
+  }
+
+  return {
+    adapter,
+    baseUrl: env.VITE_API_BASE_URL || '/api',
+    credentials,
+    startMirage: mockable && adapter === API_ADAPTERS.MIRAGE,
+  };
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { getApiConfig, API_ADAPTERS } from './config';
+
+describe('getApiConfig', () => {
+  it('should use Mirage in development', () => {
+    expect(getApiConfig({ DEV: true })).toEqual({
+      adapter: API_ADAPTERS.MIRAGE,
+      baseUrl: '/api',
+      credentials: 'same-origin',
+      startMirage: true,
+    });
+  });
+
+  it('should use the REST backend in production builds', () => {
+    const config = getApiConfig({
+      DEV: false,
+      VITE_API_BASE_URL: 'https://hr.example.com/v1',
+      VITE_API_CREDENTIALS: 'include',
+    });
+
+    expect(config).toEqual({
+      adapter: API_ADAPTERS.REST,
+      baseUrl: 'https://hr.example.com/v1',
+      credentials: 'include',
+      startMirage: false,
+    });
+  });
+
+  it('should run Mirage in a production build only in demo mode', () => {
+    expect(getApiConfig({ DEV: false, VITE_DEMO_MODE: 'true' }).startMirage).toBe(true);
+    expect(getApiConfig({ DEV: false, VITE_API_ADAPTER: 'mirage' })).toMatchObject({
+      adapter: API_ADAPTERS.MIRAGE,
+      startMirage: false,
+    });
+  });
+
+  it('should not start Mirage when development talks to a REST backend', () => {
+    expect(getApiConfig({ DEV: true, VITE_API_ADAPTER: 'rest' }).startMirage).toBe(false);
+  });
+
+  it('should reject unknown adapters', () => {
+    expect(() => getApiConfig({ VITE_API_ADAPTER: 'graphql' })).toThrow(/graphql/);
+  });
+
+  it('should reject unknown credentials modes', () => {
+    expect(() => getApiConfig({ DEV: true, VITE_API_CREDENTIALS: 'omit' })).toThrow(/omit/);
+  });
+
+  it('should not read a token from the build', () => {
+    expect(getApiConfig({ DEV: false, VITE_API_TOKEN: 'secret' })).not.toHaveProperty('token');
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Where the app's data comes from. A data source has one method per operation the app
+ * needs, so EmployeeContext never builds URLs itself:
+ *
+ *   listEmployees({ asOf })                        { employees, cursor }
+ *   getEmployee(id)                                employee
+ *   createEmployee(attrs)                          employee
+ *   updateEmployee(id, updates)                    employee
+ *   updateEmployees(changes)                       employees, all or none
+ *   moveEmployeeAlone(id, managerId, reportsManagerId)   manager changes
+ *   deleteEmployee(id, reassignTo)
+ *   importEmployees(records, mode)                 employees
+ *   commitScenario(operations)                     { employees, ids }
+ *   listAuditEvents({ employeeId, since })         events
+ *   listChanges(since)                             { changes, cursor }
+ *
+ * Every method returns a promise that rejects with an ApiError; a request that got no
+ * answer has the NETWORK_ERROR code.
+ */
+
+import { createApiClient } from './client';
+import { API_ADAPTERS } from './config';
+import { createMirageDataSource } from './mirageDataSource';
+import { createRestDataSource } from './restDataSource';
+
+export { getApiConfig, API_ADAPTERS } from './config';
+export { getToken, setTokenProvider } from './auth';
+
+/**
+ * Creates the data source for a configuration
+ * @param {Object} config - From getApiConfig, plus getHeaders for per-request headers and
+ * getToken for the bearer token
+ * @returns {Object} - Data source
+ */
+export function createDataSource({ adapter, baseUrl, credentials, getHeaders, getToken }) {
+  const client = createApiClient({ baseUrl, credentials, getHeaders, getToken });
+  return adapter === API_ADAPTERS.REST
+    ? createRestDataSource(client)
+    : createMirageDataSource(client);
+}
@@ -0,0 +1,64 @@
+/**
+ * Data source for the app's own API, as served by the Mirage routes in server.js (or a
+ * backend implementing the same routes). Every method returns a promise and rejects with an
+ * ApiError.
+ */
+
+/**
+ * Creates the data source
+ * @param {Object} client - From createApiClient
+ * @returns {Object} - The data source methods (see api/index.js)
+ */
+export function createMirageDataSource(client) {
+  const { request } = client;
+
+  return {
+    // { employees, cursor }, or with asOf the roster at that moment and no cursor
+    listEmployees: async ({ asOf = null } = {}) => {
+      const data = await request('/employees', { query: { asOf } });
+      return { employees: data.employees, cursor: data.cursor ?? null };
+    },
+
+    getEmployee: async (id) => (await request(`/employees/${id}`)).employee,
+
+    createEmployee: async (attrs) =>
+      (await request('/employees', { method: 'POST', body: attrs })).employee,
+
+    updateEmployee: async (id, updates) =>
+      (await request(`/employees/${id}`, { method: 'PATCH', body: updates })).employee,
+
+    // changes are [{ id, ...attrs }], applied all or none
+    updateEmployees: async (changes) =>
+      (await request('/employees', { method: 'PATCH', body: { changes } })).employees,
+
+    // Resolves to the manager changes made: [{ employeeId, oldManagerId, newManagerId }]
+    moveEmployeeAlone: async (id, managerId, reportsManagerId) =>
+      (
+        await request(`/employees/${id}/move`, {
+          method: 'POST',
+          body: { managerId, reportsManagerId },
+        })
+      ).changes,
+
+    deleteEmployee: async (id, reassignTo) => {
+      await request(`/employees/${id}`, {
+        method: 'DELETE',
+        query: { reassignTo: reassignTo ?? '' },
+      });
+    },
+
+    importEmployees: async (records, mode) =>
+      (await request('/employees/import', { method: 'POST', body: { employees: records, mode } }))
+        .employees,
+
+    // Resolves to { employees, ids } where ids maps draft ids to the ones the server gave
+    commitScenario: (operations) =>
+      request('/employees/scenario', { method: 'POST', body: { operations } }),
+
+    listAuditEvents: async ({ employeeId = null, since = null } = {}) =>
+      (await request('/audit', { query: { employeeId, since } })).events,
+
+    // { changes, cursor } after the given cursor (see utils/changeFeed.js)
+    listChanges: (since) => request('/changes', { query: { since } }),
+  };
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { makeServer } from '../server';
+import { createApiClient } from './client';
+import { createMirageDataSource } from './mirageDataSource';
+
+describe('createMirageDataSource', () => {
+  let server;
+  let dataSource;
+
+  beforeEach(() => {
+    server = makeServer({ environment: 'test' });
+    server.create('employee', { id: 1, name: 'CEO', designation: 'Chief', team: 'Executive', managerId: null });
+    server.create('employee', { id: 2, name: 'CTO', designation: 'Chief', team: 'Technology', managerId: 1 });
+    dataSource = createMirageDataSource(
+      createApiClient({ getHeaders: () => ({ 'X-Actor': 'Dana' }) })
+    );
+  });
+
+  afterEach(() => {
+    server.shutdown();
+  });
+
+  it('should read and change the roster through the Mirage routes', async () => {
+    const created = await dataSource.createEmployee({
+      name: 'Dev',
+      designation: 'Engineer',
+      team: 'Technology',
+      managerId: 2,
+    });
+    await dataSource.updateEmployee(created.id, { managerId: 1 });
+    await dataSource.deleteEmployee(2, 1);
+
+    const { employees, cursor } = await dataSource.listEmployees();
+    expect(employees.map((emp) => [emp.id, emp.managerId])).toEqual([
+      [1, null],
+      [created.id, 1],
+    ]);
+    expect(cursor).toBe('3');
+
+    const events = await dataSource.listAuditEvents({ employeeId: created.id });
+    expect(events.every((event) => event.actor === 'Dana')).toBe(true);
+    expect((await dataSource.listChanges('2')).changes).toHaveLength(1);
+  });
+
+  it('should reject refused changes with the server\'s code', async () => {
+    await expect(dataSource.updateEmployee(1, { managerId: 2 })).rejects.toMatchObject({
+      status: 422,
+      code: 'CIRCULAR_REFERENCE',
+    });
+  });
+});
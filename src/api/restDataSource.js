@@ -0,0 +1,107 @@
+/**
+ * Data source for a generic REST backend, such as the HR service. It expects:
+ *
+ *   GET    /employees?page=&pageSize=   { data: [...], nextPage, cursor }   (asOf optional)
+ *   GET    /employees/:id               { data }
+ *   POST   /employees                   { data }
+ *   PATCH  /employees/:id               { data }
+ *   PATCH  /employees   { changes }     { data: [...] }, applied all or none
+ *   POST   /employees/:id/move  { managerId, reportsManagerId }
+ *                                       { data: [{ employeeId, oldManagerId, newManagerId }] },
+ *                                       moving the employee without their subtree, atomically
+ *   DELETE /employees/:id?reassignTo=   (no body)
+ *   GET    /audit?employeeId=&since=&page=&pageSize=   { data: [...], nextPage }
+ *   GET    /changes?since=              { data: [...], cursor }
+ *
+ * where nextPage is the next page number or null on the last page, and cursor, sent with
+ * the first page of employees, is the change feed position that roster is current as of
+ * (without one, the app doesn't follow the feed). Errors use the { error: { code, message } }
+ * body the Mirage routes use. Imports and drafts need routes such a backend doesn't have,
+ * so they are refused with NOT_SUPPORTED.
+ */
+
+import { ApiError } from '../utils/apiErrors';
+
+export const DEFAULT_PAGE_SIZE = 200;
+
+// Reads one page of a list
+const readPage = (body) => ({
+  items: body?.data ?? [],
+  next: body?.nextPage ? { page: body.nextPage } : null,
+});
+
+function notSupported(what) {
+  return new ApiError(`${what} is not supported by this backend.`, {
+    status: 501,
+    code: 'NOT_SUPPORTED',
+  });
+}
+
+/**
+ * Creates the data source
+ * @param {Object} client - From createApiClient
+ * @param {Object} options - { pageSize }
+ * @returns {Object} - The data source methods (see api/index.js)
+ */
+export function createRestDataSource(client, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const { request, requestAll } = client;
+
+  const listEmployees = async ({ asOf = null } = {}) => {
+    const { items, first } = await requestAll('/employees', {
+      query: { page: 1, pageSize, asOf },
+      readPage,
+    });
+    return { employees: items, cursor: asOf ? null : (first?.cursor ?? null) };
+  };
+
+  return {
+    listEmployees,
+
+    getEmployee: async (id) => (await request(`/employees/${id}`)).data,
+
+    createEmployee: async (attrs) =>
+      (await request('/employees', { method: 'POST', body: attrs })).data,
+
+    updateEmployee: async (id, updates) =>
+      (await request(`/employees/${id}`, { method: 'PATCH', body: updates })).data,
+
+    updateEmployees: async (changes) =>
+      (await request('/employees', { method: 'PATCH', body: { changes } })).data,
+
+    moveEmployeeAlone: async (id, managerId, reportsManagerId) =>
+      (
+        await request(`/employees/${id}/move`, {
+          method: 'POST',
+          body: { managerId, reportsManagerId },
+        })
+      ).data,
+
+    deleteEmployee: async (id, reassignTo) => {
+      await request(`/employees/${id}`, {
+        method: 'DELETE',
+        query: { reassignTo: reassignTo ?? '' },
+      });
+    },
+
+    importEmployees: async () => {
+      throw notSupported('Importing a roster');
+    },
+
+    commitScenario: async () => {
+      throw notSupported('Committing a draft');
+    },
+
+    listAuditEvents: async ({ employeeId = null, since = null } = {}) =>
+      (
+        await requestAll('/audit', {
+          query: { employeeId, since, page: 1, pageSize },
+          readPage,
+        })
+      ).items,
+
+    listChanges: async (since) => {
+      const body = await request('/changes', { query: { since } });
+      return { changes: body?.data ?? [], cursor: body?.cursor ?? since };
+    },
+  };
+}
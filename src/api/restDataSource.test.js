@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createApiClient } from './client';
+import { createRestDataSource } from './restDataSource';
+
+const jsonResponse = (body) =>
+  new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+
+describe('createRestDataSource', () => {
+  const roster = [
+    { id: 1, name: 'CEO', managerId: null },
+    { id: 2, name: 'CTO', managerId: 1 },
+    { id: 3, name: 'Dev', managerId: 2 },
+  ];
+
+  it('should load every page of employees with the feed cursor', async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(jsonResponse({ data: roster.slice(0, 2), nextPage: 2, cursor: '9' }))
+      .mockResolvedValueOnce(jsonResponse({ data: roster.slice(2), nextPage: null }));
+    const dataSource = createRestDataSource(createApiClient({ fetch }), { pageSize: 2 });
+
+    expect(await dataSource.listEmployees()).toEqual({ employees: roster, cursor: '9' });
+    expect(fetch.mock.calls[0][0]).toBe('/api/employees?page=1&pageSize=2');
+  });
+
+  it('should move someone alone in one request the server applies', async () => {
+    const moved = [
+      { employeeId: 3, oldManagerId: 2, newManagerId: 1 },
+      { employeeId: 2, oldManagerId: 1, newManagerId: null },
+    ];
+    const fetch = vi.fn().mockResolvedValueOnce(jsonResponse({ data: moved }));
+    const dataSource = createRestDataSource(createApiClient({ fetch }));
+
+    expect(await dataSource.moveEmployeeAlone(2, null, 1)).toEqual(moved);
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('/api/employees/2/move');
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body)).toEqual({ managerId: null, reportsManagerId: 1 });
+  });
+
+  it('should refuse what the backend has no routes for', async () => {
+    const dataSource = createRestDataSource(createApiClient({ fetch: vi.fn() }));
+
+    await expect(dataSource.importEmployees([], 'merge')).rejects.toMatchObject({
+      code: 'NOT_SUPPORTED',
+    });
+    await expect(dataSource.commitScenario([])).rejects.toMatchObject({ code: 'NOT_SUPPORTED' });
+  });
+});
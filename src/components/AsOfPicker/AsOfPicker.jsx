@@ -0,0 +1,46 @@
+import { useEmployees } from '../../context/EmployeeContext';
+import { toDateInputValue } from '../../utils/effectiveDating';
+import styles from './AsOfPicker.module.css';
+
+function formatDay(date) {
+  return new Date(`${date}T00:00`).toLocaleDateString(undefined, { dateStyle: 'medium' });
+}
+
+/**
+ * Picks the day the org is shown as of. A past day makes the app read-only until
+ * "Back to today" is pressed.
+ */
+export default function AsOfPicker() {
+  const { asOf, setAsOf, asOfError, isReadOnly } = useEmployees();
+  const today = toDateInputValue(new Date());
+
+  return (
+    <div className={`${styles.picker} ${isReadOnly ? styles.past : ''}`}>
+      <label className={styles.field}>
+        <span className={styles.label}>As of</span>
+        <input
+          type="date"
+          className={styles.input}
+          value={asOf ?? today}
+          max={today}
+          onChange={(e) => setAsOf(e.target.value || null)}
+        />
+      </label>
+      {isReadOnly && (
+        <>
+          <span className={styles.status}>
+            Showing the org at the end of {formatDay(asOf)}. Editing is off.
+          </span>
+          <button type="button" className={styles.todayButton} onClick={() => setAsOf(null)}>
+            Back to today
+          </button>
+        </>
+      )}
+      {asOfError && (
+        <span className={styles.error} role="alert">
+          {asOfError.message}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import AuditTimeline from '../AuditTimeline/AuditTimeline';
+import { getAuditPeople } from '../../utils/auditLog';
+import styles from './AuditHistory.module.css';
+
+// Start of a day picked in a date input, in local time
+const toStartOfDay = (date) => (date ? new Date(`${date}T00:00`).toISOString() : null);
+
+/**
+ * History view (/history): the audit log for the whole org or one person, from a given date
+ */
+export default function AuditHistory() {
+  const { liveEmployees, actorName, setActorName, fetchAuditEvents } = useEmployees();
+  const [employeeId, setEmployeeId] = useState('');
+  const [sinceDate, setSinceDate] = useState('');
+  const [allEvents, setAllEvents] = useState([]);
+  const [peopleError, setPeopleError] = useState(null);
+
+  // The whole log, so people removed since can still be picked; reloaded with the roster
+  // like the timeline. Without it, the list falls back to the current roster.
+  useEffect(() => {
+    let cancelled = false;
+    fetchAuditEvents()
+      .then((loaded) => {
+        if (cancelled) return;
+        setAllEvents(loaded);
+        setPeopleError(null);
+      })
+      .catch((error) => {
+        console.error('Error loading people from the audit log:', error);
+        if (!cancelled) setPeopleError(error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [liveEmployees, fetchAuditEvents]);
+
+  const people = useMemo(
+    () => getAuditPeople(allEvents, liveEmployees),
+    [allEvents, liveEmployees]
+  );
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Change History</h2>
+          <p className={styles.subtitle}>Every addition, edit, move and removal, newest first</p>
+        </div>
+        <label className={styles.field}>
+          <span className={styles.label}>Your name in the log</span>
+          <input
+            className={styles.input}
+            value={actorName}
+            onChange={(e) => setActorName(e.target.value)}
+            placeholder="Unknown"
+          />
+        </label>
+      </div>
+
+      <div className={styles.filters}>
+        <label className={styles.field}>
+          <span className={styles.label}>Person</span>
+          <select
+            className={styles.input}
+            value={employeeId}
+            onChange={(e) => setEmployeeId(e.target.value)}
+          >
+            <option value="">Everyone</option>
+            {people.map((person) => (
+              <option key={person.id} value={person.id}>
+                {person.removed ? `${person.name} (removed)` : person.name}
+              </option>
+            ))}
+          </select>
+          {peopleError && (
+            <span className={styles.error} role="alert">
+              Removed people can't be listed: {peopleError.message}
+            </span>
+          )}
+        </label>
+        <label className={styles.field}>
+          <span className={styles.label}>Since</span>
+          <input
+            type="date"
+            className={styles.input}
+            value={sinceDate}
+            onChange={(e) => setSinceDate(e.target.value)}
+          />
+        </label>
+        {(employeeId || sinceDate) && (
+          <button
+            type="button"
+            className={styles.clearButton}
+            onClick={() => {
+              setEmployeeId('');
+              setSinceDate('');
+            }}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className={styles.body}>
+        <AuditTimeline
+          employeeId={employeeId ? Number(employeeId) : null}
+          since={toStartOfDay(sinceDate)}
+        />
+      </div>
+    </div>
+  );
+}
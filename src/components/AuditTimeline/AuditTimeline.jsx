@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { groupAuditEvents, AUDIT_ACTIONS } from '../../utils/auditLog';
+import styles from './AuditTimeline.module.css';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  designation: 'Designation',
+  team: 'Team',
+  managerId: 'Manager',
+};
+
+const ACTION_LABELS = {
+  [AUDIT_ACTIONS.CREATE]: 'added',
+  [AUDIT_ACTIONS.UPDATE]: 'changed',
+  [AUDIT_ACTIONS.DELETE]: 'removed',
+};
+
+function formatValue(field, value, nameOf) {
+  if (value === null || value === undefined) return field === 'managerId' ? 'no manager' : '—';
+  return field === 'managerId' ? nameOf(value) : value;
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
+/**
+ * Audit log entries, newest first, for the whole org or one employee. Reloads whenever the
+ * roster changes, so edits show up as they are made.
+ * @param {Object} props - { employeeId, since, limit } where employeeId is null for everyone,
+ * since is an ISO date-time and limit caps the number of entries shown
+ */
+export default function AuditTimeline({ employeeId = null, since = null, limit = null }) {
+  const { liveEmployees, fetchAuditEvents, selectEmployee } = useEmployees();
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAuditEvents({ employeeId, since })
+      .then((loaded) => {
+        if (cancelled) return;
+        setEvents(loaded);
+        setError(null);
+      })
+      .catch((fetchError) => {
+        if (!cancelled) setError(fetchError);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [employeeId, since, liveEmployees, fetchAuditEvents]);
+
+  const entries = useMemo(() => (events ? groupAuditEvents(events) : []), [events]);
+
+  // People who have since been removed are named as the log recorded them
+  const nameOf = useMemo(() => {
+    const names = new Map();
+    (events || []).forEach((event) => names.set(event.employeeId, event.employeeName));
+    liveEmployees.forEach((emp) => names.set(emp.id, emp.name));
+    return (id) => names.get(id) ?? `#${id}`;
+  }, [events, liveEmployees]);
+
+  const currentIds = useMemo(() => new Set(liveEmployees.map((emp) => emp.id)), [liveEmployees]);
+
+  if (error) {
+    return (
+      <p className={styles.error} role="alert">
+        {error.message}
+      </p>
+    );
+  }
+  if (!events) {
+    return <p className={styles.muted}>Loading history…</p>;
+  }
+  if (entries.length === 0) {
+    return <p className={styles.muted}>No changes recorded.</p>;
+  }
+
+  const shown = limit ? entries.slice(0, limit) : entries;
+
+  return (
+    <>
+      <ol className={styles.timeline}>
+        {shown.map((entry) => (
+          <li key={entry.key} className={`${styles.entry} ${styles[entry.action] || ''}`}>
+            <div className={styles.meta}>
+              <time dateTime={entry.timestamp}>{formatTime(entry.timestamp)}</time>
+              <span className={styles.actor}>{entry.actor}</span>
+            </div>
+            <p className={styles.summary}>
+              {currentIds.has(entry.employeeId) ? (
+                <button
+                  type="button"
+                  className={styles.personLink}
+                  onClick={() => selectEmployee(entry.employeeId)}
+                >
+                  {nameOf(entry.employeeId)}
+                </button>
+              ) : (
+                <span className={styles.personName}>{entry.employeeName}</span>
+              )}{' '}
+              {ACTION_LABELS[entry.action]}
+            </p>
+            <ul className={styles.changes}>
+              {entry.changes.map(({ field, oldValue, newValue }) => (
+                <li key={field}>
+                  <span className={styles.field}>{FIELD_LABELS[field] || field}:</span>{' '}
+                  {entry.action === AUDIT_ACTIONS.CREATE
+                    ? formatValue(field, newValue, nameOf)
+                    : entry.action === AUDIT_ACTIONS.DELETE
+                      ? formatValue(field, oldValue, nameOf)
+                      : `${formatValue(field, oldValue, nameOf)} → ${formatValue(field, newValue, nameOf)}`}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+      {shown.length < entries.length && (
+        <p className={styles.muted}>and {entries.length - shown.length} earlier changes</p>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,134 @@
+import { useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { findEmployeeById, getAllReports, getDirectReports } from '../../utils/treeHelpers';
+import styles from './DeleteEmployeeDialog.module.css';
+
+/**
+ * Confirms deleting an employee and asks where their direct reports should go
+ */
+export default function DeleteEmployeeDialog({ employee, onCancel, onDeleted }) {
+  const { employees, deleteEmployee } = useEmployees();
+  const [target, setTarget] = useState('manager');
+  const [chosenManagerId, setChosenManagerId] = useState('');
+  const [error, setError] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  const directReports = useMemo(
+    () => getDirectReports(employees, employee.id),
+    [employees, employee.id]
+  );
+
+  const currentManager = findEmployeeById(employees, employee.managerId);
+
+  // Anyone outside the deleted employee's subtree can take over the reports
+  const candidates = useMemo(() => {
+    const excluded = new Set([employee.id, ...getAllReports(employees, employee.id).map((emp) => emp.id)]);
+    return employees
+      .filter((emp) => !excluded.has(emp.id))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [employees, employee.id]);
+
+  const handleConfirm = async () => {
+    let reassignTo = employee.managerId;
+    if (directReports.length > 0 && target === 'chosen') {
+      if (chosenManagerId === '') {
+        setError('Choose who the reports should move to.');
+        return;
+      }
+      reassignTo = Number(chosenManagerId);
+    }
+
+    setDeleting(true);
+    setError(null);
+    try {
+      await deleteEmployee(employee.id, reassignTo);
+      onDeleted?.();
+    } catch (err) {
+      setError(err.message || 'Failed to delete employee. Please try again.');
+      setDeleting(false);
+    }
+  };
+
+  const reportCount = directReports.length;
+
+  return (
+    <div className={styles.dialog} role="alertdialog" aria-labelledby={`delete-${employee.id}-title`}>
+      <h3 id={`delete-${employee.id}-title`} className={styles.title}>
+        Delete {employee.name}?
+      </h3>
+
+      {reportCount > 0 && (
+        <fieldset className={styles.options}>
+          <legend className={styles.legend}>
+            {employee.name} has {reportCount} direct {reportCount === 1 ? 'report' : 'reports'}. Move them to:
+          </legend>
+
+          <label className={styles.option}>
+            <input
+              type="radio"
+              name={`delete-${employee.id}-target`}
+              value="manager"
+              checked={target === 'manager'}
+              onChange={() => setTarget('manager')}
+            />
+            {currentManager
+              ? `${currentManager.name} (${employee.name}'s manager)`
+              : 'No manager (make them top level)'}
+          </label>
+
+          <label className={styles.option}>
+            <input
+              type="radio"
+              name={`delete-${employee.id}-target`}
+              value="chosen"
+              checked={target === 'chosen'}
+              onChange={() => setTarget('chosen')}
+            />
+            Someone else
+          </label>
+
+          {target === 'chosen' && (
+            <select
+              className={styles.select}
+              value={chosenManagerId}
+              onChange={(e) => setChosenManagerId(e.target.value)}
+              aria-label="New manager for the reports"
+            >
+              <option value="">Select a manager</option>
+              {candidates.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>
+                  {candidate.name} — {candidate.designation}
+                </option>
+              ))}
+            </select>
+          )}
+        </fieldset>
+      )}
+
+      {error && (
+        <p className={styles.error} role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={onCancel}
+          disabled={deleting}
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          className={styles.dangerButton}
+          onClick={handleConfirm}
+          disabled={deleting}
+        >
+          {deleting ? 'Deleting...' : 'Delete'}
+        </button>
+      </div>
+    </div>
+  );
+}
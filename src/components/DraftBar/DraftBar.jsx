@@ -0,0 +1,307 @@
+import { useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { diffRosters } from '../../utils/orgDiff';
+import styles from './DraftBar.module.css';
+
+const LIVE_VALUE = '';
+
+// A person in the diff; people removed by the draft aren't in the chart to open
+function PersonName({ employee, onSelect, removed = false }) {
+  if (!employee) return <span className={styles.topLevel}>top level</span>;
+  if (removed) return <span className={styles.removedName}>{employee.name}</span>;
+
+  return (
+    <button type="button" className={styles.personLink} onClick={() => onSelect(employee.id)}>
+      {employee.name}
+    </button>
+  );
+}
+
+function DiffGroup({ title, count, children }) {
+  if (count === 0) return null;
+
+  return (
+    <section className={styles.diffGroup}>
+      <h4 className={styles.diffTitle}>
+        {title} ({count})
+      </h4>
+      <ul className={styles.diffList}>{children}</ul>
+    </section>
+  );
+}
+
+// Every difference between the live organization and the draft
+function DraftDiff({ diff, onSelect }) {
+  if (diff.total === 0) {
+    return <p className={styles.muted}>No changes yet. Edit the chart or the list to build the draft.</p>;
+  }
+
+  return (
+    <div className={styles.diff}>
+      <DiffGroup title="Moves" count={diff.moved.length}>
+        {diff.moved.map(({ employee, from, to }) => (
+          <li key={employee.id}>
+            <PersonName employee={employee} onSelect={onSelect} /> moves from{' '}
+            <PersonName employee={from} onSelect={onSelect} /> to{' '}
+            <PersonName employee={to} onSelect={onSelect} />
+          </li>
+        ))}
+      </DiffGroup>
+
+      <DiffGroup title="Reporting lines" count={diff.reportChanges.length}>
+        {diff.reportChanges.map(({ manager, gained, lost }) => (
+          <li key={manager.id}>
+            <PersonName
+              employee={manager}
+              onSelect={onSelect}
+              removed={diff.removed.includes(manager)}
+            />
+            {gained.length > 0 && (
+              <span className={styles.gained}>
+                {' '}
+                gains {gained.map((emp) => emp.name).join(', ')}
+              </span>
+            )}
+            {lost.length > 0 && (
+              <span className={styles.lost}>
+                {' '}
+                loses {lost.map((emp) => emp.name).join(', ')}
+              </span>
+            )}
+          </li>
+        ))}
+      </DiffGroup>
+
+      <DiffGroup title="Team changes" count={diff.teamChanges.length}>
+        {diff.teamChanges.map(({ employee, from, to }) => (
+          <li key={employee.id}>
+            <PersonName employee={employee} onSelect={onSelect} /> moves from {from} to {to}
+          </li>
+        ))}
+      </DiffGroup>
+
+      <DiffGroup title="Added" count={diff.added.length}>
+        {diff.added.map((employee) => (
+          <li key={employee.id}>
+            <PersonName employee={employee} onSelect={onSelect} />, {employee.designation} (
+            {employee.team})
+          </li>
+        ))}
+      </DiffGroup>
+
+      <DiffGroup title="Removed" count={diff.removed.length}>
+        {diff.removed.map((employee) => (
+          <li key={employee.id}>
+            <PersonName employee={employee} onSelect={onSelect} removed />, {employee.designation}
+          </li>
+        ))}
+      </DiffGroup>
+
+      <DiffGroup title="Edited" count={diff.edited.length}>
+        {diff.edited.map(({ employee, fields }) => (
+          <li key={employee.id}>
+            <PersonName employee={employee} onSelect={onSelect} />:{' '}
+            {fields.map(({ field, from, to }) => `${field} "${from}" → "${to}"`).join(', ')}
+          </li>
+        ))}
+      </DiffGroup>
+    </div>
+  );
+}
+
+/**
+ * Switches between the live organization and named reorganization drafts. While a draft
+ * is active, edits anywhere in the app are recorded in it; this bar lists what the draft
+ * changes and commits it in one request or discards it.
+ */
+export default function DraftBar() {
+  const {
+    employees,
+    liveEmployees,
+    drafts,
+    activeDraft,
+    draftConflict,
+    createDraft,
+    setActiveDraft,
+    discardDraft,
+    removeDraftOperation,
+    commitDraft,
+    selectEmployee,
+    isReadOnly,
+  } = useEmployees();
+  const [newDraftName, setNewDraftName] = useState(null);
+  const [showDiff, setShowDiff] = useState(false);
+  const [confirmingDiscard, setConfirmingDiscard] = useState(false);
+  const [committing, setCommitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // While the org is shown as of a past day the chart isn't showing the draft, so it is
+  // put aside until the view is back to today
+  const drafting = Boolean(activeDraft) && !isReadOnly;
+
+  const diff = useMemo(
+    () => (drafting ? diffRosters(liveEmployees, employees) : null),
+    [drafting, liveEmployees, employees]
+  );
+
+  const resetDraftUi = () => {
+    setConfirmingDiscard(false);
+    setError(null);
+  };
+
+  const handleDraftChange = (e) => {
+    resetDraftUi();
+    setActiveDraft(e.target.value === LIVE_VALUE ? null : Number(e.target.value));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = newDraftName.trim() || `Draft ${drafts.length + 1}`;
+    resetDraftUi();
+    createDraft(name);
+    setNewDraftName(null);
+  };
+
+  const handleCommit = async () => {
+    setCommitting(true);
+    setError(null);
+    try {
+      await commitDraft();
+      setShowDiff(false);
+    } catch (commitError) {
+      setError(commitError.message || 'Failed to commit the draft. Please try again.');
+    } finally {
+      setCommitting(false);
+    }
+  };
+
+  const handleDiscard = () => {
+    discardDraft(activeDraft.id);
+    resetDraftUi();
+    setShowDiff(false);
+  };
+
+  return (
+    <div className={`${styles.bar} ${drafting ? styles.drafting : ''}`}>
+      <div className={styles.row}>
+        <label className={styles.picker}>
+          <span className={styles.label}>Editing</span>
+          <select
+            className={styles.select}
+            value={activeDraft ? activeDraft.id : LIVE_VALUE}
+            onChange={handleDraftChange}
+            disabled={isReadOnly}
+          >
+            <option value={LIVE_VALUE}>Live organization</option>
+            {drafts.map((draft) => (
+              <option key={draft.id} value={draft.id}>
+                Draft: {draft.name}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {newDraftName === null || isReadOnly ? (
+          <button
+            type="button"
+            className={styles.button}
+            onClick={() => setNewDraftName('')}
+            disabled={isReadOnly}
+          >
+            New draft
+          </button>
+        ) : (
+          <form className={styles.newDraft} onSubmit={handleCreate}>
+            <input
+              className={styles.nameInput}
+              value={newDraftName}
+              onChange={(e) => setNewDraftName(e.target.value)}
+              placeholder={`Draft ${drafts.length + 1}`}
+              aria-label="Draft name"
+              autoFocus
+            />
+            <button type="submit" className={styles.button}>
+              Create
+            </button>
+            <button type="button" className={styles.button} onClick={() => setNewDraftName(null)}>
+              Cancel
+            </button>
+          </form>
+        )}
+
+        {drafting && (
+          <div className={styles.draftActions}>
+            <span className={styles.status}>
+              {diff.total === 1 ? '1 person changed' : `${diff.total} people changed`} · not yet
+              applied
+            </span>
+            <button
+              type="button"
+              className={styles.button}
+              aria-expanded={showDiff}
+              onClick={() => setShowDiff((shown) => !shown)}
+            >
+              {showDiff ? 'Hide changes' : 'Review changes'}
+            </button>
+            <button
+              type="button"
+              className={styles.commitButton}
+              onClick={handleCommit}
+              disabled={committing || diff.total === 0 || Boolean(draftConflict)}
+            >
+              {committing ? 'Committing…' : 'Commit'}
+            </button>
+            {confirmingDiscard ? (
+              <>
+                <button type="button" className={styles.discardButton} onClick={handleDiscard}>
+                  Discard “{activeDraft.name}”
+                </button>
+                <button
+                  type="button"
+                  className={styles.button}
+                  onClick={() => setConfirmingDiscard(false)}
+                >
+                  Keep
+                </button>
+              </>
+            ) : (
+              <button
+                type="button"
+                className={styles.button}
+                onClick={() => setConfirmingDiscard(true)}
+              >
+                Discard
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {drafting && draftConflict && (
+        <p className={styles.conflict} role="alert">
+          Change {draftConflict.index + 1} of this draft no longer applies to the live
+          organization: {draftConflict.message}{' '}
+          <button
+            type="button"
+            className={styles.button}
+            onClick={() => removeDraftOperation(draftConflict.index)}
+          >
+            Drop that change
+          </button>
+        </p>
+      )}
+
+      {error && (
+        <p className={styles.error} role="alert">
+          {error}
+        </p>
+      )}
+
+      {drafting && showDiff && (
+        <div className={styles.diffPanel} aria-label={`Changes in ${activeDraft.name}`} role="region">
+          <DraftDiff diff={diff} onSelect={selectEmployee} />
+        </div>
+      )}
+    </div>
+  );
+}
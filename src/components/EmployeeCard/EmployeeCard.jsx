@@ -1,15 +1,40 @@
 import styles from './EmployeeCard.module.css';
 
-export default function EmployeeCard({ employee, isHighlighted = false }) {
+// Wraps the [start, end) ranges of text that matched the search in <mark>
+function HighlightedText({ text, ranges }) {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(
+      <mark key={start} className={styles.match}>
+        {text.slice(start, end)}
+      </mark>
+    );
+    cursor = end;
+  });
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return parts;
+}
+
+export default function EmployeeCard({ employee, isHighlighted = false, highlights = null }) {
   return (
     <div
       className={`${styles.card} ${isHighlighted ? styles.highlighted : ''}`}
     >
       <div className={styles.header}>
-        <h3 className={styles.name}>{employee.name}</h3>
+        <h3 className={styles.name}>
+          <HighlightedText text={employee.name} ranges={highlights?.name} />
+        </h3>
       </div>
-      <p className={styles.designation}>{employee.designation}</p>
-      <span className={styles.team}>{employee.team}</span>
+      <p className={styles.designation}>
+        <HighlightedText text={employee.designation} ranges={highlights?.designation} />
+      </p>
+      <span className={styles.team}>
+        <HighlightedText text={employee.team} ranges={highlights?.team} />
+      </span>
     </div>
   );
 }
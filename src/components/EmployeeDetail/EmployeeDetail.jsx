@@ -0,0 +1,179 @@
+import { useEffect, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import {
+  findEmployeeById,
+  getAllReports,
+  getReportingChain,
+  getSpanOfControl,
+} from '../../utils/treeHelpers';
+import AuditTimeline from '../AuditTimeline/AuditTimeline';
+import styles from './EmployeeDetail.module.css';
+
+// Long lists of indirect reports are cut off; the chart shows the rest
+const MAX_LISTED_REPORTS = 50;
+
+// The History view has the full log
+const MAX_LISTED_CHANGES = 10;
+
+function ReportList({ title, reports, onSelect }) {
+  if (reports.length === 0) return null;
+
+  const listed = reports.slice(0, MAX_LISTED_REPORTS);
+  return (
+    <section className={styles.section}>
+      <h4 className={styles.sectionTitle}>
+        {title} ({reports.length})
+      </h4>
+      <ul className={styles.reportList}>
+        {listed.map((emp) => (
+          <li key={emp.id}>
+            <button type="button" className={styles.reportLink} onClick={() => onSelect(emp.id)}>
+              <span className={styles.reportName}>{emp.name}</span>
+              <span className={styles.reportTitle}>{emp.designation}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {reports.length > listed.length && (
+        <p className={styles.more}>and {reports.length - listed.length} more</p>
+      )}
+    </section>
+  );
+}
+
+/**
+ * Detail panel for one employee, loaded from GET /api/employees/:id. Relationships come
+ * from the roster already in memory, so they match what the chart shows.
+ */
+function EmployeeDetailPanel({ employeeId }) {
+  const { employees, fetchEmployee, selectEmployee } = useEmployees();
+  const [record, setRecord] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchEmployee(employeeId)
+      .then((employee) => {
+        if (!cancelled) setRecord(employee);
+      })
+      .catch((fetchError) => {
+        if (!cancelled) setError(fetchError);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [employeeId, fetchEmployee]);
+
+  // Prefer the in-memory copy, so the panel follows edits and moves made after it loaded
+  const employee = findEmployeeById(employees, employeeId) ?? record;
+
+  const close = () => selectEmployee(null);
+
+  let body;
+  if (employee) {
+    const chain = getReportingChain(employees, employeeId);
+    const span = getSpanOfControl(employees, employeeId);
+    const allReports = getAllReports(employees, employeeId);
+    const directReports = allReports.filter((emp) => emp.managerId === employeeId);
+    const indirectReports = allReports.filter((emp) => emp.managerId !== employeeId);
+
+    body = (
+      <>
+        <div className={styles.header}>
+          <h3 id="employee-detail-title" className={styles.name}>
+            {employee.name}
+          </h3>
+          <p className={styles.designation}>{employee.designation}</p>
+          <span className={styles.team}>{employee.team}</span>
+          <span className={styles.id}>ID {employee.id}</span>
+        </div>
+
+        <nav aria-label="Reporting chain">
+          <ol className={styles.breadcrumb}>
+            {chain.map((manager) => (
+              <li key={manager.id}>
+                <button
+                  type="button"
+                  className={styles.crumb}
+                  onClick={() => selectEmployee(manager.id)}
+                >
+                  {manager.name}
+                </button>
+              </li>
+            ))}
+            <li aria-current="page" className={styles.currentCrumb}>
+              {employee.name}
+            </li>
+          </ol>
+        </nav>
+
+        <dl className={styles.stats} aria-label="Span of control">
+          <div>
+            <dt>Direct</dt>
+            <dd>{span.direct}</dd>
+          </div>
+          <div>
+            <dt>Indirect</dt>
+            <dd>{span.indirect}</dd>
+          </div>
+          <div>
+            <dt>Total</dt>
+            <dd>{span.total}</dd>
+          </div>
+          <div>
+            <dt>Levels below</dt>
+            <dd>{span.levels}</dd>
+          </div>
+        </dl>
+
+        <ReportList title="Direct reports" reports={directReports} onSelect={selectEmployee} />
+        <ReportList title="Indirect reports" reports={indirectReports} onSelect={selectEmployee} />
+        {span.total === 0 && <p className={styles.muted}>No one reports to {employee.name}.</p>}
+
+        <section className={styles.section}>
+          <h4 className={styles.sectionTitle}>Recent changes</h4>
+          <AuditTimeline employeeId={employeeId} limit={MAX_LISTED_CHANGES} />
+        </section>
+      </>
+    );
+  } else if (error) {
+    body = (
+      <p className={styles.error} role="alert">
+        {error.message}
+      </p>
+    );
+  } else {
+    body = <p className={styles.muted}>Loading employee…</p>;
+  }
+
+  return (
+    <aside
+      className={styles.panel}
+      aria-labelledby={employee ? 'employee-detail-title' : undefined}
+      aria-label={employee ? undefined : 'Employee details'}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') close();
+      }}
+    >
+      <button
+        type="button"
+        className={styles.closeButton}
+        onClick={close}
+        aria-label="Close employee details"
+        title="Close"
+      >
+        ×
+      </button>
+      {body}
+    </aside>
+  );
+}
+
+// Shown while an employee is selected (/employees/:id)
+export default function EmployeeDetail() {
+  const { selectedEmployeeId } = useEmployees();
+  if (selectedEmployeeId === null) return null;
+
+  // Keyed so switching people starts from a clean fetch
+  return <EmployeeDetailPanel key={selectedEmployeeId} employeeId={selectedEmployeeId} />;
+}
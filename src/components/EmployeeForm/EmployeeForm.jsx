@@ -0,0 +1,163 @@
+import { useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { getUniqueTeams } from '../../utils/treeHelpers';
+import { getMissingFields } from '../../utils/employeeValidation';
+import styles from './EmployeeForm.module.css';
+
+/**
+ * Create form (no employee) or in-place edit form (with employee)
+ * Manager can only be picked on create; existing employees are moved by drag and drop
+ */
+export default function EmployeeForm({ employee = null, onSubmit, onCancel }) {
+  const { employees } = useEmployees();
+  const isEditing = employee !== null;
+
+  const [values, setValues] = useState({
+    name: employee?.name ?? '',
+    designation: employee?.designation ?? '',
+    team: employee?.team ?? '',
+    managerId: employee?.managerId ?? '',
+  });
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const teams = useMemo(() => getUniqueTeams(employees), [employees]);
+
+  const managers = useMemo(() => {
+    return [...employees].sort((a, b) => a.name.localeCompare(b.name));
+  }, [employees]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const missing = getMissingFields(values);
+    if (missing.length > 0) {
+      setError(`Please fill in: ${missing.join(', ')}.`);
+      return;
+    }
+
+    const payload = {
+      name: values.name.trim(),
+      designation: values.designation.trim(),
+      team: values.team,
+    };
+    if (!isEditing) {
+      payload.managerId = values.managerId === '' ? null : Number(values.managerId);
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await onSubmit(payload);
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  const idPrefix = isEditing ? `edit-${employee.id}` : 'new-employee';
+
+  return (
+    <form className={styles.form} onSubmit={handleSubmit} noValidate>
+      <h3 className={styles.title}>
+        {isEditing ? `Edit ${employee.name}` : 'Add Employee'}
+      </h3>
+
+      <div className={styles.field}>
+        <label htmlFor={`${idPrefix}-name`} className={styles.label}>
+          Name
+        </label>
+        <input
+          id={`${idPrefix}-name`}
+          name="name"
+          type="text"
+          value={values.name}
+          onChange={handleChange}
+          className={styles.input}
+          autoFocus
+        />
+      </div>
+
+      <div className={styles.field}>
+        <label htmlFor={`${idPrefix}-designation`} className={styles.label}>
+          Designation
+        </label>
+        <input
+          id={`${idPrefix}-designation`}
+          name="designation"
+          type="text"
+          value={values.designation}
+          onChange={handleChange}
+          className={styles.input}
+        />
+      </div>
+
+      <div className={styles.field}>
+        <label htmlFor={`${idPrefix}-team`} className={styles.label}>
+          Team
+        </label>
+        <select
+          id={`${idPrefix}-team`}
+          name="team"
+          value={values.team}
+          onChange={handleChange}
+          className={styles.select}
+        >
+          <option value="">Select a team</option>
+          {teams.map((team) => (
+            <option key={team} value={team}>
+              {team}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {!isEditing && (
+        <div className={styles.field}>
+          <label htmlFor={`${idPrefix}-manager`} className={styles.label}>
+            Reports to
+          </label>
+          <select
+            id={`${idPrefix}-manager`}
+            name="managerId"
+            value={values.managerId}
+            onChange={handleChange}
+            className={styles.select}
+          >
+            <option value="">No manager (top level)</option>
+            {managers.map((manager) => (
+              <option key={manager.id} value={manager.id}>
+                {manager.name} — {manager.designation}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {error && (
+        <p className={styles.error} role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className={styles.secondaryButton}
+          onClick={onCancel}
+          disabled={submitting}
+        >
+          Cancel
+        </button>
+        <button type="submit" className={styles.primaryButton} disabled={submitting}>
+          {submitting ? 'Saving...' : isEditing ? 'Save' : 'Add'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,23 +1,87 @@
-import { useMemo } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import { useEmployees } from '../../context/EmployeeContext';
 import { filterEmployees, getUniqueTeams } from '../../utils/treeHelpers';
+import { getQueryHighlights, getQuerySuggestions } from '../../utils/employeeQuery';
+import { employeesToCsv } from '../../utils/rosterImport';
+import { downloadFile } from '../../utils/download';
 import EmployeeCard from '../EmployeeCard/EmployeeCard';
+import EmployeeForm from '../EmployeeForm/EmployeeForm';
+import DeleteEmployeeDialog from '../DeleteEmployeeDialog/DeleteEmployeeDialog';
+import RosterImport from '../RosterImport/RosterImport';
+import VirtualList from '../VirtualList/VirtualList';
 import styles from './EmployeeList.module.css';
 
+const getEmployeeKey = (employee) => employee.id;
+const getOptionId = (id) => `employee-option-${id}`;
+
 export default function EmployeeList() {
   const {
     employees,
     searchTerm,
+    searchQuery,
     selectedTeam,
     setSearchTerm,
     setSelectedTeam,
+    selectedEmployeeId,
+    selectEmployee,
+    createEmployee,
+    updateEmployee,
     loading,
+    isReadOnly,
   } = useEmployees();
+  const [isAdding, setIsAdding] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  // Result picked with the arrow keys from the search box, and whether the sidebar has focus
+  const [activeId, setActiveId] = useState(null);
+  const [hasFocus, setHasFocus] = useState(false);
+  const searchInputRef = useRef(null);
+
+  const handleExport = () => {
+    downloadFile(employeesToCsv(employees), 'employees.csv', 'text/csv;charset=utf-8');
+  };
 
   // Get filtered employees
   const filteredEmployees = useMemo(() => {
-    return filterEmployees(employees, searchTerm, selectedTeam);
-  }, [employees, searchTerm, selectedTeam]);
+    return filterEmployees(employees, searchQuery, selectedTeam);
+  }, [employees, searchQuery, selectedTeam]);
+
+  // Falls back to no active result once it is filtered out
+  const activeIndex = filteredEmployees.findIndex((emp) => emp.id === activeId);
+
+  // "Did you mean" only while the sidebar has focus, so it doesn't linger
+  const suggestions = useMemo(() => {
+    return hasFocus ? getQuerySuggestions(employees, searchQuery) : [];
+  }, [hasFocus, employees, searchQuery]);
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (filteredEmployees.length === 0) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const start = activeIndex === -1 && step === -1 ? filteredEmployees.length : activeIndex;
+      const next = Math.min(Math.max(start + step, 0), filteredEmployees.length - 1);
+      setActiveId(filteredEmployees[next].id);
+    } else if (e.key === 'Enter' && activeIndex !== -1) {
+      e.preventDefault();
+      selectEmployee(activeId);
+    } else if (e.key === 'Escape' && activeIndex !== -1) {
+      setActiveId(null);
+    }
+  };
+
+  const handleBlur = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setHasFocus(false);
+    }
+  };
+
+  const applySuggestion = (suggestion) => {
+    setSearchTerm(suggestion);
+    setActiveId(null);
+    searchInputRef.current?.focus();
+  };
 
   // Get unique teams for filter dropdown
   const teams = useMemo(() => {
@@ -33,27 +97,108 @@ export default function EmployeeList() {
   }
 
   return (
-    <div className={styles.container}>
+    <div className={styles.container} onFocus={() => setHasFocus(true)} onBlur={handleBlur}>
       <div className={styles.header}>
-        <h2 className={styles.title}>Employees</h2>
+        <div className={styles.headerRow}>
+          <h2 className={styles.title}>Employees</h2>
+          <div className={styles.headerActions}>
+            <button
+              className={styles.toolButton}
+              onClick={() => setIsImporting(true)}
+              disabled={isReadOnly}
+              title="Import employees from CSV"
+            >
+              Import
+            </button>
+            <button
+              className={styles.toolButton}
+              onClick={handleExport}
+              disabled={employees.length === 0}
+              title="Export employees as CSV"
+            >
+              Export
+            </button>
+            <button
+              className={styles.addButton}
+              onClick={() => setIsAdding(true)}
+              disabled={isAdding || isReadOnly}
+            >
+              + Add
+            </button>
+          </div>
+        </div>
         <p className={styles.subtitle}>
           {filteredEmployees.length} of {employees.length} employees
         </p>
       </div>
 
+      {isImporting && !isReadOnly && <RosterImport onClose={() => setIsImporting(false)} />}
+
+      {isAdding && !isReadOnly && (
+        <div className={styles.addForm}>
+          <EmployeeForm
+            onSubmit={async (attrs) => {
+              await createEmployee(attrs);
+              setIsAdding(false);
+            }}
+            onCancel={() => setIsAdding(false)}
+          />
+        </div>
+      )}
+
       <div className={styles.filters}>
         <div className={styles.filterGroup}>
           <label htmlFor="search" className={styles.label}>
             Search
           </label>
           <input
+            ref={searchInputRef}
             id="search"
             type="text"
-            placeholder="Search by name, role, or team..."
+            role="combobox"
+            aria-autocomplete="list"
+            aria-controls="employee-results"
+            aria-expanded={filteredEmployees.length > 0}
+            aria-activedescendant={activeIndex !== -1 ? getOptionId(activeId) : undefined}
+            placeholder='Search, or try team:Security reports:>=5'
+            title={
+              'Fields: name, title, team, id, reportsto, under, depth, reports. ' +
+              'Combine with AND, OR, NOT (or -) and parentheses; quote values with spaces. ' +
+              'Arrow keys pick a result, Enter opens its details.'
+            }
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className={styles.input}
+            onChange={(e) => {
+              setSearchTerm(e.target.value);
+              setActiveId(null);
+            }}
+            onKeyDown={handleSearchKeyDown}
+            className={`${styles.input} ${searchQuery.error ? styles.inputInvalid : ''}`}
+            aria-invalid={Boolean(searchQuery.error)}
+            aria-describedby={searchQuery.error ? 'search-error' : undefined}
           />
+          {searchQuery.error && (
+            <p id="search-error" className={styles.queryError} role="alert">
+              {searchQuery.error.message} Showing plain text matches.
+            </p>
+          )}
+          {suggestions.length > 0 && (
+            <p className={styles.suggestions}>
+              Did you mean{' '}
+              {suggestions.map((suggestion, index) => (
+                <span key={suggestion}>
+                  {index > 0 && ' or '}
+                  <button
+                    type="button"
+                    className={styles.suggestion}
+                    onClick={() => applySuggestion(suggestion)}
+                  >
+                    {suggestion}
+                  </button>
+                </span>
+              ))}
+              ?
+            </p>
+          )}
         </div>
 
         <div className={styles.filterGroup}>
@@ -76,8 +221,8 @@ export default function EmployeeList() {
         </div>
       </div>
 
-      <div className={styles.employeeList}>
-        {filteredEmployees.length === 0 ? (
+      {filteredEmployees.length === 0 ? (
+        <div className={styles.employeeList}>
           <div className={styles.empty}>
             <p>No employees found matching your criteria.</p>
             {(searchTerm || selectedTeam) && (
@@ -92,14 +237,87 @@ export default function EmployeeList() {
               </button>
             )}
           </div>
-        ) : (
-          filteredEmployees.map((employee) => (
-            <div key={employee.id} className={styles.employeeItem}>
-              <EmployeeCard employee={employee} />
+        </div>
+      ) : (
+        <VirtualList
+          id="employee-results"
+          role="listbox"
+          aria-label="Search results"
+          className={styles.employeeList}
+          items={filteredEmployees}
+          getKey={getEmployeeKey}
+          estimatedItemHeight={150}
+          gap={12}
+          activeIndex={activeIndex}
+          renderItem={(employee) => (
+            <div
+              id={getOptionId(employee.id)}
+              role="option"
+              aria-selected={employee.id === activeId}
+              className={`${styles.employeeItem} ${
+                employee.id === activeId ? styles.activeItem : ''
+              } ${employee.id === selectedEmployeeId ? styles.selectedItem : ''}`}
+              onClick={(e) => {
+                // The edit and delete controls inside the item do their own thing
+                if (e.target.closest('button, input, select, textarea, form')) return;
+                selectEmployee(employee.id);
+              }}
+            >
+              {editingId === employee.id && !isReadOnly ? (
+                <EmployeeForm
+                  employee={employee}
+                  onSubmit={async (updates) => {
+                    await updateEmployee(employee.id, updates);
+                    setEditingId(null);
+                  }}
+                  onCancel={() => setEditingId(null)}
+                />
+              ) : (
+                <>
+                  <EmployeeCard
+                    employee={employee}
+                    highlights={getQueryHighlights(employee, searchQuery)}
+                  />
+                  {/* The past is read-only, so there is nothing to edit or delete */}
+                  {!isReadOnly && (
+                    <div className={styles.itemActions}>
+                      <button
+                        className={styles.itemAction}
+                        onClick={() => {
+                          setDeletingId(null);
+                          setEditingId(employee.id);
+                        }}
+                        title={`Edit ${employee.name}`}
+                        aria-label={`Edit ${employee.name}`}
+                      >
+                        ✎
+                      </button>
+                      <button
+                        className={styles.itemAction}
+                        onClick={() => {
+                          setEditingId(null);
+                          setDeletingId(employee.id);
+                        }}
+                        title={`Delete ${employee.name}`}
+                        aria-label={`Delete ${employee.name}`}
+                      >
+                        🗑
+                      </button>
+                    </div>
+                  )}
+                  {deletingId === employee.id && !isReadOnly && (
+                    <DeleteEmployeeDialog
+                      employee={employee}
+                      onCancel={() => setDeletingId(null)}
+                      onDeleted={() => setDeletingId(null)}
+                    />
+                  )}
+                </>
+              )}
             </div>
-          ))
-        )}
-      </div>
+          )}
+        />
+      )}
     </div>
   );
 }
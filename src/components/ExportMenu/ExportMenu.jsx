@@ -0,0 +1,99 @@
+import { useEffect, useRef, useState } from 'react';
+import { layoutTree } from '../../utils/treeLayout';
+import { renderChartSvg, svgToPngBlob } from '../../utils/chartExport';
+import { downloadFile } from '../../utils/download';
+import styles from './ExportMenu.module.css';
+
+const PNG_SCALES = [1, 2, 3];
+
+/**
+ * Header menu that exports the whole tree as SVG or PNG, independent of the current zoom and pan
+ */
+export default function ExportMenu({ tree, onError }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [exporting, setExporting] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking elsewhere
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handlePointerDown = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handlePointerDown);
+    return () => document.removeEventListener('mousedown', handlePointerDown);
+  }, [isOpen]);
+
+  const renderSvg = () => renderChartSvg(layoutTree(tree));
+
+  const handleSvgExport = () => {
+    const { svg } = renderSvg();
+    downloadFile(svg, 'org-chart.svg', 'image/svg+xml;charset=utf-8');
+    setIsOpen(false);
+  };
+
+  const handlePngExport = async () => {
+    setExporting(true);
+    try {
+      const { svg, width, height } = renderSvg();
+      const blob = await svgToPngBlob(svg, { width, height }, scale);
+      downloadFile(blob, `org-chart@${scale}x.png`);
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Failed to export PNG:', error);
+      onError?.(error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className={styles.exportMenu} ref={menuRef}>
+      <button
+        className={styles.trigger}
+        onClick={() => setIsOpen((prev) => !prev)}
+        aria-haspopup="true"
+        aria-expanded={isOpen}
+        title="Export chart"
+      >
+        Export
+      </button>
+
+      {isOpen && (
+        <div className={styles.menu} role="menu">
+          <button className={styles.menuItem} role="menuitem" onClick={handleSvgExport}>
+            Download SVG
+          </button>
+
+          <div className={styles.pngRow}>
+            <button
+              className={styles.menuItem}
+              role="menuitem"
+              onClick={handlePngExport}
+              disabled={exporting}
+            >
+              {exporting ? 'Rendering...' : 'Download PNG'}
+            </button>
+            <select
+              className={styles.scaleSelect}
+              value={scale}
+              onChange={(e) => setScale(Number(e.target.value))}
+              aria-label="PNG scale"
+            >
+              {PNG_SCALES.map((value) => (
+                <option key={value} value={value}>
+                  {value}x
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useMemo } from 'react';
+import { findEmployeeById, getDirectReports, getAllReports } from '../../utils/treeHelpers';
+import styles from './MoveDialog.module.css';
+
+/**
+ * Drop-time prompt for moving one employee without their subtree
+ * Controlled by OrgChart so the chart can preview the selected option
+ */
+export default function MoveDialog({
+  employees,
+  pendingMove,
+  error,
+  submitting,
+  onReportsManagerChange,
+  onConfirm,
+  onCancel,
+}) {
+  const { employeeId, newManagerId, reportsManagerId } = pendingMove;
+  const employee = findEmployeeById(employees, employeeId);
+  const newManager = findEmployeeById(employees, newManagerId);
+  const formerManager = findEmployeeById(employees, employee.managerId);
+  const directReports = getDirectReports(employees, employeeId);
+
+  const reportsStay = reportsManagerId === employee.managerId;
+
+  // The reports can't go to the moved employee or anyone below them
+  const candidates = useMemo(() => {
+    const excluded = new Set([employeeId, ...getAllReports(employees, employeeId).map((emp) => emp.id)]);
+    return employees
+      .filter((emp) => !excluded.has(emp.id))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }, [employees, employeeId]);
+
+  const reportNames = directReports.map((emp) => emp.name).join(', ');
+
+  return (
+    <div className={styles.backdrop}>
+      <div
+        className={styles.dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="move-dialog-title"
+      >
+        <h3 id="move-dialog-title" className={styles.title}>
+          Move {employee.name} without their team
+        </h3>
+        <p className={styles.summary}>
+          {employee.name} will report to <strong>{newManager.name}</strong>. Their{' '}
+          {directReports.length} direct {directReports.length === 1 ? 'report' : 'reports'} (
+          {reportNames}) will:
+        </p>
+
+        <fieldset className={styles.options}>
+          <legend className={styles.srOnly}>Where the direct reports go</legend>
+          <label className={styles.option}>
+            <input
+              type="radio"
+              name="move-reports-target"
+              checked={reportsStay}
+              onChange={() => onReportsManagerChange(employee.managerId)}
+            />
+            {formerManager
+              ? `Stay with ${formerManager.name} (former manager)`
+              : 'Become top level (no former manager)'}
+          </label>
+
+          <label className={styles.option}>
+            <input
+              type="radio"
+              name="move-reports-target"
+              checked={!reportsStay}
+              onChange={() => {
+                const firstOther = candidates.find((emp) => emp.id !== employee.managerId);
+                if (firstOther) onReportsManagerChange(firstOther.id);
+              }}
+            />
+            Report to someone else
+          </label>
+
+          {!reportsStay && (
+            <select
+              className={styles.select}
+              value={reportsManagerId ?? ''}
+              onChange={(e) => onReportsManagerChange(Number(e.target.value))}
+              aria-label="New manager for the direct reports"
+            >
+              {candidates.map((candidate) => (
+                <option key={candidate.id} value={candidate.id}>
+                  {candidate.name} — {candidate.designation}
+                </option>
+              ))}
+            </select>
+          )}
+        </fieldset>
+
+        <p className={styles.legendNote}>
+          <span className={styles.movingSwatch} aria-hidden="true" /> Highlighted nodes will move
+        </p>
+
+        {error && (
+          <p className={styles.error} role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className={styles.actions}>
+          <button
+            type="button"
+            className={styles.secondaryButton}
+            onClick={onCancel}
+            disabled={submitting}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className={styles.primaryButton}
+            onClick={onConfirm}
+            disabled={submitting}
+          >
+            {submitting ? 'Moving...' : 'Move'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
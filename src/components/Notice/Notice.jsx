@@ -0,0 +1,33 @@
+import { useEffect } from 'react';
+import styles from './Notice.module.css';
+
+// How long a notice stays on screen before dismissing itself
+const AUTO_DISMISS_MS = 6000;
+
+export default function Notice({ notice, onDismiss }) {
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(onDismiss, AUTO_DISMISS_MS);
+    return () => clearTimeout(timer);
+  }, [notice, onDismiss]);
+
+  if (!notice) return null;
+
+  return (
+    <div
+      className={`${styles.notice} ${styles[notice.type] || ''}`}
+      role={notice.type === 'error' ? 'alert' : 'status'}
+    >
+      <span className={styles.message}>{notice.message}</span>
+      {notice.code && <code className={styles.code}>{notice.code}</code>}
+      <button
+        type="button"
+        className={styles.dismiss}
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+}
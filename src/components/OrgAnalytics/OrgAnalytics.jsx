@@ -0,0 +1,284 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { filterEmployees } from '../../utils/treeHelpers';
+import { computeOrgAnalytics } from '../../utils/orgAnalytics';
+import { VIEWS } from '../../utils/routes';
+import styles from './OrgAnalytics.module.css';
+
+// Managers with more direct reports than this are flagged; adjustable on the dashboard
+const SPAN_THRESHOLD_STORAGE_KEY = 'orgSpanThreshold';
+const DEFAULT_SPAN_THRESHOLD = 8;
+
+function loadSpanThreshold() {
+  const saved = Number(localStorage.getItem(SPAN_THRESHOLD_STORAGE_KEY));
+  return Number.isInteger(saved) && saved > 0 ? saved : DEFAULT_SPAN_THRESHOLD;
+}
+
+// A name that opens the person in the chart, with their detail panel
+function EmployeeLink({ employee, onSelect }) {
+  return (
+    <button type="button" className={styles.employeeLink} onClick={() => onSelect(employee.id)}>
+      {employee.name}
+    </button>
+  );
+}
+
+function Section({ title, description, children }) {
+  return (
+    <section className={styles.section}>
+      <h3 className={styles.sectionTitle}>{title}</h3>
+      {description && <p className={styles.sectionDescription}>{description}</p>}
+      {children}
+    </section>
+  );
+}
+
+/**
+ * Org health dashboard: spans of control, branch depths, headcounts and long reporting
+ * chains for the employees matching the current search and team filters.
+ */
+export default function OrgAnalytics() {
+  const {
+    employees,
+    loading,
+    searchTerm,
+    searchQuery,
+    selectedTeam,
+    setSelectedTeam,
+    selectEmployee,
+    showView,
+  } = useEmployees();
+  const [spanThreshold, setSpanThreshold] = useState(loadSpanThreshold);
+
+  useEffect(() => {
+    localStorage.setItem(SPAN_THRESHOLD_STORAGE_KEY, String(spanThreshold));
+  }, [spanThreshold]);
+
+  const isFiltering = Boolean(searchTerm.trim() || selectedTeam);
+
+  const analytics = useMemo(() => {
+    const includedIds = isFiltering
+      ? new Set(filterEmployees(employees, searchQuery, selectedTeam).map((emp) => emp.id))
+      : null;
+    return computeOrgAnalytics(employees, { includedIds, spanThreshold });
+  }, [employees, searchQuery, selectedTeam, isFiltering, spanThreshold]);
+
+  const handleThresholdChange = (e) => {
+    const value = Number(e.target.value);
+    if (Number.isInteger(value) && value > 0) {
+      setSpanThreshold(value);
+    }
+  };
+
+  // Shows the team on its own in the chart
+  const handleTeamSelect = (team) => {
+    setSelectedTeam(team);
+    showView(VIEWS.CHART);
+  };
+
+  const { summary, managers, overThreshold, singleReportManagers, teams, branches, longestChains } =
+    analytics;
+  const largestTeam = teams[0]?.headcount || 1;
+  const largestSpan = managers[0]?.direct || 1;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Org Health</h2>
+          <p className={styles.subtitle}>
+            {isFiltering
+              ? `Metrics for ${summary.headcount} of ${employees.length} employees matching the current filters`
+              : `Metrics for all ${employees.length} employees`}
+          </p>
+        </div>
+        <label className={styles.threshold}>
+          Flag managers with more than
+          <input
+            type="number"
+            min="1"
+            className={styles.thresholdInput}
+            value={spanThreshold}
+            onChange={handleThresholdChange}
+          />
+          direct reports
+        </label>
+      </div>
+
+      {loading ? (
+        <div className={styles.empty}>Loading organization data...</div>
+      ) : summary.headcount === 0 ? (
+        <div className={styles.empty}>
+          {isFiltering ? 'No employees match the current filters.' : 'No employees yet.'}
+        </div>
+      ) : (
+        <div className={styles.body}>
+          <dl className={styles.summary}>
+            <div className={styles.stat}>
+              <dt>Headcount</dt>
+              <dd>{summary.headcount}</dd>
+            </div>
+            <div className={styles.stat}>
+              <dt>Managers</dt>
+              <dd>{summary.managers}</dd>
+            </div>
+            <div className={styles.stat}>
+              <dt>Average span</dt>
+              <dd>{summary.averageSpan.toFixed(1)}</dd>
+            </div>
+            <div className={styles.stat}>
+              <dt>Deepest level</dt>
+              <dd>{summary.maxDepth}</dd>
+            </div>
+            <div className={`${styles.stat} ${overThreshold.length ? styles.statWarning : ''}`}>
+              <dt>Over {spanThreshold} reports</dt>
+              <dd>{overThreshold.length}</dd>
+            </div>
+            <div
+              className={`${styles.stat} ${singleReportManagers.length ? styles.statWarning : ''}`}
+            >
+              <dt>Single-report managers</dt>
+              <dd>{singleReportManagers.length}</dd>
+            </div>
+          </dl>
+
+          <div className={styles.grid}>
+            <Section title="Headcount by team" description="Select a team to see it in the chart.">
+              <ul className={styles.bars}>
+                {teams.map(({ team, headcount }) => (
+                  <li key={team}>
+                    <button
+                      type="button"
+                      className={styles.barRow}
+                      onClick={() => handleTeamSelect(team)}
+                    >
+                      <span className={styles.barLabel}>{team}</span>
+                      <span className={styles.barTrack}>
+                        <span
+                          className={styles.bar}
+                          style={{ width: `${(headcount / largestTeam) * 100}%` }}
+                        />
+                      </span>
+                      <span className={styles.barValue}>{headcount}</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </Section>
+
+            <Section
+              title="Branches"
+              description="Subtrees under the top of the organization, deepest first."
+            >
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th scope="col">Led by</th>
+                    <th scope="col">Levels</th>
+                    <th scope="col">Headcount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {branches.map(({ employee, depth, headcount }) => (
+                    <tr key={employee.id}>
+                      <td>
+                        <EmployeeLink employee={employee} onSelect={selectEmployee} />
+                      </td>
+                      <td>{depth}</td>
+                      <td>{headcount}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Section>
+
+            <Section
+              title="Span of control"
+              description={`Managers by direct reports; more than ${spanThreshold} is flagged.`}
+            >
+              <div className={styles.tableScroll}>
+                <table className={styles.table}>
+                  <thead>
+                    <tr>
+                      <th scope="col">Manager</th>
+                      <th scope="col">Direct</th>
+                      <th scope="col">Total</th>
+                      <th scope="col">Levels</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {managers.map(({ employee, direct, total, levels }) => {
+                      const isOver = direct > spanThreshold;
+                      return (
+                        <tr key={employee.id} className={isOver ? styles.flaggedRow : ''}>
+                          <td>
+                            <EmployeeLink employee={employee} onSelect={selectEmployee} />
+                            {isOver && <span className={styles.flag}>over {spanThreshold}</span>}
+                          </td>
+                          <td>
+                            <span className={styles.spanCell}>
+                              <span
+                                className={styles.spanBar}
+                                style={{ width: `${(direct / largestSpan) * 100}%` }}
+                              />
+                              {direct}
+                            </span>
+                          </td>
+                          <td>{total}</td>
+                          <td>{levels}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </Section>
+
+            <Section
+              title="Single-report managers"
+              description="Managers with exactly one direct report, a common sign of an extra layer."
+            >
+              {singleReportManagers.length === 0 ? (
+                <p className={styles.none}>None</p>
+              ) : (
+                <ul className={styles.list}>
+                  {singleReportManagers.map(({ employee, total }) => (
+                    <li key={employee.id}>
+                      <EmployeeLink employee={employee} onSelect={selectEmployee} />
+                      <span className={styles.muted}>
+                        {employee.designation} · {total} total {total === 1 ? 'report' : 'reports'}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Section>
+
+            <Section
+              title="Longest reporting chains"
+              description="The deepest people in the organization and everyone above them."
+            >
+              <ol className={styles.list}>
+                {longestChains.map((chain) => (
+                  <li key={chain[chain.length - 1].id} className={styles.chain}>
+                    <span className={styles.chainLength}>{chain.length} levels</span>
+                    {chain.map((emp, index) => (
+                      <span key={emp.id}>
+                        {index > 0 && (
+                          <span className={styles.chainSeparator} aria-hidden="true">
+                            ›
+                          </span>
+                        )}
+                        <EmployeeLink employee={emp} onSelect={selectEmployee} />
+                      </span>
+                    ))}
+                  </li>
+                ))}
+              </ol>
+            </Section>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
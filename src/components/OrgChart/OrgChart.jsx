@@ -1,46 +1,552 @@
-import { useMemo, useState, useRef, useEffect } from 'react';
+import { useMemo, useState, useRef, useEffect, useLayoutEffect, useCallback } from 'react';
 import {
   DndContext,
   DragOverlay,
-  closestCenter,
+  KeyboardSensor,
   PointerSensor,
   useSensor,
   useSensors,
 } from '@dnd-kit/core';
-import { SortableContext } from '@dnd-kit/sortable';
 import { useEmployees } from '../../context/EmployeeContext';
-import { buildTree, filterEmployees, wouldCreateCircularReference } from '../../utils/treeHelpers';
+import {
+  buildTree,
+  filterEmployees,
+  validateManagerChange,
+  validateManagerChanges,
+  getDirectReports,
+  getSingleMoveChanges,
+  getMovePreview,
+  findEmployeeById,
+  countReports,
+  getManagerIdsFromDepth,
+  getTreeDepth,
+  pruneCollapsed,
+  withManagementContext,
+} from '../../utils/treeHelpers';
+import { buildNavigationIndex, getNavigationTarget } from '../../utils/treeNavigation';
+import { layoutTree } from '../../utils/treeLayout';
+import {
+  getNodesInRect,
+  getEdgesInRect,
+  getRevealOffset,
+  getAutoPanVelocity,
+} from '../../utils/chartViewport';
+import { ApiError } from '../../utils/apiErrors';
+import { getPendingStatuses } from '../../utils/pendingMoves';
+import {
+  getViewStateFromSearch,
+  mergeViewSearch,
+  updateViewUrl,
+  ZOOM_LIMITS,
+} from '../../utils/routes';
 import TreeNode from '../TreeNode/TreeNode';
 import EmployeeCard from '../EmployeeCard/EmployeeCard';
+import Notice from '../Notice/Notice';
+import MoveDialog from '../MoveDialog/MoveDialog';
+import ExportMenu from '../ExportMenu/ExportMenu';
+import AsOfPicker from '../AsOfPicker/AsOfPicker';
+import SnapshotComparison from '../SnapshotComparison/SnapshotComparison';
+import { ChartContext } from './chartContext';
 import styles from './OrgChart.module.css';
 
+// Collapsed managers are remembered by id, so the state survives reloads and reparenting
+const COLLAPSED_STORAGE_KEY = 'orgChartCollapsed';
+
+function loadCollapsedIds() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLLAPSED_STORAGE_KEY));
+    return new Set(Array.isArray(saved) ? saved : []);
+  } catch {
+    return new Set();
+  }
+}
+
+// How filter matches are shown: with their managers, also with their reports, or on their own
+const FILTER_MODES = {
+  CONTEXT: 'context',
+  CONTEXT_WITH_REPORTS: 'contextWithReports',
+  FLAT: 'flat',
+};
+
+// Unknown modes in a link fall back to the default
+const toFilterMode = (value) =>
+  Object.values(FILTER_MODES).includes(value) ? value : FILTER_MODES.CONTEXT;
+
+// Zoom and pan settle for this long before they are written to the URL
+const VIEW_URL_DELAY_MS = 300;
+
+// The chart's part of the view state in the URL (filters are written by EmployeeContext)
+const toViewValues = (zoom, pan, filterMode) => ({
+  zoom,
+  panX: pan.x,
+  panY: pan.y,
+  filterMode: filterMode === FILTER_MODES.CONTEXT ? '' : filterMode,
+});
+
+// Interactive cards are a little larger than the ones in exported charts
+const CHART_LAYOUT = { nodeWidth: 250, nodeHeight: 170, siblingGap: 40, levelGap: 70 };
+// Space around the laid-out tree inside the canvas
+const CANVAS_PADDING = 40;
+// Layout pixels rendered beyond each viewport edge, so panning doesn't uncover blank space
+const OVERSCAN = 300;
+
 export default function OrgChart() {
-  const { employees, searchTerm, selectedTeam, updateEmployeeManager, loading } = useEmployees();
+  const {
+    employees,
+    searchTerm,
+    searchQuery,
+    selectedTeam,
+    selectedEmployeeId,
+    selectEmployee,
+    updateEmployeeManager,
+    moveEmployeeAlone,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    loading,
+    isReadOnly,
+    comparison,
+    pendingMoves,
+    remoteHighlights,
+  } = useEmployees();
+  // Zoom, pan and filter mode start from the link that opened the app
+  const [initialView] = useState(() => getViewStateFromSearch(window.location.search));
   const [activeId, setActiveId] = useState(null);
-  const [zoom, setZoom] = useState(1);
+  const [zoom, setZoom] = useState(initialView.zoom);
   const chartWrapperRef = useRef(null);
   const [isPanning, setIsPanning] = useState(false);
   const [panStart, setPanStart] = useState({ x: 0, y: 0 });
-  const [panOffset, setPanOffset] = useState({ x: 0, y: 0 });
+  const [panOffset, setPanOffset] = useState(initialView.pan);
+  const [notice, setNotice] = useState(null);
+  // Holding Alt while dragging moves only the person, not their subtree
+  const [moveAlone, setMoveAlone] = useState(false);
+  // Single-person move waiting for the drop-time prompt: { employeeId, newManagerId, reportsManagerId }
+  const [pendingMove, setPendingMove] = useState(null);
+  const [pendingMoveError, setPendingMoveError] = useState(null);
+  const [pendingMoveSubmitting, setPendingMoveSubmitting] = useState(false);
+  const treeRef = useRef(null);
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+  const [focusedId, setFocusedId] = useState(null);
+  // Result of the last move, read out by screen readers through a live region
+  const [announcement, setAnnouncement] = useState('');
+  // Node to focus once it is mounted, and one to bring back into view after a keyboard move
+  const pendingFocusIdRef = useRef(null);
+  const refocusIdRef = useRef(null);
+  // Selected employee waiting to be expanded and panned into view
+  const pendingRevealIdRef = useRef(null);
+  const keyboardDragRef = useRef(false);
+  // Pan added every frame while a pointer drag hovers near the chart edges
+  const autoPanRef = useRef({ x: 0, y: 0 });
+  const [collapsedIds, setCollapsedIds] = useState(loadCollapsedIds);
+  const [filterMode, setFilterMode] = useState(() => toFilterMode(initialView.filterMode));
+  // Pan restored by Back / Forward, which a filter change in the same update should keep
+  // instead of re-centring
+  const restoredPanRef = useRef(null);
+  const centredFiltersRef = useRef({ searchTerm, selectedTeam });
 
-  // Filter employees based on search and team
-  const filteredEmployees = useMemo(() => {
-    return filterEmployees(employees, searchTerm, selectedTeam);
-  }, [employees, searchTerm, selectedTeam]);
+  const dismissNotice = useCallback(() => setNotice(null), []);
+
+  // Show the server's validation message when available, otherwise a generic fallback
+  const showError = (error, fallbackMessage) => {
+    if (error instanceof ApiError) {
+      setNotice({ type: 'error', message: error.message, code: error.code });
+    } else {
+      setNotice({ type: 'error', message: fallbackMessage });
+    }
+  };
+
+  const isFiltering = Boolean(searchTerm.trim() || selectedTeam);
+  // Matched characters are marked on the cards while there is search text
+  const highlightQuery = searchTerm.trim() ? searchQuery : null;
+
+  // Filter employees based on search and team. Outside flat mode, matches keep their
+  // management chain (dimmed as context) so they aren't promoted to disconnected roots.
+  // While comparing snapshots, people removed since the earlier one are drawn as well
+  const chartRoster = comparison ? comparison.employees : employees;
+  const { chartEmployees, contextIds } = useMemo(() => {
+    const matches = filterEmployees(chartRoster, searchQuery, selectedTeam);
+    if (!isFiltering || filterMode === FILTER_MODES.FLAT) {
+      // Matches come ranked by relevance; the chart keeps colleagues in roster order
+      const matchIds = new Set(matches.map((emp) => emp.id));
+      return {
+        chartEmployees: chartRoster.filter((emp) => matchIds.has(emp.id)),
+        contextIds: new Set(),
+      };
+    }
+
+    const result = withManagementContext(chartRoster, matches, {
+      includeDescendants: filterMode === FILTER_MODES.CONTEXT_WITH_REPORTS,
+    });
+    return { chartEmployees: result.employees, contextIds: result.contextIds };
+  }, [chartRoster, searchQuery, selectedTeam, isFiltering, filterMode]);
 
   // Build tree from filtered employees
   const tree = useMemo(() => {
-    return buildTree(filteredEmployees);
-  }, [filteredEmployees]);
+    return buildTree(chartEmployees);
+  }, [chartEmployees]);
+
+  // Re-center when the filters change; moves keep the current view, which matters in large orgs
+  useEffect(() => {
+    // Nothing changed on mount, so a pan from the URL stays
+    const previous = centredFiltersRef.current;
+    if (previous.searchTerm === searchTerm && previous.selectedTeam === selectedTeam) return;
+
+    centredFiltersRef.current = { searchTerm, selectedTeam };
+    setPanOffset(restoredPanRef.current ?? { x: 0, y: 0 });
+  }, [searchTerm, selectedTeam]);
+
+  // A restored pan only applies to the render it was restored in
+  useEffect(() => {
+    restoredPanRef.current = null;
+  });
+
+  // Back / Forward restore the zoom, pan and filter mode saved with the entry
+  useEffect(() => {
+    const handlePopState = () => {
+      const view = getViewStateFromSearch(window.location.search);
+      restoredPanRef.current = view.pan;
+      setZoom(view.zoom);
+      setPanOffset(view.pan);
+      setFilterMode(toFilterMode(view.filterMode));
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  // Kept in the current history entry rather than adding entries while panning
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      updateViewUrl(toViewValues(zoom, panOffset, filterMode), { replace: true });
+    }, VIEW_URL_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [zoom, panOffset, filterMode]);
+
+  const chartVisible = !loading && tree.length > 0;
+
+  useEffect(() => {
+    const wrapper = chartWrapperRef.current;
+    if (!wrapper) return;
+
+    const observer = new ResizeObserver(() => {
+      setViewport({ width: wrapper.clientWidth, height: wrapper.clientHeight });
+    });
+    observer.observe(wrapper);
+    return () => observer.disconnect();
+  }, [chartVisible]);
+
+  useEffect(() => {
+    localStorage.setItem(COLLAPSED_STORAGE_KEY, JSON.stringify([...collapsedIds]));
+  }, [collapsedIds]);
+
+  // Counts come from the full (filtered) tree so collapsed managers still show their size
+  const reportCounts = useMemo(() => countReports(tree), [tree]);
+  const treeDepth = useMemo(() => getTreeDepth(tree), [tree]);
+
+  // The tree as rendered, without the reports of collapsed managers
+  // Context nodes are always open, otherwise a collapsed manager could hide the matches
+  const effectiveCollapsedIds = useMemo(() => {
+    if (contextIds.size === 0) return collapsedIds;
+    return new Set([...collapsedIds].filter((id) => !contextIds.has(id)));
+  }, [collapsedIds, contextIds]);
+
+  const visibleTree = useMemo(
+    () => pruneCollapsed(tree, effectiveCollapsedIds),
+    [tree, effectiveCollapsedIds]
+  );
+
+  const setCollapsed = useCallback((id, collapsed) => {
+    setCollapsedIds((prev) => {
+      if (prev.has(id) === collapsed) return prev;
+      const next = new Set(prev);
+      if (collapsed) next.add(id);
+      else next.delete(id);
+      return next;
+    });
+  }, []);
+
+  const toggleCollapsed = useCallback((id) => {
+    setCollapsedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }, []);
+
+  const handleExpandToDepth = (e) => {
+    const { value } = e.target;
+    if (value === 'all') {
+      setCollapsedIds(new Set());
+    } else if (value) {
+      setCollapsedIds(new Set(getManagerIdsFromDepth(tree, Number(value))));
+    }
+  };
+
+  const handleCollapseAll = () => {
+    setCollapsedIds(new Set(getManagerIdsFromDepth(tree, 1)));
+  };
+
+  const navigationIndex = useMemo(() => buildNavigationIndex(visibleTree), [visibleTree]);
 
+  // Fall back to the first node when the focused one is filtered out or removed
+  const tabStopId = navigationIndex.parentOf.has(focusedId)
+    ? focusedId
+    : navigationIndex.order[0] ?? null;
+
+  // Positions are computed once per tree; panning and zooming only change which nodes mount
+  const layout = useMemo(() => layoutTree(visibleTree, CHART_LAYOUT), [visibleTree]);
+  const layoutById = useMemo(
+    () => new Map(layout.nodes.map((node) => [node.id, node])),
+    [layout]
+  );
+  // Depth-first, so treeitems appear in reading order
+  const orderedNodes = useMemo(
+    () => navigationIndex.order.map((id) => layoutById.get(id)),
+    [navigationIndex, layoutById]
+  );
+
+  const canvasWidth = layout.width + CANVAS_PADDING * 2;
+  const canvasHeight = layout.height + CANVAS_PADDING * 2;
+  const viewBounds = { left: 0, top: 0, right: viewport.width, bottom: viewport.height };
+
+  // Where the canvas sits inside the wrapper: centred horizontally, then panned
+  const getCanvasOrigin = (pan) => ({
+    x: (viewport.width - canvasWidth * zoom) / 2 + pan.x,
+    y: pan.y,
+  });
+  const canvasOrigin = getCanvasOrigin(panOffset);
+
+  // A node's rectangle in wrapper coordinates for a given pan
+  const getNodeViewRect = (node, pan = panOffset) => {
+    const origin = getCanvasOrigin(pan);
+    const left = origin.x + (node.x + CANVAS_PADDING) * zoom;
+    const top = origin.y + (node.y + CANVAS_PADDING) * zoom;
+    return { left, top, right: left + node.width * zoom, bottom: top + node.height * zoom };
+  };
+
+  // The part of the layout inside the viewport, plus overscan
+  const visibleRect = {
+    left: -canvasOrigin.x / zoom - CANVAS_PADDING - OVERSCAN,
+    top: -canvasOrigin.y / zoom - CANVAS_PADDING - OVERSCAN,
+    right: (viewport.width - canvasOrigin.x) / zoom - CANVAS_PADDING + OVERSCAN,
+    bottom: (viewport.height - canvasOrigin.y) / zoom - CANVAS_PADDING + OVERSCAN,
+  };
+
+  const visibleWidth = Math.max(visibleRect.right - visibleRect.left, 0);
+  const visibleHeight = Math.max(visibleRect.bottom - visibleRect.top, 0);
+
+  // The tab stop and the dragged node stay mounted even when scrolled out of view
+  const nodesInView = new Set(getNodesInRect(orderedNodes, visibleRect));
+  const renderedNodes = orderedNodes.filter(
+    (node) => nodesInView.has(node) || node.id === tabStopId || node.id === activeId
+  );
+  const renderedEdges = getEdgesInRect(layout.edges, visibleRect);
+
+  const getEmployeeName = (id) => findEmployeeById(employees, id)?.name ?? 'Employee';
+
+  // Pans just enough to bring a node inside the visible chart area
+  const revealNode = (id) => {
+    const node = layoutById.get(id);
+    if (!node) return;
+
+    setPanOffset((prev) => {
+      const { dx, dy } = getRevealOffset(getNodeViewRect(node, prev), viewBounds);
+      return dx === 0 && dy === 0 ? prev : { x: prev.x + dx, y: prev.y + dy };
+    });
+  };
+
+  const focusNode = (id) => {
+    setFocusedId(id);
+    revealNode(id);
+    pendingFocusIdRef.current = id;
+  };
+
+  // Focus lands once the node is mounted, which may take a render after panning to it
+  useEffect(() => {
+    const id = pendingFocusIdRef.current;
+    if (id === null) return;
+
+    const element = treeRef.current?.querySelector(`[data-employee-id="${id}"]`);
+    if (element) {
+      pendingFocusIdRef.current = null;
+      element.focus({ preventScroll: true });
+    }
+  });
+
+  // After a keyboard move the node keeps focus but may now sit somewhere off-screen
   useEffect(() => {
-  setPanOffset({ x: 0, y: 0 }); // re-center
-}, [tree]);
+    const id = refocusIdRef.current;
+    if (id === null) return;
+
+    refocusIdRef.current = null;
+    focusNode(id);
+  });
+
+  // Read by the selection effect below, which should only run when the selection changes
+  const chartEmployeesRef = useRef(chartEmployees);
+  useLayoutEffect(() => {
+    chartEmployeesRef.current = chartEmployees;
+  });
 
-  // Get all employee IDs for sortable context
-  const employeeIds = useMemo(() => {
-    return filteredEmployees.map(emp => emp.id);
-  }, [filteredEmployees]);
+  // Selecting someone (a search result, a detail link, a deep link) makes them the tab stop
+  // and opens any collapsed managers above them; focus stays where it was
+  // Runs again once the roster has loaded, so deep links are revealed too
+  useEffect(() => {
+    if (selectedEmployeeId === null || loading) return;
+
+    const ancestorIds = new Set();
+    let current = findEmployeeById(chartEmployeesRef.current, selectedEmployeeId);
+    while (current && current.managerId !== null && !ancestorIds.has(current.managerId)) {
+      ancestorIds.add(current.managerId);
+      current = findEmployeeById(chartEmployeesRef.current, current.managerId);
+    }
+
+    pendingRevealIdRef.current = selectedEmployeeId;
+    setFocusedId(selectedEmployeeId);
+    setCollapsedIds((prev) => {
+      if (![...ancestorIds].some((id) => prev.has(id))) return prev;
+      return new Set([...prev].filter((id) => !ancestorIds.has(id)));
+    });
+  }, [selectedEmployeeId, loading]);
+
+  // Pans to the selected employee once they are laid out
+  useEffect(() => {
+    const id = pendingRevealIdRef.current;
+    if (id === null) return;
+
+    if (layoutById.has(id)) {
+      pendingRevealIdRef.current = null;
+      revealNode(id);
+    } else if (!chartEmployees.some((emp) => emp.id === id)) {
+      // Not in the chart at all, for example hidden by the team filter
+      pendingRevealIdRef.current = null;
+    }
+  });
+
+  const handleTreeKeyDown = (e) => {
+    // While dragging, arrow keys belong to the keyboard sensor
+    if (activeId !== null || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (!e.target.closest('[role="treeitem"]')) return;
+
+    // + and - expand and collapse the focused manager
+    if (e.key === '+' || e.key === '-') {
+      if (reportCounts.get(tabStopId)?.direct > 0) {
+        e.preventDefault();
+        setCollapsed(tabStopId, e.key === '-');
+      }
+      return;
+    }
+
+    const targetId = getNavigationTarget(navigationIndex, tabStopId, e.key);
+    if (targetId === null) return;
+
+    e.preventDefault();
+    focusNode(targetId);
+  };
+
+  // Keep the tab stop on whichever node was clicked or tabbed into
+  const handleTreeFocus = (e) => {
+    const item = e.target.closest('[data-employee-id]');
+    if (!item) return;
+
+    const id = navigationIndex.order.find((nodeId) => String(nodeId) === item.dataset.employeeId);
+    if (id !== undefined && id !== focusedId) {
+      setFocusedId(id);
+    }
+  };
+
+  // Keyboard drags jump from node to node in the same directions as focus navigation,
+  // starting from the manager currently under the dragged card. Targets outside the
+  // viewport are panned into view first, so they mount and can be dropped on.
+  const getKeyboardCoordinates = (event, { active, context, currentCoordinates }) => {
+    const { over, collisionRect } = context;
+    const targetId = getNavigationTarget(navigationIndex, over?.id ?? active, event.key);
+    const target = targetId !== null ? layoutById.get(targetId) : null;
+    const wrapper = chartWrapperRef.current;
+
+    if (!target || !collisionRect || !wrapper) return undefined;
+
+    event.preventDefault();
+    const rect = getNodeViewRect(target);
+    const { dx, dy } = getRevealOffset(rect, viewBounds);
+    if (dx !== 0 || dy !== 0) {
+      setPanOffset((prev) => ({ x: prev.x + dx, y: prev.y + dy }));
+    }
+
+    const bounds = wrapper.getBoundingClientRect();
+    const targetX = bounds.left + wrapper.clientLeft + (rect.left + rect.right) / 2 + dx;
+    const targetY = bounds.top + wrapper.clientTop + (rect.top + rect.bottom) / 2 + dy;
+    return {
+      x: currentCoordinates.x + targetX - (collisionRect.left + collisionRect.width / 2),
+      y: currentCoordinates.y + targetY - (collisionRect.top + collisionRect.height / 2),
+    };
+  };
+
+  // The keyboard sensor keeps the options it started with, so it reads the getter through a ref
+  const keyboardCoordinatesRef = useRef(getKeyboardCoordinates);
+  useLayoutEffect(() => {
+    keyboardCoordinatesRef.current = getKeyboardCoordinates;
+  });
+
+  // Collisions use the layout rather than measured rects, which go stale as the chart pans
+  // mid-drag. Pointer drags aim with the pointer, keyboard drags with the dragged card.
+  const detectCollisions = ({ collisionRect, droppableContainers, pointerCoordinates }) => {
+    const wrapper = chartWrapperRef.current;
+    if (!wrapper) return [];
+
+    const bounds = wrapper.getBoundingClientRect();
+    const point = pointerCoordinates ?? {
+      x: collisionRect.left + collisionRect.width / 2,
+      y: collisionRect.top + collisionRect.height / 2,
+    };
+
+    return droppableContainers
+      .map((container) => {
+        const node = layoutById.get(container.id);
+        if (!node) return null;
+
+        const rect = getNodeViewRect(node);
+        const distance = Math.hypot(
+          bounds.left + wrapper.clientLeft + (rect.left + rect.right) / 2 - point.x,
+          bounds.top + wrapper.clientTop + (rect.top + rect.bottom) / 2 - point.y
+        );
+        return { id: container.id, data: { droppableContainer: container, value: distance } };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.data.value - b.data.value);
+  };
+
+  const dragAnnouncements = {
+    onDragStart({ active }) {
+      return `Picked up ${getEmployeeName(active.id)}. Use the arrow keys to choose a new manager, then press Space or Enter to drop, or Escape to cancel.`;
+    },
+    onDragOver({ active, over }) {
+      if (!over || over.id === active.id) {
+        return `${getEmployeeName(active.id)} is not over a new manager.`;
+      }
+      return `${getEmployeeName(active.id)} is over ${getEmployeeName(over.id)}.`;
+    },
+    onDragEnd({ active, over }) {
+      if (!over || over.id === active.id) {
+        return `${getEmployeeName(active.id)} was dropped in place and not moved.`;
+      }
+      return `${getEmployeeName(active.id)} was dropped on ${getEmployeeName(over.id)}.`;
+    },
+    onDragCancel({ active }) {
+      return `Move cancelled. ${getEmployeeName(active.id)} was not moved.`;
+    },
+  };
+
+  const screenReaderInstructions = {
+    draggable:
+      'Use the arrow keys to move between managers, reports and colleagues. ' +
+      'To change who someone reports to, press Space or Enter to pick them up, ' +
+      'use the arrow keys to reach the new manager and press Space or Enter again to drop. ' +
+      'Hold Alt while dropping to move just the person without their reports. ' +
+      'Press minus to collapse a manager\'s reports and plus to expand them.',
+  };
 
   // Configure drag sensors
   const sensors = useSensors(
@@ -48,13 +554,68 @@ export default function OrgChart() {
       activationConstraint: {
         distance: 8, // Minimum drag distance to activate
       },
+    }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: (...args) => keyboardCoordinatesRef.current(...args),
     })
   );
 
   const handleDragStart = (event) => {
     setActiveId(event.active.id);
+    setMoveAlone(Boolean(event.activatorEvent?.altKey));
+    keyboardDragRef.current = event.activatorEvent instanceof KeyboardEvent;
   };
 
+  const handleDragMove = (event) => {
+    const wrapper = chartWrapperRef.current;
+    if (keyboardDragRef.current || !wrapper || !event.activatorEvent) return;
+
+    const { clientX, clientY } = event.activatorEvent;
+    autoPanRef.current = getAutoPanVelocity(
+      { x: clientX + event.delta.x, y: clientY + event.delta.y },
+      wrapper.getBoundingClientRect()
+    );
+  };
+
+  // Auto-pan keeps going while the pointer rests near an edge, revealing off-screen managers
+  useEffect(() => {
+    if (activeId === null) return;
+
+    let frame;
+    const step = () => {
+      const { x, y } = autoPanRef.current;
+      if (x !== 0 || y !== 0) {
+        setPanOffset((prev) => ({ x: prev.x + x, y: prev.y + y }));
+      }
+      frame = requestAnimationFrame(step);
+    };
+    frame = requestAnimationFrame(step);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      autoPanRef.current = { x: 0, y: 0 };
+    };
+  }, [activeId]);
+
+  // Track the Alt modifier for the whole drag, so it can be pressed or released mid-drag
+  useEffect(() => {
+    if (activeId === null) return;
+
+    const handleModifier = (e) => {
+      if (e.key === 'Alt') {
+        e.preventDefault();
+        setMoveAlone(e.type === 'keydown');
+      }
+    };
+
+    document.addEventListener('keydown', handleModifier);
+    document.addEventListener('keyup', handleModifier);
+    return () => {
+      document.removeEventListener('keydown', handleModifier);
+      document.removeEventListener('keyup', handleModifier);
+    };
+  }, [activeId]);
+
   const handleDragEnd = async (event) => {
     const { active, over } = event;
     setActiveId(null);
@@ -65,18 +626,46 @@ export default function OrgChart() {
 
     const draggedEmployeeId = active.id;
     const newManagerId = over.id;
+    const draggedName = getEmployeeName(draggedEmployeeId);
+
+    // Moving alone only differs from a normal move when there are reports to leave behind
+    if (moveAlone && getDirectReports(employees, draggedEmployeeId).length > 0) {
+      const dragged = findEmployeeById(employees, draggedEmployeeId);
+      setPendingMoveError(null);
+      setPendingMove({
+        employeeId: draggedEmployeeId,
+        newManagerId,
+        reportsManagerId: dragged.managerId,
+      });
+      return;
+    }
 
-    // Check for circular reference
-    if (wouldCreateCircularReference(employees, draggedEmployeeId, newManagerId)) {
-      alert('Cannot create circular reporting structure!');
+    // Check for circular references before hitting the API
+    const validationError = validateManagerChange(employees, draggedEmployeeId, newManagerId);
+    if (validationError) {
+      setNotice({ type: 'error', ...validationError });
+      setAnnouncement(`Cannot move ${draggedName}. ${validationError.message}`);
       return;
     }
 
+    // The chart shows the move at once; the promise settles when the server has answered
+    setCollapsed(newManagerId, false);
     try {
-      await updateEmployeeManager(draggedEmployeeId, newManagerId);
+      const result = await updateEmployeeManager(draggedEmployeeId, newManagerId);
+      if (result?.queued) {
+        setNotice({
+          type: 'info',
+          message: `Couldn't reach the server. Moving ${draggedName} will be saved once you're back online.`,
+        });
+      }
+      setAnnouncement(`${draggedName} now reports to ${getEmployeeName(newManagerId)}.`);
+      if (keyboardDragRef.current) {
+        refocusIdRef.current = draggedEmployeeId;
+      }
     } catch (error) {
       console.error('Failed to update employee manager:', error);
-      alert('Failed to update employee manager. Please try again.');
+      showError(error, 'Failed to update employee manager. Please try again.');
+      setAnnouncement(`${draggedName} was not moved. ${error instanceof ApiError ? error.message : ''}`.trim());
     }
   };
 
@@ -84,17 +673,110 @@ export default function OrgChart() {
     setActiveId(null);
   };
 
+  const handleConfirmMoveAlone = async () => {
+    const { employeeId, newManagerId, reportsManagerId } = pendingMove;
+
+    const changes = getSingleMoveChanges(employees, employeeId, newManagerId, reportsManagerId);
+    const validationError = validateManagerChanges(employees, changes);
+    if (validationError) {
+      setPendingMoveError(validationError.message);
+      return;
+    }
+
+    setPendingMoveSubmitting(true);
+    try {
+      await moveEmployeeAlone(employeeId, newManagerId, reportsManagerId);
+      setCollapsed(newManagerId, false);
+      setAnnouncement(
+        `${getEmployeeName(employeeId)} now reports to ${getEmployeeName(newManagerId)}, without their reports.`
+      );
+      setPendingMove(null);
+    } catch (error) {
+      console.error('Failed to move employee:', error);
+      setPendingMoveError(
+        error instanceof ApiError ? error.message : 'Failed to move employee. Please try again.'
+      );
+    } finally {
+      setPendingMoveSubmitting(false);
+    }
+  };
+
+  // Nodes affected by the drag in progress or by the move awaiting confirmation
+  const movePreview = useMemo(() => {
+    if (pendingMove) {
+      return {
+        ...getMovePreview(employees, pendingMove.employeeId, {
+          alone: true,
+          reportsManagerId: pendingMove.reportsManagerId,
+        }),
+        targetId: pendingMove.newManagerId,
+      };
+    }
+    if (activeId !== null) {
+      return getMovePreview(employees, activeId, { alone: moveAlone });
+    }
+    return null;
+  }, [employees, pendingMove, activeId, moveAlone]);
+
+  // Moves waiting for the server are marked on the live chart only
+  const pendingStatuses = useMemo(
+    () => (isReadOnly ? new Map() : getPendingStatuses(pendingMoves)),
+    [isReadOnly, pendingMoves]
+  );
+
+  // People someone else just changed flash briefly on the live chart
+  const remoteChanges = useMemo(
+    () =>
+      new Map(
+        isReadOnly ? [] : remoteHighlights.map((highlight) => [highlight.employeeId, highlight.actor])
+      ),
+    [isReadOnly, remoteHighlights]
+  );
+
+  const chartContextValue = useMemo(
+    () => ({
+      movePreview,
+      tabStopId,
+      reportCounts,
+      collapsedIds: effectiveCollapsedIds,
+      contextIds,
+      onToggleCollapse: toggleCollapsed,
+      highlightQuery,
+      selectedId: selectedEmployeeId,
+      onSelect: selectEmployee,
+      readOnly: isReadOnly,
+      diffStatuses: comparison?.statuses ?? null,
+      pendingStatuses,
+      remoteChanges,
+    }),
+    [
+      movePreview,
+      tabStopId,
+      reportCounts,
+      effectiveCollapsedIds,
+      contextIds,
+      toggleCollapsed,
+      highlightQuery,
+      selectedEmployeeId,
+      selectEmployee,
+      isReadOnly,
+      comparison,
+      pendingStatuses,
+      remoteChanges,
+    ]
+  );
+
   const activeEmployee = activeId
     ? employees.find(emp => emp.id === activeId)
     : null;
 
   // Zoom controls
   const handleZoomIn = () => {
-    setZoom(prev => Math.min(prev + 0.1, 2)); // Max 200%
+    setZoom(prev => Math.min(prev + 0.1, ZOOM_LIMITS.max)); // Max 200%
   };
 
   const handleZoomOut = () => {
-    setZoom(prev => Math.max(prev - 0.1, 0.1)); // Min 10%
+    setZoom(prev => Math.max(prev - 0.1, ZOOM_LIMITS.min)); // Min 10%
   };
 
   const handleResetZoom = () => {
@@ -106,13 +788,68 @@ export default function OrgChart() {
     setZoom(1);
   };
 
+  // Built from current state, since the address bar trails pan and zoom slightly
+  const handleCopyLink = async () => {
+    const { origin, pathname, search, hash } = window.location;
+    const query = mergeViewSearch(search, toViewValues(zoom, panOffset, filterMode));
+    try {
+      await navigator.clipboard.writeText(`${origin}${pathname}${query}${hash}`);
+      setNotice({ type: 'success', message: 'Link to this view copied.' });
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      setNotice({ type: 'error', message: 'Could not copy the link. Copy it from the address bar instead.' });
+    }
+  };
+
+  // Undo / redo
+  const handleUndo = async () => {
+    try {
+      await undo();
+    } catch (error) {
+      console.error('Failed to undo manager change:', error);
+      showError(error, 'Failed to undo the last change. Please try again.');
+    }
+  };
+
+  const handleRedo = async () => {
+    try {
+      await redo();
+    } catch (error) {
+      console.error('Failed to redo manager change:', error);
+      showError(error, 'Failed to redo the change. Please try again.');
+    }
+  };
+
+  // Keyboard shortcuts: Ctrl+Z to undo, Ctrl+Shift+Z to redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+
+      // Leave text fields to their native undo behaviour
+      const target = e.target;
+      if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) {
+        return;
+      }
+
+      e.preventDefault();
+      if (e.shiftKey) {
+        handleRedo();
+      } else {
+        handleUndo();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  });
+
   // Mouse wheel zoom
   useEffect(() => {
     const handleWheel = (e) => {
       if (e.ctrlKey || e.metaKey) {
         e.preventDefault();
         const delta = e.deltaY > 0 ? -0.1 : 0.1;
-        setZoom(prev => Math.max(0.1, Math.min(2, prev + delta)));
+        setZoom(prev => Math.max(ZOOM_LIMITS.min, Math.min(ZOOM_LIMITS.max, prev + delta)));
       }
     };
 
@@ -121,7 +858,7 @@ export default function OrgChart() {
       wrapper.addEventListener('wheel', handleWheel, { passive: false });
       return () => wrapper.removeEventListener('wheel', handleWheel);
     }
-  }, []);
+  }, [chartVisible]);
 
   // Pan/drag functionality
   const handleMouseDown = (e) => {
@@ -174,6 +911,7 @@ export default function OrgChart() {
   if (loading) {
     return (
       <div className={styles.container}>
+        {comparison ? <SnapshotComparison /> : <AsOfPicker />}
         <div className={styles.loading}>Loading organization chart...</div>
       </div>
     );
@@ -182,6 +920,7 @@ export default function OrgChart() {
   if (tree.length === 0) {
     return (
       <div className={styles.container}>
+        {comparison ? <SnapshotComparison /> : <AsOfPicker />}
         <div className={styles.empty}>
           <h3>No employees found</h3>
           <p>Try adjusting your search or filter criteria.</p>
@@ -198,15 +937,43 @@ return (
   <div className={styles.headerLeft}>
     <h2 className={styles.title}>Organization Chart</h2>
     <p className={styles.subtitle}>
-      Drag and drop employees to change reporting structure
+      {comparison
+        ? 'The later snapshot, with added people in green, moves marked with both managers and removed people as ghosts.'
+        : isReadOnly
+          ? 'Reporting lines as they were on the chosen day. Go back to today to make changes.'
+          : 'Drag and drop employees to change reporting structure. Hold Alt to move just the person. ' +
+            'With the keyboard, use the arrow keys and press Space to pick up or drop.'}
     </p>
+    {comparison ? <SnapshotComparison /> : <AsOfPicker />}
   </div>
 
   <div className={styles.headerControls}>
+    <button
+      onClick={handleUndo}
+      className={styles.historyButton}
+      disabled={!canUndo}
+      title="Undo (Ctrl+Z)"
+      aria-label="Undo last manager change"
+    >
+      ↶
+    </button>
+
+    <button
+      onClick={handleRedo}
+      className={styles.historyButton}
+      disabled={!canRedo}
+      title="Redo (Ctrl+Shift+Z)"
+      aria-label="Redo manager change"
+    >
+      ↷
+    </button>
+
+    <span className={styles.controlDivider} aria-hidden="true" />
+
     <button
       onClick={handleZoomOut}
       className={styles.zoomButton}
-      disabled={zoom <= 0.1}
+      disabled={zoom <= ZOOM_LIMITS.min}
       title="Zoom Out"
     >
       −
@@ -223,7 +990,7 @@ return (
     <button
       onClick={handleZoomIn}
       className={styles.zoomButton}
-      disabled={zoom >= 2}
+      disabled={zoom >= ZOOM_LIMITS.max}
       title="Zoom In"
     >
       +
@@ -236,8 +1003,74 @@ return (
     >
       ⟲
     </button>
+
+    <span className={styles.controlDivider} aria-hidden="true" />
+
+    {isFiltering && (
+      <>
+        <select
+          value={filterMode}
+          onChange={(e) => setFilterMode(e.target.value)}
+          className={styles.headerSelect}
+          title="How search matches are shown"
+          aria-label="Show search matches"
+        >
+          <option value={FILTER_MODES.CONTEXT}>Matches with managers</option>
+          <option value={FILTER_MODES.CONTEXT_WITH_REPORTS}>Matches with managers and reports</option>
+          <option value={FILTER_MODES.FLAT}>Matches only</option>
+        </select>
+
+        <span className={styles.controlDivider} aria-hidden="true" />
+      </>
+    )}
+
+    <select
+      value=""
+      onChange={handleExpandToDepth}
+      className={styles.headerSelect}
+      title="Expand to depth"
+      aria-label="Expand to depth"
+    >
+      <option value="" disabled>
+        Expand to…
+      </option>
+      {Array.from({ length: treeDepth }, (_, idx) => idx + 1).map((depth) => (
+        <option key={depth} value={depth}>
+          {depth === 1 ? '1 level' : `${depth} levels`}
+        </option>
+      ))}
+      <option value="all">All levels</option>
+    </select>
+
+    <button
+      onClick={handleCollapseAll}
+      className={styles.zoomReset}
+      title="Collapse all"
+    >
+      Collapse all
+    </button>
+
+    <span className={styles.controlDivider} aria-hidden="true" />
+
+    <button
+      onClick={handleCopyLink}
+      className={styles.zoomReset}
+      title="Copy a link to this view: filters, zoom, position and the open employee"
+    >
+      Copy link
+    </button>
+
+    <ExportMenu
+      tree={tree}
+      onError={(error) => setNotice({ type: 'error', message: error.message })}
+    />
   </div>
 </div>
+    <Notice notice={notice} onDismiss={dismissNotice} />
+    <div className={styles.srOnly} role="status" aria-live="polite">
+      {announcement}
+    </div>
+
     <div
       className={styles.chartWrapper}
       ref={chartWrapperRef}
@@ -248,39 +1081,91 @@ return (
       {/* DND AREA */}
       <DndContext
         sensors={sensors}
-        collisionDetection={closestCenter}
+        collisionDetection={detectCollisions}
+        autoScroll={false}
         onDragStart={handleDragStart}
+        onDragMove={handleDragMove}
         onDragEnd={handleDragEnd}
         onDragCancel={handleDragCancel}
+        accessibility={{ announcements: dragAnnouncements, screenReaderInstructions }}
       >
-        <SortableContext items={employeeIds}>
-          <div className={styles.treeOuter}>
-            <div
-              className={styles.treeContainer}
+        <ChartContext.Provider value={chartContextValue}>
+          <div
+            ref={treeRef}
+            className={styles.canvas}
+            role="tree"
+            aria-label="Organization chart"
+            onKeyDown={handleTreeKeyDown}
+            onFocus={handleTreeFocus}
+            style={{
+              width: canvasWidth,
+              height: canvasHeight,
+              transform: `translate(${canvasOrigin.x}px, ${canvasOrigin.y}px) scale(${zoom})`,
+            }}
+          >
+            <svg
+              className={styles.connectors}
+              aria-hidden="true"
               style={{
-                position: "absolute",
-                left: "50%",
-                top: 0,
-                transform: `translateX(-50%) translate(${panOffset.x}px, ${panOffset.y}px) scale(${zoom})`,
-                transformOrigin: "center top",
-                willChange: "transform",
+                left: visibleRect.left + CANVAS_PADDING,
+                top: visibleRect.top + CANVAS_PADDING,
               }}
+              width={visibleWidth}
+              height={visibleHeight}
+              viewBox={`${visibleRect.left} ${visibleRect.top} ${visibleWidth} ${visibleHeight}`}
             >
-              {tree.map((rootEmployee) => (
-                <TreeNode key={rootEmployee.id} employee={rootEmployee} />
+              {renderedEdges.map((edge) => (
+                <polyline
+                  key={`${edge.fromId}-${edge.toId}`}
+                  points={edge.points.map((point) => point.join(',')).join(' ')}
+                />
               ))}
-            </div>
+            </svg>
+
+            {renderedNodes.map((node) => {
+              const siblings = navigationIndex.siblingsOf.get(node.id);
+              return (
+                <TreeNode
+                  key={node.id}
+                  node={node}
+                  offset={CANVAS_PADDING}
+                  level={node.depth + 1}
+                  posInSet={navigationIndex.positionOf.get(node.id) + 1}
+                  setSize={siblings.length}
+                />
+              );
+            })}
           </div>
-        </SortableContext>
+        </ChartContext.Provider>
 
         <DragOverlay>
           {activeEmployee ? (
             <div className={styles.dragOverlay}>
               <EmployeeCard employee={activeEmployee} />
+              <span className={styles.moveModeBadge}>
+                {moveAlone
+                  ? 'Moving alone'
+                  : `Moving with ${movePreview ? movePreview.movingIds.size - 1 : 0} reports`}
+              </span>
             </div>
           ) : null}
         </DragOverlay>
       </DndContext>
+
+      {pendingMove && (
+        <MoveDialog
+          employees={employees}
+          pendingMove={pendingMove}
+          error={pendingMoveError}
+          submitting={pendingMoveSubmitting}
+          onReportsManagerChange={(reportsManagerId) => {
+            setPendingMoveError(null);
+            setPendingMove((prev) => ({ ...prev, reportsManagerId }));
+          }}
+          onConfirm={handleConfirmMoveAlone}
+          onCancel={() => setPendingMove(null)}
+        />
+      )}
     </div>
   </div>
 );
@@ -0,0 +1,36 @@
+import { createContext, useContext } from 'react';
+
+/**
+ * Chart-wide view state shared with every TreeNode. Nodes are laid out flat and only
+ * those near the viewport are mounted, so each reads this directly rather than OrgChart
+ * passing every setting to every node as props
+ */
+export const ChartContext = createContext({
+  movePreview: null,
+  // The one treeitem that is reachable with Tab (roving tabindex)
+  tabStopId: null,
+  // Node id -> { direct, total } report counts, and the managers whose reports are hidden
+  reportCounts: new Map(),
+  collapsedIds: new Set(),
+  // Non-matching managers (and reports) shown to place filter matches in the hierarchy
+  contextIds: new Set(),
+  onToggleCollapse: () => {},
+  // Parsed search used to mark matched characters, or null when not searching
+  highlightQuery: null,
+  // Employee whose detail panel is open, and how a node click opens one
+  selectedId: null,
+  onSelect: () => {},
+  // Set while the org is shown as of a past day or two snapshots are compared, neither of
+  // which can be rearranged
+  readOnly: false,
+  // Employee id -> { status, from, to } while two snapshots are compared (see mergeRosters)
+  diffStatuses: null,
+  // Employee id -> MOVE_STATUS for moves the server hasn't confirmed yet
+  pendingStatuses: new Map(),
+  // Employee id -> who changed them, for people just changed by someone else
+  remoteChanges: new Map(),
+});
+
+export function useChartContext() {
+  return useContext(ChartContext);
+}
@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { serializeSnapshot, getSnapshotFilename } from '../../utils/orgSnapshots';
+import { downloadFile } from '../../utils/download';
+import { VIEWS } from '../../utils/routes';
+import styles from './OrgSnapshots.module.css';
+
+// Select value standing for the live organization in the compare form
+const LIVE_VALUE = 'live';
+
+const toSnapshotId = (value) => (value === LIVE_VALUE ? null : Number(value));
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Snapshots view (/snapshots): save the roster under a name, export and import snapshots
+ * as JSON, and pick two to compare in the chart
+ */
+export default function OrgSnapshots() {
+  const {
+    liveEmployees,
+    snapshots,
+    saveSnapshot,
+    importSnapshot,
+    deleteSnapshot,
+    compareSnapshots,
+    showView,
+  } = useEmployees();
+  const [name, setName] = useState('');
+  const [beforeValue, setBeforeValue] = useState('');
+  const [afterValue, setAfterValue] = useState(LIVE_VALUE);
+  const [error, setError] = useState(null);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const snapshot = saveSnapshot(name.trim() || `Snapshot ${snapshots.length + 1}`);
+    setName('');
+    setError(null);
+    if (!beforeValue) setBeforeValue(String(snapshot.id));
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    // The same file can be picked again later
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      importSnapshot(await file.text());
+      setError(null);
+    } catch (importError) {
+      setError(`${file.name}: ${importError.message}`);
+    }
+  };
+
+  const handleDelete = (id) => {
+    deleteSnapshot(id);
+    if (beforeValue === String(id)) setBeforeValue('');
+    if (afterValue === String(id)) setAfterValue(LIVE_VALUE);
+  };
+
+  const handleCompare = (e) => {
+    e.preventDefault();
+    compareSnapshots(toSnapshotId(beforeValue), toSnapshotId(afterValue));
+    showView(VIEWS.CHART);
+  };
+
+  const options = [
+    ...snapshots.map((snapshot) => ({ value: String(snapshot.id), label: snapshot.name })),
+    { value: LIVE_VALUE, label: 'Live organization' },
+  ];
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Snapshots</h2>
+          <p className={styles.subtitle}>
+            Save the org as it is now, then compare any two snapshots in the chart
+          </p>
+        </div>
+        <label className={styles.importButton}>
+          Import JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            className={styles.fileInput}
+            onChange={handleImport}
+          />
+        </label>
+      </div>
+
+      <form className={styles.form} onSubmit={handleSave}>
+        <input
+          className={styles.input}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Snapshot name, e.g. Q3 2024"
+          aria-label="Snapshot name"
+        />
+        <button type="submit" className={styles.primaryButton} disabled={liveEmployees.length === 0}>
+          Save snapshot ({liveEmployees.length} people)
+        </button>
+      </form>
+
+      {error && (
+        <p className={styles.error} role="alert">
+          {error}
+        </p>
+      )}
+
+      <div className={styles.body}>
+        {snapshots.length === 0 ? (
+          <p className={styles.muted}>No snapshots yet. Save one above or import a JSON file.</p>
+        ) : (
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th scope="col">Name</th>
+                <th scope="col">Saved</th>
+                <th scope="col">People</th>
+                <th scope="col">
+                  <span className={styles.srOnly}>Actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {snapshots.map((snapshot) => (
+                <tr key={snapshot.id}>
+                  <td>{snapshot.name}</td>
+                  <td>{formatTime(snapshot.createdAt)}</td>
+                  <td>{snapshot.employees.length}</td>
+                  <td className={styles.actions}>
+                    <button
+                      type="button"
+                      className={styles.button}
+                      onClick={() =>
+                        downloadFile(
+                          serializeSnapshot(snapshot),
+                          getSnapshotFilename(snapshot),
+                          'application/json'
+                        )
+                      }
+                    >
+                      Export
+                    </button>
+                    <button
+                      type="button"
+                      className={styles.button}
+                      onClick={() => handleDelete(snapshot.id)}
+                      aria-label={`Delete ${snapshot.name}`}
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <form className={styles.compare} onSubmit={handleCompare}>
+          <h3 className={styles.sectionTitle}>Compare</h3>
+          <label className={styles.field}>
+            <span className={styles.label}>Before</span>
+            <select
+              className={styles.input}
+              value={beforeValue}
+              onChange={(e) => setBeforeValue(e.target.value)}
+            >
+              <option value="" disabled>
+                Choose…
+              </option>
+              {options.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className={styles.field}>
+            <span className={styles.label}>After</span>
+            <select
+              className={styles.input}
+              value={afterValue}
+              onChange={(e) => setAfterValue(e.target.value)}
+            >
+              {options.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="submit"
+            className={styles.primaryButton}
+            disabled={!beforeValue || beforeValue === afterValue}
+          >
+            Compare in chart
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
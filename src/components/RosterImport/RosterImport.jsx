@@ -0,0 +1,198 @@
+import { useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { parseCsv } from '../../utils/csv';
+import {
+  ROSTER_COLUMNS,
+  guessColumnMapping,
+  mapRosterRows,
+  buildImportReport,
+} from '../../utils/rosterImport';
+import styles from './RosterImport.module.css';
+
+const COLUMN_LABELS = {
+  id: 'Employee ID',
+  name: 'Name',
+  designation: 'Designation',
+  team: 'Team',
+  managerId: 'Manager ID',
+};
+
+/**
+ * CSV import: pick a file, map its columns, review the validation report, then apply
+ */
+export default function RosterImport({ onClose }) {
+  const { employees, importEmployees } = useEmployees();
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError(null);
+    try {
+      const [headerRow = [], ...rows] = parseCsv(await file.text());
+      if (headerRow.length === 0) {
+        setError('The file is empty.');
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setDataRows(rows);
+      setMapping(guessColumnMapping(headerRow));
+    } catch (err) {
+      console.error('Failed to read CSV:', err);
+      setError('Could not read the file. Is it a CSV?');
+    }
+  };
+
+  const records = useMemo(
+    () => (mapping ? mapRosterRows(dataRows, mapping) : []),
+    [dataRows, mapping]
+  );
+
+  const report = useMemo(
+    () => (mapping ? buildImportReport(records, employees, mode) : null),
+    [records, employees, mode, mapping]
+  );
+
+  const handleApply = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      // Row numbers travel along so server-side issues point at the same rows
+      await importEmployees(records, mode);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Import failed. Please try again.');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={styles.backdrop} onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className={styles.dialog} role="dialog" aria-modal="true" aria-labelledby="roster-import-title">
+        <div className={styles.header}>
+          <h2 id="roster-import-title" className={styles.title}>
+            Import Employees from CSV
+          </h2>
+          <button type="button" className={styles.close} onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <label className={styles.fileInput}>
+          <input type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+          <span>{fileName || 'Choose a CSV file...'}</span>
+        </label>
+
+        {mapping && (
+          <>
+            <section className={styles.section}>
+              <h3 className={styles.sectionTitle}>Column mapping</h3>
+              <div className={styles.mappingGrid}>
+                {ROSTER_COLUMNS.map((column) => (
+                  <label key={column} className={styles.mappingRow}>
+                    <span className={styles.mappingLabel}>{COLUMN_LABELS[column]}</span>
+                    <select
+                      className={styles.select}
+                      value={mapping[column] ?? ''}
+                      onChange={(e) =>
+                        setMapping((prev) => ({
+                          ...prev,
+                          [column]: e.target.value === '' ? null : Number(e.target.value),
+                        }))
+                      }
+                    >
+                      <option value="">(not mapped)</option>
+                      {headers.map((header, index) => (
+                        <option key={index} value={index}>
+                          {header || `Column ${index + 1}`}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </section>
+
+            <section className={styles.section}>
+              <h3 className={styles.sectionTitle}>Apply as</h3>
+              <label className={styles.option}>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  checked={mode === 'merge'}
+                  onChange={() => setMode('merge')}
+                />
+                Merge — update employees with matching ids and add the rest
+              </label>
+              <label className={styles.option}>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  checked={mode === 'replace'}
+                  onChange={() => setMode('replace')}
+                />
+                Replace — the file becomes the whole roster
+              </label>
+            </section>
+
+            <section className={styles.section}>
+              <h3 className={styles.sectionTitle}>Validation report</h3>
+              <p className={styles.summary}>
+                {report.summary.total} rows · {report.summary.created} new ·{' '}
+                {report.summary.updated} updated
+                {mode === 'replace' && ` · ${report.summary.removed} removed`}
+              </p>
+
+              {report.issues.length === 0 ? (
+                <p className={styles.ok}>
+                  {report.valid ? 'No problems found.' : 'The file has no employee rows.'}
+                </p>
+              ) : (
+                <ul className={styles.issues}>
+                  {report.issues.map((issue, index) => (
+                    <li key={index} className={styles.issue}>
+                      <code className={styles.issueCode}>{issue.code}</code>
+                      {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </>
+        )}
+
+        {error && (
+          <p className={styles.error} role="alert">
+            {error}
+          </p>
+        )}
+
+        <div className={styles.actions}>
+          <button type="button" className={styles.secondaryButton} onClick={onClose} disabled={submitting}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className={styles.primaryButton}
+            onClick={handleApply}
+            disabled={!report || !report.valid || submitting}
+          >
+            {submitting
+              ? 'Importing...'
+              : report
+                ? `Import ${report.summary.total} employees`
+                : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
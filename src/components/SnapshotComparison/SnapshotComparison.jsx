@@ -0,0 +1,111 @@
+import { useMemo, useState } from 'react';
+import { useEmployees } from '../../context/EmployeeContext';
+import { getDiffRows, DIFF_STATUS } from '../../utils/orgDiff';
+import styles from './SnapshotComparison.module.css';
+
+const STATUS_LABELS = {
+  [DIFF_STATUS.ADDED]: 'Added',
+  [DIFF_STATUS.REMOVED]: 'Removed',
+  [DIFF_STATUS.MOVED]: 'Moved',
+  [DIFF_STATUS.CHANGED]: 'Changed',
+};
+
+const FIELD_LABELS = {
+  managerId: 'Manager',
+  name: 'Name',
+  designation: 'Designation',
+  team: 'Team',
+};
+
+// Before and after cells of a summary row
+function describeRow({ type, employee, field, from, to }) {
+  if (type === DIFF_STATUS.ADDED) return ['—', `${employee.designation}, ${employee.team}`];
+  if (type === DIFF_STATUS.REMOVED) return [`${employee.designation}, ${employee.team}`, '—'];
+  if (field === 'managerId') return [from?.name ?? 'Top level', to?.name ?? 'Top level'];
+  return [from, to];
+}
+
+/**
+ * Bar above the chart while two snapshots are compared: what is compared, a legend with
+ * counts, a table of every change and a way back to the live chart
+ */
+export default function SnapshotComparison() {
+  const { comparison, compareSnapshots } = useEmployees();
+  const [showTable, setShowTable] = useState(false);
+
+  const rows = useMemo(() => getDiffRows(comparison.diff), [comparison.diff]);
+  const counts = useMemo(() => {
+    const byStatus = {};
+    comparison.statuses.forEach(({ status }) => {
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    });
+    return byStatus;
+  }, [comparison.statuses]);
+
+  return (
+    <div className={styles.comparison}>
+      <div className={styles.row}>
+        <span className={styles.title}>
+          Comparing <strong>{comparison.before.name}</strong> → <strong>{comparison.after.name}</strong>
+        </span>
+        <ul className={styles.legend} aria-label="Changes">
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            <li key={status} className={`${styles.legendItem} ${styles[status]}`}>
+              {label} {counts[status] || 0}
+            </li>
+          ))}
+        </ul>
+        <button
+          type="button"
+          className={styles.button}
+          onClick={() => setShowTable((shown) => !shown)}
+          aria-expanded={showTable}
+        >
+          {showTable ? 'Hide changes' : `List changes (${rows.length})`}
+        </button>
+        <button type="button" className={styles.closeButton} onClick={() => compareSnapshots()}>
+          Close comparison
+        </button>
+      </div>
+
+      {showTable && (
+        <div className={styles.tableScroll}>
+          {rows.length === 0 ? (
+            <p className={styles.muted}>The two snapshots are the same.</p>
+          ) : (
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th scope="col">Person</th>
+                  <th scope="col">Change</th>
+                  <th scope="col">Before</th>
+                  <th scope="col">After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => {
+                  const [before, after] = describeRow(row);
+                  return (
+                    <tr key={row.key}>
+                      <td>{row.employee.name}</td>
+                      <td>
+                        <span className={`${styles.badge} ${styles[row.type]}`}>
+                          {STATUS_LABELS[row.type]}
+                        </span>
+                        {row.field && row.type === DIFF_STATUS.CHANGED && (
+                          <span className={styles.field}> {FIELD_LABELS[row.field]}</span>
+                        )}
+                      </td>
+                      <td>{before}</td>
+                      <td>{after}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import { useEmployees } from '../../context/EmployeeContext';
+import styles from './SyncConflicts.module.css';
+
+const FIELD_LABELS = {
+  name: 'name',
+  designation: 'designation',
+  team: 'team',
+  managerId: 'manager',
+};
+
+// What the server's (or another tab's) version of someone differs in from the local edit
+// it replaced
+function describeConflict({ local, server, source }, nameOf) {
+  const where = source === 'tab' ? 'in another tab' : 'on the server';
+  if (!server) return `was removed ${where}`;
+  if (!local) return `was removed here but still exists ${where}`;
+
+  const fields = Object.keys(FIELD_LABELS).filter(
+    (field) => (local[field] ?? null) !== (server[field] ?? null)
+  );
+  return fields
+    .map((field) => {
+      const format = (value) => (field === 'managerId' ? nameOf(value) : value);
+      return `${FIELD_LABELS[field]} is ${format(server[field])} ${where}, not ${format(local[field])}`;
+    })
+    .join('; ');
+}
+
+/**
+ * Banner listing local edits that newer server data, another tab or the server's refusal
+ * replaced, until dismissed
+ */
+export default function SyncConflicts() {
+  const { sync, liveEmployees, dismissSyncConflicts } = useEmployees();
+  if (sync.conflicts.length === 0) return null;
+
+  const nameOf = (id) => {
+    if (id === null || id === undefined) return 'nobody';
+    return liveEmployees.find((emp) => emp.id === id)?.name ?? `#${id}`;
+  };
+
+  return (
+    <div className={styles.conflicts} role="alert">
+      <div className={styles.content}>
+        <p className={styles.title}>
+          {sync.conflicts.length === 1
+            ? 'One of your changes could not be kept:'
+            : `${sync.conflicts.length} of your changes could not be kept:`}
+        </p>
+        <ul className={styles.list}>
+          {sync.conflicts.map((conflict) => (
+            <li key={conflict.id}>
+              <strong>{(conflict.server ?? conflict.local).name}</strong>{' '}
+              {conflict.reason
+                ? `was not moved to ${nameOf(conflict.local?.managerId)}: ${conflict.reason}`
+                : describeConflict(conflict, nameOf)}
+            </li>
+          ))}
+        </ul>
+      </div>
+      <button type="button" className={styles.dismiss} onClick={dismissSyncConflicts}>
+        Dismiss
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import { useEmployees } from '../../context/EmployeeContext';
+import { SYNC_STATUS } from '../../utils/employeeCache';
+import { MOVE_STATUS } from '../../utils/pendingMoves';
+import styles from './SyncStatus.module.css';
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString(undefined, { timeStyle: 'short' });
+}
+
+function describeSync({ status, syncedAt }) {
+  if (status === SYNC_STATUS.CHECKING || status === SYNC_STATUS.STALE) return 'Checking for updates…';
+  if (status === SYNC_STATUS.OFFLINE) {
+    return syncedAt ? `Offline, showing the copy from ${formatTime(syncedAt)}` : 'Offline';
+  }
+  return syncedAt ? `Up to date as of ${formatTime(syncedAt)}` : 'Not loaded yet';
+}
+
+// Moves that haven't reached the server take priority over the roster check
+function describeMoves(pendingMoves, isOnline) {
+  const queued = pendingMoves.filter((move) => move.status === MOVE_STATUS.QUEUED).length;
+  if (queued > 0) {
+    const changes = queued === 1 ? '1 change' : `${queued} changes`;
+    return isOnline ? `${changes} waiting to sync` : `Offline, ${changes} waiting to sync`;
+  }
+  return pendingMoves.length > 0 ? 'Saving…' : null;
+}
+
+/**
+ * Header status of the roster against the server, with a manual refresh and a retry for
+ * changes that couldn't be sent
+ */
+export default function SyncStatus() {
+  const { sync, refreshEmployees, pendingMoves, isOnline, flushRetryQueue } = useEmployees();
+  const checking = sync.status === SYNC_STATUS.CHECKING || sync.status === SYNC_STATUS.STALE;
+  const movesStatus = describeMoves(pendingMoves, isOnline);
+  const hasQueued = pendingMoves.some((move) => move.status === MOVE_STATUS.QUEUED);
+
+  if (movesStatus) {
+    return (
+      <div className={styles.syncStatus}>
+        <span
+          className={`${styles.status} ${hasQueued ? styles.offline : styles.checking}`}
+          role="status"
+        >
+          {movesStatus}
+        </span>
+        {hasQueued && (
+          <button type="button" className={styles.refreshButton} onClick={flushRetryQueue}>
+            Retry now
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.syncStatus}>
+      <span
+        className={`${styles.status} ${styles[sync.status] || ''}`}
+        role="status"
+        title={sync.error || undefined}
+      >
+        {describeSync(sync)}
+      </span>
+      <button
+        type="button"
+        className={styles.refreshButton}
+        onClick={refreshEmployees}
+        disabled={checking}
+      >
+        Refresh from server
+      </button>
+    </div>
+  );
+}
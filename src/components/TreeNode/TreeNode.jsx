@@ -1,72 +1,168 @@
 import React from 'react';
-import { useDroppable } from '@dnd-kit/core';
-import { useSortable } from '@dnd-kit/sortable';
-import { CSS } from '@dnd-kit/utilities';
+import { useDraggable, useDroppable } from '@dnd-kit/core';
 import EmployeeCard from '../EmployeeCard/EmployeeCard';
+import { useChartContext } from '../OrgChart/chartContext';
+import { getQueryHighlights } from '../../utils/employeeQuery';
+import { DIFF_STATUS } from '../../utils/orgDiff';
+import { MOVE_STATUS } from '../../utils/pendingMoves';
 import styles from './TreeNode.module.css';
 
-export default function TreeNode({ employee }) {
-  const { setNodeRef, isOver } = useDroppable({
+const managerName = (manager) => manager?.name ?? 'top level';
+
+// Short description of a change, shown on the node while comparing snapshots
+function getDiffTag({ status, from, to }) {
+  switch (status) {
+    case DIFF_STATUS.ADDED:
+      return 'added';
+    case DIFF_STATUS.REMOVED:
+      return 'removed';
+    case DIFF_STATUS.MOVED:
+      return `moved: ${managerName(from)} → ${managerName(to)}`;
+    case DIFF_STATUS.CHANGED:
+      return 'changed';
+    default:
+      return null;
+  }
+}
+
+// One laid-out node of the chart. Only nodes near the viewport are mounted, so the tree
+// structure is exposed through aria-level / aria-posinset / aria-setsize on flat treeitems.
+export default function TreeNode({ node, level, posInSet, setSize, offset }) {
+  const { employee } = node;
+
+  const { setNodeRef: setDropRef, isOver } = useDroppable({
     id: employee.id,
   });
 
+  const {
+    movePreview,
+    tabStopId,
+    reportCounts,
+    collapsedIds,
+    contextIds,
+    onToggleCollapse,
+    highlightQuery,
+    selectedId,
+    onSelect,
+    readOnly,
+    diffStatuses,
+    pendingStatuses,
+    remoteChanges,
+  } = useChartContext();
+
   const {
     attributes,
     listeners,
-    setNodeRef: setSortableRef,
-    transform,
-    transition,
+    setNodeRef: setDragRef,
     isDragging,
-  } = useSortable({
+  } = useDraggable({
     id: employee.id,
+    disabled: readOnly,
   });
+  const isMoving = movePreview?.movingIds.has(employee.id);
+  const isStaying = movePreview?.stayingIds.has(employee.id);
+  const isMoveTarget = movePreview?.targetId === employee.id;
+  const isContext = contextIds.has(employee.id);
+  const isSelected = selectedId === employee.id;
+  // How this person differs between the two compared snapshots, if comparing
+  const diff = diffStatuses?.get(employee.id);
+  const isRemoved = diff?.status === DIFF_STATUS.REMOVED;
+  const diffTag = diff && getDiffTag(diff);
+  // A move of this person the server hasn't confirmed yet
+  const pendingStatus = pendingStatuses.get(employee.id);
+  const pendingTag = pendingStatus === MOVE_STATUS.QUEUED ? 'waiting to sync' : 'saving…';
+  // Just changed by someone else
+  const isRemoteChange = remoteChanges.has(employee.id);
+  const remoteTag = `changed by ${remoteChanges.get(employee.id) || 'someone else'}`;
+  // Context nodes didn't match, so there is nothing to mark on them
+  const highlights =
+    highlightQuery && !isContext ? getQueryHighlights(employee, highlightQuery) : null;
 
   const style = {
-    transform: CSS.Transform.toString(transform),
-    transition,
+    left: node.x + offset,
+    top: node.y + offset,
+    width: node.width,
+    height: node.height,
   };
 
-  const hasChildren = employee.children && employee.children.length > 0;
+  // Counts cover all reports, including those a collapsed manager keeps out of the layout
+  const counts = reportCounts.get(employee.id);
+  const hasReports = counts?.direct > 0;
+  const isCollapsed = collapsedIds.has(employee.id);
 
   return (
-    <table className={styles.orgTree} cellPadding="0" cellSpacing="0" border="0">
-      <tbody>
-        <tr>
-          <td colSpan={hasChildren ? employee.children.length : 1} className={styles.nodeCell}>
-            <div
-              ref={(node) => {
-                setNodeRef(node);
-                setSortableRef(node);
-              }}
-              style={style}
-              className={`${styles.nodeCard} ${isOver ? styles.dropTarget : ''} ${
-                isDragging ? styles.dragging : ''
-              }`}
-              data-draggable="true"
-              {...attributes}
-              {...listeners}
-            >
-              <EmployeeCard employee={employee} isHighlighted={isOver} />
-            </div>
-          </td>
-        </tr>
-        {hasChildren && (
-          <>
-            <tr>
-              <td colSpan={employee.children.length}>
-                <div className={styles.downLine}></div>
-              </td>
-            </tr>
-            <tr>
-              {employee.children.map((child, idx) => (
-                <td key={child.id} className={styles.childCell}>
-                  <TreeNode employee={child} />
-                </td>
-              ))}
-            </tr>
-          </>
-        )}
-      </tbody>
-    </table>
+    <div
+      ref={(element) => {
+        setDropRef(element);
+        setDragRef(element);
+      }}
+      style={style}
+      className={`${styles.nodeCard} ${isOver || isMoveTarget ? styles.dropTarget : ''} ${
+        isDragging ? styles.dragging : ''
+      } ${isMoving ? styles.movePreview : ''} ${isStaying ? styles.stayPreview : ''} ${
+        isContext ? styles.contextNode : ''
+      } ${isSelected ? styles.selected : ''} ${diff ? styles[diff.status] || '' : ''} ${pendingStatus ? styles.pending : ''} ${
+        isRemoteChange ? styles.remoteChange : ''
+      }`}
+      data-draggable="true"
+      data-employee-id={employee.id}
+      {...attributes}
+      {...listeners}
+      role="treeitem"
+      tabIndex={tabStopId === employee.id ? 0 : -1}
+      aria-label={`${employee.name}, ${employee.designation}, ${employee.team}${
+        hasReports ? `, ${counts.direct} direct and ${counts.total} total reports` : ''
+      }${isContext ? ', shown for context' : ''}${diffTag ? `, ${diffTag}` : ''}${
+        pendingStatus ? `, move ${pendingTag}` : ''
+      }${isRemoteChange ? `, ${remoteTag}` : ''}`}
+      aria-level={level}
+      aria-posinset={posInSet}
+      aria-setsize={setSize}
+      aria-expanded={hasReports ? !isCollapsed : undefined}
+      aria-pressed={undefined}
+      aria-roledescription={undefined}
+      // People removed since the earlier snapshot have no detail panel to open
+      onClick={() => !isRemoved && onSelect(employee.id)}
+    >
+      <EmployeeCard
+        employee={employee}
+        isHighlighted={isOver || isMoveTarget}
+        highlights={highlights}
+      />
+      {isStaying && <span className={styles.previewTag}>stays</span>}
+      {isRemoteChange && !pendingStatus && (
+        <span className={`${styles.previewTag} ${styles.remoteTag}`} title={remoteTag}>
+          {remoteTag}
+        </span>
+      )}
+      {pendingStatus && (
+        <span className={`${styles.previewTag} ${styles.pendingTag}`}>{pendingTag}</span>
+      )}
+      {diffTag && (
+        <span className={`${styles.previewTag} ${styles.diffTag}`} title={diffTag}>
+          {diffTag}
+        </span>
+      )}
+      {/* Context nodes are kept open while filtering, so they get no toggle */}
+      {hasReports && !isContext && (
+        <button
+          type="button"
+          className={`${styles.collapseToggle} ${isCollapsed ? styles.collapsed : ''}`}
+          // Reachable with + and - on the focused node instead of Tab
+          tabIndex={-1}
+          onPointerDown={(e) => e.stopPropagation()}
+          onClick={(e) => {
+            // Toggling shouldn't also open the detail panel
+            e.stopPropagation();
+            onToggleCollapse(employee.id);
+          }}
+          title={`${counts.direct} direct, ${counts.total} total reports`}
+          aria-label={`${isCollapsed ? 'Expand' : 'Collapse'} reports of ${employee.name}`}
+        >
+          <span aria-hidden="true">{isCollapsed ? '▸' : '▾'}</span>
+          {counts.direct} · {counts.total}
+        </button>
+      )}
+    </div>
   );
 }
@@ -0,0 +1,119 @@
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { buildOffsets, getVisibleRange } from '../../utils/windowing';
+import styles from './VirtualList.module.css';
+
+// Renders only the rows inside the scroll viewport. Row heights are measured as rows
+// mount (cards can wrap, forms expand), falling back to estimatedItemHeight until then.
+// activeIndex is scrolled into view when it changes, so keyboard selection never lands
+// on an unmounted row; other props (role, id, aria-*) go to the scroll container.
+export default function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  estimatedItemHeight = 140,
+  gap = 0,
+  overscan = 4,
+  className = '',
+  activeIndex = -1,
+  ...containerProps
+}) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  // Row key -> measured height, including the gap below the row
+  const [heights, setHeights] = useState(() => new Map());
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  // Created up front so rows can be observed from their ref callbacks on the first render
+  const [rowObserver] = useState(
+    () =>
+      new ResizeObserver((entries) => {
+        setHeights((prev) => {
+          let next = prev;
+          entries.forEach((entry) => {
+            const { key } = entry.target.dataset;
+            const height = entry.target.offsetHeight;
+            if (prev.get(key) !== height) {
+              if (next === prev) next = new Map(prev);
+              next.set(key, height);
+            }
+          });
+          return next;
+        });
+      })
+  );
+
+  useEffect(() => () => rowObserver.disconnect(), [rowObserver]);
+
+  const offsets = useMemo(
+    () =>
+      buildOffsets(
+        items.length,
+        (index) => heights.get(String(getKey(items[index]))) ?? estimatedItemHeight + gap
+      ),
+    [items, getKey, heights, estimatedItemHeight, gap]
+  );
+
+  // Read when activeIndex changes, without re-scrolling every time a row is measured
+  const offsetsRef = useRef(offsets);
+  useLayoutEffect(() => {
+    offsetsRef.current = offsets;
+  });
+
+  useEffect(() => {
+    const container = containerRef.current;
+    const rowOffsets = offsetsRef.current;
+    if (activeIndex < 0 || activeIndex >= rowOffsets.length - 1) return;
+
+    const top = rowOffsets[activeIndex];
+    const bottom = rowOffsets[activeIndex + 1];
+    if (top < container.scrollTop) {
+      container.scrollTop = top;
+    } else if (bottom > container.scrollTop + container.clientHeight) {
+      container.scrollTop = bottom - container.clientHeight;
+    }
+  }, [activeIndex]);
+
+  const { first, last } = getVisibleRange(offsets, scrollTop, viewportHeight, overscan);
+
+  const observeRow = useCallback(
+    (element) => {
+      if (!element) return undefined;
+      rowObserver.observe(element);
+      return () => rowObserver.unobserve(element);
+    },
+    [rowObserver]
+  );
+
+  return (
+    <div
+      {...containerProps}
+      ref={containerRef}
+      className={`${styles.viewport} ${className}`}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div className={styles.spacer} style={{ height: offsets[items.length] }}>
+        {items.slice(first, last + 1).map((item, idx) => {
+          const key = String(getKey(item));
+          return (
+            <div
+              key={key}
+              ref={observeRow}
+              data-key={key}
+              className={styles.row}
+              style={{ top: offsets[first + idx], paddingBottom: gap }}
+            >
+              {renderItem(item)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -1,36 +1,481 @@
-import { createContext, useContext, useReducer, useEffect } from 'react';
+import {
+  createContext,
+  useContext,
+  useReducer,
+  useEffect,
+  useRef,
+  useMemo,
+  useCallback,
+  useState,
+} from 'react';
+import { ApiError, NETWORK_ERROR } from '../utils/apiErrors';
+import { createDataSource, getApiConfig, getToken } from '../api';
+import {
+  removeEmployee,
+  applyManagerChanges,
+  applyEmployeeUpdates,
+  findEmployeeById,
+  getSingleMoveChanges,
+} from '../utils/treeHelpers';
+import {
+  applyDraftOperation,
+  applyDraftOperations,
+  getNextDraftEmployeeId,
+  DRAFT_OPERATIONS,
+} from '../utils/orgDrafts';
+import { parseQuery } from '../utils/employeeQuery';
+import { getEndOfDay, toDateInputValue } from '../utils/effectiveDating';
+import { diffRosters, mergeRosters } from '../utils/orgDiff';
+import { createSnapshot, parseSnapshotFile } from '../utils/orgSnapshots';
+import {
+  readEmployeeCache,
+  writeEmployeeCache,
+  reconcileRosters,
+  SYNC_STATUS,
+} from '../utils/employeeCache';
+import {
+  readPendingMoves,
+  writePendingMoves,
+  getShownManagerId,
+  applyPendingMoves,
+  MOVE_STATUS,
+} from '../utils/pendingMoves';
+import {
+  createTabId,
+  compareStamps,
+  isSameStamp,
+  getChangedIds,
+  restrictAction,
+  openTabChannel,
+} from '../utils/tabSync';
+import { applyFeedChanges } from '../utils/changeFeed';
+import {
+  EMPTY_HISTORY,
+  recordEntry,
+  getUndoEntry,
+  getRedoEntry,
+  getUndoUpdates,
+  getRedoUpdates,
+  undoEntry,
+  redoEntry,
+  dropEntriesMentioning,
+} from '../utils/reassignmentHistory';
+import {
+  getEmployeeIdFromPath,
+  getEmployeePath,
+  getViewFromPath,
+  getViewPath,
+  getViewStateFromSearch,
+  updateViewUrl,
+  VIEWS,
+} from '../utils/routes';
 
 const EmployeeContext = createContext();
 
+// Search edits closer together than this share one browser history entry
+const TYPING_PAUSE_MS = 1000;
+
+// Name changes are logged under (see utils/auditLog.js), kept across reloads
+const ACTOR_STORAGE_KEY = 'orgChartActor';
+
+// Identifies this page, both in the X-Client-Id header sent with every change and in
+// messages to other tabs, so it can tell its own changes apart in the change feed and
+// on the tab channel
+const TAB_ID = createTabId();
+
+// How often the change feed is checked for edits made elsewhere, and how long the people
+// they changed stay highlighted
+const CHANGE_FEED_POLL_MS = 5000;
+const REMOTE_HIGHLIGHT_MS = 4000;
+
+// Headers sent with every request. The actor is URI-encoded because header values must be
+// plain ASCII.
+function requestHeaders() {
+  return {
+    'X-Actor': encodeURIComponent(localStorage.getItem(ACTOR_STORAGE_KEY) || ''),
+    'X-Client-Id': TAB_ID,
+  };
+}
+
+// The backend chosen through the Vite env (see api/config.js)
+const dataSource = createDataSource({
+  ...getApiConfig(import.meta.env),
+  getHeaders: requestHeaders,
+  getToken,
+});
+
+// Reorganization drafts and which one is being edited, kept across reloads
+const DRAFTS_STORAGE_KEY = 'orgChartDrafts';
+
+function loadDrafts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DRAFTS_STORAGE_KEY));
+    const drafts = Array.isArray(saved?.drafts) ? saved.drafts : [];
+    const activeDraftId = drafts.some((draft) => draft.id === saved.activeDraftId)
+      ? saved.activeDraftId
+      : null;
+    return { drafts, activeDraftId };
+  } catch {
+    return { drafts: [], activeDraftId: null };
+  }
+}
+
+// Saved roster snapshots (see utils/orgSnapshots.js), kept across reloads
+const SNAPSHOTS_STORAGE_KEY = 'orgChartSnapshots';
+
+function loadSnapshots() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SNAPSHOTS_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+// View and selection as described by the current path
+function readPath() {
+  return {
+    activeView: getViewFromPath(window.location.pathname),
+    selectedEmployeeId: getEmployeeIdFromPath(window.location.pathname),
+  };
+}
+
+// Path plus the filters in the query string
+function readLocation() {
+  const { searchTerm, selectedTeam } = getViewStateFromSearch(window.location.search);
+  return { searchTerm, selectedTeam, ...readPath() };
+}
+
+// Moves to another path, keeping the view state in the query string
+function navigate(path, { replace = false } = {}) {
+  if (window.location.pathname === path) return;
+
+  const url = `${path}${window.location.search}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
+
 // Initial state
 const initialState = {
   employees: [],
+  // The roster as the server last confirmed it; employees differs from it only by edits
+  // not yet on the server (see utils/employeeCache.js)
+  syncedEmployees: [],
+  // Counts changes the server confirmed, so a check that was out meanwhile is not applied
+  rosterRevision: 0,
+  // Background checks against the server: status is one of SYNC_STATUS, syncedAt when the
+  // roster last matched the server, and conflicts local edits the server's data replaced
+  sync: {
+    status: SYNC_STATUS.IDLE,
+    syncedAt: null,
+    error: null,
+    conflicts: [],
+  },
+  // Manager changes shown before the server confirmed them, oldest first (see
+  // utils/pendingMoves.js); queued ones failed to reach the server and are sent again
+  pendingMoves: [],
+  // People someone else just changed, from the change feed: [{ employeeId, actor }]
+  remoteHighlights: [],
   loading: false,
   error: null,
   searchTerm: '',
   selectedTeam: '',
+  // Main view (/ or /analytics), and the employee whose detail panel is open
+  // (/employees/:id), also picked out in the chart
+  activeView: VIEWS.CHART,
+  selectedEmployeeId: null,
+  // Undo/redo stacks of manager reassignments (see utils/reassignmentHistory.js)
+  history: EMPTY_HISTORY,
+  // Named reorganization drafts ({ id, name, operations, updatedAt }, see utils/orgDrafts.js).
+  // While one is active, edits are recorded in it instead of being sent to the API.
+  drafts: [],
+  activeDraftId: null,
+  // Who edits in this browser are attributed to in the audit log
+  actorName: '',
+  // Past day ('YYYY-MM-DD') the org is shown as of, or null for today. The past is read-only.
+  asOf: null,
+  // Roster loaded for a past day: { asOf, employees, error }
+  pastRoster: null,
+  // Named copies of the roster ({ id, name, createdAt, employees }), and the two being
+  // compared in the chart as { beforeId, afterId }, where a null id is the live org.
+  // Comparing is read-only, like a past day.
+  snapshots: [],
+  comparison: null,
 };
 
 // Action types
 export const ACTIONS = {
   SET_EMPLOYEES: 'SET_EMPLOYEES',
+  LOAD_CACHED_EMPLOYEES: 'LOAD_CACHED_EMPLOYEES',
+  SET_SYNC_STATUS: 'SET_SYNC_STATUS',
+  APPLY_SERVER_ROSTER: 'APPLY_SERVER_ROSTER',
+  SYNC_FAILED: 'SYNC_FAILED',
+  DISMISS_SYNC_CONFLICTS: 'DISMISS_SYNC_CONFLICTS',
+  REPORT_SYNC_CONFLICTS: 'REPORT_SYNC_CONFLICTS',
+  APPLY_FEED_CHANGES: 'APPLY_FEED_CHANGES',
+  CLEAR_REMOTE_HIGHLIGHTS: 'CLEAR_REMOTE_HIGHLIGHTS',
+  ADD_PENDING_MOVE: 'ADD_PENDING_MOVE',
+  SET_MOVE_STATUS: 'SET_MOVE_STATUS',
+  CONFIRM_MOVE: 'CONFIRM_MOVE',
+  ROLLBACK_MOVE: 'ROLLBACK_MOVE',
   SET_LOADING: 'SET_LOADING',
   SET_ERROR: 'SET_ERROR',
   UPDATE_EMPLOYEE: 'UPDATE_EMPLOYEE',
+  APPLY_MANAGER_CHANGES: 'APPLY_MANAGER_CHANGES',
+  APPLY_EMPLOYEE_UPDATES: 'APPLY_EMPLOYEE_UPDATES',
+  ADD_EMPLOYEE: 'ADD_EMPLOYEE',
+  REMOVE_EMPLOYEE: 'REMOVE_EMPLOYEE',
   SET_SEARCH_TERM: 'SET_SEARCH_TERM',
   SET_SELECTED_TEAM: 'SET_SELECTED_TEAM',
+  SET_LOCATION: 'SET_LOCATION',
+  RECORD_REASSIGNMENT: 'RECORD_REASSIGNMENT',
+  UNDO_REASSIGNMENT: 'UNDO_REASSIGNMENT',
+  REDO_REASSIGNMENT: 'REDO_REASSIGNMENT',
+  CLEAR_HISTORY: 'CLEAR_HISTORY',
+  CREATE_DRAFT: 'CREATE_DRAFT',
+  DELETE_DRAFT: 'DELETE_DRAFT',
+  SET_ACTIVE_DRAFT: 'SET_ACTIVE_DRAFT',
+  ADD_DRAFT_OPERATION: 'ADD_DRAFT_OPERATION',
+  REMOVE_DRAFT_OPERATION: 'REMOVE_DRAFT_OPERATION',
+  COMMIT_DRAFT: 'COMMIT_DRAFT',
+  SET_ACTOR_NAME: 'SET_ACTOR_NAME',
+  SET_AS_OF: 'SET_AS_OF',
+  SET_PAST_ROSTER: 'SET_PAST_ROSTER',
+  SAVE_SNAPSHOT: 'SAVE_SNAPSHOT',
+  DELETE_SNAPSHOT: 'DELETE_SNAPSHOT',
+  SET_COMPARISON: 'SET_COMPARISON',
 };
 
+// Replaces one draft, marking it as edited
+function updateDraft(state, id, update) {
+  return {
+    ...state,
+    drafts: state.drafts.map((draft) =>
+      draft.id === id ? { ...draft, ...update(draft), updatedAt: Date.now() } : draft
+    ),
+  };
+}
+
+// Applies a change the server has confirmed to both the shown and the synced roster. Moves
+// still on their way to the server stay shown.
+function applyConfirmed(state, update) {
+  return {
+    ...state,
+    employees: applyPendingMoves(update(state.employees), state.pendingMoves),
+    syncedEmployees: update(state.syncedEmployees),
+    rosterRevision: state.rosterRevision + 1,
+  };
+}
+
+// Sets who one employee is shown reporting to
+function setShownManager(employees, employeeId, managerId) {
+  return employees.map((emp) => (emp.id === employeeId ? { ...emp, managerId } : emp));
+}
+
 // Reducer function
 function employeeReducer(state, action) {
   switch (action.type) {
+    // Payload is a whole roster the server returned, such as after an import
     case ACTIONS.SET_EMPLOYEES:
+      return {
+        ...applyConfirmed(state, () => action.payload),
+        loading: false,
+      };
+
+    // Payload is from readEmployeeCache; it is shown while the server is checked
+    case ACTIONS.LOAD_CACHED_EMPLOYEES:
       return {
         ...state,
-        employees: action.payload,
+        employees: action.payload.employees,
+        syncedEmployees: action.payload.syncedEmployees,
+        sync: { ...state.sync, syncedAt: action.payload.syncedAt },
         loading: false,
       };
 
+    case ACTIONS.SET_SYNC_STATUS:
+      return {
+        ...state,
+        sync: { ...state.sync, status: action.payload },
+      };
+
+    // Payload is { employees, revision, syncedAt } from a check that started at revision
+    case ACTIONS.APPLY_SERVER_ROSTER: {
+      const { employees: server, revision, syncedAt } = action.payload;
+      if (revision !== state.rosterRevision) {
+        return { ...state, sync: { ...state.sync, status: SYNC_STATUS.STALE } };
+      }
+
+      const { employees, conflicts } = reconcileRosters({
+        local: state.employees,
+        synced: state.syncedEmployees,
+        server,
+      });
+      // The server's version replaced these people, so their queued moves are not sent
+      const conflictIds = new Set(conflicts.map((conflict) => conflict.id));
+      return {
+        ...state,
+        employees,
+        pendingMoves: state.pendingMoves.filter(
+          (move) => move.status !== MOVE_STATUS.QUEUED || !conflictIds.has(move.employeeId)
+        ),
+        syncedEmployees: server,
+        rosterRevision: state.rosterRevision + 1,
+        sync: {
+          status: SYNC_STATUS.IDLE,
+          syncedAt,
+          error: null,
+          conflicts: conflicts.length > 0 ? conflicts : state.sync.conflicts,
+        },
+        loading: false,
+        error: null,
+      };
+    }
+
+    // Without a saved copy to fall back on, a failed check is a failed load
+    case ACTIONS.SYNC_FAILED:
+      if (state.sync.syncedAt === null) {
+        return {
+          ...state,
+          sync: { ...state.sync, status: SYNC_STATUS.IDLE },
+          error: action.payload,
+          loading: false,
+        };
+      }
+      return {
+        ...state,
+        sync: { ...state.sync, status: SYNC_STATUS.OFFLINE, error: action.payload },
+      };
+
+    // Payload is conflicts found outside a server check, such as with another tab; each
+    // replaces any earlier one about the same person
+    case ACTIONS.REPORT_SYNC_CONFLICTS: {
+      const ids = new Set(action.payload.map((conflict) => conflict.id));
+      return {
+        ...state,
+        sync: {
+          ...state.sync,
+          conflicts: [
+            ...state.sync.conflicts.filter((conflict) => !ids.has(conflict.id)),
+            ...action.payload,
+          ],
+        },
+      };
+    }
+
+    // Payload is change feed entries made by other clients, oldest first. Entries the synced
+    // roster already reflects, such as ones another tab passed on, change nothing.
+    case ACTIONS.APPLY_FEED_CHANGES: {
+      const { employees: synced, changedIds } = applyFeedChanges(
+        state.syncedEmployees,
+        action.payload
+      );
+      if (changedIds.length === 0) return state;
+
+      const changed = new Set(changedIds);
+      const actors = new Map(action.payload.map((change) => [change.employeeId, change.actor]));
+      const highlighted = changedIds
+        .filter((id) => findEmployeeById(synced, id))
+        .map((id) => ({ employeeId: id, actor: actors.get(id) }));
+      return {
+        ...applyConfirmed(state, (employees) => applyFeedChanges(employees, action.payload).employees),
+        remoteHighlights: [
+          ...state.remoteHighlights.filter((highlight) => !changed.has(highlight.employeeId)),
+          ...highlighted,
+        ],
+      };
+    }
+
+    case ACTIONS.CLEAR_REMOTE_HIGHLIGHTS:
+      return {
+        ...state,
+        remoteHighlights: [],
+      };
+
+    case ACTIONS.DISMISS_SYNC_CONFLICTS:
+      return {
+        ...state,
+        sync: { ...state.sync, conflicts: [] },
+      };
+
+    // Payload is a new move, shown right away and confirmed or rolled back later
+    case ACTIONS.ADD_PENDING_MOVE:
+      return {
+        ...state,
+        employees: setShownManager(
+          state.employees,
+          action.payload.employeeId,
+          action.payload.managerId
+        ),
+        pendingMoves: [...state.pendingMoves, action.payload],
+      };
+
+    // Payload is { id, status }: a move is sent, or queued after failing to reach the server
+    case ACTIONS.SET_MOVE_STATUS:
+      return {
+        ...state,
+        pendingMoves: state.pendingMoves.map((move) =>
+          move.id === action.payload.id ? { ...move, status: action.payload.status } : move
+        ),
+      };
+
+    // Payload is { id, employee } with the employee as the server returned it. A later move
+    // of the same person may still be pending, and stays shown.
+    case ACTIONS.CONFIRM_MOVE: {
+      const { id, employee } = action.payload;
+      const pendingMoves = state.pendingMoves.filter((move) => move.id !== id);
+      return {
+        ...state,
+        employees: setShownManager(
+          state.employees,
+          employee.id,
+          getShownManagerId(pendingMoves, employee.id, employee.managerId)
+        ),
+        syncedEmployees: setShownManager(state.syncedEmployees, employee.id, employee.managerId),
+        rosterRevision: state.rosterRevision + 1,
+        pendingMoves,
+      };
+    }
+
+    // Payload is { id, reason }: the server refused the move, so the person goes back to
+    // where they were. A reason is listed with the sync conflicts, for moves nobody waited on.
+    case ACTIONS.ROLLBACK_MOVE: {
+      const { id, reason } = action.payload;
+      const move = state.pendingMoves.find((pending) => pending.id === id);
+      if (!move) return state;
+
+      const pendingMoves = state.pendingMoves.filter((pending) => pending.id !== id);
+      const synced = findEmployeeById(state.syncedEmployees, move.employeeId);
+      const employees = setShownManager(
+        state.employees,
+        move.employeeId,
+        getShownManagerId(pendingMoves, move.employeeId, synced?.managerId ?? move.oldManagerId)
+      );
+      const local = findEmployeeById(state.employees, move.employeeId);
+      if (!reason || (!local && !synced)) return { ...state, employees, pendingMoves };
+
+      const conflict = {
+        id: move.employeeId,
+        local: local && { ...local, managerId: move.managerId },
+        server: synced ?? null,
+        reason,
+      };
+      return {
+        ...state,
+        employees,
+        pendingMoves,
+        sync: {
+          ...state.sync,
+          conflicts: [
+            ...state.sync.conflicts.filter((existing) => existing.id !== move.employeeId),
+            conflict,
+          ],
+        },
+      };
+    }
+
     case ACTIONS.SET_LOADING:
       return {
         ...state,
@@ -45,14 +490,31 @@ function employeeReducer(state, action) {
       };
 
     case ACTIONS.UPDATE_EMPLOYEE:
-      return {
-        ...state,
-        employees: state.employees.map((emp) =>
+      return applyConfirmed(state, (employees) =>
+        employees.map((emp) =>
           emp.id === action.payload.id
             ? { ...emp, ...action.payload.updates }
             : emp
-        ),
+        )
+      );
+
+    case ACTIONS.APPLY_MANAGER_CHANGES:
+      return applyConfirmed(state, (employees) => applyManagerChanges(employees, action.payload));
+
+    // Payload is [{ id, ...attrs }], as returned by PATCH /api/employees
+    case ACTIONS.APPLY_EMPLOYEE_UPDATES:
+      return applyConfirmed(state, (employees) => applyEmployeeUpdates(employees, action.payload));
+
+    case ACTIONS.ADD_EMPLOYEE:
+      return applyConfirmed(state, (employees) => [...employees, action.payload]);
+
+    case ACTIONS.REMOVE_EMPLOYEE: {
+      const { id, reassignTo } = action.payload;
+      return {
+        ...applyConfirmed(state, (employees) => removeEmployee(employees, id, reassignTo)),
+        history: dropEntriesMentioning(state.history, id),
       };
+    }
 
     case ACTIONS.SET_SEARCH_TERM:
       return {
@@ -66,6 +528,124 @@ function employeeReducer(state, action) {
         selectedTeam: action.payload,
       };
 
+    // The URL changed: payload is from readPath after a navigation, or from readLocation
+    // after Back / Forward
+    case ACTIONS.SET_LOCATION:
+      return {
+        ...state,
+        ...action.payload,
+      };
+
+    case ACTIONS.RECORD_REASSIGNMENT:
+      return {
+        ...state,
+        history: recordEntry(state.history, action.payload),
+      };
+
+    case ACTIONS.UNDO_REASSIGNMENT: {
+      const history = undoEntry(state.history);
+      return history === state.history ? state : { ...state, history };
+    }
+
+    case ACTIONS.REDO_REASSIGNMENT: {
+      const history = redoEntry(state.history);
+      return history === state.history ? state : { ...state, history };
+    }
+
+    case ACTIONS.CLEAR_HISTORY:
+      return {
+        ...state,
+        history: initialState.history,
+      };
+
+    // A new draft starts empty and becomes the one being edited
+    case ACTIONS.CREATE_DRAFT:
+      return {
+        ...state,
+        drafts: [...state.drafts, action.payload],
+        activeDraftId: action.payload.id,
+      };
+
+    case ACTIONS.DELETE_DRAFT:
+      return {
+        ...state,
+        drafts: state.drafts.filter((draft) => draft.id !== action.payload),
+        activeDraftId: state.activeDraftId === action.payload ? null : state.activeDraftId,
+      };
+
+    // null goes back to editing the live organization
+    case ACTIONS.SET_ACTIVE_DRAFT:
+      return {
+        ...state,
+        activeDraftId: action.payload,
+      };
+
+    case ACTIONS.ADD_DRAFT_OPERATION:
+      return updateDraft(state, state.activeDraftId, (draft) => ({
+        operations: [...draft.operations, action.payload],
+      }));
+
+    // Payload is the operation's index: the last one to undo, or one that no longer applies
+    case ACTIONS.REMOVE_DRAFT_OPERATION:
+      return updateDraft(state, state.activeDraftId, (draft) => ({
+        operations: draft.operations.filter((_, index) => index !== action.payload),
+      }));
+
+    // The server applied the draft: take its roster and drop the draft. Recorded
+    // reassignments may refer to people the draft removed, so history starts over.
+    case ACTIONS.COMMIT_DRAFT:
+      return {
+        ...applyConfirmed(state, () => action.payload.employees),
+        drafts: state.drafts.filter((draft) => draft.id !== action.payload.id),
+        activeDraftId: null,
+        history: initialState.history,
+      };
+
+    case ACTIONS.SET_ACTOR_NAME:
+      return {
+        ...state,
+        actorName: action.payload,
+      };
+
+    // A past day and a snapshot comparison each replace the chart, so one ends the other
+    case ACTIONS.SET_AS_OF:
+      return {
+        ...state,
+        asOf: action.payload,
+        comparison: action.payload ? null : state.comparison,
+      };
+
+    case ACTIONS.SET_PAST_ROSTER:
+      return {
+        ...state,
+        pastRoster: action.payload,
+      };
+
+    case ACTIONS.SAVE_SNAPSHOT:
+      return {
+        ...state,
+        snapshots: [...state.snapshots, action.payload],
+      };
+
+    // Payload is the snapshot's id; a comparison that used it ends
+    case ACTIONS.DELETE_SNAPSHOT: {
+      const { comparison } = state;
+      const compared =
+        comparison && (comparison.beforeId === action.payload || comparison.afterId === action.payload);
+      return {
+        ...state,
+        snapshots: state.snapshots.filter((snapshot) => snapshot.id !== action.payload),
+        comparison: compared ? null : comparison,
+      };
+    }
+
+    case ACTIONS.SET_COMPARISON:
+      return {
+        ...state,
+        comparison: action.payload,
+        asOf: action.payload ? null : state.asOf,
+      };
+
     default:
       return state;
   }
@@ -73,63 +653,686 @@ function employeeReducer(state, action) {
 
 // Provider component
 export function EmployeeProvider({ children }) {
-  const [state, dispatch] = useReducer(employeeReducer, initialState);
+  // A link such as /employees/5?team=Security opens with that person and filter selected
+  const [state, dispatch] = useReducer(employeeReducer, initialState, (initial) => ({
+    ...initial,
+    ...readLocation(),
+    ...loadDrafts(),
+    snapshots: loadSnapshots(),
+    pendingMoves: readPendingMoves(localStorage),
+    actorName: localStorage.getItem(ACTOR_STORAGE_KEY) || '',
+  }));
+  // Guards against overlapping undo/redo requests (e.g. a held-down Ctrl+Z)
+  const historyBusyRef = useRef(false);
 
-  // Fetch employees on mount
+  // Back and forward move between selections and filters
   useEffect(() => {
-    fetchEmployees();
+    const handlePopState = () => {
+      dispatch({ type: ACTIONS.SET_LOCATION, payload: readLocation() });
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
   }, []);
 
-  // Save employees to localStorage whenever they change
+  // Filter changes get their own history entries, except that a run of search edits
+  // (typing a word) updates one entry. Nothing is written when the URL already matches,
+  // as after Back.
+  const filtersRef = useRef({ searchTerm: state.searchTerm, selectedTeam: state.selectedTeam });
+  const lastSearchEditRef = useRef(0);
+  useEffect(() => {
+    const previous = filtersRef.current;
+    if (previous.searchTerm === state.searchTerm && previous.selectedTeam === state.selectedTeam) {
+      return;
+    }
+    filtersRef.current = { searchTerm: state.searchTerm, selectedTeam: state.selectedTeam };
+
+    const now = Date.now();
+    const searchOnly = previous.selectedTeam === state.selectedTeam;
+    const typing = searchOnly && now - lastSearchEditRef.current < TYPING_PAUSE_MS;
+    if (searchOnly) lastSearchEditRef.current = now;
+
+    updateViewUrl(
+      { searchTerm: state.searchTerm, selectedTeam: state.selectedTeam },
+      { replace: typing }
+    );
+  }, [state.searchTerm, state.selectedTeam]);
+
+  // Save the roster for the next visit once there is one to save
+  useEffect(() => {
+    if (state.sync.syncedAt === null) return;
+    writeEmployeeCache(localStorage, {
+      syncedAt: state.sync.syncedAt,
+      employees: state.employees,
+      syncedEmployees: state.syncedEmployees,
+    });
+  }, [state.employees, state.syncedEmployees, state.sync.syncedAt]);
+
   useEffect(() => {
-    if (state.employees.length > 0) {
-      localStorage.setItem('orgChartEmployees', JSON.stringify(state.employees));
+    localStorage.setItem(
+      DRAFTS_STORAGE_KEY,
+      JSON.stringify({ drafts: state.drafts, activeDraftId: state.activeDraftId })
+    );
+  }, [state.drafts, state.activeDraftId]);
+
+  useEffect(() => {
+    localStorage.setItem(SNAPSHOTS_STORAGE_KEY, JSON.stringify(state.snapshots));
+  }, [state.snapshots]);
+
+  useEffect(() => {
+    writePendingMoves(localStorage, state.pendingMoves);
+  }, [state.pendingMoves]);
+
+  // Whether the browser thinks it is connected; coming back online sends queued moves
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  // Load the roster as it was at the end of the chosen day
+  const { asOf } = state;
+  useEffect(() => {
+    if (!asOf) return;
+
+    let cancelled = false;
+    const loadPastRoster = async () => {
+      try {
+        const { employees: past } = await dataSource.listEmployees({ asOf: getEndOfDay(asOf) });
+        if (!cancelled) {
+          dispatch({
+            type: ACTIONS.SET_PAST_ROSTER,
+            payload: { asOf, employees: past, error: null },
+          });
+        }
+      } catch (error) {
+        if (!cancelled) {
+          dispatch({ type: ACTIONS.SET_PAST_ROSTER, payload: { asOf, employees: [], error } });
+        }
+      }
+    };
+    loadPastRoster();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [asOf]);
+
+  // The active draft replayed over the live roster; everything else in the app sees this
+  // roster, so the chart, list and analytics all show the scenario
+  const activeDraft = state.drafts.find((draft) => draft.id === state.activeDraftId) ?? null;
+  const draftView = useMemo(
+    () => (activeDraft ? applyDraftOperations(state.employees, activeDraft.operations) : null),
+    [state.employees, activeDraft]
+  );
+
+  // Two rosters compared in the chart, merged so removed people can be drawn as well
+  const comparison = useMemo(() => {
+    if (!state.comparison) return null;
+
+    const describe = (id) => {
+      if (id === null) return { id, name: 'Live organization', employees: state.employees };
+      return state.snapshots.find((snapshot) => snapshot.id === id) ?? null;
+    };
+    const before = describe(state.comparison.beforeId);
+    const after = describe(state.comparison.afterId);
+    if (!before || !after) return null;
+
+    const diff = diffRosters(before.employees, after.employees);
+    return { before, after, diff, ...mergeRosters(before.employees, after.employees, diff) };
+  }, [state.comparison, state.snapshots, state.employees]);
+
+  // A past day or the later side of a comparison takes the place of both the live roster
+  // and any draft; a past day shows nothing until it loads
+  const isReadOnly = asOf !== null || comparison !== null;
+  const pastRoster = state.pastRoster?.asOf === asOf ? state.pastRoster : null;
+  let employees = draftView ? draftView.employees : state.employees;
+  if (asOf !== null) {
+    employees = pastRoster ? pastRoster.employees : [];
+  } else if (comparison) {
+    employees = comparison.after.employees;
+  }
+
+  // Edits are refused while the org is shown as of a past day or as a comparison
+  const assertEditable = () => {
+    if (asOf !== null) {
+      throw new ApiError('The org is shown as it was in the past. Go back to today to make changes.', {
+        code: 'READ_ONLY',
+      });
+    }
+    if (comparison) {
+      throw new ApiError('Close the snapshot comparison to make changes.', { code: 'READ_ONLY' });
     }
+  };
+
+  // Records an edit in the active draft after the checks the API would make
+  const recordDraftOperation = (operation) => {
+    if (draftView.error) {
+      throw new ApiError(
+        'Resolve the draft change that no longer applies before making new ones.',
+        { status: 409, code: 'DRAFT_CONFLICT' }
+      );
+    }
+
+    const result = applyDraftOperation(employees, operation);
+    if (result.error) {
+      throw new ApiError(result.error.message, { status: 422, code: result.error.code });
+    }
+    dispatch({ type: ACTIONS.ADD_DRAFT_OPERATION, payload: operation });
+    return result.employees;
+  };
+
+  // Latest confirmed revision, for checks that outlive the render that started them
+  const rosterRevisionRef = useRef(state.rosterRevision);
+  useEffect(() => {
+    rosterRevisionRef.current = state.rosterRevision;
+  }, [state.rosterRevision]);
+
+  // Other tabs hear about every change the server confirms here and apply the same reducer
+  // action (see utils/tabSync.js). stampsRef keeps, per employee, the stamp of the last
+  // change applied to them and whether this tab made it.
+  const stampsRef = useRef(new Map());
+  const channelRef = useRef(null);
+  const employeesRef = useRef(state.employees);
+  useEffect(() => {
+    employeesRef.current = state.employees;
   }, [state.employees]);
 
-  const fetchEmployees = async () => {
-    dispatch({ type: ACTIONS.SET_LOADING, payload: true });
+  // Stamps of the changes this tab has seen for some people, to send along with a change
+  const getBasedOn = useCallback(
+    (ids) => Object.fromEntries(ids.map((id) => [id, stampsRef.current.get(id)?.stamp ?? null])),
+    []
+  );
+
+  // Tells other tabs about a change the server confirmed here. basedOn defaults to what
+  // this tab knows now; a queued move passes what it knew when the move was made.
+  const shareChange = useCallback(
+    (action, basedOn) => {
+      const stamp = { at: Date.now(), tabId: TAB_ID };
+      const ids = getChangedIds(action);
+      const message = { tabId: TAB_ID, action, stamp, basedOn: basedOn ?? getBasedOn(ids ?? []) };
+
+      if (ids === null) {
+        stampsRef.current.clear();
+      } else {
+        ids.forEach((id) => stampsRef.current.set(id, { stamp, local: true }));
+      }
+      channelRef.current?.post(message);
+    },
+    [getBasedOn]
+  );
+
+  // Applies another tab's change. For each person, the later of that change and the last
+  // one applied here wins; if it replaces a change this tab made without the other tab
+  // having seen it, the user is told.
+  const applyTabChange = useCallback(({ action, stamp, basedOn }) => {
+    const ids = getChangedIds(action);
+    if (ids === null) {
+      stampsRef.current.clear();
+      dispatch(action);
+      return;
+    }
+
+    const applied = [];
+    const overwritten = [];
+    ids.forEach((id) => {
+      const seen = stampsRef.current.get(id);
+      if (seen && compareStamps(seen.stamp, stamp) > 0) return;
+
+      applied.push(id);
+      if (seen?.local && !isSameStamp(seen.stamp, basedOn?.[id] ?? null)) overwritten.push(id);
+      stampsRef.current.set(id, { stamp, local: false });
+    });
+
+    const change = restrictAction(action, applied);
+    if (!change) return;
+
+    if (overwritten.length > 0) {
+      const before = employeesRef.current;
+      const after = employeeReducer({ ...initialState, employees: before }, change).employees;
+      const conflicts = overwritten
+        .map((id) => ({
+          id,
+          local: findEmployeeById(before, id) ?? null,
+          server: findEmployeeById(after, id) ?? null,
+          source: 'tab',
+        }))
+        .filter(({ local, server }) => JSON.stringify(local) !== JSON.stringify(server));
+      if (conflicts.length > 0) {
+        dispatch({ type: ACTIONS.REPORT_SYNC_CONFLICTS, payload: conflicts });
+      }
+    }
+    dispatch(change);
+  }, []);
+
+  useEffect(() => {
+    const channel = openTabChannel((message) => {
+      if (!message?.action || message.tabId === TAB_ID) return;
+      applyTabChange(message);
+    });
+    channelRef.current = channel;
+    return () => {
+      channelRef.current = null;
+      channel.close();
+    };
+  }, [applyTabChange]);
+
+  // Feed cursor the shown roster is current as of, set by each full load
+  const changeCursorRef = useRef(null);
+
+  // Checks the server for a newer roster and merges it with the shown one. Edits the
+  // server confirms while the check is out make it start over.
+  const refreshEmployees = useCallback(async () => {
+    const revision = rosterRevisionRef.current;
+    dispatch({ type: ACTIONS.SET_SYNC_STATUS, payload: SYNC_STATUS.CHECKING });
     try {
-      // Try to load from localStorage first
-      const cached = localStorage.getItem('orgChartEmployees');
-      if (cached) {
-        dispatch({ type: ACTIONS.SET_EMPLOYEES, payload: JSON.parse(cached) });
-        return;
+      const { employees: server, cursor } = await dataSource.listEmployees();
+      changeCursorRef.current = cursor;
+      dispatch({
+        type: ACTIONS.APPLY_SERVER_ROSTER,
+        payload: { employees: server, revision, syncedAt: new Date().toISOString() },
+      });
+    } catch (error) {
+      dispatch({ type: ACTIONS.SYNC_FAILED, payload: error.message });
+    }
+  }, []);
+
+  // Applies what other clients changed since the last look at the change feed
+  const pollingRef = useRef(false);
+  const pollChanges = useCallback(async () => {
+    const cursor = changeCursorRef.current;
+    if (cursor === null || pollingRef.current) return;
+
+    pollingRef.current = true;
+    try {
+      const data = await dataSource.listChanges(cursor);
+      // A full load while this was out already covers these changes
+      if (changeCursorRef.current !== cursor) return;
+      changeCursorRef.current = data.cursor;
+      const changes = data.changes.filter((change) => change.clientId !== TAB_ID);
+      if (changes.length > 0) {
+        dispatch({ type: ACTIONS.APPLY_FEED_CHANGES, payload: changes });
       }
+    } catch (error) {
+      // The server doesn't know the cursor, as after a restart, so load everything again.
+      // Otherwise this is likely being offline, and the next poll tries again.
+      if (error.code === 'INVALID_CURSOR') {
+        changeCursorRef.current = null;
+        refreshEmployees();
+      }
+    } finally {
+      pollingRef.current = false;
+    }
+  }, [refreshEmployees]);
+
+  // Shows the saved copy right away, if there is one, and checks the server behind it
+  const fetchEmployees = useCallback(async () => {
+    const cached = readEmployeeCache(localStorage);
+    if (cached) {
+      dispatch({ type: ACTIONS.LOAD_CACHED_EMPLOYEES, payload: cached });
+    } else {
+      dispatch({ type: ACTIONS.SET_LOADING, payload: true });
+    }
+    await refreshEmployees();
+  }, [refreshEmployees]);
+
+  // Fetch employees on mount
+  useEffect(() => {
+    fetchEmployees();
+  }, [fetchEmployees]);
+
+  // Follows the change feed while the page is visible
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (document.visibilityState !== 'hidden') pollChanges();
+    }, CHANGE_FEED_POLL_MS);
+    return () => clearInterval(timer);
+  }, [pollChanges]);
+
+  const { remoteHighlights } = state;
+  useEffect(() => {
+    if (remoteHighlights.length === 0) return;
+    const timer = setTimeout(() => {
+      dispatch({ type: ACTIONS.CLEAR_REMOTE_HIGHLIGHTS });
+    }, REMOTE_HIGHLIGHT_MS);
+    return () => clearTimeout(timer);
+  }, [remoteHighlights]);
+
+  // A check answered after the roster changed is asked again
+  useEffect(() => {
+    if (state.sync.status === SYNC_STATUS.STALE) {
+      refreshEmployees();
+    }
+  }, [state.sync.status, refreshEmployees]);
+
+  // Sends one pending move. A move that can't reach the server is queued and resolves to
+  // { queued: true }; one the server refuses is rolled back and throws. Moves nobody is
+  // waiting on (from the queue) report why they were refused through the sync conflicts.
+  const sendMove = useCallback(async (move, { fromQueue = false } = {}) => {
+    dispatch({ type: ACTIONS.SET_MOVE_STATUS, payload: { id: move.id, status: MOVE_STATUS.SENDING } });
 
-      // If no cache, fetch from API
-      const response = await fetch('/api/employees');
-      const data = await response.json();
-      dispatch({ type: ACTIONS.SET_EMPLOYEES, payload: data.employees });
+    let employee;
+    try {
+      employee = await dataSource.updateEmployee(move.employeeId, { managerId: move.managerId });
     } catch (error) {
-      dispatch({ type: ACTIONS.SET_ERROR, payload: error.message });
+      if (error.code === NETWORK_ERROR) {
+        dispatch({ type: ACTIONS.SET_MOVE_STATUS, payload: { id: move.id, status: MOVE_STATUS.QUEUED } });
+        return { queued: true };
+      }
+      dispatch({
+        type: ACTIONS.ROLLBACK_MOVE,
+        payload: { id: move.id, reason: fromQueue ? error.message : null },
+      });
+      throw error;
+    }
+
+    dispatch({ type: ACTIONS.CONFIRM_MOVE, payload: { id: move.id, employee } });
+    shareChange(
+      {
+        type: ACTIONS.UPDATE_EMPLOYEE,
+        payload: { id: move.employeeId, updates: { managerId: employee.managerId } },
+      },
+      move.basedOn
+    );
+    dispatch({
+      type: ACTIONS.RECORD_REASSIGNMENT,
+      payload: {
+        changes: [
+          { employeeId: move.employeeId, oldManagerId: move.oldManagerId, newManagerId: move.managerId },
+        ],
+      },
+    });
+    return { employee };
+  }, [shareChange]);
+
+  // Latest pending moves, for a flush that outlives the render that started it
+  const pendingMovesRef = useRef(state.pendingMoves);
+  useEffect(() => {
+    pendingMovesRef.current = state.pendingMoves;
+  }, [state.pendingMoves]);
+  const flushingRef = useRef(false);
+
+  // Sends queued moves oldest first, stopping at the first that still can't get through
+  const flushRetryQueue = useCallback(async () => {
+    if (flushingRef.current) return;
+    flushingRef.current = true;
+    const attempted = new Set();
+    try {
+      for (;;) {
+        const move = pendingMovesRef.current.find(
+          (pending) => pending.status === MOVE_STATUS.QUEUED && !attempted.has(pending.id)
+        );
+        if (!move) break;
+        attempted.add(move.id);
+
+        try {
+          const result = await sendMove(move, { fromQueue: true });
+          if (result.queued) break;
+        } catch (error) {
+          // Rolled back and listed with the sync conflicts
+          console.error('Queued move was refused:', error);
+        }
+      }
+    } finally {
+      flushingRef.current = false;
+    }
+  }, [sendMove]);
+
+  // Moves queued on an earlier visit are sent once the page loads
+  useEffect(() => {
+    flushRetryQueue();
+  }, [flushRetryQueue]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      flushRetryQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [flushRetryQueue]);
+
+  // Validation failures (422) and other errors reach the caller as ApiErrors
+  const patchEmployee = async (employeeId, updates) => {
+    const employee = await dataSource.updateEmployee(employeeId, updates);
+
+    const change = {
+      type: ACTIONS.UPDATE_EMPLOYEE,
+      payload: {
+        id: employeeId,
+        updates,
+      },
+    };
+    dispatch(change);
+    shareChange(change);
+
+    return employee;
+  };
+
+  // Changes several employees in one request; changes are [{ id, ...attrs }] and the server
+  // applies all of them or none
+  const updateEmployees = async (changes) => {
+    assertEditable();
+    if (activeDraft) {
+      const updated = recordDraftOperation({ type: DRAFT_OPERATIONS.BATCH, changes });
+      return changes.map((change) => findEmployeeById(updated, change.id));
     }
+
+    const updated = await dataSource.updateEmployees(changes);
+    const change = { type: ACTIONS.APPLY_EMPLOYEE_UPDATES, payload: updated };
+    dispatch(change);
+    shareChange(change);
+    return updated;
   };
 
+  // Makes move ids unique within a millisecond
+  const moveCountRef = useRef(0);
+
   const updateEmployeeManager = async (employeeId, newManagerId) => {
+    assertEditable();
+    const employee = employees.find((emp) => emp.id === employeeId);
+    const oldManagerId = employee ? employee.managerId : null;
+
+    if (activeDraft) {
+      const updated = recordDraftOperation({
+        type: DRAFT_OPERATIONS.MOVE,
+        changes: [{ employeeId, oldManagerId, newManagerId }],
+      });
+      return { employee: findEmployeeById(updated, employeeId) };
+    }
+
+    // Shown right away; moves already waiting in the queue go first, so this one waits too
+    const move = {
+      id: `${Date.now()}-${++moveCountRef.current}`,
+      employeeId,
+      managerId: newManagerId,
+      oldManagerId,
+      status: MOVE_STATUS.SENDING,
+      basedOn: getBasedOn([employeeId]),
+    };
+    const queueWaiting = state.pendingMoves.some((pending) => pending.status === MOVE_STATUS.QUEUED);
+    if (queueWaiting) {
+      dispatch({ type: ACTIONS.ADD_PENDING_MOVE, payload: { ...move, status: MOVE_STATUS.QUEUED } });
+      flushRetryQueue();
+      return { queued: true };
+    }
+
+    dispatch({ type: ACTIONS.ADD_PENDING_MOVE, payload: move });
     try {
-      const response = await fetch(`/api/employees/${employeeId}`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ managerId: newManagerId }),
+      return await sendMove(move);
+    } catch (error) {
+      console.error('Error updating employee:', error);
+      throw error;
+    }
+  };
+
+  // Moves one employee without their subtree; direct reports go to reportsManagerId
+  // (their former manager when omitted). The server applies every change or none.
+  const moveEmployeeAlone = async (employeeId, newManagerId, reportsManagerId) => {
+    assertEditable();
+    if (activeDraft) {
+      const changes = getSingleMoveChanges(employees, employeeId, newManagerId, reportsManagerId);
+      recordDraftOperation({ type: DRAFT_OPERATIONS.MOVE, changes });
+      return changes;
+    }
+
+    try {
+      const changes = await dataSource.moveEmployeeAlone(employeeId, newManagerId, reportsManagerId);
+      const change = { type: ACTIONS.APPLY_MANAGER_CHANGES, payload: changes };
+      dispatch(change);
+      shareChange(change);
+      dispatch({ type: ACTIONS.RECORD_REASSIGNMENT, payload: { changes } });
+
+      return changes;
+    } catch (error) {
+      console.error('Error moving employee:', error);
+      throw error;
+    }
+  };
+
+  const createEmployee = async (attrs) => {
+    assertEditable();
+    if (activeDraft) {
+      const employee = {
+        ...attrs,
+        id: getNextDraftEmployeeId(activeDraft.operations),
+        managerId: attrs.managerId ?? null,
+      };
+      recordDraftOperation({ type: DRAFT_OPERATIONS.ADD, employee });
+      return employee;
+    }
+
+    try {
+      const employee = await dataSource.createEmployee(attrs);
+      const change = { type: ACTIONS.ADD_EMPLOYEE, payload: employee };
+      dispatch(change);
+      shareChange(change);
+      return employee;
+    } catch (error) {
+      console.error('Error creating employee:', error);
+      throw error;
+    }
+  };
+
+  // Edits name, designation or team; manager changes go through updateEmployeeManager
+  const updateEmployee = async (employeeId, updates) => {
+    assertEditable();
+    if (activeDraft) {
+      const updated = recordDraftOperation({ type: DRAFT_OPERATIONS.UPDATE, employeeId, updates });
+      return findEmployeeById(updated, employeeId);
+    }
+
+    try {
+      return await patchEmployee(employeeId, updates);
+    } catch (error) {
+      console.error('Error updating employee:', error);
+      throw error;
+    }
+  };
+
+  // Direct reports are handed to reassignTo (null makes them top-level)
+  const deleteEmployee = async (employeeId, reassignTo) => {
+    assertEditable();
+    if (activeDraft) {
+      recordDraftOperation({
+        type: DRAFT_OPERATIONS.REMOVE,
+        employeeId,
+        reassignTo: reassignTo ?? null,
       });
+      if (state.selectedEmployeeId === employeeId) {
+        selectEmployee(null, { replace: true });
+      }
+      return;
+    }
 
-      const data = await response.json();
+    try {
+      await dataSource.deleteEmployee(employeeId, reassignTo);
 
-      dispatch({
-        type: ACTIONS.UPDATE_EMPLOYEE,
-        payload: {
-          id: employeeId,
-          updates: { managerId: newManagerId },
-        },
+      const change = {
+        type: ACTIONS.REMOVE_EMPLOYEE,
+        payload: { id: employeeId, reassignTo: reassignTo ?? null },
+      };
+      dispatch(change);
+      shareChange(change);
+
+      // Their detail URL would now point at nobody
+      if (state.selectedEmployeeId === employeeId) {
+        selectEmployee(null, { replace: true });
+      }
+    } catch (error) {
+      console.error('Error deleting employee:', error);
+      throw error;
+    }
+  };
+
+  // Applies a validated roster import; mode is 'replace' or 'merge'
+  const importEmployees = async (records, mode) => {
+    assertEditable();
+    if (activeDraft) {
+      throw new ApiError('Imports change the live organization. Leave the draft to import.', {
+        code: 'DRAFT_ACTIVE',
       });
+    }
 
-      return data;
+    try {
+      const imported = await dataSource.importEmployees(records, mode);
+      const change = { type: ACTIONS.SET_EMPLOYEES, payload: imported };
+      dispatch(change);
+      shareChange(change);
+      // Recorded reassignments may refer to employees the import replaced
+      dispatch({ type: ACTIONS.CLEAR_HISTORY });
+      return imported;
     } catch (error) {
-      console.error('Error updating employee:', error);
+      console.error('Error importing employees:', error);
+      throw error;
+    }
+  };
+
+  const undo = async () => {
+    if (isReadOnly) return;
+
+    // In a draft, undo drops the latest recorded edit
+    if (activeDraft) {
+      if (activeDraft.operations.length > 0) {
+        dispatch({
+          type: ACTIONS.REMOVE_DRAFT_OPERATION,
+          payload: activeDraft.operations.length - 1,
+        });
+      }
+      return;
+    }
+
+    const entry = getUndoEntry(state.history);
+    if (!entry || historyBusyRef.current) return;
+
+    historyBusyRef.current = true;
+    try {
+      // The whole entry is reverted in one request, so it can't be left half undone
+      await updateEmployees(getUndoUpdates(entry));
+      dispatch({ type: ACTIONS.UNDO_REASSIGNMENT });
+    } catch (error) {
+      console.error('Error undoing reassignment:', error);
+      throw error;
+    } finally {
+      historyBusyRef.current = false;
+    }
+  };
+
+  const redo = async () => {
+    const entry = getRedoEntry(state.history);
+    if (isReadOnly || activeDraft || !entry || historyBusyRef.current) return;
+
+    historyBusyRef.current = true;
+    try {
+      await updateEmployees(getRedoUpdates(entry));
+      dispatch({ type: ACTIONS.REDO_REASSIGNMENT });
+    } catch (error) {
+      console.error('Error redoing reassignment:', error);
       throw error;
+    } finally {
+      historyBusyRef.current = false;
     }
   };
 
@@ -141,12 +1344,193 @@ export function EmployeeProvider({ children }) {
     dispatch({ type: ACTIONS.SET_SELECTED_TEAM, payload: team });
   };
 
+  // Selecting someone is a navigation, so it gets a history entry (unless replace is set)
+  // and a shareable URL
+  const selectEmployee = useCallback((id, { replace = false } = {}) => {
+    navigate(getEmployeePath(id), { replace });
+    dispatch({ type: ACTIONS.SET_LOCATION, payload: readPath() });
+  }, []);
+
+  // Switches between the chart and the analytics dashboard
+  const showView = useCallback((view) => {
+    navigate(getViewPath(view));
+    dispatch({ type: ACTIONS.SET_LOCATION, payload: readPath() });
+  }, []);
+
+  // Starts a new, empty draft and switches to it
+  const createDraft = (name) => {
+    const id = state.drafts.reduce((max, draft) => Math.max(max, draft.id), 0) + 1;
+    dispatch({
+      type: ACTIONS.CREATE_DRAFT,
+      payload: { id, name, operations: [], updatedAt: Date.now() },
+    });
+    return id;
+  };
+
+  // People added in a draft only exist there, so their detail panel closes on leaving it
+  const closeDraftOnlySelection = () => {
+    if (state.selectedEmployeeId !== null && state.selectedEmployeeId < 0) {
+      selectEmployee(null, { replace: true });
+    }
+  };
+
+  // Switches to a draft, or back to the live organization with null
+  const setActiveDraft = (id) => {
+    dispatch({ type: ACTIONS.SET_ACTIVE_DRAFT, payload: id });
+    closeDraftOnlySelection();
+  };
+
+  const discardDraft = (id) => {
+    dispatch({ type: ACTIONS.DELETE_DRAFT, payload: id });
+    if (id === state.activeDraftId) closeDraftOnlySelection();
+  };
+
+  // Drops one recorded edit, such as one that no longer applies to the live org
+  const removeDraftOperation = (index) => {
+    dispatch({ type: ACTIONS.REMOVE_DRAFT_OPERATION, payload: index });
+  };
+
+  // Sends the active draft to the server, which applies all of it or nothing
+  const commitDraft = async () => {
+    assertEditable();
+    if (!activeDraft) return null;
+
+    try {
+      const { employees: committed, ids } = await dataSource.commitScenario(
+        activeDraft.operations
+      );
+      dispatch({
+        type: ACTIONS.COMMIT_DRAFT,
+        payload: { id: activeDraft.id, employees: committed },
+      });
+      // Drafts belong to this tab; others just take the new roster
+      shareChange({ type: ACTIONS.SET_EMPLOYEES, payload: committed });
+
+      // Someone added in the draft keeps their detail panel under their new id
+      const { selectedEmployeeId } = state;
+      if (selectedEmployeeId !== null && selectedEmployeeId < 0) {
+        selectEmployee(ids[selectedEmployeeId] ?? null, { replace: true });
+      }
+      return committed;
+    } catch (error) {
+      console.error('Error committing draft:', error);
+      throw error;
+    }
+  };
+
+  // Shows the org as of a past day ('YYYY-MM-DD'); today, a later day or null returns to now
+  const setAsOf = (date) => {
+    const today = toDateInputValue(new Date());
+    dispatch({ type: ACTIONS.SET_AS_OF, payload: date && date < today ? date : null });
+  };
+
+  // Saves the live roster under a name
+  const saveSnapshot = (name) => {
+    const id = state.snapshots.reduce((max, snapshot) => Math.max(max, snapshot.id), 0) + 1;
+    const snapshot = createSnapshot(name, state.employees, { id });
+    dispatch({ type: ACTIONS.SAVE_SNAPSHOT, payload: snapshot });
+    return snapshot;
+  };
+
+  // Adds a snapshot from an exported JSON file
+  const importSnapshot = (text) => {
+    const result = parseSnapshotFile(text);
+    if (result.error) {
+      throw new ApiError(result.error.message, { code: result.error.code });
+    }
+
+    const id = state.snapshots.reduce((max, snapshot) => Math.max(max, snapshot.id), 0) + 1;
+    const { name, employees: roster, createdAt } = result.snapshot;
+    const snapshot = createSnapshot(name, roster, { id, createdAt });
+    dispatch({ type: ACTIONS.SAVE_SNAPSHOT, payload: snapshot });
+    return snapshot;
+  };
+
+  const deleteSnapshot = (id) => {
+    dispatch({ type: ACTIONS.DELETE_SNAPSHOT, payload: id });
+  };
+
+  // Compares two snapshots in the chart (null for the live org), or stops comparing
+  // when called without arguments
+  const compareSnapshots = (beforeId, afterId) => {
+    dispatch({
+      type: ACTIONS.SET_COMPARISON,
+      payload: beforeId === undefined ? null : { beforeId, afterId },
+    });
+  };
+
+  const dismissSyncConflicts = () => {
+    dispatch({ type: ACTIONS.DISMISS_SYNC_CONFLICTS });
+  };
+
+  const setActorName = (name) => {
+    localStorage.setItem(ACTOR_STORAGE_KEY, name);
+    dispatch({ type: ACTIONS.SET_ACTOR_NAME, payload: name });
+  };
+
+  // Loads audit events, newest first; filters are { employeeId, since } (both optional).
+  // Stable so components can fetch from effects.
+  const fetchAuditEvents = useCallback(
+    ({ employeeId = null, since = null } = {}) =>
+      dataSource.listAuditEvents({ employeeId, since: since || null }),
+    []
+  );
+
+  // Loads one employee from the server; stable so components can fetch from effects
+  const fetchEmployee = useCallback((id) => dataSource.getEmployee(id), []);
+
+  // Parsed once here so the list and the chart filter with the same query
+  const searchQuery = useMemo(() => parseQuery(state.searchTerm), [state.searchTerm]);
+
   const value = {
     ...state,
+    employees,
+    liveEmployees: state.employees,
+    loading: state.loading || (asOf !== null && !pastRoster),
+    isReadOnly,
+    asOfError: pastRoster?.error ?? null,
+    comparison,
+    activeDraft,
+    // The first recorded edit that no longer applies to the live org, if any
+    draftConflict: draftView?.error
+      ? { index: draftView.failedIndex, ...draftView.error }
+      : null,
+    searchQuery,
+    canUndo:
+      !isReadOnly &&
+      (activeDraft ? activeDraft.operations.length > 0 : state.history.past.length > 0),
+    canRedo: !isReadOnly && !activeDraft && state.history.future.length > 0,
+    updateEmployees,
     updateEmployeeManager,
+    moveEmployeeAlone,
+    createEmployee,
+    updateEmployee,
+    deleteEmployee,
+    importEmployees,
+    undo,
+    redo,
     setSearchTerm,
     setSelectedTeam,
+    selectEmployee,
+    showView,
+    createDraft,
+    setActiveDraft,
+    discardDraft,
+    removeDraftOperation,
+    commitDraft,
+    setAsOf,
+    saveSnapshot,
+    importSnapshot,
+    deleteSnapshot,
+    compareSnapshots,
+    setActorName,
+    fetchEmployee,
+    fetchAuditEvents,
     fetchEmployees,
+    refreshEmployees,
+    dismissSyncConflicts,
+    isOnline,
+    flushRetryQueue,
   };
 
   return (
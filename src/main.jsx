@@ -2,14 +2,21 @@ import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App.jsx';
-import { makeServer } from './server.js';
+import { getApiConfig } from './api';
 
-// Start MirageJS server in development AND production (for demo)
-// In a real app, this would only run in development
-makeServer({ environment: 'development' });
+// The MirageJS mock server only runs in development or demo mode (see api/config.js), and
+// is loaded on demand so other builds don't ship it
+async function start() {
+  if (getApiConfig(import.meta.env).startMirage) {
+    const { makeServer } = await import('./server.js');
+    makeServer({ environment: 'development' });
+  }
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>
-);
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>
+  );
+}
+
+start();
@@ -1,4 +1,180 @@
-import { createServer, Model } from 'miragejs';
+import { createServer, Model, Response, Serializer } from 'miragejs';
+import {
+  validateManagerChange,
+  validateEmployeeRemoval,
+  removeEmployee,
+  findEmployeeById,
+  getSingleMoveChanges,
+  validateManagerChanges,
+  validateEmployeeUpdates,
+  HIERARCHY_ERRORS,
+} from './utils/treeHelpers.js';
+import { validateEmployeeFields } from './utils/employeeValidation.js';
+import { buildImportReport } from './utils/rosterImport.js';
+import { applyDraftOperations } from './utils/orgDrafts.js';
+import { getAuditEntries, filterAuditEvents, UNKNOWN_ACTOR } from './utils/auditLog.js';
+import { getVersionChanges, getRosterAsOf, VERSIONED_FIELDS } from './utils/effectiveDating.js';
+import { getFeedEntries, parseCursor } from './utils/changeFeed.js';
+
+// Mirage stores ids as strings, while managerId references are numbers.
+// Serialize ids as numbers so the client can compare them directly.
+function normalizeId(record) {
+  return record && record.id !== undefined ? { ...record, id: Number(record.id) } : record;
+}
+
+const ApplicationSerializer = Serializer.extend({
+  serialize() {
+    const json = Serializer.prototype.serialize.apply(this, arguments);
+
+    Object.keys(json).forEach((key) => {
+      json[key] = Array.isArray(json[key])
+        ? json[key].map(normalizeId)
+        : normalizeId(json[key]);
+    });
+
+    return json;
+  },
+});
+
+/**
+ * Builds an error response with a machine-readable code
+ * @param {Number} status - HTTP status code
+ * @param {String} code - Error code (see HIERARCHY_ERRORS)
+ * @param {String} message - Human-readable message
+ * @param {Object} details - Extra fields for the error body
+ * @returns {Response} - Mirage response with an { error: { code, message } } body
+ */
+function errorResponse(status, code, message, details = {}) {
+  return new Response(status, {}, { error: { code, message, ...details } });
+}
+
+/**
+ * Returns every employee as a plain object with a numeric id
+ * @param {Object} schema - Mirage schema
+ * @returns {Array} - Array of employees
+ */
+function getAllEmployees(schema) {
+  return schema.employees.all().models.map((model) => normalizeId(model.attrs));
+}
+
+// Reads a request header whichever case it was sent in
+function getHeader(request, name) {
+  const headers = request.requestHeaders || {};
+  return headers[name] ?? headers[name.toLowerCase()] ?? '';
+}
+
+/**
+ * Who a request is attributed to, from the X-Actor header
+ * @param {Object} request - Mirage request
+ * @returns {String} - The actor's name, or UNKNOWN_ACTOR
+ */
+function getActor(request) {
+  // The client URI-encodes the name, since header values must be plain ASCII
+  const header = getHeader(request, 'X-Actor');
+  let actor = header;
+  try {
+    actor = decodeURIComponent(header);
+  } catch {
+    // Not encoded after all; use it as sent
+  }
+  return actor.trim() || UNKNOWN_ACTOR;
+}
+
+/**
+ * Logs what a request changed in the roster, attributed to the X-Actor header
+ * @param {Object} schema - Mirage schema
+ * @param {Object} request - Mirage request
+ * @param {Array} before - Roster before the request
+ * @param {Array} after - Roster after the request
+ * @param {String} timestamp - When the change was made
+ */
+function recordAudit(schema, request, before, after, timestamp) {
+  const entries = getAuditEntries(before, after);
+  if (entries.length === 0) return;
+
+  const actor = getActor(request);
+  const changeId =
+    schema.auditEvents.all().models.reduce((max, event) => Math.max(max, event.changeId), 0) + 1;
+  entries.forEach((entry) => {
+    schema.auditEvents.create({
+      ...entry,
+      actor,
+      timestamp,
+      changeId,
+    });
+  });
+}
+
+// Seq of the latest change feed entry, 0 before any
+function getLatestSeq(schema) {
+  return schema.rosterChanges.all().models.reduce((max, change) => Math.max(max, change.seq), 0);
+}
+
+/**
+ * Appends what a request changed to the change feed (see utils/changeFeed.js)
+ * @param {Object} schema - Mirage schema
+ * @param {Object} request - Mirage request
+ * @param {Array} before - Roster before the request
+ * @param {Array} after - Roster after the request
+ * @param {String} timestamp - When the change was made
+ */
+function recordFeed(schema, request, before, after, timestamp) {
+  const actor = getActor(request);
+  const clientId = getHeader(request, 'X-Client-Id') || null;
+  let seq = getLatestSeq(schema);
+  getFeedEntries(before, after).forEach((entry) => {
+    seq += 1;
+    schema.rosterChanges.create({ ...entry, seq, actor, clientId, timestamp });
+  });
+}
+
+/**
+ * Ends and starts effective-dated versions for what changed in the roster
+ * @param {Object} schema - Mirage schema
+ * @param {Array} before - Roster before the request
+ * @param {Array} after - Roster after the request
+ * @param {String} timestamp - When the change took effect
+ */
+function recordVersions(schema, before, after, timestamp) {
+  const { ended, started } = getVersionChanges(before, after);
+  const versions = schema.employeeVersions.all().models;
+
+  ended.forEach((emp) => {
+    const current = versions.find(
+      (version) => version.employeeId === emp.id && version.validTo === null
+    );
+    if (current) {
+      current.update({ validTo: timestamp });
+    } else {
+      // Never changed before, so this version has held since the beginning
+      const fields = Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, emp[field] ?? null]));
+      schema.employeeVersions.create({
+        employeeId: emp.id,
+        ...fields,
+        validFrom: null,
+        validTo: timestamp,
+      });
+    }
+  });
+  started.forEach((version) => {
+    schema.employeeVersions.create({ ...version, validFrom: timestamp, validTo: null });
+  });
+}
+
+/**
+ * Records a successful change to the roster in the audit log, the version history and the
+ * change feed
+ * @param {Object} schema - Mirage schema
+ * @param {Object} request - Mirage request
+ * @param {Array} before - Roster from getAllEmployees before the request changed anything
+ */
+function recordChanges(schema, request, before) {
+  const after = getAllEmployees(schema);
+  const timestamp = new Date().toISOString();
+  recordAudit(schema, request, before, after, timestamp);
+  recordVersions(schema, before, after, timestamp);
+  recordFeed(schema, request, before, after, timestamp);
+}
 
 export function makeServer({ environment = 'development' } = {}) {
   return createServer({
@@ -6,6 +182,13 @@ export function makeServer({ environment = 'development' } = {}) {
 
     models: {
       employee: Model,
+      auditEvent: Model,
+      employeeVersion: Model,
+      rosterChange: Model,
+    },
+
+    serializers: {
+      application: ApplicationSerializer,
     },
 
     seeds(server) {
@@ -147,36 +330,308 @@ export function makeServer({ environment = 'development' } = {}) {
     routes() {
       this.namespace = 'api';
 
-      // GET all employees
-      this.get('/employees', (schema) => {
-        return schema.employees.all();
+      // GET all employees, with the change feed cursor they are current as of
+      // ?asOf=<date-time> returns the roster as it was at that moment instead
+      this.get('/employees', (schema, request) => {
+        const { asOf } = request.queryParams;
+        if (!asOf) {
+          return new Response(200, {}, {
+            employees: getAllEmployees(schema),
+            cursor: String(getLatestSeq(schema)),
+          });
+        }
+        if (Number.isNaN(new Date(asOf).getTime())) {
+          return errorResponse(422, 'INVALID_DATE', `"${asOf}" is not a valid date.`);
+        }
+
+        const versions = schema.employeeVersions.all().models.map((model) => model.attrs);
+        return new Response(200, {}, {
+          employees: getRosterAsOf(versions, asOf, getAllEmployees(schema)),
+        });
       });
 
       // GET single employee
       this.get('/employees/:id', (schema, request) => {
         const id = request.params.id;
-        return schema.employees.find(id);
+        const employee = schema.employees.find(id);
+        if (!employee) {
+          return errorResponse(
+            404,
+            HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+            `Employee ${id} does not exist.`
+          );
+        }
+        return employee;
+      });
+
+      // PATCH update several employees at once
+      // Body: { changes: [{ id, ...attrs }] }. The changes are validated together against the
+      // resulting hierarchy and applied all or none; the error's changeIndex points at the
+      // offending change when there is one.
+      this.patch('/employees', (schema, request) => {
+        const { changes } = JSON.parse(request.requestBody);
+        const updates = Array.isArray(changes) ? changes : [];
+        const before = getAllEmployees(schema);
+
+        const error = validateEmployeeUpdates(before, updates);
+        if (error) {
+          const { index, ...details } = error;
+          const status = details.code === HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND ? 404 : 422;
+          return errorResponse(
+            status,
+            details.code,
+            details.message,
+            index === undefined ? {} : { changeIndex: index }
+          );
+        }
+
+        const updated = updates.map(({ id, ...attrs }) =>
+          schema.employees.find(id).update(attrs)
+        );
+        recordChanges(schema, request, before);
+        return new Response(200, {}, { employees: updated.map((model) => normalizeId(model.attrs)) });
       });
 
       // PATCH update employee (for drag and drop manager changes)
       this.patch('/employees/:id', (schema, request) => {
         const id = request.params.id;
-        const attrs = JSON.parse(request.body);
+        const attrs = JSON.parse(request.requestBody);
+        delete attrs.id; // The id itself is not editable
 
         const employee = schema.employees.find(id);
-        return employee.update(attrs);
+        if (!employee) {
+          return errorResponse(
+            404,
+            HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+            `Employee ${id} does not exist.`
+          );
+        }
+
+        const fieldError = validateEmployeeFields(attrs, { partial: true });
+        if (fieldError) {
+          return errorResponse(422, fieldError.code, fieldError.message);
+        }
+
+        // Reject hierarchy changes that would leave the org chart invalid
+        const before = getAllEmployees(schema);
+        if ('managerId' in attrs) {
+          const error = validateManagerChange(before, Number(id), attrs.managerId);
+          if (error) {
+            return errorResponse(422, error.code, error.message);
+          }
+        }
+
+        employee.update(attrs);
+        recordChanges(schema, request, before);
+        return employee;
+      });
+
+      // POST move one employee without their subtree
+      // Body: { managerId, reportsManagerId }; direct reports go to reportsManagerId,
+      // or stay with the employee's former manager when it is omitted.
+      // All changes are validated together and applied atomically.
+      this.post('/employees/:id/move', (schema, request) => {
+        const id = Number(request.params.id);
+        const { managerId, reportsManagerId } = JSON.parse(request.requestBody);
+        const employees = getAllEmployees(schema);
+
+        if (!findEmployeeById(employees, id)) {
+          return errorResponse(
+            404,
+            HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+            `Employee ${id} does not exist.`
+          );
+        }
+
+        const changes = getSingleMoveChanges(employees, id, managerId ?? null, reportsManagerId);
+        const error = validateManagerChanges(employees, changes);
+        if (error) {
+          return errorResponse(422, error.code, error.message);
+        }
+
+        changes.forEach((change) => {
+          schema.employees.find(change.employeeId).update({ managerId: change.newManagerId });
+        });
+        recordChanges(schema, request, employees);
+
+        return new Response(200, {}, { changes });
+      });
+
+      // POST import a roster
+      // Body: { employees: [{ id, name, designation, team, managerId }], mode: 'replace' | 'merge' }
+      // The whole import is validated first and rejected with every issue if anything is wrong
+      // (a regular function so `this.serialize` is available)
+      this.post('/employees/import', function (schema, request) {
+        const { employees: records = [], mode = 'merge' } = JSON.parse(request.requestBody);
+        const before = getAllEmployees(schema);
+        const report = buildImportReport(records, before, mode);
+
+        if (!report.valid) {
+          const [firstIssue] = report.issues;
+          return errorResponse(
+            422,
+            firstIssue ? firstIssue.code : 'EMPTY_IMPORT',
+            firstIssue ? firstIssue.message : 'The import contains no employees.',
+            { issues: report.issues }
+          );
+        }
+
+        if (mode === 'replace') {
+          schema.db.employees.remove();
+        }
+
+        report.employees.forEach(({ id, ...attrs }) => {
+          const employee = schema.employees.find(id);
+          if (employee) {
+            employee.update(attrs);
+          } else {
+            schema.employees.create({ id, ...attrs });
+          }
+        });
+        recordChanges(schema, request, before);
+
+        return new Response(200, {}, this.serialize(schema.employees.all()));
+      });
+
+      // POST apply a reorganization draft
+      // Body: { operations } as recorded by a draft (see utils/orgDrafts.js). The operations
+      // are replayed against the current roster and saved only if every one of them applies.
+      // Responds with the new roster and { ids } mapping draft ids of new hires to real ones.
+      this.post('/employees/scenario', (schema, request) => {
+        const { operations = [] } = JSON.parse(request.requestBody);
+        const before = getAllEmployees(schema);
+        const { employees: after, error, failedIndex, idMap } = applyDraftOperations(
+          before,
+          operations,
+          { assignIds: true }
+        );
+
+        if (error) {
+          return errorResponse(422, error.code, error.message, { operationIndex: failedIndex });
+        }
+
+        const afterIds = new Set(after.map((emp) => emp.id));
+        before.forEach((emp) => {
+          if (!afterIds.has(emp.id)) schema.employees.find(emp.id).destroy();
+        });
+        after.forEach(({ id, ...attrs }) => {
+          const employee = schema.employees.find(id);
+          if (employee) {
+            employee.update(attrs);
+          } else {
+            schema.employees.create({ id, ...attrs });
+          }
+        });
+        recordChanges(schema, request, before);
+
+        return new Response(200, {}, { employees: after, ids: Object.fromEntries(idMap) });
       });
 
       // POST create new employee
       this.post('/employees', (schema, request) => {
-        const attrs = JSON.parse(request.body);
-        return schema.employees.create(attrs);
+        const attrs = JSON.parse(request.requestBody);
+        delete attrs.id; // Ids are assigned by the server
+
+        const fieldError = validateEmployeeFields(attrs);
+        if (fieldError) {
+          return errorResponse(422, fieldError.code, fieldError.message);
+        }
+
+        const managerId = attrs.managerId ?? null;
+        const before = getAllEmployees(schema);
+        if (managerId !== null && !findEmployeeById(before, managerId)) {
+          return errorResponse(
+            422,
+            HIERARCHY_ERRORS.MANAGER_NOT_FOUND,
+            `Manager ${managerId} does not exist.`
+          );
+        }
+
+        const employee = schema.employees.create({ ...attrs, managerId });
+        recordChanges(schema, request, before);
+        return employee;
       });
 
       // DELETE employee
+      // Direct reports move to ?reassignTo=<id>, or to the deleted employee's manager by default
       this.delete('/employees/:id', (schema, request) => {
-        const id = request.params.id;
-        return schema.employees.find(id).destroy();
+        const id = Number(request.params.id);
+        const employees = getAllEmployees(schema);
+        const employee = findEmployeeById(employees, id);
+
+        if (!employee) {
+          return errorResponse(
+            404,
+            HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+            `Employee ${id} does not exist.`
+          );
+        }
+
+        const { reassignTo } = request.queryParams;
+        let reassignToId = employee.managerId;
+        if (reassignTo !== undefined) {
+          reassignToId = reassignTo === '' || reassignTo === 'null' ? null : Number(reassignTo);
+        }
+
+        const error = validateEmployeeRemoval(employees, id, reassignToId);
+        if (error) {
+          return errorResponse(422, error.code, error.message);
+        }
+
+        // Apply the same reassignment the client reducer performs
+        removeEmployee(employees, id, reassignToId).forEach((emp) => {
+          const before = findEmployeeById(employees, emp.id);
+          if (before.managerId !== emp.managerId) {
+            schema.employees.find(emp.id).update({ managerId: emp.managerId });
+          }
+        });
+        schema.employees.find(id).destroy();
+        recordChanges(schema, request, employees);
+
+        return new Response(204);
+      });
+
+      // GET the audit log, newest first
+      // Query: ?employeeId=<id> for one person's history, ?since=<date or date-time> for
+      // recent changes only
+      this.get('/audit', (schema, request) => {
+        const { employeeId, since } = request.queryParams;
+        if (since && Number.isNaN(new Date(since).getTime())) {
+          return errorResponse(422, 'INVALID_DATE', `"${since}" is not a valid date.`);
+        }
+
+        const events = schema.auditEvents.all().models.map((model) => normalizeId(model.attrs));
+        return new Response(200, {}, {
+          events: filterAuditEvents(events, {
+            employeeId: employeeId ? Number(employeeId) : null,
+            since: since || null,
+          }),
+        });
+      });
+
+      // GET the change feed: entries after ?since=<cursor>, oldest first, and the cursor to
+      // ask from next. Without since, only the current cursor. Clients poll this in place of
+      // a long-lived connection.
+      this.get('/changes', (schema, request) => {
+        const { since } = request.queryParams;
+        const latest = getLatestSeq(schema);
+        if (since === undefined) {
+          return new Response(200, {}, { changes: [], cursor: String(latest) });
+        }
+
+        const seq = parseCursor(since);
+        if (seq === null || seq > latest) {
+          return errorResponse(422, 'INVALID_CURSOR', `"${since}" is not a cursor from this feed.`);
+        }
+
+        const changes = schema.rosterChanges
+          .where((change) => change.seq > seq)
+          .models.map((model) => {
+            const { id: _id, ...change } = model.attrs;
+            return change;
+          })
+          .sort((a, b) => a.seq - b.seq);
+        return new Response(200, {}, { changes, cursor: String(latest) });
       });
 
       // Simulate network delay for realism
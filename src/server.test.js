@@ -0,0 +1,449 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { makeServer } from './server';
+
+describe('server', () => {
+  let server;
+
+  beforeEach(() => {
+    server = makeServer({ environment: 'test' });
+    server.create('employee', { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null });
+    server.create('employee', { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 });
+    server.create('employee', { id: 3, name: 'Dev Lead', designation: 'Development Lead', team: 'Technology', managerId: 2 });
+  });
+
+  afterEach(() => {
+    server.shutdown();
+  });
+
+  const patchManager = (id, managerId) =>
+    fetch(`/api/employees/${id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ managerId }),
+    });
+
+  describe('GET /api/employees', () => {
+    it('should serialize ids as numbers', async () => {
+      const response = await fetch('/api/employees');
+      const data = await response.json();
+
+      expect(data.employees.map((emp) => emp.id)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('GET /api/employees?asOf', () => {
+    const getAsOf = async (asOf) => (await fetch(`/api/employees?asOf=${asOf}`)).json();
+
+    it('should return the roster as it was before later changes', async () => {
+      await patchManager(3, 1);
+      await fetch('/api/employees', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'QA', designation: 'Tester', team: 'Technology', managerId: 2 }),
+      });
+      await fetch('/api/employees/2?reassignTo=1', { method: 'DELETE' });
+
+      const past = await getAsOf('2000-01-01T00:00:00.000Z');
+      expect(past.employees.map((emp) => [emp.id, emp.managerId])).toEqual([[1, null], [2, 1], [3, 2]]);
+
+      const now = await getAsOf('2999-01-01T00:00:00.000Z');
+      expect(now.employees.map((emp) => [emp.id, emp.managerId])).toEqual([[1, null], [3, 1], [4, 1]]);
+    });
+
+    it('should reject invalid dates with 422', async () => {
+      const response = await fetch('/api/employees?asOf=someday');
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('INVALID_DATE');
+    });
+  });
+
+  describe('GET /api/employees/:id', () => {
+    it('should return one employee', async () => {
+      const response = await fetch('/api/employees/2');
+      const data = await response.json();
+
+      expect(data.employee).toMatchObject({ id: 2, name: 'CTO', managerId: 1 });
+    });
+
+    it('should return 404 for unknown employees', async () => {
+      const response = await fetch('/api/employees/999');
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error.code).toBe('EMPLOYEE_NOT_FOUND');
+    });
+  });
+
+  describe('PATCH /api/employees/:id', () => {
+    it('should update the manager when the change is valid', async () => {
+      const response = await patchManager(3, 1);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.employee).toMatchObject({ id: 3, managerId: 1 });
+    });
+
+    it('should return 404 for unknown employees', async () => {
+      const response = await patchManager(999, 1);
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error.code).toBe('EMPLOYEE_NOT_FOUND');
+    });
+
+    it('should reject self-reference with 422', async () => {
+      const response = await patchManager(2, 2);
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('SELF_REFERENCE');
+    });
+
+    it('should reject unknown managers with 422', async () => {
+      const response = await patchManager(3, 999);
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('MANAGER_NOT_FOUND');
+    });
+
+    it('should reject cycles with 422 and leave the employee unchanged', async () => {
+      const response = await patchManager(1, 3);
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('CIRCULAR_REFERENCE');
+      expect(data.error.message).toEqual(expect.any(String));
+      expect(server.schema.employees.find(1).managerId).toBeNull();
+    });
+  });
+
+  describe('PATCH /api/employees', () => {
+    const patchBatch = (changes) =>
+      fetch('/api/employees', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes }),
+      });
+
+    it('should apply every change and return the updated employees', async () => {
+      // CTO and Dev Lead swap places, which only works as one change
+      const response = await patchBatch([
+        { id: 2, managerId: 3 },
+        { id: 3, managerId: 1, team: 'Engineering' },
+      ]);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.employees.map((emp) => [emp.id, emp.managerId])).toEqual([
+        [2, 3],
+        [3, 1],
+      ]);
+      expect(server.schema.employees.find(3).team).toBe('Engineering');
+    });
+
+    it('should apply nothing when the result is invalid', async () => {
+      const response = await patchBatch([
+        { id: 3, team: 'Engineering' },
+        { id: 1, managerId: 3 },
+      ]);
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('CIRCULAR_REFERENCE');
+      expect(server.schema.employees.find(3).team).toBe('Technology');
+      expect(server.schema.employees.find(1).managerId).toBeNull();
+    });
+
+    it('should point at the change that failed', async () => {
+      const response = await patchBatch([{ id: 2, name: 'CTO' }, { id: 99, name: 'Ghost' }]);
+      const data = await response.json();
+
+      expect(response.status).toBe(404);
+      expect(data.error).toMatchObject({ code: 'EMPLOYEE_NOT_FOUND', changeIndex: 1 });
+    });
+  });
+
+  describe('POST /api/employees', () => {
+    const createEmployee = (attrs) =>
+      fetch('/api/employees', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(attrs),
+      });
+
+    it('should create an employee with a numeric id', async () => {
+      const response = await createEmployee({ name: 'QA Lead', designation: 'QA Lead', team: 'Technology', managerId: 2 });
+      const data = await response.json();
+
+      expect(response.status).toBe(201);
+      expect(data.employee).toMatchObject({ id: 4, name: 'QA Lead', managerId: 2 });
+    });
+
+    it('should reject missing fields with 422', async () => {
+      const response = await createEmployee({ name: 'QA Lead', managerId: 2 });
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('MISSING_FIELD');
+    });
+
+    it('should reject unknown managers with 422', async () => {
+      const response = await createEmployee({ name: 'QA Lead', designation: 'QA Lead', team: 'Technology', managerId: 999 });
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('MANAGER_NOT_FOUND');
+    });
+  });
+
+  describe('DELETE /api/employees/:id', () => {
+    it('should reassign direct reports to the deleted employee\'s manager by default', async () => {
+      const response = await fetch('/api/employees/2', { method: 'DELETE' });
+
+      expect(response.status).toBe(204);
+      expect(server.schema.employees.find(2)).toBeNull();
+      expect(server.schema.employees.find(3).managerId).toBe(1);
+    });
+
+    it('should reassign direct reports to the chosen manager', async () => {
+      server.create('employee', { id: 4, name: 'CFO', designation: 'Chief Financial Officer', team: 'Finance', managerId: 1 });
+
+      const response = await fetch('/api/employees/2?reassignTo=4', { method: 'DELETE' });
+
+      expect(response.status).toBe(204);
+      expect(server.schema.employees.find(3).managerId).toBe(4);
+    });
+
+    it('should reject reassigning reports into the deleted subtree', async () => {
+      const response = await fetch('/api/employees/1?reassignTo=3', { method: 'DELETE' });
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('CIRCULAR_REFERENCE');
+      expect(server.schema.employees.find(1)).not.toBeNull();
+    });
+  });
+
+  describe('POST /api/employees/:id/move', () => {
+    const moveAlone = (id, body) =>
+      fetch(`/api/employees/${id}/move`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+    it('should move the employee and leave reports with the former manager', async () => {
+      const response = await moveAlone(2, { managerId: 3 });
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.changes).toHaveLength(2);
+      expect(server.schema.employees.find(2).managerId).toBe(3);
+      expect(server.schema.employees.find(3).managerId).toBe(1);
+    });
+
+    it('should apply nothing when the result is invalid', async () => {
+      const response = await moveAlone(2, { managerId: 3, reportsManagerId: 2 });
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('CIRCULAR_REFERENCE');
+      expect(server.schema.employees.find(2).managerId).toBe(1);
+      expect(server.schema.employees.find(3).managerId).toBe(2);
+    });
+  });
+
+  describe('POST /api/employees/import', () => {
+    const importRoster = (employees, mode) =>
+      fetch('/api/employees/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ employees, mode }),
+      });
+
+    const newHire = { id: 10, name: 'QA Lead', designation: 'QA Lead', team: 'Technology', managerId: 2 };
+
+    it('should merge new and updated employees', async () => {
+      const response = await importRoster([newHire, { id: 3, name: 'Dev Manager', designation: 'Development Manager', team: 'Technology', managerId: 2 }], 'merge');
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.employees.map((emp) => emp.id)).toEqual([1, 2, 3, 10]);
+      expect(server.schema.employees.find(3).name).toBe('Dev Manager');
+    });
+
+    it('should replace the roster', async () => {
+      const ceo = { id: 20, name: 'New CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null };
+      const response = await importRoster([ceo], 'replace');
+      const data = await response.json();
+
+      expect(data.employees.map((emp) => emp.id)).toEqual([20]);
+    });
+
+    it('should reject the whole import when any row is invalid', async () => {
+      const response = await importRoster([newHire, { ...newHire, id: 11, managerId: 99 }], 'merge');
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('UNKNOWN_MANAGER');
+      expect(data.error.issues).toHaveLength(1);
+      expect(server.schema.employees.find(10)).toBeNull();
+    });
+  });
+
+  describe('POST /api/employees/scenario', () => {
+    const commitScenario = (operations) =>
+      fetch('/api/employees/scenario', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ operations }),
+      });
+
+    const hire = {
+      type: 'add',
+      employee: { id: -1, name: 'QA Lead', designation: 'QA Lead', team: 'Technology', managerId: 2 },
+    };
+
+    it('should apply every operation and give new hires real ids', async () => {
+      const response = await commitScenario([
+        hire,
+        { type: 'move', changes: [{ employeeId: 3, oldManagerId: 2, newManagerId: -1 }] },
+        { type: 'update', employeeId: 3, updates: { team: 'Quality' } },
+      ]);
+      const data = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data.ids).toEqual({ '-1': 4 });
+      expect(data.employees.map((emp) => [emp.id, emp.managerId])).toEqual([
+        [1, null],
+        [2, 1],
+        [3, 4],
+        [4, 2],
+      ]);
+      expect(server.schema.employees.find(3).attrs).toMatchObject({ managerId: 4, team: 'Quality' });
+    });
+
+    it('should remove employees and reassign their reports', async () => {
+      const response = await commitScenario([{ type: 'remove', employeeId: 2, reassignTo: 1 }]);
+
+      expect(response.status).toBe(200);
+      expect(server.schema.employees.find(2)).toBeNull();
+      expect(server.schema.employees.find(3).managerId).toBe(1);
+    });
+
+    it('should apply nothing when any operation fails', async () => {
+      const response = await commitScenario([
+        hire,
+        { type: 'move', changes: [{ employeeId: 1, oldManagerId: null, newManagerId: 3 }] },
+      ]);
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error).toMatchObject({ code: 'CIRCULAR_REFERENCE', operationIndex: 1 });
+      expect(server.schema.employees.all().models).toHaveLength(3);
+      expect(server.schema.employees.find(1).managerId).toBeNull();
+    });
+  });
+
+  describe('GET /api/changes', () => {
+    const getChanges = async (query = '') => (await fetch(`/api/changes${query}`)).json();
+
+    it('should return the current cursor with the roster and on its own', async () => {
+      await patchManager(3, 1);
+
+      expect((await (await fetch('/api/employees')).json()).cursor).toBe('1');
+      expect(await getChanges()).toEqual({ changes: [], cursor: '1' });
+    });
+
+    it('should list changes after a cursor, one per employee, with who made them', async () => {
+      const { cursor } = await getChanges();
+      await fetch('/api/employees/2?reassignTo=1', {
+        method: 'DELETE',
+        headers: { 'X-Actor': 'Dana', 'X-Client-Id': 'tab-1' },
+      });
+      const data = await getChanges(`?since=${cursor}`);
+
+      expect(data.changes.map(({ seq, type, employeeId }) => [seq, type, employeeId])).toEqual([
+        [1, 'update', 3],
+        [2, 'delete', 2],
+      ]);
+      expect(data.changes[0]).toMatchObject({
+        employee: { id: 3, managerId: 1 },
+        actor: 'Dana',
+        clientId: 'tab-1',
+      });
+      expect(data.changes[1].employee).toBeNull();
+      expect(data.cursor).toBe('2');
+      expect((await getChanges('?since=2')).changes).toEqual([]);
+    });
+
+    it('should leave failed requests out of the feed', async () => {
+      await patchManager(1, 3);
+
+      expect((await getChanges('?since=0')).changes).toEqual([]);
+    });
+
+    it('should reject cursors it did not hand out', async () => {
+      const response = await fetch('/api/changes?since=5');
+      const data = await response.json();
+
+      expect(response.status).toBe(422);
+      expect(data.error.code).toBe('INVALID_CURSOR');
+      expect((await fetch('/api/changes?since=later')).status).toBe(422);
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    const getAudit = async (query = '') => (await fetch(`/api/audit${query}`)).json();
+
+    it('should log who changed which field, with old and new values', async () => {
+      await fetch('/api/employees/3', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', 'X-Actor': encodeURIComponent('Zoë') },
+        body: JSON.stringify({ managerId: 1, team: 'Platform' }),
+      });
+      const { events } = await getAudit('?employeeId=3');
+
+      expect(events.map(({ field, oldValue, newValue }) => [field, oldValue, newValue])).toEqual([
+        ['team', 'Technology', 'Platform'],
+        ['managerId', 2, 1],
+      ]);
+      expect(events[0]).toMatchObject({ actor: 'Zoë', action: 'update', employeeName: 'Dev Lead' });
+      expect(events[0].changeId).toBe(events[1].changeId);
+    });
+
+    it('should log creations and deletions, including reassigned reports', async () => {
+      await fetch('/api/employees', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'QA', designation: 'Tester', team: 'Technology', managerId: 2 }),
+      });
+      await fetch('/api/employees/2?reassignTo=1', { method: 'DELETE' });
+      const { events } = await getAudit();
+
+      const summary = new Set(events.map((event) => `${event.action} ${event.employeeName}`));
+      expect([...summary]).toEqual(['update Dev Lead', 'update QA', 'delete CTO', 'create QA']);
+      expect(events.every((event) => event.actor === 'Unknown')).toBe(true);
+    });
+
+    it('should leave failed requests out of the log', async () => {
+      await patchManager(1, 3);
+      const { events } = await getAudit();
+
+      expect(events).toEqual([]);
+    });
+
+    it('should filter by date', async () => {
+      await patchManager(3, 1);
+
+      expect((await getAudit('?since=2000-01-01')).events).toHaveLength(1);
+      expect((await getAudit('?since=2999-01-01')).events).toHaveLength(0);
+
+      const response = await fetch('/api/audit?since=yesterday');
+      expect(response.status).toBe(422);
+    });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Error raised when the API responds with a non-2xx status
+ * Carries the HTTP status and the machine-readable error code from the body
+ */
+export class ApiError extends Error {
+  constructor(message, { status, code } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Builds an ApiError from a failed fetch response
+ * @param {Response} response - Fetch response with a non-2xx status
+ * @returns {Promise<ApiError>} - Error using the { error: { code, message } } body when present
+ */
+export async function createApiError(response) {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    // Error body was not JSON; fall back to the status text below
+  }
+
+  const error = (body && body.error) || {};
+  return new ApiError(
+    error.message || `Request failed with status ${response.status}`,
+    {
+      status: response.status,
+      code: error.code || 'HTTP_ERROR',
+    }
+  );
+}
+
+// Code of the ApiError raised when a request never got an answer, such as when offline
+export const NETWORK_ERROR = 'NETWORK_ERROR';
@@ -0,0 +1,132 @@
+/**
+ * Audit log of roster changes. The server compares the roster before and after each
+ * request, so every route that changes employees is logged the same way: one event per
+ * changed field, shaped { employeeId, employeeName, action, field, oldValue, newValue }
+ * plus the actor, timestamp and changeId (shared by the events of one request).
+ */
+
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+// Fields that are logged, in the order they are listed
+export const AUDITED_FIELDS = ['name', 'designation', 'team', 'managerId'];
+
+// Actor recorded when a request doesn't say who made it
+export const UNKNOWN_ACTOR = 'Unknown';
+
+/**
+ * Lists the audit events for the differences between two rosters
+ * @param {Array} before - Roster before the request
+ * @param {Array} after - Roster after the request
+ * @returns {Array} - [{ employeeId, employeeName, action, field, oldValue, newValue }]; a
+ * created employee gets an event per field with a null oldValue, a deleted one an event per
+ * field with a null newValue
+ */
+export function getAuditEntries(before, after) {
+  const beforeById = new Map(before.map((emp) => [emp.id, emp]));
+  const afterById = new Map(after.map((emp) => [emp.id, emp]));
+  const entries = [];
+
+  const addEntries = (employee, action, old, current) => {
+    AUDITED_FIELDS.forEach((field) => {
+      const oldValue = old ? (old[field] ?? null) : null;
+      const newValue = current ? (current[field] ?? null) : null;
+      if (action === AUDIT_ACTIONS.UPDATE && oldValue === newValue) return;
+      entries.push({
+        employeeId: employee.id,
+        employeeName: employee.name,
+        action,
+        field,
+        oldValue,
+        newValue,
+      });
+    });
+  };
+
+  after.forEach((emp) => {
+    const old = beforeById.get(emp.id);
+    addEntries(emp, old ? AUDIT_ACTIONS.UPDATE : AUDIT_ACTIONS.CREATE, old, emp);
+  });
+  before.forEach((emp) => {
+    if (!afterById.has(emp.id)) addEntries(emp, AUDIT_ACTIONS.DELETE, emp, null);
+  });
+
+  return entries;
+}
+
+/**
+ * Filters audit events as GET /api/audit does
+ * @param {Array} events - Audit events
+ * @param {Object} filters - { employeeId, since } where since is a date or date-time string;
+ * either may be omitted
+ * @returns {Array} - Matching events, newest first
+ */
+export function filterAuditEvents(events, { employeeId = null, since = null } = {}) {
+  const sinceTime = since ? new Date(since).getTime() : null;
+
+  return events
+    .filter((event) => employeeId === null || event.employeeId === employeeId)
+    .filter((event) => sinceTime === null || new Date(event.timestamp).getTime() >= sinceTime)
+    // Newest request first; the events of one request stay in the order they were logged
+    .sort(
+      (a, b) =>
+        b.timestamp.localeCompare(a.timestamp) || b.changeId - a.changeId || a.id - b.id
+    );
+}
+
+/**
+ * Groups events into one timeline entry per employee per request
+ * @param {Array} events - Audit events, newest first
+ * @returns {Array} - [{ key, changeId, actor, timestamp, employeeId, employeeName, action,
+ * changes: [{ field, oldValue, newValue }] }] in the order of the events
+ */
+export function groupAuditEvents(events) {
+  const groups = new Map();
+
+  events.forEach((event) => {
+    const key = `${event.changeId}-${event.employeeId}`;
+    if (!groups.has(key)) {
+      const { changeId, actor, timestamp, employeeId, employeeName, action } = event;
+      groups.set(key, {
+        key,
+        changeId,
+        actor,
+        timestamp,
+        employeeId,
+        employeeName,
+        action,
+        changes: [],
+      });
+    }
+    const { field, oldValue, newValue } = event;
+    groups.get(key).changes.push({ field, oldValue, newValue });
+  });
+
+  // Fields in a fixed order, whatever order the events came in
+  groups.forEach((group) => {
+    group.changes.sort((a, b) => AUDITED_FIELDS.indexOf(a.field) - AUDITED_FIELDS.indexOf(b.field));
+  });
+
+  return [...groups.values()];
+}
+
+/**
+ * Lists everyone the log can be filtered by: the people named in the events, including
+ * those removed since, merged with the current roster
+ * @param {Array} events - Audit events
+ * @param {Array} employees - Current roster
+ * @returns {Array} - [{ id, name, removed }] sorted by name; current names win over logged
+ * ones, and removed is true for people no longer on the roster
+ */
+export function getAuditPeople(events, employees) {
+  const people = new Map();
+  events.forEach((event) => {
+    people.set(event.employeeId, { id: event.employeeId, name: event.employeeName, removed: true });
+  });
+  employees.forEach((emp) => people.set(emp.id, { id: emp.id, name: emp.name, removed: false }));
+
+  return [...people.values()].sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id);
+}
@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAuditEntries,
+  filterAuditEvents,
+  groupAuditEvents,
+  getAuditPeople,
+  AUDIT_ACTIONS,
+} from './auditLog';
+
+describe('auditLog', () => {
+  const before = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'Dev', designation: 'Developer', team: 'Technology', managerId: 2 },
+  ];
+
+  describe('getAuditEntries', () => {
+    it('should log each changed field of an update', () => {
+      const after = [before[0], before[1], { ...before[2], managerId: 1, team: 'Platform' }];
+
+      expect(getAuditEntries(before, after)).toEqual([
+        { employeeId: 3, employeeName: 'Dev', action: AUDIT_ACTIONS.UPDATE, field: 'team', oldValue: 'Technology', newValue: 'Platform' },
+        { employeeId: 3, employeeName: 'Dev', action: AUDIT_ACTIONS.UPDATE, field: 'managerId', oldValue: 2, newValue: 1 },
+      ]);
+    });
+
+    it('should log every field of created and deleted employees', () => {
+      const hire = { id: 4, name: 'QA', designation: 'Tester', team: 'Technology', managerId: 2 };
+      const entries = getAuditEntries(before, [before[0], before[1], hire]);
+
+      expect(entries.filter((entry) => entry.action === AUDIT_ACTIONS.CREATE)).toHaveLength(4);
+      expect(entries.find((entry) => entry.action === AUDIT_ACTIONS.CREATE && entry.field === 'name')).toMatchObject({
+        employeeId: 4,
+        oldValue: null,
+        newValue: 'QA',
+      });
+      expect(entries.find((entry) => entry.action === AUDIT_ACTIONS.DELETE && entry.field === 'managerId')).toMatchObject({
+        employeeId: 3,
+        oldValue: 2,
+        newValue: null,
+      });
+    });
+
+    it('should log nothing when nothing changed', () => {
+      expect(getAuditEntries(before, before.map((emp) => ({ ...emp })))).toEqual([]);
+    });
+  });
+
+  const events = [
+    { id: 1, changeId: 1, actor: 'Ann', timestamp: '2026-01-05T10:00:00.000Z', employeeId: 3, employeeName: 'Dev', action: 'update', field: 'managerId', oldValue: 2, newValue: 1 },
+    { id: 2, changeId: 1, actor: 'Ann', timestamp: '2026-01-05T10:00:00.000Z', employeeId: 3, employeeName: 'Dev', action: 'update', field: 'team', oldValue: 'Technology', newValue: 'Platform' },
+    { id: 3, changeId: 2, actor: 'Bob', timestamp: '2026-02-01T09:00:00.000Z', employeeId: 2, employeeName: 'CTO', action: 'update', field: 'name', oldValue: 'CTO', newValue: 'Chief' },
+  ];
+
+  describe('filterAuditEvents', () => {
+    it('should filter by employee and date, newest first', () => {
+      expect(filterAuditEvents(events).map((event) => event.id)).toEqual([3, 1, 2]);
+      expect(filterAuditEvents(events, { employeeId: 3 }).map((event) => event.id)).toEqual([1, 2]);
+      expect(filterAuditEvents(events, { since: '2026-01-10' }).map((event) => event.id)).toEqual([3]);
+    });
+  });
+
+  describe('groupAuditEvents', () => {
+    it('should group the fields changed for one employee in one request', () => {
+      const groups = groupAuditEvents(filterAuditEvents(events));
+
+      expect(groups.map((group) => [group.actor, group.employeeId, group.changes.map((change) => change.field)])).toEqual([
+        ['Bob', 2, ['name']],
+        ['Ann', 3, ['team', 'managerId']],
+      ]);
+    });
+  });
+
+  describe('getAuditPeople', () => {
+    it('should list people removed since they were logged alongside the current roster', () => {
+      const removed = { ...events[0], id: 4, changeId: 3, employeeId: 5, employeeName: 'Intern', action: 'delete' };
+
+      expect(getAuditPeople([...events, removed], before.slice(0, 2))).toEqual([
+        { id: 1, name: 'CEO', removed: false },
+        { id: 2, name: 'CTO', removed: false },
+        { id: 3, name: 'Dev', removed: true },
+        { id: 5, name: 'Intern', removed: true },
+      ]);
+    });
+
+    it('should name people as the roster does now', () => {
+      const renamed = [{ ...before[1], name: 'Chief' }];
+
+      expect(getAuditPeople(events, renamed).find((person) => person.id === 2)).toEqual({
+        id: 2,
+        name: 'Chief',
+        removed: false,
+      });
+    });
+  });
+});
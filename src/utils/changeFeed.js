@@ -0,0 +1,84 @@
+/**
+ * Feed of roster changes, for clients to follow edits made elsewhere without reloading.
+ *
+ * The server appends one entry per employee a request created, updated or deleted:
+ *   { seq, type, employeeId, employee, actor, clientId, timestamp }
+ * where type is one of AUDIT_ACTIONS, employee is the record after the change (null once
+ * deleted), and clientId is whatever the requesting page sent in X-Client-Id. Cursors are
+ * the seq of the last entry a client has seen, as a string.
+ */
+
+import { AUDIT_ACTIONS, AUDITED_FIELDS } from './auditLog.js';
+
+/**
+ * Lists the feed entries for the differences between two rosters
+ * @param {Array} before - Roster before the request
+ * @param {Array} after - Roster after the request
+ * @returns {Array} - [{ type, employeeId, employee }]
+ */
+export function getFeedEntries(before, after) {
+  const beforeById = new Map(before.map((emp) => [emp.id, emp]));
+  const afterIds = new Set(after.map((emp) => emp.id));
+  const entries = [];
+
+  after.forEach((emp) => {
+    const old = beforeById.get(emp.id);
+    if (!old) {
+      entries.push({ type: AUDIT_ACTIONS.CREATE, employeeId: emp.id, employee: emp });
+    } else if (!isSameRecord(old, emp)) {
+      entries.push({ type: AUDIT_ACTIONS.UPDATE, employeeId: emp.id, employee: emp });
+    }
+  });
+  before.forEach((emp) => {
+    if (!afterIds.has(emp.id)) {
+      entries.push({ type: AUDIT_ACTIONS.DELETE, employeeId: emp.id, employee: null });
+    }
+  });
+
+  return entries;
+}
+
+function isSameRecord(a, b) {
+  return AUDITED_FIELDS.every((field) => (a[field] ?? null) === (b[field] ?? null));
+}
+
+/**
+ * Reads a cursor sent by a client
+ * @param {String} cursor
+ * @returns {Number|null} - The seq it stands for, or null when it isn't one
+ */
+export function parseCursor(cursor) {
+  return /^\d+$/.test(cursor ?? '') ? Number(cursor) : null;
+}
+
+/**
+ * Applies feed entries to a roster. Entries the roster already reflects, such as a change
+ * this client made itself, change nothing.
+ * @param {Array} employees - Roster
+ * @param {Array} changes - Feed entries, oldest first
+ * @returns {Object} - { employees, changedIds } where changedIds lists the people whose
+ * record actually changed (including removed ones)
+ */
+export function applyFeedChanges(employees, changes) {
+  const byId = new Map(employees.map((emp) => [emp.id, emp]));
+  const changedIds = new Set();
+
+  changes.forEach(({ type, employeeId, employee }) => {
+    const current = byId.get(employeeId);
+    if (type === AUDIT_ACTIONS.DELETE) {
+      if (current) {
+        byId.delete(employeeId);
+        changedIds.add(employeeId);
+      }
+      return;
+    }
+    // A create or update is the person's whole record after the change
+    if (!current || !isSameRecord(current, employee)) {
+      byId.set(employeeId, { ...current, ...employee, id: employeeId });
+      changedIds.add(employeeId);
+    }
+  });
+
+  if (changedIds.size === 0) return { employees, changedIds: [] };
+  return { employees: [...byId.values()], changedIds: [...changedIds] };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { getFeedEntries, parseCursor, applyFeedChanges } from './changeFeed';
+
+describe('changeFeed', () => {
+  const roster = [
+    { id: 1, name: 'CEO', designation: 'Chief', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'Dev', designation: 'Engineer', team: 'Technology', managerId: 2 },
+  ];
+
+  describe('getFeedEntries', () => {
+    it('should list creations, updates and deletions', () => {
+      const after = [
+        roster[0],
+        { ...roster[2], managerId: 1 },
+        { id: 4, name: 'QA', designation: 'Tester', team: 'Technology', managerId: 1 },
+      ];
+
+      expect(getFeedEntries(roster, after).map(({ type, employeeId }) => [type, employeeId])).toEqual([
+        ['update', 3],
+        ['create', 4],
+        ['delete', 2],
+      ]);
+    });
+
+    it('should leave out people who did not change', () => {
+      expect(getFeedEntries(roster, roster.map((emp) => ({ ...emp })))).toEqual([]);
+    });
+  });
+
+  it('should only accept whole-number cursors', () => {
+    expect(parseCursor('0')).toBe(0);
+    expect(parseCursor('12')).toBe(12);
+    expect(parseCursor('-1')).toBeNull();
+    expect(parseCursor('abc')).toBeNull();
+    expect(parseCursor(undefined)).toBeNull();
+  });
+
+  describe('applyFeedChanges', () => {
+    it('should apply entries in order', () => {
+      const { employees, changedIds } = applyFeedChanges(roster, [
+        { type: 'update', employeeId: 3, employee: { ...roster[2], managerId: 1 } },
+        { type: 'create', employeeId: 4, employee: { id: 4, name: 'QA', managerId: 3 } },
+        { type: 'delete', employeeId: 2, employee: null },
+      ]);
+
+      expect(employees.map((emp) => [emp.id, emp.managerId])).toEqual([
+        [1, null],
+        [3, 1],
+        [4, 3],
+      ]);
+      expect(changedIds).toEqual([3, 4, 2]);
+    });
+
+    it('should skip entries the roster already reflects', () => {
+      const result = applyFeedChanges(roster, [
+        { type: 'update', employeeId: 3, employee: roster[2] },
+        { type: 'delete', employeeId: 9, employee: null },
+      ]);
+
+      expect(result.employees).toBe(roster);
+      expect(result.changedIds).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+// Padding around the exported chart (px)
+const EXPORT_PADDING = 32;
+
+// Rough character budgets for text inside a default-sized card
+const NAME_MAX_CHARS = 24;
+const DESIGNATION_MAX_CHARS = 30;
+const TEAM_MAX_CHARS = 22;
+
+/**
+ * Escapes text for use inside SVG markup
+ * @param {*} value - Text to escape
+ * @returns {String} - Escaped text
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Shortens text to a character budget with an ellipsis
+ * @param {String} text - Text to shorten
+ * @param {Number} maxChars - Character budget
+ * @returns {String} - Text that fits the budget
+ */
+function truncate(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Wraps text on word boundaries, since SVG text does not wrap by itself
+ * @param {String} text - Text to wrap
+ * @param {Number} maxChars - Characters per line
+ * @param {Number} maxLines - Lines before truncating
+ * @returns {Array} - Lines of text
+ */
+export function wrapText(text, maxChars, maxLines = 2) {
+  const lines = [];
+  let current = '';
+
+  String(text ?? '').split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length <= maxChars || !current) {
+      current = candidate;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  if (current) lines.push(current);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = truncate(`${kept[maxLines - 1]} ${lines[maxLines]}`, maxChars);
+    return kept;
+  }
+  return lines.map((line) => truncate(line, maxChars));
+}
+
+function renderNode(node) {
+  const { employee, x, y, width, height } = node;
+  const designationLines = wrapText(employee.designation, DESIGNATION_MAX_CHARS);
+  const team = truncate(String(employee.team ?? ''), TEAM_MAX_CHARS);
+  // Approximate pill width from the character count; exact text metrics need a canvas
+  const teamWidth = Math.min(width - 32, team.length * 7 + 24);
+
+  return `<g transform="translate(${x}, ${y})">
+  <rect class="card" width="${width}" height="${height}" rx="10" ry="10"/>
+  <rect class="accent" width="${width}" height="4" rx="2" ry="2"/>
+  <text class="name" x="16" y="32">${escapeXml(truncate(String(employee.name ?? ''), NAME_MAX_CHARS))}</text>
+  <line class="divider" x1="16" y1="44" x2="${width - 16}" y2="44"/>
+  ${designationLines
+    .map((line, index) => `<text class="designation" x="16" y="${64 + index * 16}">${escapeXml(line)}</text>`)
+    .join('\n  ')}
+  <rect class="team" x="16" y="${height - 30}" width="${teamWidth}" height="20" rx="10" ry="10"/>
+  <text class="teamLabel" x="${16 + teamWidth / 2}" y="${height - 16}">${escapeXml(team.toUpperCase())}</text>
+</g>`;
+}
+
+/**
+ * Renders a layout from layoutTree as a standalone SVG document
+ * @param {Object} layout - { nodes, edges, width, height }
+ * @param {Object} options - { title: document title }
+ * @returns {Object} - { svg: markup, width, height }
+ */
+export function renderChartSvg(layout, { title = 'Organization Chart' } = {}) {
+  const width = layout.width + EXPORT_PADDING * 2;
+  const height = layout.height + EXPORT_PADDING * 2;
+
+  const edges = layout.edges
+    .map((edge) => `<polyline class="edge" points="${edge.points.map(([px, py]) => `${px},${py}`).join(' ')}"/>`)
+    .join('\n');
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<title>${escapeXml(title)}</title>
+<style>
+  .edge { fill: none; stroke: #667eea; stroke-width: 2; }
+  .card { fill: #ffffff; stroke: #e2e8f0; stroke-width: 2; }
+  .accent { fill: #667eea; }
+  .divider { stroke: #f0f0f0; stroke-width: 1; }
+  .name { font: 700 16px -apple-system, 'Segoe UI', Roboto, sans-serif; fill: #2d3748; }
+  .designation { font: 500 13px -apple-system, 'Segoe UI', Roboto, sans-serif; fill: #4a5568; }
+  .team { fill: #764ba2; }
+  .teamLabel { font: 700 10px -apple-system, 'Segoe UI', Roboto, sans-serif; fill: #ffffff; text-anchor: middle; letter-spacing: 0.5px; }
+</style>
+<rect width="100%" height="100%" fill="#ffffff"/>
+<g transform="translate(${EXPORT_PADDING}, ${EXPORT_PADDING})">
+${edges}
+${layout.nodes.map(renderNode).join('\n')}
+</g>
+</svg>`;
+
+  return { svg, width, height };
+}
+
+/**
+ * Rasterizes SVG markup to a PNG
+ * @param {String} svg - SVG markup
+ * @param {Object} size - { width, height } of the SVG in px
+ * @param {Number} scale - Pixel ratio of the PNG (2 = twice the size)
+ * @returns {Promise<Blob>} - PNG image
+ */
+export function svgToPngBlob(svg, { width, height }, scale = 1) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+
+    // Browsers cap canvas size; very large charts at high scale fail while drawing (no
+    // context, or drawImage throws) or when encoding (no blob)
+    const tooLarge = () => new Error('The chart is too large to export at this scale.');
+
+    image.onload = () => {
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+        if (!context) throw tooLarge();
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+
+        canvas.toBlob((blob) => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(tooLarge());
+          }
+        }, 'image/png');
+      } catch {
+        reject(tooLarge());
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Failed to render the chart image.'));
+    };
+
+    image.src = url;
+  });
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { escapeXml, wrapText, renderChartSvg, svgToPngBlob } from './chartExport';
+import { layoutTree } from './treeLayout';
+import { buildTree } from './treeHelpers';
+
+describe('chartExport', () => {
+  const mockEmployees = [
+    { id: 1, name: 'Mark <Hill>', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'Joe Linux', designation: 'Chief Technology Officer', team: 'R&D', managerId: 1 },
+  ];
+
+  describe('escapeXml', () => {
+    it('should escape markup characters', () => {
+      expect(escapeXml('<a href="x">R&D\'s</a>')).toBe('&lt;a href=&quot;x&quot;&gt;R&amp;D&apos;s&lt;/a&gt;');
+    });
+  });
+
+  describe('wrapText', () => {
+    it('should wrap on word boundaries', () => {
+      expect(wrapText('Chief Business Development Officer', 20)).toEqual([
+        'Chief Business',
+        'Development Officer',
+      ]);
+    });
+
+    it('should truncate text beyond the line limit', () => {
+      const lines = wrapText('one two three four five six', 8, 2);
+      expect(lines).toHaveLength(2);
+      expect(lines[1].endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('renderChartSvg', () => {
+    it('should render every node and connector with escaped text', () => {
+      const layout = layoutTree(buildTree(mockEmployees));
+      const { svg, width, height } = renderChartSvg(layout);
+
+      expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg"');
+      expect(svg).toContain('Mark &lt;Hill&gt;');
+      expect(svg).toContain('R&amp;D');
+      expect(svg.match(/class="card"/g)).toHaveLength(2);
+      expect(svg.match(/class="edge"/g)).toHaveLength(1);
+      expect(width).toBe(layout.width + 64);
+      expect(height).toBe(layout.height + 64);
+    });
+
+    it('should produce well-formed XML', () => {
+      const { svg } = renderChartSvg(layoutTree(buildTree(mockEmployees)));
+      const doc = new DOMParser().parseFromString(svg, 'image/svg+xml');
+      expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+    });
+  });
+
+  describe('svgToPngBlob', () => {
+    // An image that loads as soon as it gets a source
+    class LoadingImage {
+      set src(url) {
+        this.url = url;
+        setTimeout(() => this.onload());
+      }
+    }
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.restoreAllMocks();
+    });
+
+    it('should reject when the canvas cannot be drawn on', async () => {
+      vi.stubGlobal('Image', LoadingImage);
+      vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+      const revoke = vi.spyOn(URL, 'revokeObjectURL');
+
+      await expect(svgToPngBlob('<svg/>', { width: 10, height: 10 }, 2)).rejects.toThrow(
+        'too large'
+      );
+      expect(revoke).toHaveBeenCalled();
+    });
+
+    it('should reject when drawing fails', async () => {
+      vi.stubGlobal('Image', LoadingImage);
+      vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({
+        scale: () => {},
+        drawImage: () => {
+          throw new RangeError('Canvas exceeds max size');
+        },
+      });
+
+      await expect(svgToPngBlob('<svg/>', { width: 10, height: 10 }, 2)).rejects.toThrow(
+        'too large'
+      );
+    });
+  });
+});
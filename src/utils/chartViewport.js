@@ -0,0 +1,75 @@
+/**
+ * Finds the laid-out nodes that intersect a rectangle
+ * @param {Array} nodes - Layout nodes from layoutTree
+ * @param {Object} rect - { left, top, right, bottom } in layout coordinates
+ * @returns {Array} - Nodes at least partly inside rect, in their original order
+ */
+export function getNodesInRect(nodes, rect) {
+  return nodes.filter(
+    (node) =>
+      node.x < rect.right &&
+      node.x + node.width > rect.left &&
+      node.y < rect.bottom &&
+      node.y + node.height > rect.top
+  );
+}
+
+/**
+ * Finds the connectors whose bounding box intersects a rectangle
+ * @param {Array} edges - Edges from layoutTree
+ * @param {Object} rect - { left, top, right, bottom } in layout coordinates
+ * @returns {Array} - Edges that may be visible inside rect
+ */
+export function getEdgesInRect(edges, rect) {
+  return edges.filter((edge) => {
+    const xs = edge.points.map(([x]) => x);
+    const ys = edge.points.map(([, y]) => y);
+    return (
+      Math.min(...xs) <= rect.right &&
+      Math.max(...xs) >= rect.left &&
+      Math.min(...ys) <= rect.bottom &&
+      Math.max(...ys) >= rect.top
+    );
+  });
+}
+
+/**
+ * Distance to pan so that a rectangle sits inside the viewport, keeping a small margin
+ * @param {Object} rect - { left, top, right, bottom } in screen coordinates
+ * @param {Object} bounds - Viewport { left, top, right, bottom } in the same coordinates
+ * @param {Number} margin - Space to keep between rect and the viewport edges
+ * @returns {Object} - { dx, dy }, both 0 when rect is already in view
+ */
+export function getRevealOffset(rect, bounds, margin = 24) {
+  let dx = 0;
+  let dy = 0;
+
+  if (rect.left < bounds.left + margin) dx = bounds.left + margin - rect.left;
+  else if (rect.right > bounds.right - margin) dx = bounds.right - margin - rect.right;
+  if (rect.top < bounds.top + margin) dy = bounds.top + margin - rect.top;
+  else if (rect.bottom > bounds.bottom - margin) dy = bounds.bottom - margin - rect.bottom;
+
+  return { dx, dy };
+}
+
+/**
+ * Pan speed while dragging near the viewport edges; faster the closer the pointer gets
+ * @param {Object} point - Pointer { x, y } in screen coordinates
+ * @param {Object} bounds - Viewport { left, top, right, bottom }
+ * @param {Object} options - { edge: width of the active band, maxSpeed: px per frame }
+ * @returns {Object} - { x, y } offset to add to the pan every frame
+ */
+export function getAutoPanVelocity(point, bounds, { edge = 60, maxSpeed = 16 } = {}) {
+  const speed = (distance) => Math.round(maxSpeed * Math.min(1, 1 - distance / edge));
+
+  let x = 0;
+  let y = 0;
+
+  // Panning by a positive offset moves the content right/down, revealing what is left/above
+  if (point.x < bounds.left + edge) x = speed(Math.max(point.x - bounds.left, 0));
+  else if (point.x > bounds.right - edge) x = -speed(Math.max(bounds.right - point.x, 0));
+  if (point.y < bounds.top + edge) y = speed(Math.max(point.y - bounds.top, 0));
+  else if (point.y > bounds.bottom - edge) y = -speed(Math.max(bounds.bottom - point.y, 0));
+
+  return { x, y };
+}
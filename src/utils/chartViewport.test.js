@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getNodesInRect,
+  getEdgesInRect,
+  getRevealOffset,
+  getAutoPanVelocity,
+} from './chartViewport';
+
+describe('chartViewport', () => {
+  const nodes = [
+    { id: 1, x: 0, y: 0, width: 100, height: 50 },
+    { id: 2, x: 200, y: 0, width: 100, height: 50 },
+    { id: 3, x: 0, y: 200, width: 100, height: 50 },
+  ];
+  const bounds = { left: 0, top: 0, right: 500, bottom: 400 };
+
+  describe('getNodesInRect', () => {
+    it('should keep nodes that overlap the rectangle', () => {
+      const rect = { left: 50, top: 0, right: 210, bottom: 100 };
+      expect(getNodesInRect(nodes, rect).map((node) => node.id)).toEqual([1, 2]);
+    });
+
+    it('should drop nodes that only touch the edge', () => {
+      const rect = { left: 100, top: 0, right: 200, bottom: 100 };
+      expect(getNodesInRect(nodes, rect)).toEqual([]);
+    });
+  });
+
+  describe('getEdgesInRect', () => {
+    it('should use the bounding box of the connector', () => {
+      const edges = [
+        { fromId: 1, toId: 3, points: [[50, 50], [50, 125], [50, 125], [50, 200]] },
+        { fromId: 1, toId: 2, points: [[50, 50], [50, 125], [250, 125], [250, 200]] },
+      ];
+      const rect = { left: 150, top: 100, right: 400, bottom: 150 };
+
+      expect(getEdgesInRect(edges, rect).map((edge) => edge.toId)).toEqual([2]);
+    });
+  });
+
+  describe('getRevealOffset', () => {
+    it('should not pan when the rectangle is in view', () => {
+      expect(getRevealOffset({ left: 100, top: 100, right: 200, bottom: 150 }, bounds)).toEqual({
+        dx: 0,
+        dy: 0,
+      });
+    });
+
+    it('should pan just enough to bring the rectangle inside the margin', () => {
+      expect(getRevealOffset({ left: 600, top: -50, right: 700, bottom: 0 }, bounds, 20)).toEqual({
+        dx: -220,
+        dy: 70,
+      });
+    });
+  });
+
+  describe('getAutoPanVelocity', () => {
+    it('should stay still away from the edges', () => {
+      expect(getAutoPanVelocity({ x: 250, y: 200 }, bounds)).toEqual({ x: 0, y: 0 });
+    });
+
+    it('should pan towards the edge the pointer is near, faster when closer', () => {
+      const near = getAutoPanVelocity({ x: 5, y: 200 }, bounds);
+      const nearer = getAutoPanVelocity({ x: 0, y: 200 }, bounds);
+
+      expect(near.x).toBeGreaterThan(0);
+      expect(nearer.x).toBeGreaterThan(near.x);
+      expect(getAutoPanVelocity({ x: 250, y: 395 }, bounds).y).toBeLessThan(0);
+    });
+
+    it('should keep full speed when the pointer leaves the viewport', () => {
+      expect(getAutoPanVelocity({ x: 700, y: 200 }, bounds, { maxSpeed: 10 })).toEqual({
+        x: -10,
+        y: 0,
+      });
+    });
+  });
+});
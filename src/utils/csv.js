@@ -0,0 +1,70 @@
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, CRLF or LF line endings)
+ * @param {String} text - CSV text
+ * @returns {Array} - Array of rows, each an array of field strings
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Quotes a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value (null and undefined become empty)
+ * @returns {String} - CSV-safe field
+ */
+function formatField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows to CSV text
+ * @param {Array} rows - Array of rows, each an array of values
+ * @returns {String} - CSV text with CRLF line endings
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(',')).join('\r\n');
+}
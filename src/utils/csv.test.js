@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, toCsv } from './csv';
+
+describe('csv', () => {
+  describe('parseCsv', () => {
+    it('should parse simple rows', () => {
+      expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should handle quoted fields with commas, quotes and newlines', () => {
+      const rows = parseCsv('name,title\r\n"Hill, Mark","The ""Boss""\nCEO"\r\n');
+      expect(rows).toEqual([
+        ['name', 'title'],
+        ['Hill, Mark', 'The "Boss"\nCEO'],
+      ]);
+    });
+
+    it('should keep empty fields and skip blank lines', () => {
+      expect(parseCsv('1,,3\n\n4,5,\n')).toEqual([['1', '', '3'], ['4', '5', '']]);
+    });
+
+    it('should strip a byte order mark', () => {
+      expect(parseCsv('﻿id\n1')).toEqual([['id'], ['1']]);
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should quote fields that need it', () => {
+      expect(toCsv([['a', 'b,c'], ['say "hi"', null]])).toBe('a,"b,c"\r\n"say ""hi""",');
+    });
+
+    it('should round-trip through parseCsv', () => {
+      const rows = [['id', 'name'], ['1', 'Hill, "Mark"'], ['2', 'Line\nbreak']];
+      expect(parseCsv(toCsv(rows))).toEqual(rows);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Saves content as a file through a temporary download link
+ * @param {Blob|String} content - File content
+ * @param {String} filename - Suggested file name
+ * @param {String} type - MIME type (used when content is a string)
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
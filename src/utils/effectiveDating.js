@@ -0,0 +1,93 @@
+/**
+ * Effective-dated employee records, for viewing the org as it was at a past moment.
+ *
+ * Each version is an employee's state over a period:
+ *   { employeeId, name, designation, team, managerId, validFrom, validTo }
+ * where validFrom and validTo are ISO timestamps; a null validFrom means "since the
+ * beginning" and a null validTo means the version is current. The server closes and opens
+ * versions as requests change the roster.
+ */
+
+import { REQUIRED_FIELDS } from './employeeValidation.js';
+
+// Fields whose changes start a new version
+export const VERSIONED_FIELDS = [...REQUIRED_FIELDS, 'managerId'];
+
+function pickFields(employee) {
+  return Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, employee[field] ?? null]));
+}
+
+/**
+ * Works out which versions a change to the roster ends and starts
+ * @param {Array} before - Roster before the change
+ * @param {Array} after - Roster after the change
+ * @returns {Object} - { ended, started } where ended lists employees (as they were) whose
+ * current version ends, because they changed or were removed, and started lists new
+ * versions ({ employeeId, ...fields }) for employees that changed or were added
+ */
+export function getVersionChanges(before, after) {
+  const beforeById = new Map(before.map((emp) => [emp.id, emp]));
+  const afterIds = new Set(after.map((emp) => emp.id));
+  const ended = [];
+  const started = [];
+
+  after.forEach((emp) => {
+    const old = beforeById.get(emp.id);
+    const changed =
+      !old || VERSIONED_FIELDS.some((field) => (old[field] ?? null) !== (emp[field] ?? null));
+    if (!changed) return;
+
+    if (old) ended.push(old);
+    started.push({ employeeId: emp.id, ...pickFields(emp) });
+  });
+  before.forEach((emp) => {
+    if (!afterIds.has(emp.id)) ended.push(emp);
+  });
+
+  return { ended, started };
+}
+
+/**
+ * Builds the roster as it was at a moment
+ * @param {Array} versions - Every recorded version
+ * @param {String} asOf - ISO timestamp
+ * @param {Array} currentEmployees - Current roster; employees without any versions have
+ * never changed, so they count as always having been there as they are now
+ * @returns {Array} - Employees ({ id, name, designation, team, managerId }) sorted by id
+ */
+export function getRosterAsOf(versions, asOf, currentEmployees = []) {
+  const time = new Date(asOf).getTime();
+  const versionedIds = new Set(versions.map((version) => version.employeeId));
+
+  const past = versions
+    .filter(
+      (version) =>
+        (version.validFrom === null || new Date(version.validFrom).getTime() <= time) &&
+        (version.validTo === null || new Date(version.validTo).getTime() > time)
+    )
+    .map((version) => ({ id: version.employeeId, ...pickFields(version) }));
+  const unchanged = currentEmployees
+    .filter((emp) => !versionedIds.has(emp.id))
+    .map((emp) => ({ id: emp.id, ...pickFields(emp) }));
+
+  return [...past, ...unchanged].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Formats a date the way date inputs hold it, in local time
+ * @param {Date} date
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+export function toDateInputValue(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The last moment of a day picked in a date input, so "as of" a day includes that day's changes
+ * @param {String} date - 'YYYY-MM-DD', read in local time
+ * @returns {String} - ISO timestamp
+ */
+export function getEndOfDay(date) {
+  return new Date(`${date}T23:59:59.999`).toISOString();
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { getVersionChanges, getRosterAsOf, toDateInputValue, getEndOfDay } from './effectiveDating';
+
+describe('effectiveDating', () => {
+  const roster = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'Dev', designation: 'Developer', team: 'Technology', managerId: 2 },
+  ];
+
+  describe('getVersionChanges', () => {
+    it('should end and restart the versions of changed employees only', () => {
+      const after = [roster[0], roster[1], { ...roster[2], managerId: 1 }];
+
+      expect(getVersionChanges(roster, after)).toEqual({
+        ended: [roster[2]],
+        started: [{ employeeId: 3, name: 'Dev', designation: 'Developer', team: 'Technology', managerId: 1 }],
+      });
+    });
+
+    it('should start versions for hires and end them for removals', () => {
+      const hire = { id: 4, name: 'QA', designation: 'Tester', team: 'Technology', managerId: 2 };
+      const { ended, started } = getVersionChanges(roster, [roster[0], roster[1], hire]);
+
+      expect(ended).toEqual([roster[2]]);
+      expect(started.map((version) => version.employeeId)).toEqual([4]);
+    });
+
+    it('should change nothing when nothing changed', () => {
+      expect(getVersionChanges(roster, roster.map((emp) => ({ ...emp })))).toEqual({ ended: [], started: [] });
+    });
+  });
+
+  describe('getRosterAsOf', () => {
+    const versions = [
+      { employeeId: 3, ...roster[2], validFrom: null, validTo: '2024-03-01T00:00:00.000Z' },
+      { employeeId: 3, ...roster[2], managerId: 1, validFrom: '2024-03-01T00:00:00.000Z', validTo: '2024-06-01T00:00:00.000Z' },
+      { employeeId: 4, name: 'QA', designation: 'Tester', team: 'Technology', managerId: 2, validFrom: '2024-02-01T00:00:00.000Z', validTo: null },
+    ];
+    const current = [roster[0], roster[1], { id: 4, name: 'QA', designation: 'Tester', team: 'Technology', managerId: 2 }];
+
+    it('should pick the version in effect at the given moment', () => {
+      const asOf = getRosterAsOf(versions, '2024-04-01T00:00:00.000Z', current);
+
+      expect(asOf.map((emp) => [emp.id, emp.managerId])).toEqual([[1, null], [2, 1], [3, 1], [4, 2]]);
+    });
+
+    it('should leave out employees not hired yet or already removed', () => {
+      expect(getRosterAsOf(versions, '2024-01-01T00:00:00.000Z', current).map((emp) => emp.id)).toEqual([1, 2, 3]);
+      expect(getRosterAsOf(versions, '2024-07-01T00:00:00.000Z', current).map((emp) => emp.id)).toEqual([1, 2, 4]);
+    });
+
+    it('should treat a version as starting exactly at validFrom', () => {
+      const asOf = getRosterAsOf(versions, '2024-03-01T00:00:00.000Z', current);
+
+      expect(asOf.find((emp) => emp.id === 3).managerId).toBe(1);
+    });
+  });
+
+  describe('date input helpers', () => {
+    it('should format dates as local YYYY-MM-DD', () => {
+      expect(toDateInputValue(new Date(2024, 0, 5, 23, 30))).toBe('2024-01-05');
+    });
+
+    it('should give the last moment of the local day', () => {
+      const end = new Date(getEndOfDay('2024-01-05'));
+
+      expect(toDateInputValue(end)).toBe('2024-01-05');
+      expect(end.getTime() + 1).toBe(new Date(2024, 0, 6).getTime());
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * The roster copy kept in localStorage so the app can render before the API answers.
+ *
+ * The blob is { version, syncedAt, employees, syncedEmployees }: employees is what was on
+ * screen and syncedEmployees the roster as the server last confirmed it. Edits that exist
+ * only locally are the difference between the two, which is what lets a later server
+ * roster be merged in without losing them.
+ */
+
+export const EMPLOYEE_CACHE_KEY = 'orgChartEmployees';
+
+// Bump when the blob's shape changes; blobs of any other version are thrown away
+export const EMPLOYEE_CACHE_VERSION = 2;
+
+/**
+ * Where the shown roster stands against the server
+ */
+export const SYNC_STATUS = {
+  // Matches the server as of the last check
+  IDLE: 'idle',
+  CHECKING: 'checking',
+  // The roster changed while a check was out, so its answer is thrown away and asked again
+  STALE: 'stale',
+  // The last check failed; the saved copy is shown
+  OFFLINE: 'offline',
+};
+
+/**
+ * Reads the cached roster
+ * @param {Storage} storage - Usually localStorage
+ * @returns {Object|null} - { syncedAt, employees, syncedEmployees }, or null when there is no
+ * usable cache (an unreadable or outdated blob is removed)
+ */
+export function readEmployeeCache(storage) {
+  const raw = storage.getItem(EMPLOYEE_CACHE_KEY);
+  if (raw === null) return null;
+
+  try {
+    const cache = JSON.parse(raw);
+    if (
+      cache?.version === EMPLOYEE_CACHE_VERSION &&
+      Array.isArray(cache.employees) &&
+      Array.isArray(cache.syncedEmployees)
+    ) {
+      const { syncedAt = null, employees, syncedEmployees } = cache;
+      return { syncedAt, employees, syncedEmployees };
+    }
+  } catch {
+    // Treated like an outdated blob below
+  }
+
+  storage.removeItem(EMPLOYEE_CACHE_KEY);
+  return null;
+}
+
+/**
+ * Saves the roster for the next visit
+ * @param {Storage} storage - Usually localStorage
+ * @param {Object} cache - { syncedAt, employees, syncedEmployees }
+ */
+export function writeEmployeeCache(storage, { syncedAt, employees, syncedEmployees }) {
+  storage.setItem(
+    EMPLOYEE_CACHE_KEY,
+    JSON.stringify({ version: EMPLOYEE_CACHE_VERSION, syncedAt, employees, syncedEmployees })
+  );
+}
+
+const ROSTER_FIELDS = ['name', 'designation', 'team', 'managerId'];
+
+function sameEmployee(a, b) {
+  if (!a || !b) return a === b;
+  return ROSTER_FIELDS.every((field) => (a[field] ?? null) === (b[field] ?? null));
+}
+
+/**
+ * Merges a fresh server roster into the local one, three ways: people only the server
+ * changed take the server's version, people only changed locally keep the local version,
+ * and people changed on both sides in different ways take the server's version and are
+ * reported as conflicts
+ * @param {Object} rosters - { local, synced, server } where synced is the common base
+ * @returns {Object} - { employees, conflicts: [{ id, local, server }] } where local or
+ * server is null for someone removed on that side
+ */
+export function reconcileRosters({ local, synced, server }) {
+  const localById = new Map(local.map((emp) => [emp.id, emp]));
+  const syncedById = new Map(synced.map((emp) => [emp.id, emp]));
+  const serverById = new Map(server.map((emp) => [emp.id, emp]));
+
+  const ids = new Set([...server, ...local, ...synced].map((emp) => emp.id));
+  const merged = new Map();
+  const conflicts = [];
+
+  ids.forEach((id) => {
+    const mine = localById.get(id) ?? null;
+    const base = syncedById.get(id) ?? null;
+    const theirs = serverById.get(id) ?? null;
+    const localChanged = !sameEmployee(mine, base);
+    const serverChanged = !sameEmployee(theirs, base);
+
+    let kept = theirs;
+    if (localChanged && !serverChanged) {
+      kept = mine;
+    } else if (localChanged && serverChanged && !sameEmployee(mine, theirs)) {
+      conflicts.push({ id, local: mine, server: theirs });
+    }
+    if (kept) merged.set(id, kept);
+  });
+
+  // Server order first, then people only added locally
+  const employees = [
+    ...server.filter((emp) => merged.has(emp.id)).map((emp) => merged.get(emp.id)),
+    ...local.filter((emp) => merged.has(emp.id) && !serverById.has(emp.id)),
+  ];
+
+  return { employees, conflicts };
+}
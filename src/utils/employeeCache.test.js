@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  readEmployeeCache,
+  writeEmployeeCache,
+  reconcileRosters,
+  EMPLOYEE_CACHE_KEY,
+} from './employeeCache';
+
+describe('employeeCache', () => {
+  const roster = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'Dev', designation: 'Developer', team: 'Technology', managerId: 2 },
+  ];
+
+  describe('storage', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should read back what was written', () => {
+      const cache = { syncedAt: '2024-01-01T00:00:00.000Z', employees: roster, syncedEmployees: roster };
+      writeEmployeeCache(localStorage, cache);
+
+      expect(readEmployeeCache(localStorage)).toEqual(cache);
+    });
+
+    it('should discard blobs from older versions', () => {
+      localStorage.setItem(EMPLOYEE_CACHE_KEY, JSON.stringify(roster));
+
+      expect(readEmployeeCache(localStorage)).toBeNull();
+      expect(localStorage.getItem(EMPLOYEE_CACHE_KEY)).toBeNull();
+    });
+
+    it('should discard unreadable blobs', () => {
+      localStorage.setItem(EMPLOYEE_CACHE_KEY, '{');
+
+      expect(readEmployeeCache(localStorage)).toBeNull();
+      expect(localStorage.getItem(EMPLOYEE_CACHE_KEY)).toBeNull();
+    });
+  });
+
+  describe('reconcileRosters', () => {
+    it('should take the server roster when nothing changed locally', () => {
+      const server = [roster[0], { ...roster[2], managerId: 1 }];
+      const result = reconcileRosters({ local: roster, synced: roster, server });
+
+      expect(result.employees).toEqual(server);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should keep local edits the server has not touched', () => {
+      const local = [roster[0], roster[1], { ...roster[2], team: 'Platform' }];
+      const server = [...roster, { id: 4, name: 'QA', designation: 'Tester', team: 'Technology', managerId: 2 }];
+      const result = reconcileRosters({ local, synced: roster, server });
+
+      expect(result.employees).toEqual([roster[0], roster[1], local[2], server[3]]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should keep people only added locally', () => {
+      const hire = { id: -1, name: 'New', designation: 'Developer', team: 'Technology', managerId: 2 };
+      const result = reconcileRosters({ local: [...roster, hire], synced: roster, server: roster });
+
+      expect(result.employees).toEqual([...roster, hire]);
+    });
+
+    it('should let the server win conflicting edits and report them', () => {
+      const local = [roster[0], roster[1], { ...roster[2], managerId: 1 }];
+      const server = [roster[0], { ...roster[1], name: 'Chief' }, { ...roster[2], team: 'Platform' }];
+      const result = reconcileRosters({ local, synced: roster, server });
+
+      expect(result.employees).toEqual(server);
+      expect(result.conflicts).toEqual([{ id: 3, local: local[2], server: server[2] }]);
+    });
+
+    it('should not report a conflict when both sides made the same edit', () => {
+      const edited = [roster[0], roster[1], { ...roster[2], managerId: 1 }];
+      const result = reconcileRosters({ local: edited, synced: roster, server: edited });
+
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should report local edits to people the server removed', () => {
+      const local = [roster[0], roster[1], { ...roster[2], team: 'Platform' }];
+      const result = reconcileRosters({ local, synced: roster, server: [roster[0], roster[1]] });
+
+      expect(result.employees).toEqual([roster[0], roster[1]]);
+      expect(result.conflicts).toEqual([{ id: 3, local: local[2], server: null }]);
+    });
+  });
+});
@@ -0,0 +1,582 @@
+/**
+ * Query language for the employee search box.
+ *
+ *   Dev                      bare terms match name, designation, team or id, fuzzily
+ *                            (see fuzzySearch.js), and rank results by how well they match
+ *   team:Security            field qualifiers: name, title (designation), team, id
+ *   title:"Chief"            quotes keep spaces together
+ *   reportsto:"Joe Linux"    direct reports of a person, by name or id
+ *   under:2                  everyone below a person, at any level
+ *   depth:>2  reports:>=5    levels above someone (0 = top level), number of direct reports
+ *   a OR b, a AND b, NOT a   operators (upper case); juxtaposed terms are ANDed,
+ *   -a, ( ... )              "-" is shorthand for NOT, parentheses group
+ */
+
+import { fuzzyMatch, mergeRanges, splitWords, suggestWords } from './fuzzySearch';
+
+const FIELDS = {
+  name: 'name',
+  title: 'title',
+  designation: 'title',
+  team: 'team',
+  id: 'id',
+  reportsto: 'reportsTo',
+  manager: 'reportsTo',
+  under: 'under',
+  depth: 'depth',
+  reports: 'reports',
+};
+
+// How much a match in each field counts towards an employee's rank
+const FIELD_WEIGHTS = {
+  name: 3,
+  designation: 2,
+  team: 1,
+  id: 1,
+};
+
+const NUMERIC_FIELDS = new Set(['id', 'depth', 'reports']);
+
+const COMPARATORS = {
+  '=': (a, b) => a === b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+};
+
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')' || ch === ':') {
+      tokens.push({ type: ch, position: i });
+      i++;
+    } else if (ch === '"') {
+      let j = i + 1;
+      let value = '';
+      while (j < input.length && input[j] !== '"') {
+        if (input[j] === '\\' && j + 1 < input.length) j++;
+        value += input[j];
+        j++;
+      }
+      if (j >= input.length) {
+        throw new QuerySyntaxError('Missing closing quote.', i);
+      }
+      tokens.push({ type: 'string', value, position: i });
+      i = j + 1;
+    } else {
+      let j = i;
+      while (j < input.length && !/[\s()":]/.test(input[j])) j++;
+      let value = input.slice(i, j);
+      let position = i;
+
+      // A leading "-" negates what follows, as in -team:Sales or -(a OR b)
+      if (value.startsWith('-')) {
+        tokens.push({ type: 'NOT', position });
+        value = value.slice(1);
+        position++;
+      }
+
+      if (value === 'AND' || value === 'OR' || value === 'NOT') {
+        tokens.push({ type: value, position });
+      } else if (value) {
+        tokens.push({ type: 'word', value, position });
+      }
+      i = j;
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens, input) {
+    this.tokens = tokens;
+    this.input = input;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  endPosition() {
+    return this.input.length;
+  }
+
+  // Something a term can start with
+  startsTerm(token) {
+    return token && token.type !== 'OR' && token.type !== 'AND' && token.type !== ')';
+  }
+
+  expectTermAfter(operator) {
+    const token = this.peek();
+    if (!this.startsTerm(token)) {
+      throw new QuerySyntaxError(
+        `Expected a search term after ${operator}.`,
+        token ? token.position : this.endPosition()
+      );
+    }
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peek()?.type === 'OR') {
+      this.next();
+      this.expectTermAfter('OR');
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.peek() && this.peek().type !== 'OR' && this.peek().type !== ')') {
+      if (this.peek().type === 'AND') {
+        this.next();
+        this.expectTermAfter('AND');
+      }
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.peek()?.type === 'NOT') {
+      this.next();
+      this.expectTermAfter('NOT');
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) {
+      throw new QuerySyntaxError('Expected a search term.', this.endPosition());
+    }
+
+    switch (token.type) {
+      case '(': {
+        if (this.peek()?.type === ')') {
+          throw new QuerySyntaxError('Empty parentheses.', token.position);
+        }
+        const expression = this.parseOr();
+        if (this.peek()?.type !== ')') {
+          throw new QuerySyntaxError('Missing closing ")".', token.position);
+        }
+        this.next();
+        return expression;
+      }
+
+      case ')':
+        throw new QuerySyntaxError('Unexpected ")" without a matching "(".', token.position);
+
+      case 'AND':
+      case 'OR':
+        throw new QuerySyntaxError(`Expected a search term before ${token.type}.`, token.position);
+
+      case ':':
+        throw new QuerySyntaxError('Expected a field name before ":".', token.position);
+
+      case 'string':
+        return { type: 'term', text: token.value };
+
+      default:
+        if (this.peek()?.type === ':') {
+          this.next();
+          return this.parseField(token);
+        }
+        // Unquoted terms keep their place in the input so suggestions can replace them
+        return {
+          type: 'term',
+          text: token.value,
+          start: token.position,
+          end: token.position + token.value.length,
+        };
+    }
+  }
+
+  parseField(fieldToken) {
+    const field = FIELDS[fieldToken.value.toLowerCase()];
+    if (!field) {
+      throw new QuerySyntaxError(
+        `Unknown field "${fieldToken.value}". Try name, title, team, id, reportsto, under, depth or reports.`,
+        fieldToken.position
+      );
+    }
+
+    const valueToken = this.next();
+    if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+      throw new QuerySyntaxError(
+        `Expected a value after "${fieldToken.value}:".`,
+        valueToken ? valueToken.position : this.endPosition()
+      );
+    }
+
+    if (!NUMERIC_FIELDS.has(field)) {
+      return { type: 'field', field, value: valueToken.value };
+    }
+
+    const match = /^(>=|<=|>|<|=)?(\d+)$/.exec(valueToken.value);
+    if (!match) {
+      throw new QuerySyntaxError(
+        `"${fieldToken.value}" needs a number, like ${fieldToken.value}:>2.`,
+        valueToken.position
+      );
+    }
+    return { type: 'field', field, comparator: match[1] || '=', value: Number(match[2]) };
+  }
+}
+
+/**
+ * Parses a search query
+ * @param {String} input - Raw text from the search box
+ * @returns {Object} - { input, ast, error } where ast is null for a blank query and
+ * error is { message, position } for a malformed one
+ */
+export function parseQuery(input = '') {
+  try {
+    const parser = new Parser(tokenize(input), input);
+    if (!parser.peek()) {
+      return { input, ast: null, error: null };
+    }
+
+    const ast = parser.parseOr();
+    const extra = parser.peek();
+    if (extra) {
+      // Only a stray ")" can stop the top-level expression early
+      throw new QuerySyntaxError('Unexpected ")" without a matching "(".', extra.position);
+    }
+    return { input, ast, error: null };
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return { input, ast: null, error: { message: error.message, position: error.position } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Precomputes the lookups relationship qualifiers (reportsto, under, depth, reports) need
+ * @param {Array} employees - Array of all employees
+ * @returns {Object} - Index passed to matchesQuery
+ */
+export function createQueryIndex(employees) {
+  const byId = new Map(employees.map((emp) => [emp.id, emp]));
+  const reportsOf = new Map();
+  employees.forEach((emp) => {
+    if (!reportsOf.has(emp.managerId)) reportsOf.set(emp.managerId, []);
+    reportsOf.get(emp.managerId).push(emp.id);
+  });
+
+  const depths = new Map();
+  const getDepth = (id) => {
+    if (depths.has(id)) return depths.get(id);
+
+    // Walk up to the first known depth; the seen set stops at cycles
+    const chain = [];
+    const seen = new Set();
+    let current = byId.get(id);
+    while (current && !depths.has(current.id) && !seen.has(current.id)) {
+      seen.add(current.id);
+      chain.push(current.id);
+      current = byId.get(current.managerId);
+    }
+
+    let depth = current && depths.has(current.id) ? depths.get(current.id) + 1 : 0;
+    for (let i = chain.length - 1; i >= 0; i--) {
+      depths.set(chain[i], depth);
+      depth++;
+    }
+    return depths.get(id);
+  };
+
+  // People named by a qualifier: an id, or a case-insensitive full name
+  const resolvePeople = (value) => {
+    const text = String(value).trim().toLowerCase();
+    if (/^\d+$/.test(text) && byId.has(Number(text))) {
+      return [Number(text)];
+    }
+    return employees.filter((emp) => emp.name.toLowerCase() === text).map((emp) => emp.id);
+  };
+
+  // under: results are cached per AST node, since every employee is tested against them
+  const subtrees = new WeakMap();
+  const getSubtree = (node) => {
+    if (!subtrees.has(node)) {
+      const ids = new Set();
+      const queue = resolvePeople(node.value);
+      const visited = new Set(queue);
+      while (queue.length > 0) {
+        (reportsOf.get(queue.pop()) || []).forEach((id) => {
+          if (visited.has(id)) return;
+          visited.add(id);
+          ids.add(id);
+          queue.push(id);
+        });
+      }
+      subtrees.set(node, ids);
+    }
+    return subtrees.get(node);
+  };
+
+  const managers = new WeakMap();
+  const getManagers = (node) => {
+    if (!managers.has(node)) {
+      managers.set(node, new Set(resolvePeople(node.value)));
+    }
+    return managers.get(node);
+  };
+
+  return {
+    getDepth,
+    getReportCount: (id) => (reportsOf.get(id) || []).length,
+    getSubtree,
+    getManagers,
+  };
+}
+
+// Best weighted match of a term across the searchable fields, or null
+function scoreTerm(employee, text) {
+  let best = null;
+  ['name', 'designation', 'team'].forEach((field) => {
+    const match = fuzzyMatch(employee[field], text);
+    if (match) best = Math.max(best ?? 0, match.score * FIELD_WEIGHTS[field]);
+  });
+
+  // Ids only match literally; a "typo" in a number is a different person
+  const idMatch = fuzzyMatch(employee.id, text, { typos: false });
+  if (idMatch) best = Math.max(best ?? 0, idMatch.score * FIELD_WEIGHTS.id);
+  return best;
+}
+
+function scoreField(employee, field, text) {
+  const match = fuzzyMatch(employee[field], text);
+  return match ? match.score * FIELD_WEIGHTS[field] : null;
+}
+
+/**
+ * Scores one employee against a parsed query. Text terms add up by how well and where
+ * they match; qualifiers such as team: or depth: only include or exclude.
+ * @param {Object} employee - Employee to score
+ * @param {Object} ast - From parseQuery (null matches everyone)
+ * @param {Object} index - From createQueryIndex
+ * @returns {Number|null} - Score, higher is better, or null when the employee doesn't match
+ */
+export function scoreQuery(employee, ast, index) {
+  if (!ast) return 0;
+
+  switch (ast.type) {
+    case 'and': {
+      const left = scoreQuery(employee, ast.left, index);
+      if (left === null) return null;
+      const right = scoreQuery(employee, ast.right, index);
+      return right === null ? null : left + right;
+    }
+    case 'or': {
+      const left = scoreQuery(employee, ast.left, index);
+      const right = scoreQuery(employee, ast.right, index);
+      if (left === null) return right;
+      return right === null ? left : Math.max(left, right);
+    }
+    case 'not':
+      return scoreQuery(employee, ast.operand, index) === null ? 0 : null;
+    case 'term':
+      return scoreTerm(employee, ast.text);
+    default:
+      break;
+  }
+
+  const compare = COMPARATORS[ast.comparator];
+  let matches;
+  switch (ast.field) {
+    case 'name':
+      return scoreField(employee, 'name', ast.value);
+    case 'title':
+      return scoreField(employee, 'designation', ast.value);
+    case 'team':
+      matches = employee.team.toLowerCase() === ast.value.toLowerCase();
+      break;
+    case 'id':
+      matches = compare(employee.id, ast.value);
+      break;
+    case 'reportsTo':
+      matches = index.getManagers(ast).has(employee.managerId);
+      break;
+    case 'under':
+      matches = index.getSubtree(ast).has(employee.id);
+      break;
+    case 'depth':
+      matches = compare(index.getDepth(employee.id), ast.value);
+      break;
+    case 'reports':
+      matches = compare(index.getReportCount(employee.id), ast.value);
+      break;
+    default:
+      matches = false;
+  }
+  return matches ? 0 : null;
+}
+
+/**
+ * Tests one employee against a parsed query
+ * @param {Object} employee - Employee to test
+ * @param {Object} ast - From parseQuery (null matches everyone)
+ * @param {Object} index - From createQueryIndex
+ * @returns {Boolean} - Whether the employee matches
+ */
+export function matchesQuery(employee, ast, index) {
+  return scoreQuery(employee, ast, index) !== null;
+}
+
+/**
+ * Filters employees with a query, best matches first. Employees that score the same
+ * (for example when the query only has qualifiers) keep their original order.
+ * @param {Array} employees - Array of all employees
+ * @param {Object} query - From parseQuery
+ * @returns {Array} - Matching employees
+ */
+export function runQuery(employees, query) {
+  if (!query.ast) return employees;
+  const index = createQueryIndex(employees);
+
+  const scored = [];
+  employees.forEach((emp) => {
+    const score = scoreQuery(emp, query.ast, index);
+    if (score !== null) scored.push({ emp, score });
+  });
+  return scored.sort((a, b) => b.score - a.score).map(({ emp }) => emp);
+}
+
+// Text the query looks for in each field; negated parts are left out, since they never
+// match the employees that are shown
+function collectHighlightTerms(ast, terms = []) {
+  if (!ast) return terms;
+
+  switch (ast.type) {
+    case 'and':
+    case 'or':
+      collectHighlightTerms(ast.left, terms);
+      collectHighlightTerms(ast.right, terms);
+      break;
+    case 'term':
+      terms.push({ text: ast.text, fields: ['name', 'designation', 'team'] });
+      break;
+    case 'field':
+      if (ast.field === 'name') terms.push({ text: ast.value, fields: ['name'] });
+      if (ast.field === 'title') terms.push({ text: ast.value, fields: ['designation'] });
+      if (ast.field === 'team') terms.push({ text: ast.value, fields: ['team'] });
+      break;
+    default:
+      break;
+  }
+  return terms;
+}
+
+/**
+ * Finds the characters to highlight for an employee matched by a query
+ * @param {Object} employee - Employee shown in the results
+ * @param {Object} query - From parseQuery; a malformed query highlights its raw text
+ * @returns {Object|null} - { name, designation, team } arrays of [start, end) ranges,
+ * or null when nothing needs highlighting
+ */
+export function getQueryHighlights(employee, query) {
+  const terms = query.error
+    ? [{ text: query.input, fields: ['name', 'designation', 'team'] }]
+    : collectHighlightTerms(query.ast);
+  if (terms.length === 0) return null;
+
+  const highlights = {};
+  terms.forEach(({ text, fields }) => {
+    fields.forEach((field) => {
+      const match = fuzzyMatch(employee[field], text, { typos: !query.error });
+      if (match) {
+        highlights[field] = mergeRanges([...(highlights[field] || []), ...match.ranges]);
+      }
+    });
+  });
+  return Object.keys(highlights).length > 0 ? highlights : null;
+}
+
+function collectTermNodes(ast, nodes = []) {
+  if (!ast) return nodes;
+  if (ast.type === 'term') nodes.push(ast);
+  if (ast.type === 'not') collectTermNodes(ast.operand, nodes);
+  if (ast.type === 'and' || ast.type === 'or') {
+    collectTermNodes(ast.left, nodes);
+    collectTermNodes(ast.right, nodes);
+  }
+  return nodes;
+}
+
+/**
+ * Suggests corrected queries when unquoted terms don't appear anywhere in the roster,
+ * such as "Lnda" for "Linda"
+ * @param {Array} employees - Array of all employees
+ * @param {Object} query - From parseQuery
+ * @param {Number} limit - Maximum number of suggestions
+ * @returns {Array} - Corrected query strings, most likely first
+ */
+export function getQuerySuggestions(employees, query, limit = 3) {
+  if (!query.ast) return [];
+
+  const fieldText = (emp) => `${emp.name} ${emp.designation} ${emp.team}`;
+  const misspelled = collectTermNodes(query.ast).filter(
+    (node) =>
+      node.start !== undefined &&
+      node.text.length >= 3 &&
+      !employees.some((emp) => fieldText(emp).toLowerCase().includes(node.text.toLowerCase()))
+  );
+  if (misspelled.length === 0) return [];
+
+  // Words as they are written in the roster, counted so common spellings win ties
+  const vocabulary = new Map();
+  employees.forEach((emp) => {
+    const text = fieldText(emp);
+    splitWords(text).forEach(({ word, start }) => {
+      const entry = vocabulary.get(word);
+      if (entry) entry.count++;
+      else vocabulary.set(word, { word: text.slice(start, start + word.length), count: 1 });
+    });
+  });
+
+  const corrections = misspelled
+    .map((node) => ({ node, words: suggestWords(node.text, vocabulary, limit) }))
+    .filter(({ words }) => words.length > 0);
+  if (corrections.length === 0) return [];
+
+  // The n-th suggestion uses each term's n-th closest word, or its best one
+  const count = Math.max(...corrections.map(({ words }) => words.length));
+  const suggestions = new Set();
+  for (let n = 0; n < count; n++) {
+    let text = query.input;
+    [...corrections]
+      .sort((a, b) => b.node.start - a.node.start)
+      .forEach(({ node, words }) => {
+        const word = words[n] ?? words[0];
+        text = text.slice(0, node.start) + word + text.slice(node.end);
+      });
+    suggestions.add(text);
+  }
+  return [...suggestions];
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuery, runQuery, getQueryHighlights, getQuerySuggestions } from './employeeQuery';
+
+describe('employeeQuery', () => {
+  const employees = [
+    { id: 1, name: 'Joe Linux', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'Ada Byte', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'Sam Shield', designation: 'Security Lead', team: 'Security', managerId: 2 },
+    { id: 4, name: 'Kim Crypt', designation: 'Security Engineer', team: 'Security', managerId: 3 },
+    { id: 5, name: 'Lee Ledger', designation: 'Finance Manager', team: 'Finance', managerId: 1 },
+  ];
+
+  const search = (text) => {
+    const query = parseQuery(text);
+    expect(query.error).toBeNull();
+    return runQuery(employees, query).map((emp) => emp.id);
+  };
+
+  describe('parseQuery', () => {
+    it('should treat a blank query as matching everyone', () => {
+      expect(parseQuery('   ')).toEqual({ input: '   ', ast: null, error: null });
+    });
+
+    it('should report malformed queries with a position', () => {
+      expect(parseQuery('(team:Security').error).toEqual({
+        message: 'Missing closing ")".',
+        position: 0,
+      });
+      expect(parseQuery('title:"Chief').error.message).toBe('Missing closing quote.');
+      expect(parseQuery('Dev OR').error.message).toBe('Expected a search term after OR.');
+      expect(parseQuery('a )').error.position).toBe(2);
+    });
+
+    it('should reject unknown fields and non-numeric comparisons', () => {
+      expect(parseQuery('salary:5').error.message).toMatch(/^Unknown field "salary"/);
+      expect(parseQuery('depth:deep').error.message).toBe('"depth" needs a number, like depth:>2.');
+      expect(parseQuery('team:').error.message).toBe('Expected a value after "team:".');
+    });
+  });
+
+  describe('runQuery', () => {
+    it('should match bare terms across fields', () => {
+      expect(search('chief')).toEqual([1, 2]);
+      expect(search('security')).toEqual([3, 4]);
+    });
+
+    it('should support field qualifiers', () => {
+      expect(search('team:Security')).toEqual([3, 4]);
+      expect(search('title:"Chief"')).toEqual([1, 2]);
+      expect(search('name:ledger')).toEqual([5]);
+      expect(search('id:>=4')).toEqual([4, 5]);
+    });
+
+    it('should support relationship qualifiers', () => {
+      expect(search('reportsto:"Joe Linux"')).toEqual([2, 5]);
+      expect(search('reportsto:3')).toEqual([4]);
+      expect(search('under:2')).toEqual([3, 4]);
+      expect(search('depth:>1')).toEqual([3, 4]);
+      expect(search('depth:0')).toEqual([1]);
+      expect(search('reports:>=2')).toEqual([1]);
+    });
+
+    it('should combine terms with AND, OR, NOT and parentheses', () => {
+      expect(search('chief technology')).toEqual([2]);
+      expect(search('team:Finance OR team:Security')).toEqual([3, 4, 5]);
+      expect(search('under:1 AND NOT team:Security')).toEqual([2, 5]);
+      expect(search('-(team:Security OR team:Executive)')).toEqual([2, 5]);
+      expect(search('(team:Finance OR depth:0) chief')).toEqual([1]);
+    });
+
+    it('should bind AND tighter than OR', () => {
+      expect(search('team:Finance OR team:Security reports:0')).toEqual([4, 5]);
+    });
+  });
+
+  describe('fuzzy matching', () => {
+    it('should tolerate typos and rank name matches above other fields', () => {
+      expect(search('Ledgr')).toEqual([5]);
+      expect(search('shld')).toEqual([3]);
+      // Both titles start with it; the shorter one is covered more fully
+      expect(search('security')).toEqual([3, 4]);
+      // A word in a title beats a near miss in a name ("Led" in "Ledger")
+      expect(search('lead')).toEqual([3, 5]);
+    });
+
+    it('should keep short terms exact', () => {
+      expect(search('ceo')).toEqual([]);
+      expect(search('Ada')).toEqual([2]);
+    });
+
+    it('should highlight the matched characters of each field', () => {
+      expect(getQueryHighlights(employees[4], parseQuery('lee finance'))).toEqual({
+        name: [[0, 3]],
+        designation: [[0, 7]],
+        team: [[0, 7]],
+      });
+      expect(getQueryHighlights(employees[2], parseQuery('shld -team:Finance'))).toEqual({
+        name: [[4, 6], [8, 10]],
+      });
+      expect(getQueryHighlights(employees[2], parseQuery('depth:2'))).toBeNull();
+    });
+
+    it('should suggest corrections for terms that appear nowhere', () => {
+      expect(getQuerySuggestions(employees, parseQuery('Ledgr team:Finance'))).toEqual([
+        'Ledger team:Finance',
+      ]);
+      expect(getQuerySuggestions(employees, parseQuery('Ledger'))).toEqual([]);
+      expect(getQuerySuggestions(employees, parseQuery('"Ledgr"'))).toEqual([]);
+    });
+  });
+});
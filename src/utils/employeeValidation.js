@@ -0,0 +1,41 @@
+/**
+ * Text fields every employee must have
+ */
+export const REQUIRED_FIELDS = ['name', 'designation', 'team'];
+
+/**
+ * Machine-readable code for missing or malformed employee fields
+ */
+export const FIELD_ERRORS = {
+  MISSING_FIELD: 'MISSING_FIELD',
+};
+
+/**
+ * Returns the required fields that are missing or blank
+ * @param {Object} attrs - Employee attributes
+ * @param {Object} options - { partial: only check fields present in attrs (for updates) }
+ * @returns {Array} - Names of the missing fields
+ */
+export function getMissingFields(attrs, { partial = false } = {}) {
+  return REQUIRED_FIELDS.filter((field) => {
+    if (partial && !(field in attrs)) return false;
+    const value = attrs[field];
+    return typeof value !== 'string' || value.trim() === '';
+  });
+}
+
+/**
+ * Validates the text fields of an employee
+ * @param {Object} attrs - Employee attributes
+ * @param {Object} options - { partial: only check fields present in attrs (for updates) }
+ * @returns {Object|null} - { code, message } describing the problem, or null if valid
+ */
+export function validateEmployeeFields(attrs, options) {
+  const missing = getMissingFields(attrs, options);
+  if (missing.length === 0) return null;
+
+  return {
+    code: FIELD_ERRORS.MISSING_FIELD,
+    message: `Missing required ${missing.length === 1 ? 'field' : 'fields'}: ${missing.join(', ')}.`,
+  };
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { getMissingFields, validateEmployeeFields, FIELD_ERRORS } from './employeeValidation';
+
+describe('employeeValidation', () => {
+  const validEmployee = { name: 'Ada', designation: 'Engineer', team: 'Technology' };
+
+  describe('getMissingFields', () => {
+    it('should return nothing for a complete employee', () => {
+      expect(getMissingFields(validEmployee)).toEqual([]);
+    });
+
+    it('should treat blank strings as missing', () => {
+      expect(getMissingFields({ ...validEmployee, name: '   ' })).toEqual(['name']);
+    });
+
+    it('should only check present fields in partial mode', () => {
+      expect(getMissingFields({ team: 'Finance' }, { partial: true })).toEqual([]);
+      expect(getMissingFields({ team: '' }, { partial: true })).toEqual(['team']);
+    });
+  });
+
+  describe('validateEmployeeFields', () => {
+    it('should return null when valid', () => {
+      expect(validateEmployeeFields(validEmployee)).toBeNull();
+    });
+
+    it('should list every missing field', () => {
+      const error = validateEmployeeFields({ name: 'Ada' });
+      expect(error.code).toBe(FIELD_ERRORS.MISSING_FIELD);
+      expect(error.message).toContain('designation, team');
+    });
+  });
+});
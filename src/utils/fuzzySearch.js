@@ -0,0 +1,210 @@
+/**
+ * Fuzzy text matching for the employee search. A term matches text, best first, as:
+ *
+ *   a substring        "dev" in "Senior Developer", preferring the start of a word
+ *   a subsequence      "lnda" in "Linda": the letters of one word, in order
+ *   a near miss        "lynda" or "lidna" for "Linda": one typo away from a word
+ *
+ * Near misses need MIN_TYPO_LENGTH characters, so short terms ("CEO", "Dev") stay precise.
+ */
+
+export const MIN_TYPO_LENGTH = 4;
+
+// Base scores per kind of match; the share of the text covered is added on top
+const MATCH_SCORES = {
+  prefix: 1,
+  wordStart: 0.9,
+  substring: 0.75,
+  subsequence: 0.5,
+  typo: 0.4,
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits text into lower-cased words with their offsets
+ * @param {String} text - Text to split
+ * @returns {Array} - [{ word, start }]
+ */
+export function splitWords(text) {
+  return [...String(text).toLowerCase().matchAll(WORD_PATTERN)].map((match) => ({
+    word: match[0],
+    start: match.index,
+  }));
+}
+
+/**
+ * Edit distance where an insertion, deletion, substitution or swap of two neighbouring
+ * characters each count as one edit
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} - Number of edits
+ */
+export function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Positions of the term's letters inside one word, or null; the first letter must start the word
+function findSubsequence(word, term) {
+  if (word[0] !== term[0]) return null;
+
+  const positions = [0];
+  let from = 1;
+  for (let i = 1; i < term.length; i++) {
+    const position = word.indexOf(term[i], from);
+    if (position === -1) return null;
+    positions.push(position);
+    from = position + 1;
+  }
+  return positions;
+}
+
+// Collapses sorted character positions into [start, end) ranges
+function toRanges(positions) {
+  const ranges = [];
+  positions.forEach((position) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1] = position + 1;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Scores how well a search term matches a piece of text
+ * @param {String|Number} text - Text to search, such as a name
+ * @param {String} term - Search term
+ * @param {Object} options - { typos } set typos to false to only accept substrings
+ * @returns {Object|null} - { score, ranges } where ranges are [start, end) offsets of the
+ * matched characters, or null when the term does not match
+ */
+export function fuzzyMatch(text, term, { typos = true } = {}) {
+  const haystack = String(text).toLowerCase();
+  const needle = String(term).trim().toLowerCase();
+  if (!needle || !haystack) return null;
+
+  const coverage = (length) => 0.1 * Math.min(length / haystack.length, 1);
+
+  // Substring: take the first occurrence at a word start, otherwise the first one
+  let substringAt = -1;
+  let kind = null;
+  for (let at = haystack.indexOf(needle); at !== -1; at = haystack.indexOf(needle, at + 1)) {
+    if (at === 0) {
+      substringAt = at;
+      kind = 'prefix';
+      break;
+    }
+    if (!/[\p{L}\p{N}]/u.test(haystack[at - 1])) {
+      substringAt = at;
+      kind = 'wordStart';
+      break;
+    }
+    if (substringAt === -1) {
+      substringAt = at;
+      kind = 'substring';
+    }
+  }
+  if (kind) {
+    return {
+      score: MATCH_SCORES[kind] + coverage(needle.length),
+      ranges: [[substringAt, substringAt + needle.length]],
+    };
+  }
+
+  if (!typos || /\s/.test(needle)) return null;
+
+  const words = splitWords(haystack);
+
+  for (const { word, start } of words) {
+    const positions = needle.length > 1 ? findSubsequence(word, needle) : null;
+    if (positions) {
+      return {
+        score: MATCH_SCORES.subsequence + coverage(word.length) * (needle.length / word.length),
+        ranges: toRanges(positions.map((position) => start + position)),
+      };
+    }
+  }
+
+  if (needle.length < MIN_TYPO_LENGTH) return null;
+
+  // Compare against the whole word and against its prefixes around the term's length,
+  // so "lynd" still finds "Linda"
+  for (const { word, start } of words) {
+    for (let length = needle.length - 1; length <= needle.length + 1; length++) {
+      if (length > word.length) break;
+      if (editDistance(needle, word.slice(0, length)) <= 1) {
+        return {
+          score: MATCH_SCORES.typo + coverage(length),
+          ranges: [[start, start + length]],
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Merges overlapping or touching [start, end) ranges
+ * @param {Array} ranges - Ranges in any order
+ * @returns {Array} - Sorted, non-overlapping ranges
+ */
+export function mergeRanges(ranges) {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Finds the words closest to a misspelled term
+ * @param {String} term - Term that matched nothing exactly
+ * @param {Map} vocabulary - Lower-cased word -> { word, count } with the word as displayed
+ * @param {Number} limit - Maximum number of suggestions
+ * @returns {Array} - Suggested words, closest and most common first
+ */
+export function suggestWords(term, vocabulary, limit = 3) {
+  const needle = term.toLowerCase();
+  const maxDistance = needle.length >= 6 ? 2 : 1;
+
+  const candidates = [];
+  vocabulary.forEach((entry, key) => {
+    if (key === needle || Math.abs(key.length - needle.length) > maxDistance) return;
+    const distance = editDistance(needle, key);
+    if (distance <= maxDistance) {
+      candidates.push({ ...entry, distance });
+    }
+  });
+
+  return candidates
+    .sort((a, b) => a.distance - b.distance || b.count - a.count)
+    .slice(0, limit)
+    .map((candidate) => candidate.word);
+}
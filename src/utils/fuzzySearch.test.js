@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { editDistance, fuzzyMatch, mergeRanges, splitWords, suggestWords } from './fuzzySearch';
+
+describe('fuzzySearch', () => {
+  describe('editDistance', () => {
+    it('should count insertions, deletions, substitutions and swaps as one edit', () => {
+      expect(editDistance('linda', 'linda')).toBe(0);
+      expect(editDistance('lnda', 'linda')).toBe(1);
+      expect(editDistance('lynda', 'linda')).toBe(1);
+      expect(editDistance('lidna', 'linda')).toBe(1);
+      expect(editDistance('', 'abc')).toBe(3);
+    });
+  });
+
+  describe('fuzzyMatch', () => {
+    it('should prefer prefixes, then word starts, then other substrings', () => {
+      const prefix = fuzzyMatch('Developer', 'dev');
+      const wordStart = fuzzyMatch('Senior Developer', 'dev');
+      const inside = fuzzyMatch('Webdev Lead', 'dev');
+
+      expect(prefix.ranges).toEqual([[0, 3]]);
+      expect(wordStart.ranges).toEqual([[7, 10]]);
+      expect(inside.ranges).toEqual([[3, 6]]);
+      expect(prefix.score).toBeGreaterThan(wordStart.score);
+      expect(wordStart.score).toBeGreaterThan(inside.score);
+    });
+
+    it('should match the letters of a word in order', () => {
+      expect(fuzzyMatch('Linda Park', 'Lnda')).toEqual({
+        score: expect.any(Number),
+        ranges: [[0, 1], [2, 5]],
+      });
+      // The first letter has to start the word
+      expect(fuzzyMatch('Chief Executive Officer', 'ceo')).toBeNull();
+    });
+
+    it('should allow one typo in terms of four or more characters', () => {
+      expect(fuzzyMatch('Linda Park', 'Lynda').ranges).toEqual([[0, 5]]);
+      expect(fuzzyMatch('Development Lead', 'Developer')).toBeNull();
+      expect(fuzzyMatch('Ada', 'Adx')).toBeNull();
+      expect(fuzzyMatch('1234', '1243', { typos: false })).toBeNull();
+    });
+
+    it('should rank exact matches above fuzzy ones', () => {
+      const exact = fuzzyMatch('Linda', 'linda').score;
+      const subsequence = fuzzyMatch('Linda', 'lnda').score;
+      const typo = fuzzyMatch('Linda', 'lynda').score;
+
+      expect(exact).toBeGreaterThan(subsequence);
+      expect(subsequence).toBeGreaterThan(typo);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should split text into words with offsets', () => {
+      expect(splitWords('Q&A Lead')).toEqual([
+        { word: 'q', start: 0 },
+        { word: 'a', start: 2 },
+        { word: 'lead', start: 4 },
+      ]);
+    });
+
+    it('should merge overlapping ranges', () => {
+      expect(mergeRanges([[4, 6], [0, 2], [1, 3], [6, 8]])).toEqual([[0, 3], [4, 8]]);
+    });
+
+    it('should suggest the closest, most common words', () => {
+      const vocabulary = new Map([
+        ['linda', { word: 'Linda', count: 1 }],
+        ['landa', { word: 'Landa', count: 3 }],
+        ['lena', { word: 'Lena', count: 2 }],
+      ]);
+      expect(suggestWords('lnda', vocabulary)).toEqual(['Landa', 'Linda']);
+      expect(suggestWords('lenna', vocabulary, 1)).toEqual(['Lena']);
+      expect(suggestWords('xyz', vocabulary)).toEqual([]);
+    });
+  });
+});
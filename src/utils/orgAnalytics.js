@@ -0,0 +1,118 @@
+/**
+ * Org health metrics computed from the flat employee list.
+ *
+ * Structure (spans, depths, chains) is always measured in the whole organization, so a
+ * manager's span counts every report. The population being analysed (for example the
+ * employees matching the current filters) decides who appears in the results and who is
+ * counted in headcounts.
+ */
+
+/**
+ * Computes the metrics shown on the analytics dashboard
+ * @param {Array} employees - Array of all employees
+ * @param {Object} options - { includedIds, spanThreshold, chainLimit } where includedIds is a
+ * Set of employee ids to analyse (null for everyone), spanThreshold flags managers with more
+ * direct reports than that, and chainLimit caps the number of longest chains returned
+ * @returns {Object} - { summary, managers, overThreshold, singleReportManagers, teams,
+ * branches, longestChains }; managers are sorted by direct reports, most first
+ */
+export function computeOrgAnalytics(
+  employees,
+  { includedIds = null, spanThreshold = 8, chainLimit = 5 } = {}
+) {
+  const isIncluded = (id) => !includedIds || includedIds.has(id);
+  const byId = new Map(employees.map((emp) => [emp.id, emp]));
+
+  const reportsOf = new Map();
+  employees.forEach((emp) => {
+    if (!byId.has(emp.managerId)) return;
+    if (!reportsOf.has(emp.managerId)) reportsOf.set(emp.managerId, []);
+    reportsOf.get(emp.managerId).push(emp);
+  });
+
+  // Breadth-first from the top, so managers come before their reports; ids already
+  // visited are skipped, which keeps bad data with cycles from looping
+  const roots = employees.filter((emp) => !byId.has(emp.managerId));
+  const depthOf = new Map(roots.map((emp) => [emp.id, 1]));
+  const order = [...roots];
+  for (let i = 0; i < order.length; i++) {
+    (reportsOf.get(order[i].id) || []).forEach((report) => {
+      if (depthOf.has(report.id)) return;
+      depthOf.set(report.id, depthOf.get(order[i].id) + 1);
+      order.push(report);
+    });
+  }
+
+  // Walking backwards sees every report before their manager
+  const totalOf = new Map();
+  const levelsOf = new Map();
+  const includedInSubtree = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    const { id } = order[i];
+    const reports = (reportsOf.get(id) || []).filter((report) => totalOf.has(report.id));
+    totalOf.set(id, reports.reduce((sum, report) => sum + 1 + totalOf.get(report.id), 0));
+    levelsOf.set(id, reports.reduce((max, report) => Math.max(max, 1 + levelsOf.get(report.id)), 0));
+    includedInSubtree.set(
+      id,
+      reports.reduce((sum, report) => sum + includedInSubtree.get(report.id), isIncluded(id) ? 1 : 0)
+    );
+  }
+
+  const analysed = order.filter((emp) => isIncluded(emp.id));
+
+  const managers = analysed
+    .filter((emp) => reportsOf.has(emp.id))
+    .map((emp) => ({
+      employee: emp,
+      direct: reportsOf.get(emp.id).length,
+      total: totalOf.get(emp.id),
+      levels: levelsOf.get(emp.id),
+    }))
+    .sort((a, b) => b.direct - a.direct || b.total - a.total);
+
+  const teamCounts = new Map();
+  analysed.forEach((emp) => teamCounts.set(emp.team, (teamCounts.get(emp.team) || 0) + 1));
+  const teams = [...teamCounts]
+    .map(([team, headcount]) => ({ team, headcount }))
+    .sort((a, b) => b.headcount - a.headcount || a.team.localeCompare(b.team));
+
+  // Branches are the subtrees under each top-level person, or the top-level people
+  // themselves when they have no reports
+  const branchHeads = roots.flatMap((root) => reportsOf.get(root.id) || [root]);
+  const branches = branchHeads
+    .filter((head) => includedInSubtree.get(head.id) > 0)
+    .map((head) => ({
+      employee: head,
+      depth: levelsOf.get(head.id) + 1,
+      headcount: includedInSubtree.get(head.id),
+    }))
+    .sort((a, b) => b.depth - a.depth || b.headcount - a.headcount);
+
+  // The deepest people, each with the managers above them
+  const longestChains = [...analysed]
+    .sort((a, b) => depthOf.get(b.id) - depthOf.get(a.id))
+    .slice(0, chainLimit)
+    .map((emp) => {
+      const chain = [emp];
+      while (depthOf.get(chain[0].id) > 1) {
+        chain.unshift(byId.get(chain[0].managerId));
+      }
+      return chain;
+    });
+
+  const spans = managers.map((manager) => manager.direct);
+  return {
+    summary: {
+      headcount: analysed.length,
+      managers: managers.length,
+      averageSpan: spans.length ? spans.reduce((sum, span) => sum + span, 0) / spans.length : 0,
+      maxDepth: analysed.reduce((max, emp) => Math.max(max, depthOf.get(emp.id)), 0),
+    },
+    managers,
+    overThreshold: managers.filter((manager) => manager.direct > spanThreshold),
+    singleReportManagers: managers.filter((manager) => manager.direct === 1),
+    teams,
+    branches,
+    longestChains,
+  };
+}
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { computeOrgAnalytics } from './orgAnalytics';
+
+describe('orgAnalytics', () => {
+  const employees = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'CFO', designation: 'Chief Financial Officer', team: 'Finance', managerId: 1 },
+    { id: 4, name: 'Dev Lead', designation: 'Development Lead', team: 'Technology', managerId: 2 },
+    { id: 5, name: 'Dev A', designation: 'Developer', team: 'Technology', managerId: 4 },
+    { id: 6, name: 'Dev B', designation: 'Developer', team: 'Technology', managerId: 4 },
+    { id: 7, name: 'Dev C', designation: 'Developer', team: 'Technology', managerId: 4 },
+    { id: 8, name: 'Accountant', designation: 'Accountant', team: 'Finance', managerId: 3 },
+  ];
+
+  const ids = (items) => items.map((item) => item.employee.id);
+
+  it('should summarize the organization', () => {
+    const { summary } = computeOrgAnalytics(employees);
+    expect(summary).toEqual({ headcount: 8, managers: 4, averageSpan: 7 / 4, maxDepth: 4 });
+  });
+
+  it('should report span of control per manager, widest first', () => {
+    const { managers } = computeOrgAnalytics(employees);
+    expect(managers.map(({ employee, direct, total, levels }) => [employee.id, direct, total, levels])).toEqual([
+      [4, 3, 3, 1],
+      [1, 2, 7, 3],
+      [2, 1, 4, 2],
+      [3, 1, 1, 1],
+    ]);
+  });
+
+  it('should flag managers over the threshold and with a single report', () => {
+    const analytics = computeOrgAnalytics(employees, { spanThreshold: 2 });
+    expect(ids(analytics.overThreshold)).toEqual([4]);
+    expect(ids(analytics.singleReportManagers)).toEqual([2, 3]);
+  });
+
+  it('should count headcount per team and depth per branch', () => {
+    const { teams, branches } = computeOrgAnalytics(employees);
+    expect(teams).toEqual([
+      { team: 'Technology', headcount: 5 },
+      { team: 'Finance', headcount: 2 },
+      { team: 'Executive', headcount: 1 },
+    ]);
+    expect(branches.map(({ employee, depth, headcount }) => [employee.id, depth, headcount])).toEqual([
+      [2, 3, 5],
+      [3, 2, 2],
+    ]);
+  });
+
+  it('should list the longest reporting chains from the top', () => {
+    const { longestChains } = computeOrgAnalytics(employees, { chainLimit: 2 });
+    expect(longestChains.map((chain) => chain.map((emp) => emp.id))).toEqual([
+      [1, 2, 4, 5],
+      [1, 2, 4, 6],
+    ]);
+  });
+
+  it('should only analyse the included employees while measuring the whole org', () => {
+    const analytics = computeOrgAnalytics(employees, { includedIds: new Set([2, 3, 8]) });
+
+    expect(analytics.summary.headcount).toBe(3);
+    // The CTO's span still counts reports outside the selection
+    expect(analytics.managers.map(({ employee, total }) => [employee.id, total])).toEqual([
+      [2, 4],
+      [3, 1],
+    ]);
+    expect(analytics.teams).toEqual([
+      { team: 'Finance', headcount: 2 },
+      { team: 'Technology', headcount: 1 },
+    ]);
+    expect(analytics.branches.map(({ employee, headcount }) => [employee.id, headcount])).toEqual([
+      [2, 1],
+      [3, 2],
+    ]);
+    expect(analytics.longestChains.map((chain) => chain.map((emp) => emp.id))[0]).toEqual([1, 3, 8]);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Compares two versions of the roster, such as the live org and a draft of it, or two
+ * saved snapshots
+ */
+
+// Fields compared besides managerId and team, which get their own lists
+const EDITABLE_FIELDS = ['name', 'designation'];
+
+/**
+ * Lists every difference between two rosters
+ * @param {Array} before - Roster before the changes
+ * @param {Array} after - Roster after the changes
+ * @returns {Object} - {
+ *   added: [employee], removed: [employee],
+ *   moved: [{ employee, from, to }] with the old and new manager (null for the top level),
+ *   teamChanges: [{ employee, from, to }] with team names,
+ *   edited: [{ employee, fields: [{ field, from, to }] }],
+ *   reportChanges: [{ manager, gained: [employee], lost: [employee] }],
+ *   total: number of added, removed, moved, re-teamed and edited people
+ * } where employee objects come from `after`, or from `before` for people no longer there
+ */
+export function diffRosters(before, after) {
+  const beforeById = new Map(before.map((emp) => [emp.id, emp]));
+  const afterById = new Map(after.map((emp) => [emp.id, emp]));
+  const lookup = (id) => afterById.get(id) ?? beforeById.get(id) ?? null;
+
+  const added = after.filter((emp) => !beforeById.has(emp.id));
+  const removed = before.filter((emp) => !afterById.has(emp.id));
+
+  const moved = [];
+  const teamChanges = [];
+  const edited = [];
+  after.forEach((emp) => {
+    const old = beforeById.get(emp.id);
+    if (!old) return;
+
+    if ((old.managerId ?? null) !== (emp.managerId ?? null)) {
+      moved.push({ employee: emp, from: lookup(old.managerId), to: lookup(emp.managerId) });
+    }
+    if (old.team !== emp.team) {
+      teamChanges.push({ employee: emp, from: old.team, to: emp.team });
+    }
+    const fields = EDITABLE_FIELDS.filter((field) => old[field] !== emp[field]).map((field) => ({
+      field,
+      from: old[field],
+      to: emp[field],
+    }));
+    if (fields.length > 0) {
+      edited.push({ employee: emp, fields });
+    }
+  });
+
+  // Who each manager gains or loses, from people moving, joining or leaving
+  const reportsOf = (roster) => {
+    const reports = new Map();
+    roster.forEach((emp) => {
+      if (emp.managerId === null || emp.managerId === undefined) return;
+      if (!reports.has(emp.managerId)) reports.set(emp.managerId, new Set());
+      reports.get(emp.managerId).add(emp.id);
+    });
+    return reports;
+  };
+  const reportsBefore = reportsOf(before);
+  const reportsAfter = reportsOf(after);
+  const managerIds = new Set([...reportsBefore.keys(), ...reportsAfter.keys()]);
+
+  const reportChanges = [];
+  managerIds.forEach((managerId) => {
+    const manager = lookup(managerId);
+    if (!manager) return;
+    const previous = reportsBefore.get(managerId) || new Set();
+    const next = reportsAfter.get(managerId) || new Set();
+    const gained = [...next].filter((id) => !previous.has(id)).map(lookup);
+    const lost = [...previous].filter((id) => !next.has(id)).map(lookup);
+    if (gained.length > 0 || lost.length > 0) {
+      reportChanges.push({ manager, gained, lost });
+    }
+  });
+  reportChanges.sort((a, b) => a.manager.name.localeCompare(b.manager.name));
+
+  const changedIds = new Set(
+    [...added, ...removed]
+      .concat(moved.map((change) => change.employee))
+      .concat(teamChanges.map((change) => change.employee))
+      .concat(edited.map((change) => change.employee))
+      .map((emp) => emp.id)
+  );
+
+  return {
+    added,
+    removed,
+    moved,
+    teamChanges,
+    edited,
+    reportChanges,
+    total: changedIds.size,
+  };
+}
+
+/**
+ * How a person differs between two rosters, as marked in a merged chart
+ */
+export const DIFF_STATUS = {
+  UNCHANGED: 'unchanged',
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MOVED: 'moved',
+  CHANGED: 'changed',
+};
+
+/**
+ * Combines two rosters into one that can be drawn as a single tree: everyone in `after`
+ * where they are now, plus the people removed since `before`, under their old manager
+ * @param {Array} before - Earlier roster
+ * @param {Array} after - Later roster
+ * @param {Object} diff - diffRosters(before, after), when already computed
+ * @returns {Object} - { employees, statuses } where statuses maps each employee ID to
+ * { status, from, to }; from and to are the old and new manager of people who moved
+ */
+export function mergeRosters(before, after, diff = diffRosters(before, after)) {
+  const statuses = new Map(after.map((emp) => [emp.id, { status: DIFF_STATUS.UNCHANGED }]));
+
+  [...diff.teamChanges, ...diff.edited].forEach(({ employee }) => {
+    statuses.set(employee.id, { status: DIFF_STATUS.CHANGED });
+  });
+  // A move is the most visible change, so it wins over edits to the same person
+  diff.moved.forEach(({ employee, from, to }) => {
+    statuses.set(employee.id, { status: DIFF_STATUS.MOVED, from, to });
+  });
+  diff.added.forEach((emp) => statuses.set(emp.id, { status: DIFF_STATUS.ADDED }));
+  diff.removed.forEach((emp) => statuses.set(emp.id, { status: DIFF_STATUS.REMOVED }));
+
+  return { employees: [...after, ...diff.removed], statuses };
+}
+
+/**
+ * Flattens a diff into one row per change, for a summary table
+ * @param {Object} diff - Result of diffRosters
+ * @returns {Array} - [{ key, type, employee, field, from, to }] where type is a DIFF_STATUS
+ * other than UNCHANGED; from and to are managers (employee or null) for moves, field values
+ * for changes, and null for additions and removals
+ */
+export function getDiffRows(diff) {
+  const rows = [];
+
+  diff.moved.forEach(({ employee, from, to }) => {
+    rows.push({ type: DIFF_STATUS.MOVED, employee, field: 'managerId', from, to });
+  });
+  diff.teamChanges.forEach(({ employee, from, to }) => {
+    rows.push({ type: DIFF_STATUS.CHANGED, employee, field: 'team', from, to });
+  });
+  diff.edited.forEach(({ employee, fields }) => {
+    fields.forEach(({ field, from, to }) => {
+      rows.push({ type: DIFF_STATUS.CHANGED, employee, field, from, to });
+    });
+  });
+  diff.added.forEach((employee) => {
+    rows.push({ type: DIFF_STATUS.ADDED, employee, field: null, from: null, to: null });
+  });
+  diff.removed.forEach((employee) => {
+    rows.push({ type: DIFF_STATUS.REMOVED, employee, field: null, from: null, to: null });
+  });
+
+  return rows
+    .sort((a, b) => a.employee.name.localeCompare(b.employee.name))
+    .map((row) => ({ ...row, key: `${row.type}-${row.employee.id}-${row.field}` }));
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { diffRosters, mergeRosters, getDiffRows, DIFF_STATUS } from './orgDiff';
+
+describe('orgDiff', () => {
+  const before = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'CFO', designation: 'Chief Financial Officer', team: 'Finance', managerId: 1 },
+    { id: 4, name: 'Dev', designation: 'Developer', team: 'Technology', managerId: 2 },
+    { id: 5, name: 'Clerk', designation: 'Clerk', team: 'Finance', managerId: 3 },
+  ];
+
+  it('should report no changes for identical rosters', () => {
+    const diff = diffRosters(before, before.map((emp) => ({ ...emp })));
+    expect(diff.total).toBe(0);
+    expect(diff.reportChanges).toEqual([]);
+  });
+
+  it('should list additions, removals, moves, team changes and edits', () => {
+    const after = [
+      before[0],
+      before[1],
+      { ...before[3], managerId: 1, team: 'Platform' },
+      { ...before[4], managerId: 1, designation: 'Senior Clerk' },
+      { id: 6, name: 'Intern', designation: 'Intern', team: 'Technology', managerId: 2 },
+    ];
+    const diff = diffRosters(before, after);
+
+    expect(diff.added.map((emp) => emp.id)).toEqual([6]);
+    expect(diff.removed.map((emp) => emp.id)).toEqual([3]);
+    expect(diff.moved.map(({ employee, from, to }) => [employee.id, from.id, to.id])).toEqual([
+      [4, 2, 1],
+      [5, 3, 1],
+    ]);
+    expect(diff.teamChanges).toEqual([{ employee: after[2], from: 'Technology', to: 'Platform' }]);
+    expect(diff.edited).toEqual([
+      { employee: after[3], fields: [{ field: 'designation', from: 'Clerk', to: 'Senior Clerk' }] },
+    ]);
+    expect(diff.total).toBe(4);
+  });
+
+  it('should list who each manager gains and loses', () => {
+    const after = [
+      before[0],
+      before[1],
+      before[2],
+      { ...before[3], managerId: 3 },
+      before[4],
+    ];
+    const summary = diffRosters(before, after).reportChanges.map(({ manager, gained, lost }) => [
+      manager.name,
+      gained.map((emp) => emp.id),
+      lost.map((emp) => emp.id),
+    ]);
+
+    expect(summary).toEqual([
+      ['CFO', [4], []],
+      ['CTO', [], [4]],
+    ]);
+  });
+
+  describe('mergeRosters', () => {
+    const after = [
+      before[0],
+      before[1],
+      { ...before[3], managerId: 1 },
+      { ...before[4], team: 'Treasury' },
+      { id: 6, name: 'Intern', designation: 'Intern', team: 'Technology', managerId: 2 },
+    ];
+
+    it('should keep removed people under their old manager', () => {
+      const { employees } = mergeRosters(before, after);
+
+      expect(employees.map((emp) => emp.id)).toEqual([1, 2, 4, 5, 6, 3]);
+      expect(employees.find((emp) => emp.id === 3).managerId).toBe(1);
+    });
+
+    it('should mark how each person changed', () => {
+      const { statuses } = mergeRosters(before, after);
+
+      expect(statuses.get(1)).toEqual({ status: DIFF_STATUS.UNCHANGED });
+      expect(statuses.get(3)).toEqual({ status: DIFF_STATUS.REMOVED });
+      expect(statuses.get(4)).toEqual({ status: DIFF_STATUS.MOVED, from: before[1], to: before[0] });
+      expect(statuses.get(5)).toEqual({ status: DIFF_STATUS.CHANGED });
+      expect(statuses.get(6)).toEqual({ status: DIFF_STATUS.ADDED });
+    });
+  });
+
+  describe('getDiffRows', () => {
+    it('should list one row per change, by name', () => {
+      const after = [
+        before[0],
+        before[1],
+        { ...before[3], managerId: 1, designation: 'Senior Developer' },
+        before[4],
+        { id: 6, name: 'Intern', designation: 'Intern', team: 'Technology', managerId: 2 },
+      ];
+      const rows = getDiffRows(diffRosters(before, after));
+
+      expect(rows.map(({ type, employee, field }) => [type, employee.name, field])).toEqual([
+        [DIFF_STATUS.REMOVED, 'CFO', null],
+        [DIFF_STATUS.MOVED, 'Dev', 'managerId'],
+        [DIFF_STATUS.CHANGED, 'Dev', 'designation'],
+        [DIFF_STATUS.ADDED, 'Intern', null],
+      ]);
+      expect(rows[2]).toMatchObject({ from: 'Developer', to: 'Senior Developer' });
+      expect(new Set(rows.map((row) => row.key)).size).toBe(rows.length);
+    });
+  });
+});
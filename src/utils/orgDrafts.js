@@ -0,0 +1,191 @@
+/**
+ * Reorganization drafts: edits recorded as operations and replayed over the live roster
+ * instead of being sent to the API one by one. Replaying (rather than storing a copy of
+ * the roster) keeps a draft on top of whatever has changed in the live org since.
+ *
+ * Operations:
+ *   { type: 'move', changes: [{ employeeId, oldManagerId, newManagerId }] }
+ *   { type: 'add', employee: { id, name, designation, team, managerId } }
+ *   { type: 'update', employeeId, updates }
+ *   { type: 'batch', changes: [{ id, ...attrs }] }
+ *   { type: 'remove', employeeId, reassignTo }
+ *
+ * People added in a draft get negative ids until the draft is committed.
+ */
+
+import {
+  findEmployeeById,
+  removeEmployee,
+  applyManagerChanges,
+  applyEmployeeUpdates,
+  validateManagerChanges,
+  validateEmployeeUpdates,
+  validateEmployeeRemoval,
+  HIERARCHY_ERRORS,
+} from './treeHelpers.js';
+import { validateEmployeeFields } from './employeeValidation.js';
+
+export const DRAFT_OPERATIONS = {
+  MOVE: 'move',
+  ADD: 'add',
+  UPDATE: 'update',
+  REMOVE: 'remove',
+  BATCH: 'batch',
+};
+
+/**
+ * Returns the id for the next person added to a draft
+ * @param {Array} operations - Operations recorded so far
+ * @returns {Number} - Negative id not used by any earlier addition
+ */
+export function getNextDraftEmployeeId(operations) {
+  return operations.reduce(
+    (next, operation) =>
+      operation.type === DRAFT_OPERATIONS.ADD ? Math.min(next, operation.employee.id - 1) : next,
+    -1
+  );
+}
+
+function employeeMissing(employeeId) {
+  return {
+    code: HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+    message: `Employee ${employeeId} does not exist.`,
+  };
+}
+
+/**
+ * Applies one operation, with the same checks the API makes for the equivalent request
+ * @param {Array} employees - Roster to apply the operation to
+ * @param {Object} operation - Draft operation
+ * @returns {Object} - { employees } with the new roster, or { error: { code, message } }
+ */
+export function applyDraftOperation(employees, operation) {
+  switch (operation.type) {
+    case DRAFT_OPERATIONS.MOVE: {
+      const error = validateManagerChanges(employees, operation.changes);
+      return error ? { error } : { employees: applyManagerChanges(employees, operation.changes) };
+    }
+
+    case DRAFT_OPERATIONS.ADD: {
+      const { employee } = operation;
+      const error = validateEmployeeFields(employee);
+      if (error) return { error };
+      if (employee.managerId !== null && !findEmployeeById(employees, employee.managerId)) {
+        return {
+          error: {
+            code: HIERARCHY_ERRORS.MANAGER_NOT_FOUND,
+            message: `Manager ${employee.managerId} does not exist.`,
+          },
+        };
+      }
+      return { employees: [...employees, employee] };
+    }
+
+    case DRAFT_OPERATIONS.UPDATE: {
+      const { employeeId, updates } = operation;
+      if (!findEmployeeById(employees, employeeId)) return { error: employeeMissing(employeeId) };
+      const error = validateEmployeeFields(updates, { partial: true });
+      if (error) return { error };
+      return {
+        employees: employees.map((emp) => (emp.id === employeeId ? { ...emp, ...updates } : emp)),
+      };
+    }
+
+    case DRAFT_OPERATIONS.REMOVE: {
+      const { employeeId, reassignTo } = operation;
+      const error = validateEmployeeRemoval(employees, employeeId, reassignTo);
+      return error ? { error } : { employees: removeEmployee(employees, employeeId, reassignTo) };
+    }
+
+    case DRAFT_OPERATIONS.BATCH: {
+      const error = validateEmployeeUpdates(employees, operation.changes);
+      if (error) {
+        const { code, message } = error;
+        return { error: { code, message } };
+      }
+      return { employees: applyEmployeeUpdates(employees, operation.changes) };
+    }
+
+    default:
+      return {
+        error: { code: 'UNKNOWN_OPERATION', message: `Unknown draft operation "${operation.type}".` },
+      };
+  }
+}
+
+// Rewrites the employee ids an operation refers to
+function mapOperationIds(operation, mapId) {
+  switch (operation.type) {
+    case DRAFT_OPERATIONS.MOVE:
+      return {
+        ...operation,
+        changes: operation.changes.map((change) => ({
+          ...change,
+          employeeId: mapId(change.employeeId),
+          oldManagerId: mapId(change.oldManagerId),
+          newManagerId: mapId(change.newManagerId),
+        })),
+      };
+    case DRAFT_OPERATIONS.ADD:
+      return {
+        ...operation,
+        employee: {
+          ...operation.employee,
+          id: mapId(operation.employee.id),
+          managerId: mapId(operation.employee.managerId),
+        },
+      };
+    case DRAFT_OPERATIONS.UPDATE:
+      return { ...operation, employeeId: mapId(operation.employeeId) };
+    case DRAFT_OPERATIONS.REMOVE:
+      return {
+        ...operation,
+        employeeId: mapId(operation.employeeId),
+        reassignTo: mapId(operation.reassignTo),
+      };
+    case DRAFT_OPERATIONS.BATCH:
+      return {
+        ...operation,
+        changes: operation.changes.map((change) => ({
+          ...change,
+          id: mapId(change.id),
+          ...('managerId' in change ? { managerId: mapId(change.managerId) } : {}),
+        })),
+      };
+    default:
+      return operation;
+  }
+}
+
+/**
+ * Replays a draft over a roster, stopping at the first operation that no longer applies
+ * (for example because the live org changed underneath the draft)
+ * @param {Array} employees - Live roster
+ * @param {Array} operations - Draft operations, oldest first
+ * @param {Object} options - { assignIds } gives people added in the draft permanent ids,
+ * numbered on from the highest id in the roster, as when committing
+ * @returns {Object} - { employees, error, failedIndex, idMap } where employees has every
+ * operation before failedIndex applied, error is null when all of them applied, and idMap
+ * maps draft ids to the assigned ones
+ */
+export function applyDraftOperations(employees, operations, { assignIds = false } = {}) {
+  const idMap = new Map();
+  let nextId = employees.reduce((max, emp) => Math.max(max, emp.id), 0) + 1;
+  const mapId = (id) => (idMap.has(id) ? idMap.get(id) : id);
+
+  let current = employees;
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+    if (assignIds && operation.type === DRAFT_OPERATIONS.ADD) {
+      idMap.set(operation.employee.id, nextId++);
+    }
+
+    const result = applyDraftOperation(current, mapOperationIds(operation, mapId));
+    if (result.error) {
+      return { employees: current, error: result.error, failedIndex: index, idMap };
+    }
+    current = result.employees;
+  }
+
+  return { employees: current, error: null, failedIndex: -1, idMap };
+}
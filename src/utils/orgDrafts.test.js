@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyDraftOperation,
+  applyDraftOperations,
+  getNextDraftEmployeeId,
+  DRAFT_OPERATIONS,
+} from './orgDrafts';
+import { HIERARCHY_ERRORS } from './treeHelpers';
+
+describe('orgDrafts', () => {
+  const employees = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+    { id: 3, name: 'Dev', designation: 'Developer', team: 'Technology', managerId: 2 },
+  ];
+
+  const hire = (id, managerId) => ({
+    type: DRAFT_OPERATIONS.ADD,
+    employee: { id, name: `Hire ${id}`, designation: 'Engineer', team: 'Technology', managerId },
+  });
+
+  it('should number draft hires downwards from -1', () => {
+    expect(getNextDraftEmployeeId([])).toBe(-1);
+    expect(getNextDraftEmployeeId([hire(-1, 2), { type: DRAFT_OPERATIONS.UPDATE }, hire(-2, 2)])).toBe(-3);
+  });
+
+  it('should apply each kind of operation', () => {
+    const moved = applyDraftOperation(employees, {
+      type: DRAFT_OPERATIONS.MOVE,
+      changes: [{ employeeId: 3, oldManagerId: 2, newManagerId: 1 }],
+    });
+    expect(moved.employees.find((emp) => emp.id === 3).managerId).toBe(1);
+
+    const updated = applyDraftOperation(employees, {
+      type: DRAFT_OPERATIONS.UPDATE,
+      employeeId: 3,
+      updates: { team: 'Platform' },
+    });
+    expect(updated.employees.find((emp) => emp.id === 3).team).toBe('Platform');
+
+    const removed = applyDraftOperation(employees, {
+      type: DRAFT_OPERATIONS.REMOVE,
+      employeeId: 2,
+      reassignTo: 1,
+    });
+    expect(removed.employees.map((emp) => [emp.id, emp.managerId])).toEqual([
+      [1, null],
+      [3, 1],
+    ]);
+
+    expect(applyDraftOperation(employees, hire(-1, 3)).employees).toHaveLength(4);
+
+    const batched = applyDraftOperation(employees, {
+      type: DRAFT_OPERATIONS.BATCH,
+      changes: [
+        { id: 2, managerId: 3 },
+        { id: 3, managerId: 1 },
+      ],
+    });
+    expect(batched.employees.map((emp) => emp.managerId)).toEqual([null, 3, 1]);
+  });
+
+  it('should reject operations the API would reject', () => {
+    expect(
+      applyDraftOperation(employees, {
+        type: DRAFT_OPERATIONS.MOVE,
+        changes: [{ employeeId: 1, oldManagerId: null, newManagerId: 3 }],
+      }).error.code
+    ).toBe(HIERARCHY_ERRORS.CIRCULAR_REFERENCE);
+    expect(applyDraftOperation(employees, hire(-1, 99)).error.code).toBe(
+      HIERARCHY_ERRORS.MANAGER_NOT_FOUND
+    );
+    expect(
+      applyDraftOperation(employees, { type: DRAFT_OPERATIONS.UPDATE, employeeId: 3, updates: { name: ' ' } })
+        .error.code
+    ).toBe('MISSING_FIELD');
+  });
+
+  it('should stop replaying at the first operation that no longer applies', () => {
+    const operations = [
+      { type: DRAFT_OPERATIONS.UPDATE, employeeId: 3, updates: { designation: 'Senior Developer' } },
+      { type: DRAFT_OPERATIONS.UPDATE, employeeId: 42, updates: { team: 'Gone' } },
+      { type: DRAFT_OPERATIONS.REMOVE, employeeId: 3, reassignTo: null },
+    ];
+    const result = applyDraftOperations(employees, operations);
+
+    expect(result.failedIndex).toBe(1);
+    expect(result.error.code).toBe(HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND);
+    expect(result.employees.find((emp) => emp.id === 3).designation).toBe('Senior Developer');
+  });
+
+  it('should give draft hires permanent ids when asked', () => {
+    const operations = [
+      hire(-1, 2),
+      hire(-2, -1),
+      { type: DRAFT_OPERATIONS.MOVE, changes: [{ employeeId: 3, oldManagerId: 2, newManagerId: -2 }] },
+    ];
+
+    const draft = applyDraftOperations(employees, operations);
+    expect(draft.employees.find((emp) => emp.id === 3).managerId).toBe(-2);
+
+    const committed = applyDraftOperations(employees, operations, { assignIds: true });
+    expect(committed.error).toBeNull();
+    expect([...committed.idMap]).toEqual([
+      [-1, 4],
+      [-2, 5],
+    ]);
+    expect(committed.employees.map((emp) => [emp.id, emp.managerId])).toEqual([
+      [1, null],
+      [2, 1],
+      [3, 5],
+      [4, 2],
+      [5, 4],
+    ]);
+  });
+});
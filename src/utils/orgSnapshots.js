@@ -0,0 +1,130 @@
+/**
+ * Named copies of the roster kept for later comparison, and the JSON files they are
+ * shared as:
+ *   { format: 'org-chart-snapshot', version: 1, name, createdAt, employees }
+ */
+
+import { buildImportReport, ROSTER_COLUMNS } from './rosterImport';
+
+export const SNAPSHOT_FORMAT = 'org-chart-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Machine-readable codes for snapshot files that can't be imported
+ */
+export const SNAPSHOT_ERRORS = {
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_FORMAT: 'INVALID_FORMAT',
+  INVALID_ROSTER: 'INVALID_ROSTER',
+};
+
+// Only roster fields are kept, so a snapshot can't carry UI state along
+function toRosterEmployee(emp) {
+  return Object.fromEntries(
+    ROSTER_COLUMNS.map((column) => [column, column === 'managerId' ? emp.managerId ?? null : emp[column]])
+  );
+}
+
+/**
+ * Makes a snapshot of a roster
+ * @param {String} name - Snapshot name
+ * @param {Array} employees - Roster to keep
+ * @param {Object} options - { id, createdAt } where createdAt is an ISO timestamp (defaults to now)
+ * @returns {Object} - { id, name, createdAt, employees }
+ */
+export function createSnapshot(name, employees, { id, createdAt = new Date().toISOString() }) {
+  return { id, name, createdAt, employees: employees.map(toRosterEmployee) };
+}
+
+/**
+ * Serializes a snapshot for export
+ * @param {Object} snapshot - Snapshot from createSnapshot
+ * @returns {String} - JSON text
+ */
+export function serializeSnapshot({ name, createdAt, employees }) {
+  return JSON.stringify(
+    { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, name, createdAt, employees },
+    null,
+    2
+  );
+}
+
+/**
+ * Suggests a file name for an exported snapshot
+ * @param {Object} snapshot - Snapshot
+ * @returns {String} - e.g. 'org-snapshot-q3-2024.json'
+ */
+export function getSnapshotFilename({ name }) {
+  const slug = name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `org-snapshot${slug ? `-${slug}` : ''}.json`;
+}
+
+// Whole numbers stay as they are; anything else but a missing manager is NaN, so the
+// import report flags it
+function readId(value) {
+  if (value === null || value === undefined) return null;
+  return Number.isInteger(value) ? value : NaN;
+}
+
+/**
+ * Reads a snapshot file, checking the roster the way a CSV import is checked
+ * @param {String} text - File contents
+ * @returns {Object} - { snapshot: { name, createdAt, employees } } or { error: { code, message } }
+ */
+export function parseSnapshotFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: { code: SNAPSHOT_ERRORS.INVALID_JSON, message: 'The file is not valid JSON.' } };
+  }
+
+  if (data?.format !== SNAPSHOT_FORMAT || !Array.isArray(data.employees)) {
+    return {
+      error: { code: SNAPSHOT_ERRORS.INVALID_FORMAT, message: 'The file is not an org chart snapshot.' },
+    };
+  }
+  if (data.version > SNAPSHOT_VERSION) {
+    return {
+      error: {
+        code: SNAPSHOT_ERRORS.INVALID_FORMAT,
+        message: `The snapshot was saved by a newer version of the app (format ${data.version}).`,
+      },
+    };
+  }
+
+  const records = data.employees.map((emp, index) => ({
+    row: index + 1,
+    id: readId(emp?.id),
+    name: typeof emp?.name === 'string' ? emp.name.trim() : '',
+    designation: typeof emp?.designation === 'string' ? emp.designation.trim() : '',
+    team: typeof emp?.team === 'string' ? emp.team.trim() : '',
+    managerId: readId(emp?.managerId),
+  }));
+  const report = buildImportReport(records, [], 'replace');
+  if (!report.valid) {
+    const [issue] = report.issues;
+    return {
+      error: {
+        code: SNAPSHOT_ERRORS.INVALID_ROSTER,
+        message: issue ? issue.message.replace(/^Row /, 'Employee ') : 'The snapshot has no employees.',
+      },
+    };
+  }
+
+  const createdAt =
+    typeof data.createdAt === 'string' && !Number.isNaN(new Date(data.createdAt).getTime())
+      ? data.createdAt
+      : new Date().toISOString();
+
+  return {
+    snapshot: {
+      name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported snapshot',
+      createdAt,
+      employees: report.employees,
+    },
+  };
+}
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSnapshot,
+  serializeSnapshot,
+  parseSnapshotFile,
+  getSnapshotFilename,
+  SNAPSHOT_ERRORS,
+} from './orgSnapshots';
+
+describe('orgSnapshots', () => {
+  const employees = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+  ];
+  const snapshot = createSnapshot('Q3 2024', employees, { id: 1, createdAt: '2024-09-30T12:00:00.000Z' });
+
+  it('should keep only roster fields', () => {
+    const withExtras = createSnapshot('Now', [{ ...employees[0], selected: true }], { id: 2 });
+
+    expect(withExtras.employees).toEqual([employees[0]]);
+    expect(withExtras.createdAt).toEqual(expect.any(String));
+  });
+
+  it('should read back an exported snapshot', () => {
+    const { snapshot: imported } = parseSnapshotFile(serializeSnapshot(snapshot));
+
+    expect(imported).toEqual({ name: 'Q3 2024', createdAt: '2024-09-30T12:00:00.000Z', employees });
+  });
+
+  it('should reject files that are not snapshots', () => {
+    expect(parseSnapshotFile('{').error.code).toBe(SNAPSHOT_ERRORS.INVALID_JSON);
+    expect(parseSnapshotFile('{"employees": []}').error.code).toBe(SNAPSHOT_ERRORS.INVALID_FORMAT);
+    expect(
+      parseSnapshotFile(JSON.stringify({ format: 'org-chart-snapshot', version: 99, employees: [] })).error.code
+    ).toBe(SNAPSHOT_ERRORS.INVALID_FORMAT);
+  });
+
+  it('should reject snapshots whose roster is broken', () => {
+    const broken = JSON.parse(serializeSnapshot(snapshot));
+    broken.employees[1].managerId = 7;
+    const { error } = parseSnapshotFile(JSON.stringify(broken));
+
+    expect(error.code).toBe(SNAPSHOT_ERRORS.INVALID_ROSTER);
+    expect(error.message).toBe('Employee 2: manager 7 does not exist.');
+
+    const empty = parseSnapshotFile(JSON.stringify({ ...broken, employees: [] }));
+    expect(empty.error.code).toBe(SNAPSHOT_ERRORS.INVALID_ROSTER);
+  });
+
+  it('should name exported files after the snapshot', () => {
+    expect(getSnapshotFilename(snapshot)).toBe('org-snapshot-q3-2024.json');
+    expect(getSnapshotFilename({ name: '!!' })).toBe('org-snapshot.json');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Manager changes shown in the chart before the server has confirmed them.
+ *
+ * Each move is { id, employeeId, managerId, oldManagerId, status }. A move is SENDING while
+ * its request is out and QUEUED when the request never reached the server; queued moves are
+ * kept in localStorage and sent again once the browser is back online.
+ */
+
+export const PENDING_MOVES_KEY = 'orgChartPendingMoves';
+
+export const MOVE_STATUS = {
+  SENDING: 'sending',
+  QUEUED: 'queued',
+};
+
+/**
+ * Reads the moves left over from an earlier visit
+ * @param {Storage} storage - Usually localStorage
+ * @returns {Array} - Moves, all QUEUED: a request that was out when the page closed is
+ * sent again
+ */
+export function readPendingMoves(storage) {
+  try {
+    const saved = JSON.parse(storage.getItem(PENDING_MOVES_KEY));
+    if (!Array.isArray(saved)) return [];
+    return saved.map((move) => ({ ...move, status: MOVE_STATUS.QUEUED }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves the moves still waiting for the server
+ * @param {Storage} storage - Usually localStorage
+ * @param {Array} moves - Pending moves
+ */
+export function writePendingMoves(storage, moves) {
+  if (moves.length === 0) {
+    storage.removeItem(PENDING_MOVES_KEY);
+  } else {
+    storage.setItem(PENDING_MOVES_KEY, JSON.stringify(moves));
+  }
+}
+
+/**
+ * Works out who someone should be shown reporting to once one of their moves is settled:
+ * the latest move still pending for them, or else the given manager
+ * @param {Array} moves - Pending moves, oldest first, without the settled one
+ * @param {Number} employeeId - Employee whose move was settled
+ * @param {Number|null} fallbackManagerId - Manager when nothing is pending, such as the
+ * server's value after a rejection
+ * @returns {Number|null} - Manager ID to show
+ */
+export function getShownManagerId(moves, employeeId, fallbackManagerId) {
+  const latest = moves.filter((move) => move.employeeId === employeeId).at(-1);
+  return latest ? latest.managerId : fallbackManagerId;
+}
+
+/**
+ * Shows pending moves over a roster, such as one just updated with changes from elsewhere
+ * @param {Array} employees - Roster
+ * @param {Array} moves - Pending moves, oldest first
+ * @returns {Array} - Roster with everyone who has pending moves under their latest one
+ */
+export function applyPendingMoves(employees, moves) {
+  if (moves.length === 0) return employees;
+  const shown = new Map(moves.map((move) => [move.employeeId, move.managerId]));
+  return employees.map((emp) =>
+    shown.has(emp.id) ? { ...emp, managerId: shown.get(emp.id) } : emp
+  );
+}
+
+/**
+ * Lists the employees with moves waiting for the server
+ * @param {Array} moves - Pending moves
+ * @returns {Map} - Employee ID -> status of their latest move
+ */
+export function getPendingStatuses(moves) {
+  return new Map(moves.map((move) => [move.employeeId, move.status]));
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  readPendingMoves,
+  writePendingMoves,
+  getShownManagerId,
+  getPendingStatuses,
+  applyPendingMoves,
+  MOVE_STATUS,
+  PENDING_MOVES_KEY,
+} from './pendingMoves';
+
+describe('pendingMoves', () => {
+  const moves = [
+    { id: 'a', employeeId: 3, managerId: 1, oldManagerId: 2, status: MOVE_STATUS.QUEUED },
+    { id: 'b', employeeId: 4, managerId: 3, oldManagerId: 2, status: MOVE_STATUS.SENDING },
+    { id: 'c', employeeId: 3, managerId: 4, oldManagerId: 1, status: MOVE_STATUS.SENDING },
+  ];
+
+  describe('storage', () => {
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    it('should read saved moves back as queued', () => {
+      writePendingMoves(localStorage, moves);
+
+      expect(readPendingMoves(localStorage).map((move) => move.status)).toEqual([
+        MOVE_STATUS.QUEUED,
+        MOVE_STATUS.QUEUED,
+        MOVE_STATUS.QUEUED,
+      ]);
+    });
+
+    it('should clear the key when nothing is pending', () => {
+      writePendingMoves(localStorage, moves);
+      writePendingMoves(localStorage, []);
+
+      expect(localStorage.getItem(PENDING_MOVES_KEY)).toBeNull();
+      expect(readPendingMoves(localStorage)).toEqual([]);
+    });
+
+    it('should ignore unreadable data', () => {
+      localStorage.setItem(PENDING_MOVES_KEY, '{');
+
+      expect(readPendingMoves(localStorage)).toEqual([]);
+    });
+  });
+
+  it('should show the latest pending manager, or the fallback', () => {
+    expect(getShownManagerId(moves, 3, 2)).toBe(4);
+    expect(getShownManagerId(moves.slice(1, 2), 3, 2)).toBe(2);
+  });
+
+  it('should show pending moves over a roster', () => {
+    const employees = [
+      { id: 2, managerId: null },
+      { id: 3, managerId: 2 },
+      { id: 4, managerId: 2 },
+    ];
+
+    expect(applyPendingMoves(employees, moves).map((emp) => emp.managerId)).toEqual([null, 4, 3]);
+    expect(applyPendingMoves(employees, [])).toBe(employees);
+  });
+
+  it('should report the status of each employee\'s latest move', () => {
+    const statuses = getPendingStatuses(moves);
+
+    expect(statuses.get(3)).toBe(MOVE_STATUS.SENDING);
+    expect(statuses.get(4)).toBe(MOVE_STATUS.SENDING);
+    expect(statuses.has(1)).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Undo/redo history for manager reassignments.
+ *
+ * History is { past, future }, each a stack of entries (last = most recent) of the form
+ * { changes: [{ employeeId, oldManagerId, newManagerId }] }, undone and redone as a unit.
+ * Undoing or redoing sends the entry's manager updates first; the history only moves once
+ * the server has accepted them, so a failed request leaves the entry where it was.
+ */
+
+// Maximum number of entries kept in the undo history
+export const HISTORY_LIMIT = 50;
+
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+/**
+ * Adds a reassignment to the history. A new change invalidates anything that could have
+ * been redone, and the oldest entries are dropped past HISTORY_LIMIT.
+ * @param {Object} history - { past, future }
+ * @param {Object} entry - { changes }
+ * @returns {Object} - The new history
+ */
+export function recordEntry(history, entry) {
+  return {
+    past: [...history.past, entry].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+}
+
+/**
+ * The entry undo would revert
+ * @param {Object} history - { past, future }
+ * @returns {Object|null} - The entry, or null when there is nothing to undo
+ */
+export function getUndoEntry(history) {
+  return history.past[history.past.length - 1] ?? null;
+}
+
+/**
+ * The entry redo would apply again
+ * @param {Object} history - { past, future }
+ * @returns {Object|null} - The entry, or null when there is nothing to redo
+ */
+export function getRedoEntry(history) {
+  return history.future[history.future.length - 1] ?? null;
+}
+
+/**
+ * Manager updates that revert an entry, as a batch for updateEmployees
+ * @param {Object} entry - { changes }
+ * @returns {Array} - [{ id, managerId }]
+ */
+export function getUndoUpdates(entry) {
+  return entry.changes.map((change) => ({ id: change.employeeId, managerId: change.oldManagerId }));
+}
+
+/**
+ * Manager updates that apply an entry again, as a batch for updateEmployees
+ * @param {Object} entry - { changes }
+ * @returns {Array} - [{ id, managerId }]
+ */
+export function getRedoUpdates(entry) {
+  return entry.changes.map((change) => ({ id: change.employeeId, managerId: change.newManagerId }));
+}
+
+/**
+ * Moves the latest entry from past to future, once its undo updates have been saved
+ * @param {Object} history - { past, future }
+ * @returns {Object} - The new history, or the same one when there is nothing to undo
+ */
+export function undoEntry(history) {
+  const entry = getUndoEntry(history);
+  if (!entry) return history;
+  return {
+    past: history.past.slice(0, -1),
+    future: [...history.future, entry],
+  };
+}
+
+/**
+ * Moves the latest undone entry back to past, once its redo updates have been saved
+ * @param {Object} history - { past, future }
+ * @returns {Object} - The new history, or the same one when there is nothing to redo
+ */
+export function redoEntry(history) {
+  const entry = getRedoEntry(history);
+  if (!entry) return history;
+  return {
+    past: [...history.past, entry],
+    future: history.future.slice(0, -1),
+  };
+}
+
+/**
+ * Drops the entries that mention someone, who was removed, as they can no longer be replayed
+ * @param {Object} history - { past, future }
+ * @param {Number} employeeId - The removed employee
+ * @returns {Object} - The new history
+ */
+export function dropEntriesMentioning(history, employeeId) {
+  const mentions = (entry) =>
+    entry.changes.some(
+      (change) =>
+        change.employeeId === employeeId ||
+        change.oldManagerId === employeeId ||
+        change.newManagerId === employeeId
+    );
+  return {
+    past: history.past.filter((entry) => !mentions(entry)),
+    future: history.future.filter((entry) => !mentions(entry)),
+  };
+}
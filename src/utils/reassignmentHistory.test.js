@@ -0,0 +1,100 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  HISTORY_LIMIT,
+  EMPTY_HISTORY,
+  recordEntry,
+  getUndoEntry,
+  getRedoEntry,
+  getUndoUpdates,
+  getRedoUpdates,
+  undoEntry,
+  redoEntry,
+  dropEntriesMentioning,
+} from './reassignmentHistory';
+
+describe('reassignmentHistory', () => {
+  const move = (employeeId, oldManagerId, newManagerId) => ({
+    changes: [{ employeeId, oldManagerId, newManagerId }],
+  });
+  const first = move(3, 2, 1);
+  const second = {
+    changes: [
+      { employeeId: 4, oldManagerId: 2, newManagerId: 1 },
+      { employeeId: 2, oldManagerId: 1, newManagerId: null },
+    ],
+  };
+
+  it('should undo and redo the latest entry', () => {
+    const history = recordEntry(recordEntry(EMPTY_HISTORY, first), second);
+
+    const undone = undoEntry(history);
+    expect(undone).toEqual({ past: [first], future: [second] });
+    expect(getRedoEntry(undone)).toBe(second);
+
+    expect(redoEntry(undone)).toEqual(history);
+  });
+
+  it('should batch the updates that revert or reapply a whole entry', () => {
+    expect(getUndoUpdates(second)).toEqual([
+      { id: 4, managerId: 2 },
+      { id: 2, managerId: 1 },
+    ]);
+    expect(getRedoUpdates(second)).toEqual([
+      { id: 4, managerId: 1 },
+      { id: 2, managerId: null },
+    ]);
+  });
+
+  it('should keep the entry to undo when saving its undo fails', async () => {
+    let history = recordEntry(EMPTY_HISTORY, first);
+    const updateEmployees = vi
+      .fn()
+      .mockRejectedValueOnce(new Error('Server error'))
+      .mockResolvedValueOnce([]);
+
+    // As EmployeeContext's undo: the history only moves once the PATCH went through
+    const undo = async () => {
+      const entry = getUndoEntry(history);
+      await updateEmployees(getUndoUpdates(entry));
+      history = undoEntry(history);
+    };
+
+    await expect(undo()).rejects.toThrow('Server error');
+    expect(history).toEqual({ past: [first], future: [] });
+
+    await undo();
+    expect(updateEmployees.mock.calls[1][0]).toEqual(updateEmployees.mock.calls[0][0]);
+    expect(history).toEqual({ past: [], future: [first] });
+  });
+
+  it('should clear the redo stack when a new move is recorded', () => {
+    const undone = undoEntry(recordEntry(recordEntry(EMPTY_HISTORY, first), second));
+    const third = move(5, 1, 3);
+
+    expect(recordEntry(undone, third)).toEqual({ past: [first, third], future: [] });
+  });
+
+  it('should drop the oldest entries past the limit', () => {
+    let history = EMPTY_HISTORY;
+    for (let id = 1; id <= HISTORY_LIMIT + 2; id += 1) {
+      history = recordEntry(history, move(id, null, 0));
+    }
+
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0].changes[0].employeeId).toBe(3);
+    expect(getUndoEntry(history).changes[0].employeeId).toBe(HISTORY_LIMIT + 2);
+  });
+
+  it('should leave an empty side as it is', () => {
+    expect(undoEntry(EMPTY_HISTORY)).toBe(EMPTY_HISTORY);
+    expect(redoEntry(EMPTY_HISTORY)).toBe(EMPTY_HISTORY);
+    expect(getUndoEntry(EMPTY_HISTORY)).toBeNull();
+  });
+
+  it('should drop entries that mention a removed employee', () => {
+    const history = undoEntry(recordEntry(recordEntry(EMPTY_HISTORY, first), second));
+
+    expect(dropEntriesMentioning(history, 2)).toEqual(EMPTY_HISTORY);
+    expect(dropEntriesMentioning(history, 4)).toEqual({ past: [first], future: [] });
+  });
+});
@@ -0,0 +1,201 @@
+import { toCsv } from './csv';
+import { getMissingFields } from './employeeValidation';
+import { findCycles } from './treeHelpers';
+
+/**
+ * Roster columns, in export order
+ */
+export const ROSTER_COLUMNS = ['id', 'name', 'designation', 'team', 'managerId'];
+
+/**
+ * Machine-readable codes for problems found in an import
+ */
+export const IMPORT_ERRORS = {
+  MISSING_FIELD: 'MISSING_FIELD',
+  INVALID_ID: 'INVALID_ID',
+  DUPLICATE_ID: 'DUPLICATE_ID',
+  UNKNOWN_MANAGER: 'UNKNOWN_MANAGER',
+  CYCLE: 'CYCLE',
+};
+
+// Header spellings recognised when guessing the column mapping (compared lowercase, without spaces/underscores)
+const COLUMN_ALIASES = {
+  id: ['id', 'employeeid', 'empid'],
+  name: ['name', 'fullname', 'employeename', 'employee'],
+  designation: ['designation', 'title', 'jobtitle', 'role', 'position'],
+  team: ['team', 'department', 'dept'],
+  managerId: ['managerid', 'manager', 'reportsto', 'supervisorid'],
+};
+
+/**
+ * Serializes employees to roster CSV
+ * @param {Array} employees - Array of employees
+ * @returns {String} - CSV text with a header row
+ */
+export function employeesToCsv(employees) {
+  return toCsv([
+    ROSTER_COLUMNS,
+    ...employees.map((emp) => ROSTER_COLUMNS.map((column) => emp[column])),
+  ]);
+}
+
+/**
+ * Guesses which CSV column holds each roster field
+ * @param {Array} headers - Header row
+ * @returns {Object} - Roster field -> column index (null when no header matches)
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map((header) => header.toLowerCase().replace(/[\s_-]/g, ''));
+
+  return ROSTER_COLUMNS.reduce((mapping, column) => {
+    const index = normalized.findIndex((header) => COLUMN_ALIASES[column].includes(header));
+    mapping[column] = index === -1 ? null : index;
+    return mapping;
+  }, {});
+}
+
+// Blank -> null, whole number -> Number, anything else -> NaN
+function parseId(value) {
+  const text = (value ?? '').trim();
+  if (text === '') return null;
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+}
+
+/**
+ * Turns CSV data rows into roster records using a column mapping
+ * @param {Array} rows - Data rows (header excluded)
+ * @param {Object} mapping - Roster field -> column index (or null)
+ * @param {Number} firstRowNumber - Spreadsheet row number of rows[0], for the report
+ * @returns {Array} - Records: { row, id, name, designation, team, managerId }
+ */
+export function mapRosterRows(rows, mapping, firstRowNumber = 2) {
+  const read = (row, column) =>
+    mapping[column] === null || mapping[column] === undefined ? '' : (row[mapping[column]] ?? '').trim();
+
+  return rows.map((row, index) => ({
+    row: firstRowNumber + index,
+    id: parseId(read(row, 'id')),
+    name: read(row, 'name'),
+    designation: read(row, 'designation'),
+    team: read(row, 'team'),
+    managerId: parseId(read(row, 'managerId')),
+  }));
+}
+
+/**
+ * Combines the current roster with imported employees
+ * @param {Array} existing - Current employees
+ * @param {Array} imported - Imported employees (with numeric ids)
+ * @param {String} mode - 'replace' drops everyone not in the import, 'merge' updates by id and adds the rest
+ * @returns {Array} - Resulting employees
+ */
+export function mergeRoster(existing, imported, mode) {
+  const toEmployee = ({ id, name, designation, team, managerId }) => ({
+    id,
+    name,
+    designation,
+    team,
+    managerId: managerId ?? null,
+  });
+
+  if (mode === 'replace') {
+    return imported.map(toEmployee);
+  }
+
+  const importedById = new Map(imported.map((emp) => [emp.id, toEmployee(emp)]));
+  const existingIds = new Set(existing.map((emp) => emp.id));
+
+  return [
+    ...existing.map((emp) => (importedById.has(emp.id) ? { ...emp, ...importedById.get(emp.id) } : emp)),
+    ...imported.filter((emp) => !existingIds.has(emp.id)).map(toEmployee),
+  ];
+}
+
+/**
+ * Validates an import before anything is applied
+ * @param {Array} records - Records from mapRosterRows (row is optional)
+ * @param {Array} existing - Current employees
+ * @param {String} mode - 'replace' or 'merge'
+ * @returns {Object} - { valid, issues: [{ row, code, message }], summary, employees }
+ */
+export function buildImportReport(records, existing, mode) {
+  const issues = [];
+  const rowLabel = (record, index) => `Row ${record.row ?? index + 1}`;
+
+  // Field-level problems
+  const usable = [];
+  const seenIds = new Map();
+  records.forEach((record, index) => {
+    const label = rowLabel(record, index);
+    const missing = getMissingFields(record);
+    if (record.id === null) missing.unshift('id');
+
+    if (missing.length > 0) {
+      issues.push({
+        row: record.row,
+        code: IMPORT_ERRORS.MISSING_FIELD,
+        message: `${label}: missing ${missing.join(', ')}.`,
+      });
+    }
+
+    if (Number.isNaN(record.id) || Number.isNaN(record.managerId)) {
+      issues.push({
+        row: record.row,
+        code: IMPORT_ERRORS.INVALID_ID,
+        message: `${label}: ids must be whole numbers.`,
+      });
+      return;
+    }
+
+    if (record.id === null) return;
+
+    if (seenIds.has(record.id)) {
+      issues.push({
+        row: record.row,
+        code: IMPORT_ERRORS.DUPLICATE_ID,
+        message: `${label}: id ${record.id} is already used by ${seenIds.get(record.id)}.`,
+      });
+      return;
+    }
+
+    seenIds.set(record.id, label);
+    if (missing.length === 0) usable.push(record);
+  });
+
+  // Hierarchy problems in the roster that would result
+  const employees = mergeRoster(existing, usable, mode);
+  const resultingIds = new Set(employees.map((emp) => emp.id));
+  const importedById = new Map(usable.map((record) => [record.id, record]));
+
+  usable.forEach((record, index) => {
+    if (record.managerId !== null && !resultingIds.has(record.managerId)) {
+      issues.push({
+        row: record.row,
+        code: IMPORT_ERRORS.UNKNOWN_MANAGER,
+        message: `${rowLabel(record, index)}: manager ${record.managerId} does not exist.`,
+      });
+    }
+  });
+
+  findCycles(employees).forEach((cycle) => {
+    const names = cycle.map((id) => employees.find((emp) => emp.id === id).name);
+    const firstImported = cycle.map((id) => importedById.get(id)).find(Boolean);
+    issues.push({
+      row: firstImported?.row,
+      code: IMPORT_ERRORS.CYCLE,
+      message: `Reporting cycle: ${[...names, names[0]].join(' → ')}.`,
+    });
+  });
+
+  const existingIds = new Set(existing.map((emp) => emp.id));
+  const created = usable.filter((record) => !existingIds.has(record.id)).length;
+  const updated = usable.length - created;
+  const removed = mode === 'replace' ? existing.filter((emp) => !importedById.has(emp.id)).length : 0;
+
+  return {
+    valid: issues.length === 0 && records.length > 0,
+    issues,
+    summary: { total: records.length, created, updated, removed },
+    employees,
+  };
+}
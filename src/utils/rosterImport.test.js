@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  employeesToCsv,
+  guessColumnMapping,
+  mapRosterRows,
+  mergeRoster,
+  buildImportReport,
+  IMPORT_ERRORS,
+} from './rosterImport';
+import { parseCsv } from './csv';
+
+describe('rosterImport', () => {
+  const existing = [
+    { id: 1, name: 'CEO', designation: 'Chief Executive Officer', team: 'Executive', managerId: null },
+    { id: 2, name: 'CTO', designation: 'Chief Technology Officer', team: 'Technology', managerId: 1 },
+  ];
+
+  const record = (overrides) => ({
+    row: 2,
+    id: 3,
+    name: 'Dev Lead',
+    designation: 'Development Lead',
+    team: 'Technology',
+    managerId: 2,
+    ...overrides,
+  });
+
+  describe('employeesToCsv', () => {
+    it('should export a header and one row per employee', () => {
+      const rows = parseCsv(employeesToCsv(existing));
+      expect(rows[0]).toEqual(['id', 'name', 'designation', 'team', 'managerId']);
+      expect(rows[2]).toEqual(['2', 'CTO', 'Chief Technology Officer', 'Technology', '1']);
+      expect(rows[1][4]).toBe('');
+    });
+  });
+
+  describe('guessColumnMapping', () => {
+    it('should match common header spellings', () => {
+      const mapping = guessColumnMapping(['Employee ID', 'Full Name', 'Job Title', 'Department', 'Reports To']);
+      expect(mapping).toEqual({ id: 0, name: 1, designation: 2, team: 3, managerId: 4 });
+    });
+
+    it('should leave unknown columns unmapped', () => {
+      expect(guessColumnMapping(['name']).team).toBeNull();
+    });
+  });
+
+  describe('mapRosterRows', () => {
+    it('should read mapped columns and parse ids', () => {
+      const records = mapRosterRows([['Ada', '7', ''], ['Bob', 'x', '7']], { id: 1, name: 0, designation: null, team: null, managerId: 2 });
+
+      expect(records[0]).toMatchObject({ row: 2, id: 7, name: 'Ada', designation: '', managerId: null });
+      expect(records[1].id).toBeNaN();
+      expect(records[1].managerId).toBe(7);
+    });
+  });
+
+  describe('mergeRoster', () => {
+    it('should replace the roster', () => {
+      expect(mergeRoster(existing, [record()], 'replace').map((emp) => emp.id)).toEqual([3]);
+    });
+
+    it('should update matching ids and add new ones when merging', () => {
+      const result = mergeRoster(existing, [record({ id: 2, name: 'New CTO' }), record()], 'merge');
+      expect(result.map((emp) => emp.id)).toEqual([1, 2, 3]);
+      expect(result[1].name).toBe('New CTO');
+    });
+  });
+
+  describe('buildImportReport', () => {
+    it('should accept a clean merge', () => {
+      const report = buildImportReport([record()], existing, 'merge');
+
+      expect(report.valid).toBe(true);
+      expect(report.summary).toEqual({ total: 1, created: 1, updated: 0, removed: 0 });
+    });
+
+    it('should report rows with missing fields', () => {
+      const report = buildImportReport([record({ name: '', id: null })], existing, 'merge');
+      expect(report.valid).toBe(false);
+      expect(report.issues[0]).toMatchObject({ row: 2, code: IMPORT_ERRORS.MISSING_FIELD });
+      expect(report.issues[0].message).toContain('id, name');
+    });
+
+    it('should report duplicate ids', () => {
+      const report = buildImportReport([record(), record({ row: 3 })], existing, 'merge');
+      expect(report.issues).toEqual([
+        expect.objectContaining({ row: 3, code: IMPORT_ERRORS.DUPLICATE_ID }),
+      ]);
+    });
+
+    it('should report unknown managers against the resulting roster', () => {
+      // Manager 2 exists today but is dropped by a replace
+      const report = buildImportReport([record()], existing, 'replace');
+      expect(report.issues[0].code).toBe(IMPORT_ERRORS.UNKNOWN_MANAGER);
+      expect(report.summary.removed).toBe(2);
+    });
+
+    it('should report cycles', () => {
+      const report = buildImportReport(
+        [record({ id: 1, name: 'CEO', managerId: 3 }), record({ row: 3 })],
+        existing,
+        'merge'
+      );
+      expect(report.issues.map((issue) => issue.code)).toEqual([IMPORT_ERRORS.CYCLE]);
+      expect(report.issues[0].message).toContain('CEO → Dev Lead → CTO → CEO');
+    });
+  });
+});
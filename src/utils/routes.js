@@ -0,0 +1,153 @@
+/**
+ * URL paths and query parameters the app responds to. Routing uses the History API directly:
+ *
+ *   /                  the chart
+ *   /employees/:id     the chart with an employee's detail panel open
+ *   /analytics         the org health dashboard
+ *   /history           the audit log timeline
+ *   /snapshots         saved roster snapshots and their comparison
+ *
+ * Either path can carry the view in its query string, so a link reproduces what the
+ * sender saw: ?q=<search>&team=<team>&mode=<filter mode>&zoom=<zoom>&x=<pan x>&y=<pan y>
+ */
+
+const EMPLOYEE_PATH = /^\/employees\/(-?\d+)\/?$/;
+
+export const VIEWS = {
+  CHART: 'chart',
+  ANALYTICS: 'analytics',
+  HISTORY: 'history',
+  SNAPSHOTS: 'snapshots',
+};
+
+// Paths of the views other than the chart
+const VIEW_PATHS = {
+  [VIEWS.ANALYTICS]: '/analytics',
+  [VIEWS.HISTORY]: '/history',
+  [VIEWS.SNAPSHOTS]: '/snapshots',
+};
+
+// View state key -> query parameter, with the default that is left out of the URL
+const VIEW_PARAMS = {
+  searchTerm: { param: 'q', fallback: '' },
+  selectedTeam: { param: 'team', fallback: '' },
+  filterMode: { param: 'mode', fallback: '' },
+  zoom: { param: 'zoom', fallback: 1 },
+  panX: { param: 'x', fallback: 0 },
+  panY: { param: 'y', fallback: 0 },
+};
+
+export const ZOOM_LIMITS = { min: 0.1, max: 2 };
+
+/**
+ * Reads the selected employee from a URL path
+ * @param {String} pathname - Path such as window.location.pathname
+ * @returns {Number|null} - Employee ID, or null for any other path
+ */
+export function getEmployeeIdFromPath(pathname) {
+  const match = EMPLOYEE_PATH.exec(pathname);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Builds the path for an employee's detail panel
+ * @param {Number|null} employeeId - Employee ID, or null for the plain chart
+ * @returns {String} - Path
+ */
+export function getEmployeePath(employeeId) {
+  return employeeId === null ? '/' : `/employees/${employeeId}`;
+}
+
+/**
+ * Reads which main view a URL path shows
+ * @param {String} pathname - Path such as window.location.pathname
+ * @returns {String} - One of VIEWS; anything unknown shows the chart
+ */
+export function getViewFromPath(pathname) {
+  const path = pathname.replace(/\/$/, '');
+  const view = Object.keys(VIEW_PATHS).find((key) => VIEW_PATHS[key] === path);
+  return view ?? VIEWS.CHART;
+}
+
+/**
+ * Builds the path for a main view
+ * @param {String} view - One of VIEWS
+ * @returns {String} - Path
+ */
+export function getViewPath(view) {
+  return VIEW_PATHS[view] ?? '/';
+}
+
+function readNumber(params, key) {
+  const { param, fallback } = VIEW_PARAMS[key];
+  const value = Number(params.get(param));
+  return params.has(param) && Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Reads the view state from a query string; missing or malformed values get defaults
+ * @param {String} search - Query string such as window.location.search
+ * @returns {Object} - { searchTerm, selectedTeam, filterMode, zoom, pan: { x, y } }
+ */
+export function getViewStateFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const zoom = readNumber(params, 'zoom');
+
+  return {
+    searchTerm: params.get(VIEW_PARAMS.searchTerm.param) ?? '',
+    selectedTeam: params.get(VIEW_PARAMS.selectedTeam.param) ?? '',
+    filterMode: params.get(VIEW_PARAMS.filterMode.param) ?? '',
+    zoom: Math.min(Math.max(zoom, ZOOM_LIMITS.min), ZOOM_LIMITS.max),
+    pan: { x: readNumber(params, 'panX'), y: readNumber(params, 'panY') },
+  };
+}
+
+// Keeps URLs short: whole pixels, and zoom to the percent
+function formatValue(key, value) {
+  if (key === 'zoom') return String(Math.round(value * 100) / 100);
+  if (key === 'panX' || key === 'panY') return String(Math.round(value));
+  return String(value);
+}
+
+/**
+ * Writes view state into a query string, leaving other parameters alone
+ * @param {String} search - Current query string
+ * @param {Object} values - Any of searchTerm, selectedTeam, filterMode, zoom, panX, panY;
+ * default values are removed from the URL
+ * @returns {String} - New query string, with a leading "?" unless it is empty
+ */
+export function mergeViewSearch(search, values) {
+  const params = new URLSearchParams(search);
+
+  Object.entries(values).forEach(([key, value]) => {
+    const { param, fallback } = VIEW_PARAMS[key];
+    const formatted = formatValue(key, value);
+    if (value === fallback || formatted === formatValue(key, fallback)) {
+      params.delete(param);
+    } else {
+      params.set(param, formatted);
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Updates the view state in the address bar
+ * @param {Object} values - See mergeViewSearch
+ * @param {Object} options - { replace } to change the current history entry instead of
+ * adding one
+ */
+export function updateViewUrl(values, { replace = false } = {}) {
+  const { pathname, search, hash } = window.location;
+  const nextSearch = mergeViewSearch(search, values);
+  if (nextSearch === search) return;
+
+  const url = `${pathname}${nextSearch}${hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getEmployeeIdFromPath,
+  getEmployeePath,
+  getViewStateFromSearch,
+  getViewFromPath,
+  getViewPath,
+  mergeViewSearch,
+  VIEWS,
+} from './routes';
+
+describe('routes', () => {
+  it('should read employee ids from detail paths', () => {
+    expect(getEmployeeIdFromPath('/employees/12')).toBe(12);
+    expect(getEmployeeIdFromPath('/employees/12/')).toBe(12);
+    // People added in a draft have negative ids until it is committed
+    expect(getEmployeeIdFromPath('/employees/-2')).toBe(-2);
+    expect(getEmployeeIdFromPath('/')).toBeNull();
+    expect(getEmployeeIdFromPath('/employees/abc')).toBeNull();
+    expect(getEmployeeIdFromPath('/employees/12/reports')).toBeNull();
+  });
+
+  it('should build paths that read back to the same id', () => {
+    expect(getEmployeePath(7)).toBe('/employees/7');
+    expect(getEmployeeIdFromPath(getEmployeePath(7))).toBe(7);
+    expect(getEmployeePath(null)).toBe('/');
+  });
+
+  it('should map paths to main views', () => {
+    expect(getViewFromPath('/analytics')).toBe(VIEWS.ANALYTICS);
+    expect(getViewFromPath('/analytics/')).toBe(VIEWS.ANALYTICS);
+    expect(getViewFromPath('/employees/3')).toBe(VIEWS.CHART);
+    expect(getViewFromPath(getViewPath(VIEWS.CHART))).toBe(VIEWS.CHART);
+    expect(getViewPath(VIEWS.ANALYTICS)).toBe('/analytics');
+    expect(getViewFromPath(getViewPath(VIEWS.HISTORY))).toBe(VIEWS.HISTORY);
+    expect(getViewFromPath(getViewPath(VIEWS.SNAPSHOTS))).toBe(VIEWS.SNAPSHOTS);
+  });
+
+  describe('view state', () => {
+    it('should read defaults from an empty query string', () => {
+      expect(getViewStateFromSearch('')).toEqual({
+        searchTerm: '',
+        selectedTeam: '',
+        filterMode: '',
+        zoom: 1,
+        pan: { x: 0, y: 0 },
+      });
+    });
+
+    it('should round-trip view state through the query string', () => {
+      const search = mergeViewSearch('', {
+        searchTerm: 'team:"Site Reliability" lead',
+        selectedTeam: 'Security',
+        zoom: 1.5,
+        panX: -120.4,
+        panY: 80,
+      });
+
+      expect(getViewStateFromSearch(search)).toEqual({
+        searchTerm: 'team:"Site Reliability" lead',
+        selectedTeam: 'Security',
+        filterMode: '',
+        zoom: 1.5,
+        pan: { x: -120, y: 80 },
+      });
+    });
+
+    it('should drop defaults and keep unrelated parameters', () => {
+      expect(mergeViewSearch('?q=dev&utm=mail&zoom=2', { searchTerm: '', zoom: 1 })).toBe(
+        '?utm=mail'
+      );
+      expect(mergeViewSearch('?zoom=2', { zoom: 1.001 })).toBe('');
+    });
+
+    it('should ignore malformed numbers and clamp zoom', () => {
+      const view = getViewStateFromSearch('?zoom=50&x=abc&y=');
+      expect(view.zoom).toBe(2);
+      expect(view.pan).toEqual({ x: 0, y: 0 });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Roster changes shared between tabs of the app open in the same browser.
+ *
+ * A tab that gets a change confirmed by the server posts it as the reducer action it applied
+ * itself, so other tabs apply the same action without asking the server. Messages are
+ * { tabId, action, stamp, basedOn }:
+ *   - stamp ({ at, tabId }) orders changes; when two tabs change the same person, the change
+ *     with the later stamp wins in every tab, whatever order the messages arrive in
+ *   - basedOn maps each changed employee id to the stamp of the change the sending tab had
+ *     seen for them (or null); a different stamp than the receiver's own change means the two
+ *     were made at the same time, without knowing of each other
+ */
+
+export const TAB_SYNC_CHANNEL = 'orgChartTabSync';
+
+/**
+ * Makes an id for this tab
+ * @returns {String}
+ */
+export function createTabId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Orders two stamps, earlier first; ties on time are broken by tab id so every tab
+ * picks the same winner
+ * @param {Object} a - { at, tabId }
+ * @param {Object} b - { at, tabId }
+ * @returns {Number} - Negative, zero or positive, like a sort comparator
+ */
+export function compareStamps(a, b) {
+  if (a.at !== b.at) return a.at - b.at;
+  if (a.tabId === b.tabId) return 0;
+  return a.tabId < b.tabId ? -1 : 1;
+}
+
+/**
+ * Whether two stamps (or nulls) name the same change
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {Boolean}
+ */
+export function isSameStamp(a, b) {
+  if (!a || !b) return a === b;
+  return compareStamps(a, b) === 0;
+}
+
+/**
+ * Lists who a roster action changes
+ * @param {Object} action - One of the reducer actions shared between tabs
+ * @returns {Array|null} - Employee ids, or null for an action that replaces the whole roster
+ */
+export function getChangedIds(action) {
+  switch (action.type) {
+    case 'UPDATE_EMPLOYEE':
+      return [action.payload.id];
+    case 'APPLY_MANAGER_CHANGES':
+      return action.payload.map((change) => change.employeeId);
+    case 'APPLY_EMPLOYEE_UPDATES':
+      return action.payload.map((update) => update.id);
+    case 'ADD_EMPLOYEE':
+      return [action.payload.id];
+    case 'REMOVE_EMPLOYEE':
+      return [action.payload.id];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Narrows a roster action to some of the people it changes
+ * @param {Object} action - An action getChangedIds lists people for
+ * @param {Array} ids - Employee ids to keep
+ * @returns {Object|null} - The narrowed action, or null when none of its changes are kept
+ */
+export function restrictAction(action, ids) {
+  const keep = new Set(ids);
+  switch (action.type) {
+    case 'APPLY_MANAGER_CHANGES': {
+      const payload = action.payload.filter((change) => keep.has(change.employeeId));
+      return payload.length > 0 ? { ...action, payload } : null;
+    }
+    case 'APPLY_EMPLOYEE_UPDATES': {
+      const payload = action.payload.filter((update) => keep.has(update.id));
+      return payload.length > 0 ? { ...action, payload } : null;
+    }
+    default:
+      return getChangedIds(action)?.every((id) => keep.has(id)) ? action : null;
+  }
+}
+
+/**
+ * Opens the channel between tabs: a BroadcastChannel, or storage events where there is none
+ * @param {Function} onMessage - Called with each message another tab posts
+ * @returns {Object} - { post(message), close() }
+ */
+export function openTabChannel(onMessage) {
+  if (typeof BroadcastChannel === 'function') {
+    const channel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+    channel.onmessage = (event) => onMessage(event.data);
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
+
+  // Other tabs get a storage event for each write; the key is removed right away, which
+  // they also hear about, with a null value
+  const handleStorage = (event) => {
+    if (event.key !== TAB_SYNC_CHANNEL || event.newValue === null) return;
+    try {
+      onMessage(JSON.parse(event.newValue));
+    } catch {
+      // Not a message from this app
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return {
+    post: (message) => {
+      localStorage.setItem(TAB_SYNC_CHANNEL, JSON.stringify(message));
+      localStorage.removeItem(TAB_SYNC_CHANNEL);
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+}
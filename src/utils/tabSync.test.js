@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  compareStamps,
+  isSameStamp,
+  getChangedIds,
+  restrictAction,
+  openTabChannel,
+} from './tabSync';
+
+describe('tabSync', () => {
+  describe('compareStamps', () => {
+    it('should order stamps by time', () => {
+      expect(compareStamps({ at: 1, tabId: 'b' }, { at: 2, tabId: 'a' })).toBeLessThan(0);
+      expect(compareStamps({ at: 3, tabId: 'a' }, { at: 2, tabId: 'b' })).toBeGreaterThan(0);
+    });
+
+    it('should break ties by tab id', () => {
+      expect(compareStamps({ at: 1, tabId: 'a' }, { at: 1, tabId: 'b' })).toBeLessThan(0);
+      expect(compareStamps({ at: 1, tabId: 'b' }, { at: 1, tabId: 'a' })).toBeGreaterThan(0);
+      expect(compareStamps({ at: 1, tabId: 'a' }, { at: 1, tabId: 'a' })).toBe(0);
+    });
+  });
+
+  it('should match stamps and nulls', () => {
+    expect(isSameStamp(null, null)).toBe(true);
+    expect(isSameStamp(null, { at: 1, tabId: 'a' })).toBe(false);
+    expect(isSameStamp({ at: 1, tabId: 'a' }, { at: 1, tabId: 'a' })).toBe(true);
+  });
+
+  it('should list who an action changes', () => {
+    expect(getChangedIds({ type: 'UPDATE_EMPLOYEE', payload: { id: 3, updates: {} } })).toEqual([3]);
+    expect(
+      getChangedIds({
+        type: 'APPLY_MANAGER_CHANGES',
+        payload: [{ employeeId: 2, newManagerId: 1 }, { employeeId: 4, newManagerId: 1 }],
+      })
+    ).toEqual([2, 4]);
+    expect(getChangedIds({ type: 'REMOVE_EMPLOYEE', payload: { id: 5, reassignTo: null } })).toEqual([5]);
+    expect(getChangedIds({ type: 'SET_EMPLOYEES', payload: [] })).toBeNull();
+  });
+
+  describe('restrictAction', () => {
+    it('should keep only the listed people of a batch', () => {
+      const action = {
+        type: 'APPLY_EMPLOYEE_UPDATES',
+        payload: [{ id: 2, team: 'A' }, { id: 3, team: 'B' }],
+      };
+
+      expect(restrictAction(action, [3]).payload).toEqual([{ id: 3, team: 'B' }]);
+      expect(restrictAction(action, [])).toBeNull();
+    });
+
+    it('should keep or drop single-person actions whole', () => {
+      const action = { type: 'UPDATE_EMPLOYEE', payload: { id: 3, updates: { managerId: 1 } } };
+
+      expect(restrictAction(action, [3])).toBe(action);
+      expect(restrictAction(action, [4])).toBeNull();
+    });
+  });
+
+  it('should deliver messages to other channels', async () => {
+    const received = vi.fn();
+    const listener = openTabChannel(received);
+    const sender = openTabChannel(() => {});
+
+    sender.post({ tabId: 'a', action: { type: 'UPDATE_EMPLOYEE' } });
+    await vi.waitFor(() => expect(received).toHaveBeenCalledTimes(1));
+    expect(received.mock.calls[0][0].tabId).toBe('a');
+
+    listener.close();
+    sender.close();
+  });
+});
@@ -1,3 +1,6 @@
+import { parseQuery, runQuery } from './employeeQuery';
+import { validateEmployeeFields } from './employeeValidation';
+
 /**
  * Builds a tree structure from a flat array of employees
  * @param {Array} employees - Flat array of employee objects
@@ -38,18 +41,22 @@ export function buildTree(employees) {
 }
 
 /**
- * Filters employees based on search term and team
+ * Filters employees based on search query and team
  * @param {Array} employees - Array of employees
- * @param {String} searchTerm - Search query
+ * @param {String|Object} searchTerm - Search text, or a query already parsed with parseQuery
  * @param {String} selectedTeam - Selected team filter
- * @returns {Array} - Filtered employees
+ * @returns {Array} - Filtered employees, best search matches first
  */
 export function filterEmployees(employees, searchTerm, selectedTeam) {
   let filtered = [...employees];
 
-  // Filter by search term (search across name, designation, team)
-  if (searchTerm) {
-    const term = searchTerm.toLowerCase();
+  const query = typeof searchTerm === 'object' && searchTerm !== null
+    ? searchTerm
+    : parseQuery(searchTerm || '');
+
+  if (query.error) {
+    // While a query is malformed, fall back to a plain substring search of the raw text
+    const term = query.input.toLowerCase();
     filtered = filtered.filter((emp) => {
       return (
         emp.name.toLowerCase().includes(term) ||
@@ -58,6 +65,8 @@ export function filterEmployees(employees, searchTerm, selectedTeam) {
         emp.id.toString().includes(term)
       );
     });
+  } else {
+    filtered = runQuery(filtered, query);
   }
 
   // Filter by team
@@ -109,6 +118,60 @@ export function getAllReports(employees, managerId) {
   return reports;
 }
 
+/**
+ * Gets the employees that report directly to a manager
+ * @param {Array} employees - Array of employees
+ * @param {Number} managerId - Manager's ID
+ * @returns {Array} - Array of direct reports
+ */
+export function getDirectReports(employees, managerId) {
+  return employees.filter((emp) => emp.managerId === managerId);
+}
+
+/**
+ * Gets an employee's managers, from the top of the organization down
+ * @param {Array} employees - Array of employees
+ * @param {Number} employeeId - Employee ID
+ * @returns {Array} - Managers above the employee, top-level manager first
+ */
+export function getReportingChain(employees, employeeId) {
+  const chain = [];
+  const seen = new Set([employeeId]);
+  let manager = findEmployeeById(employees, findEmployeeById(employees, employeeId)?.managerId);
+
+  // The seen set stops at cycles in bad data
+  while (manager && !seen.has(manager.id)) {
+    seen.add(manager.id);
+    chain.unshift(manager);
+    manager = findEmployeeById(employees, manager.managerId);
+  }
+
+  return chain;
+}
+
+/**
+ * Summarizes a manager's span of control
+ * @param {Array} employees - Array of employees
+ * @param {Number} managerId - Manager's ID
+ * @returns {Object} - { direct, indirect, total, levels } where levels is how many
+ * layers of reports sit below the manager
+ */
+export function getSpanOfControl(employees, managerId) {
+  const reports = getAllReports(employees, managerId);
+
+  // getAllReports is breadth-first, so each manager's level is known before their reports'
+  const levels = new Map([[managerId, 0]]);
+  reports.forEach((emp) => levels.set(emp.id, levels.get(emp.managerId) + 1));
+
+  const direct = reports.filter((emp) => emp.managerId === managerId).length;
+  return {
+    direct,
+    indirect: reports.length - direct,
+    total: reports.length,
+    levels: Math.max(...levels.values()),
+  };
+}
+
 /**
  * Checks if moving an employee would create a circular reference
  * @param {Array} employees - Array of employees
@@ -126,3 +189,480 @@ export function wouldCreateCircularReference(employees, employeeId, newManagerId
   // Check if new manager is in the employee's reporting chain
   return allReports.some((emp) => emp.id === newManagerId);
 }
+
+/**
+ * Machine-readable codes for invalid hierarchy changes
+ */
+export const HIERARCHY_ERRORS = {
+  EMPLOYEE_NOT_FOUND: 'EMPLOYEE_NOT_FOUND',
+  MANAGER_NOT_FOUND: 'MANAGER_NOT_FOUND',
+  SELF_REFERENCE: 'SELF_REFERENCE',
+  CIRCULAR_REFERENCE: 'CIRCULAR_REFERENCE',
+};
+
+/**
+ * Validates assigning a new manager to an employee
+ * @param {Array} employees - Array of employees
+ * @param {Number} employeeId - Employee being moved
+ * @param {Number|null} newManagerId - New manager ID (null makes the employee a root)
+ * @returns {Object|null} - { code, message } describing the problem, or null if valid
+ */
+export function validateManagerChange(employees, employeeId, newManagerId) {
+  const employee = findEmployeeById(employees, employeeId);
+  if (!employee) {
+    return {
+      code: HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+      message: `Employee ${employeeId} does not exist.`,
+    };
+  }
+
+  if (newManagerId === null || newManagerId === undefined) return null;
+
+  if (employeeId === newManagerId) {
+    return {
+      code: HIERARCHY_ERRORS.SELF_REFERENCE,
+      message: `${employee.name} cannot report to themselves.`,
+    };
+  }
+
+  const manager = findEmployeeById(employees, newManagerId);
+  if (!manager) {
+    return {
+      code: HIERARCHY_ERRORS.MANAGER_NOT_FOUND,
+      message: `Manager ${newManagerId} does not exist.`,
+    };
+  }
+
+  if (wouldCreateCircularReference(employees, employeeId, newManagerId)) {
+    return {
+      code: HIERARCHY_ERRORS.CIRCULAR_REFERENCE,
+      message: `${employee.name} cannot report to ${manager.name}, who is already in their reporting chain.`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validates removing an employee and handing their direct reports to someone else
+ * @param {Array} employees - Array of employees
+ * @param {Number} employeeId - Employee being removed
+ * @param {Number|null} reassignToId - New manager for the direct reports (null makes them roots)
+ * @returns {Object|null} - { code, message } describing the problem, or null if valid
+ */
+export function validateEmployeeRemoval(employees, employeeId, reassignToId) {
+  const employee = findEmployeeById(employees, employeeId);
+  if (!employee) {
+    return {
+      code: HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+      message: `Employee ${employeeId} does not exist.`,
+    };
+  }
+
+  if (reassignToId === null || reassignToId === undefined) return null;
+
+  if (reassignToId === employeeId) {
+    return {
+      code: HIERARCHY_ERRORS.SELF_REFERENCE,
+      message: `Reports of ${employee.name} cannot be reassigned to ${employee.name}.`,
+    };
+  }
+
+  const newManager = findEmployeeById(employees, reassignToId);
+  if (!newManager) {
+    return {
+      code: HIERARCHY_ERRORS.MANAGER_NOT_FOUND,
+      message: `Manager ${reassignToId} does not exist.`,
+    };
+  }
+
+  // Someone inside the removed subtree would end up managing their own manager
+  if (getAllReports(employees, employeeId).some((emp) => emp.id === reassignToId)) {
+    return {
+      code: HIERARCHY_ERRORS.CIRCULAR_REFERENCE,
+      message: `Reports of ${employee.name} cannot be reassigned to ${newManager.name}, who is in their reporting chain.`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Removes an employee and reassigns their direct reports
+ * @param {Array} employees - Array of employees
+ * @param {Number} employeeId - Employee being removed
+ * @param {Number|null} reassignToId - New manager for the direct reports
+ * @returns {Array} - New array without the employee
+ */
+export function removeEmployee(employees, employeeId, reassignToId) {
+  return employees
+    .filter((emp) => emp.id !== employeeId)
+    .map((emp) =>
+      emp.managerId === employeeId ? { ...emp, managerId: reassignToId } : emp
+    );
+}
+
+/**
+ * Applies a list of manager changes to an employee array
+ * @param {Array} employees - Array of employees
+ * @param {Array} changes - [{ employeeId, newManagerId }]
+ * @returns {Array} - New array with the changes applied
+ */
+export function applyManagerChanges(employees, changes) {
+  const newManagerIds = new Map(changes.map((change) => [change.employeeId, change.newManagerId]));
+
+  return employees.map((emp) =>
+    newManagerIds.has(emp.id) ? { ...emp, managerId: newManagerIds.get(emp.id) } : emp
+  );
+}
+
+/**
+ * Checks a whole hierarchy for self-references, unknown managers and cycles
+ * @param {Array} employees - Array of employees
+ * @returns {Object|null} - { code, message } for the first problem found, or null if valid
+ */
+export function validateHierarchy(employees) {
+  const employeeMap = new Map(employees.map((emp) => [emp.id, emp]));
+
+  for (const emp of employees) {
+    if (emp.managerId === null || emp.managerId === undefined) continue;
+
+    if (emp.managerId === emp.id) {
+      return {
+        code: HIERARCHY_ERRORS.SELF_REFERENCE,
+        message: `${emp.name} cannot report to themselves.`,
+      };
+    }
+
+    if (!employeeMap.has(emp.managerId)) {
+      return {
+        code: HIERARCHY_ERRORS.MANAGER_NOT_FOUND,
+        message: `Manager ${emp.managerId} of ${emp.name} does not exist.`,
+      };
+    }
+  }
+
+  // Walk up from every employee; revisiting someone on the same walk means a cycle
+  const verified = new Set();
+  for (const emp of employees) {
+    const chain = new Set();
+    let current = emp;
+
+    while (current && !verified.has(current.id)) {
+      if (chain.has(current.id)) {
+        return {
+          code: HIERARCHY_ERRORS.CIRCULAR_REFERENCE,
+          message: `${current.name} would end up in their own reporting chain.`,
+        };
+      }
+      chain.add(current.id);
+      current = employeeMap.get(current.managerId);
+    }
+
+    chain.forEach((id) => verified.add(id));
+  }
+
+  return null;
+}
+
+/**
+ * Finds every reporting cycle in a hierarchy
+ * @param {Array} employees - Array of employees
+ * @returns {Array} - One array of employee IDs per cycle, in reporting order
+ */
+export function findCycles(employees) {
+  const managerOf = new Map(employees.map((emp) => [emp.id, emp.managerId]));
+  const verified = new Set();
+  const cycles = [];
+
+  employees.forEach((emp) => {
+    const chain = [];
+    const position = new Map();
+    let currentId = emp.id;
+
+    while (managerOf.has(currentId) && !verified.has(currentId)) {
+      if (position.has(currentId)) {
+        cycles.push(chain.slice(position.get(currentId)));
+        break;
+      }
+      position.set(currentId, chain.length);
+      chain.push(currentId);
+      currentId = managerOf.get(currentId);
+    }
+
+    chain.forEach((id) => verified.add(id));
+  });
+
+  return cycles;
+}
+
+/**
+ * Builds the manager changes for moving one employee without their subtree
+ * Direct reports are handed over first so the changes can also be applied one at a time
+ * @param {Array} employees - Array of employees
+ * @param {Number} employeeId - Employee being moved
+ * @param {Number|null} newManagerId - Employee's new manager
+ * @param {Number|null} reportsManagerId - New manager for the direct reports
+ * (defaults to the employee's former manager)
+ * @returns {Array} - [{ employeeId, oldManagerId, newManagerId }]
+ */
+export function getSingleMoveChanges(employees, employeeId, newManagerId, reportsManagerId) {
+  const employee = findEmployeeById(employees, employeeId);
+  if (!employee) return [];
+
+  const reportsTarget = reportsManagerId === undefined ? employee.managerId : reportsManagerId;
+
+  const reportChanges = getDirectReports(employees, employeeId).map((report) => ({
+    employeeId: report.id,
+    oldManagerId: employeeId,
+    newManagerId: reportsTarget,
+  }));
+
+  return [
+    ...reportChanges,
+    { employeeId, oldManagerId: employee.managerId, newManagerId },
+  ];
+}
+
+/**
+ * Works out which employees a pending move affects, for previewing it in the chart
+ * @param {Array} employees - Array of employees
+ * @param {Number} employeeId - Employee being moved
+ * @param {Object} options - { alone: move without the subtree, reportsManagerId: where
+ * direct reports go when moving alone (defaults to the former manager) }
+ * @returns {Object} - { movingIds: Set, stayingIds: Set }
+ */
+export function getMovePreview(employees, employeeId, { alone = false, reportsManagerId } = {}) {
+  const employee = findEmployeeById(employees, employeeId);
+  if (!employee) return { movingIds: new Set(), stayingIds: new Set() };
+
+  if (!alone) {
+    const subtreeIds = getAllReports(employees, employeeId).map((emp) => emp.id);
+    return { movingIds: new Set([employeeId, ...subtreeIds]), stayingIds: new Set() };
+  }
+
+  const directReports = getDirectReports(employees, employeeId);
+  const reportsStay = reportsManagerId === undefined || reportsManagerId === employee.managerId;
+
+  if (reportsStay) {
+    return {
+      movingIds: new Set([employeeId]),
+      stayingIds: new Set(directReports.map((emp) => emp.id)),
+    };
+  }
+
+  // Reports handed to someone else take their own subtrees along
+  const reassignedIds = directReports.flatMap((report) => [
+    report.id,
+    ...getAllReports(employees, report.id).map((emp) => emp.id),
+  ]);
+  return { movingIds: new Set([employeeId, ...reassignedIds]), stayingIds: new Set() };
+}
+
+/**
+ * Validates a set of manager changes against the resulting hierarchy as a whole
+ * @param {Array} employees - Array of employees
+ * @param {Array} changes - [{ employeeId, newManagerId }]
+ * @returns {Object|null} - { code, message } describing the problem, or null if valid
+ */
+export function validateManagerChanges(employees, changes) {
+  const missing = changes.find((change) => !findEmployeeById(employees, change.employeeId));
+  if (missing) {
+    return {
+      code: HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+      message: `Employee ${missing.employeeId} does not exist.`,
+    };
+  }
+
+  return validateHierarchy(applyManagerChanges(employees, changes));
+}
+
+/**
+ * Machine-readable codes for malformed batch updates
+ */
+export const BATCH_ERRORS = {
+  EMPTY_BATCH: 'EMPTY_BATCH',
+  DUPLICATE_EMPLOYEE: 'DUPLICATE_EMPLOYEE',
+};
+
+/**
+ * Applies edits to several employees at once
+ * @param {Array} employees - Array of employees
+ * @param {Array} updates - [{ id, ...attrs }] with the fields to change for each employee
+ * @returns {Array} - New array with the updates applied
+ */
+export function applyEmployeeUpdates(employees, updates) {
+  const updatesById = new Map(updates.map(({ id, ...attrs }) => [id, attrs]));
+
+  return employees.map((emp) =>
+    updatesById.has(emp.id) ? { ...emp, ...updatesById.get(emp.id) } : emp
+  );
+}
+
+/**
+ * Validates edits to several employees. Manager changes are checked against the resulting
+ * hierarchy as a whole, so their order doesn't matter (two people can swap places).
+ * @param {Array} employees - Array of employees
+ * @param {Array} updates - [{ id, ...attrs }]
+ * @returns {Object|null} - { code, message, index } describing the problem, where index is
+ * the offending update (absent for problems with the result as a whole), or null if valid
+ */
+export function validateEmployeeUpdates(employees, updates) {
+  if (updates.length === 0) {
+    return { code: BATCH_ERRORS.EMPTY_BATCH, message: 'The batch contains no changes.' };
+  }
+
+  const seen = new Set();
+  for (let index = 0; index < updates.length; index++) {
+    const { id, ...attrs } = updates[index];
+
+    if (!findEmployeeById(employees, id)) {
+      return {
+        code: HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND,
+        message: `Employee ${id} does not exist.`,
+        index,
+      };
+    }
+    if (seen.has(id)) {
+      return {
+        code: BATCH_ERRORS.DUPLICATE_EMPLOYEE,
+        message: `Employee ${id} is changed more than once.`,
+        index,
+      };
+    }
+    seen.add(id);
+
+    const fieldError = validateEmployeeFields(attrs, { partial: true });
+    if (fieldError) {
+      return { ...fieldError, index };
+    }
+  }
+
+  return validateHierarchy(applyEmployeeUpdates(employees, updates));
+}
+
+/**
+ * Counts direct and total (all levels) reports for every node of a tree
+ * @param {Array} roots - Root nodes from buildTree
+ * @returns {Map} - Node id -> { direct, total }
+ */
+export function countReports(roots) {
+  const counts = new Map();
+  // Depth-first order lists managers before their reports, so walking it backwards
+  // sees every report's total before the manager's
+  const order = [];
+  const stack = [...roots];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    order.push(node);
+    stack.push(...node.children);
+  }
+
+  for (let i = order.length - 1; i >= 0; i--) {
+    const node = order[i];
+    const total = node.children.reduce(
+      (sum, child) => sum + 1 + counts.get(child.id).total,
+      0
+    );
+    counts.set(node.id, { direct: node.children.length, total });
+  }
+
+  return counts;
+}
+
+/**
+ * Finds the managers that must be collapsed to show only the first levels of a tree
+ * @param {Array} roots - Root nodes from buildTree
+ * @param {Number} depth - Number of levels to keep visible (roots are level 1)
+ * @returns {Array} - Ids of managers at or below that level
+ */
+export function getManagerIdsFromDepth(roots, depth) {
+  const ids = [];
+  const stack = roots.map((node) => ({ node, level: 1 }));
+  while (stack.length > 0) {
+    const { node, level } = stack.pop();
+    if (node.children.length === 0) continue;
+
+    if (level >= depth) ids.push(node.id);
+    node.children.forEach((child) => stack.push({ node: child, level: level + 1 }));
+  }
+  return ids;
+}
+
+/**
+ * Gets the number of levels in a tree
+ * @param {Array} roots - Root nodes from buildTree
+ * @returns {Number} - 0 for an empty tree, 1 when there are only roots
+ */
+export function getTreeDepth(roots) {
+  let depth = 0;
+  const stack = roots.map((node) => ({ node, level: 1 }));
+  while (stack.length > 0) {
+    const { node, level } = stack.pop();
+    depth = Math.max(depth, level);
+    node.children.forEach((child) => stack.push({ node: child, level: level + 1 }));
+  }
+  return depth;
+}
+
+/**
+ * Hides the reports of collapsed managers
+ * @param {Array} roots - Root nodes from buildTree
+ * @param {Set} collapsedIds - Ids of collapsed managers
+ * @returns {Array} - Copy of the tree where collapsed managers have no children
+ */
+export function pruneCollapsed(roots, collapsedIds) {
+  return roots.map((node) => ({
+    ...node,
+    children: collapsedIds.has(node.id) ? [] : pruneCollapsed(node.children, collapsedIds),
+  }));
+}
+
+/**
+ * Adds the management chain (and optionally the reports) of filter matches back in,
+ * so matches keep their place in the hierarchy instead of becoming orphaned roots
+ * @param {Array} employees - Array of all employees
+ * @param {Array} matches - Employees that matched the filter
+ * @param {Object} options - { includeDescendants: also keep everyone below a match }
+ * @returns {Object} - { employees: matches plus context, in the original order,
+ * contextIds: Set of ids shown only as context }
+ */
+export function withManagementContext(employees, matches, { includeDescendants = false } = {}) {
+  const byId = new Map(employees.map((emp) => [emp.id, emp]));
+  const matchIds = new Set(matches.map((emp) => emp.id));
+  const keepIds = new Set(matchIds);
+
+  matches.forEach((match) => {
+    // Stop at anyone already kept, which also guards against cyclic data
+    let manager = byId.get(match.managerId);
+    while (manager && !keepIds.has(manager.id)) {
+      keepIds.add(manager.id);
+      manager = byId.get(manager.managerId);
+    }
+  });
+
+  if (includeDescendants) {
+    const reportsOf = new Map();
+    employees.forEach((emp) => {
+      if (!reportsOf.has(emp.managerId)) reportsOf.set(emp.managerId, []);
+      reportsOf.get(emp.managerId).push(emp.id);
+    });
+
+    const queue = [...matchIds];
+    const visited = new Set(matchIds);
+    while (queue.length > 0) {
+      (reportsOf.get(queue.pop()) || []).forEach((id) => {
+        if (visited.has(id)) return;
+        visited.add(id);
+        keepIds.add(id);
+        queue.push(id);
+      });
+    }
+  }
+
+  const contextIds = new Set([...keepIds].filter((id) => !matchIds.has(id)));
+  return {
+    employees: employees.filter((emp) => keepIds.has(emp.id)),
+    contextIds,
+  };
+}
@@ -6,6 +6,27 @@ import {
   findEmployeeById,
   getAllReports,
   wouldCreateCircularReference,
+  validateManagerChange,
+  getDirectReports,
+  getReportingChain,
+  getSpanOfControl,
+  validateEmployeeRemoval,
+  removeEmployee,
+  applyManagerChanges,
+  validateHierarchy,
+  getSingleMoveChanges,
+  validateManagerChanges,
+  getMovePreview,
+  findCycles,
+  countReports,
+  getManagerIdsFromDepth,
+  getTreeDepth,
+  pruneCollapsed,
+  withManagementContext,
+  applyEmployeeUpdates,
+  validateEmployeeUpdates,
+  HIERARCHY_ERRORS,
+  BATCH_ERRORS,
 } from './treeHelpers';
 
 describe('treeHelpers', () => {
@@ -87,6 +108,29 @@ describe('treeHelpers', () => {
     });
   });
 
+  describe('getReportingChain', () => {
+    it('should list managers from the top down', () => {
+      expect(getReportingChain(mockEmployees, 5).map((emp) => emp.id)).toEqual([1, 2, 4]);
+      expect(getReportingChain(mockEmployees, 1)).toEqual([]);
+    });
+
+    it('should stop at cycles', () => {
+      const cyclic = [
+        { id: 1, name: 'A', managerId: 2 },
+        { id: 2, name: 'B', managerId: 1 },
+      ];
+      expect(getReportingChain(cyclic, 1).map((emp) => emp.id)).toEqual([2]);
+    });
+  });
+
+  describe('getSpanOfControl', () => {
+    it('should count direct and indirect reports and levels below', () => {
+      expect(getSpanOfControl(mockEmployees, 1)).toEqual({ direct: 2, indirect: 2, total: 4, levels: 3 });
+      expect(getSpanOfControl(mockEmployees, 4)).toEqual({ direct: 1, indirect: 0, total: 1, levels: 1 });
+      expect(getSpanOfControl(mockEmployees, 5)).toEqual({ direct: 0, indirect: 0, total: 0, levels: 0 });
+    });
+  });
+
   describe('getUniqueTeams', () => {
     it('should return unique team names', () => {
       const teams = getUniqueTeams(mockEmployees);
@@ -147,4 +191,289 @@ describe('treeHelpers', () => {
       expect(result).toBe(false);
     });
   });
+
+  describe('validateManagerChange', () => {
+    it('should accept a valid manager change', () => {
+      expect(validateManagerChange(mockEmployees, 5, 2)).toBeNull();
+    });
+
+    it('should accept removing the manager', () => {
+      expect(validateManagerChange(mockEmployees, 3, null)).toBeNull();
+    });
+
+    it('should reject unknown employees', () => {
+      const error = validateManagerChange(mockEmployees, 999, 1);
+      expect(error.code).toBe(HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND);
+    });
+
+    it('should reject self-reference', () => {
+      const error = validateManagerChange(mockEmployees, 2, 2);
+      expect(error.code).toBe(HIERARCHY_ERRORS.SELF_REFERENCE);
+    });
+
+    it('should reject unknown managers', () => {
+      const error = validateManagerChange(mockEmployees, 5, 999);
+      expect(error.code).toBe(HIERARCHY_ERRORS.MANAGER_NOT_FOUND);
+    });
+
+    it('should reject circular references', () => {
+      const error = validateManagerChange(mockEmployees, 1, 5);
+      expect(error.code).toBe(HIERARCHY_ERRORS.CIRCULAR_REFERENCE);
+      expect(error.message).toContain('CEO');
+    });
+  });
+
+  describe('getDirectReports', () => {
+    it('should only return direct reports', () => {
+      const reports = getDirectReports(mockEmployees, 1);
+      expect(reports.map(e => e.id)).toEqual([2, 3]);
+    });
+  });
+
+  describe('validateEmployeeRemoval', () => {
+    it('should allow reassigning reports to the removed employee\'s manager', () => {
+      expect(validateEmployeeRemoval(mockEmployees, 2, 1)).toBeNull();
+    });
+
+    it('should allow making the reports top-level', () => {
+      expect(validateEmployeeRemoval(mockEmployees, 1, null)).toBeNull();
+    });
+
+    it('should reject reassigning reports into the removed subtree', () => {
+      const error = validateEmployeeRemoval(mockEmployees, 2, 5);
+      expect(error.code).toBe(HIERARCHY_ERRORS.CIRCULAR_REFERENCE);
+    });
+
+    it('should reject unknown managers', () => {
+      const error = validateEmployeeRemoval(mockEmployees, 2, 999);
+      expect(error.code).toBe(HIERARCHY_ERRORS.MANAGER_NOT_FOUND);
+    });
+  });
+
+  describe('removeEmployee', () => {
+    it('should remove the employee and reassign direct reports', () => {
+      const result = removeEmployee(mockEmployees, 2, 3);
+
+      expect(result).toHaveLength(4);
+      expect(findEmployeeById(result, 2)).toBeNull();
+      expect(findEmployeeById(result, 4).managerId).toBe(3);
+      // Indirect reports keep their manager
+      expect(findEmployeeById(result, 5).managerId).toBe(4);
+    });
+  });
+
+  describe('applyManagerChanges', () => {
+    it('should apply every change without mutating the input', () => {
+      const result = applyManagerChanges(mockEmployees, [
+        { employeeId: 4, newManagerId: 3 },
+        { employeeId: 5, newManagerId: 1 },
+      ]);
+
+      expect(findEmployeeById(result, 4).managerId).toBe(3);
+      expect(findEmployeeById(result, 5).managerId).toBe(1);
+      expect(findEmployeeById(mockEmployees, 4).managerId).toBe(2);
+    });
+  });
+
+  describe('validateHierarchy', () => {
+    it('should accept a valid hierarchy', () => {
+      expect(validateHierarchy(mockEmployees)).toBeNull();
+    });
+
+    it('should detect cycles', () => {
+      const cyclic = applyManagerChanges(mockEmployees, [{ employeeId: 2, newManagerId: 5 }]);
+      expect(validateHierarchy(cyclic).code).toBe(HIERARCHY_ERRORS.CIRCULAR_REFERENCE);
+    });
+
+    it('should detect unknown managers', () => {
+      const orphaned = applyManagerChanges(mockEmployees, [{ employeeId: 2, newManagerId: 42 }]);
+      expect(validateHierarchy(orphaned).code).toBe(HIERARCHY_ERRORS.MANAGER_NOT_FOUND);
+    });
+  });
+
+  describe('getSingleMoveChanges', () => {
+    it('should leave direct reports with the former manager by default', () => {
+      const changes = getSingleMoveChanges(mockEmployees, 2, 3);
+
+      expect(changes).toEqual([
+        { employeeId: 4, oldManagerId: 2, newManagerId: 1 },
+        { employeeId: 2, oldManagerId: 1, newManagerId: 3 },
+      ]);
+    });
+
+    it('should hand direct reports to a chosen manager', () => {
+      const changes = getSingleMoveChanges(mockEmployees, 2, 3, 3);
+      expect(changes[0]).toEqual({ employeeId: 4, oldManagerId: 2, newManagerId: 3 });
+    });
+  });
+
+  describe('validateManagerChanges', () => {
+    it('should allow moving an employee under their former report when moving alone', () => {
+      // CTO moves under Dev Lead, while Dev Lead is handed to the CEO
+      const changes = getSingleMoveChanges(mockEmployees, 2, 4);
+      expect(validateManagerChanges(mockEmployees, changes)).toBeNull();
+    });
+
+    it('should reject changes that create a cycle', () => {
+      const error = validateManagerChanges(mockEmployees, [{ employeeId: 2, newManagerId: 4 }]);
+      expect(error.code).toBe(HIERARCHY_ERRORS.CIRCULAR_REFERENCE);
+    });
+
+    it('should reject unknown employees', () => {
+      const error = validateManagerChanges(mockEmployees, [{ employeeId: 42, newManagerId: 1 }]);
+      expect(error.code).toBe(HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND);
+    });
+  });
+
+  describe('applyEmployeeUpdates', () => {
+    it('should merge each update into its employee', () => {
+      const result = applyEmployeeUpdates(mockEmployees, [
+        { id: 4, managerId: 3, team: 'Finance' },
+        { id: 5, designation: 'Staff Developer' },
+      ]);
+
+      expect(result[3]).toMatchObject({ id: 4, managerId: 3, team: 'Finance' });
+      expect(result[4]).toMatchObject({ id: 5, managerId: 4, designation: 'Staff Developer' });
+      expect(mockEmployees[3].managerId).toBe(2);
+    });
+  });
+
+  describe('validateEmployeeUpdates', () => {
+    it('should judge manager changes by the resulting hierarchy', () => {
+      // CTO and Dev Lead swap places; either change alone would create a cycle
+      const updates = [
+        { id: 2, managerId: 4 },
+        { id: 4, managerId: 1 },
+        { id: 5, managerId: 2 },
+      ];
+      expect(validateEmployeeUpdates(mockEmployees, updates)).toBeNull();
+      expect(validateEmployeeUpdates(mockEmployees, updates.slice(0, 1)).code).toBe(
+        HIERARCHY_ERRORS.CIRCULAR_REFERENCE
+      );
+    });
+
+    it('should point at the update that is malformed', () => {
+      expect(validateEmployeeUpdates(mockEmployees, [])).toMatchObject({
+        code: BATCH_ERRORS.EMPTY_BATCH,
+      });
+      expect(
+        validateEmployeeUpdates(mockEmployees, [{ id: 2, team: 'Platform' }, { id: 42, team: 'X' }])
+      ).toMatchObject({ code: HIERARCHY_ERRORS.EMPLOYEE_NOT_FOUND, index: 1 });
+      expect(
+        validateEmployeeUpdates(mockEmployees, [{ id: 2, team: 'A' }, { id: 2, team: 'B' }])
+      ).toMatchObject({ code: BATCH_ERRORS.DUPLICATE_EMPLOYEE, index: 1 });
+      expect(validateEmployeeUpdates(mockEmployees, [{ id: 3, name: '' }])).toMatchObject({
+        code: 'MISSING_FIELD',
+        index: 0,
+      });
+    });
+  });
+
+  describe('getMovePreview', () => {
+    it('should move the whole subtree by default', () => {
+      const { movingIds, stayingIds } = getMovePreview(mockEmployees, 2);
+      expect([...movingIds]).toEqual([2, 4, 5]);
+      expect(stayingIds.size).toBe(0);
+    });
+
+    it('should keep direct reports in place when moving alone', () => {
+      const { movingIds, stayingIds } = getMovePreview(mockEmployees, 2, { alone: true });
+      expect([...movingIds]).toEqual([2]);
+      expect([...stayingIds]).toEqual([4]);
+    });
+
+    it('should move reassigned reports with their subtrees', () => {
+      const { movingIds } = getMovePreview(mockEmployees, 2, { alone: true, reportsManagerId: 3 });
+      expect([...movingIds]).toEqual([2, 4, 5]);
+    });
+  });
+
+  describe('findCycles', () => {
+    it('should return nothing for a valid hierarchy', () => {
+      expect(findCycles(mockEmployees)).toEqual([]);
+    });
+
+    it('should report each cycle once', () => {
+      const cyclic = applyManagerChanges(mockEmployees, [
+        { employeeId: 2, newManagerId: 5 },
+        { employeeId: 3, newManagerId: 3 },
+      ]);
+
+      expect(findCycles(cyclic)).toEqual([[2, 5, 4], [3]]);
+    });
+  });
+
+  describe('countReports', () => {
+    it('should count direct and total reports', () => {
+      const counts = countReports(buildTree(mockEmployees));
+
+      expect(counts.get(1)).toEqual({ direct: 2, total: 4 });
+      expect(counts.get(2)).toEqual({ direct: 1, total: 2 });
+      expect(counts.get(5)).toEqual({ direct: 0, total: 0 });
+    });
+  });
+
+  describe('getManagerIdsFromDepth', () => {
+    const tree = buildTree(mockEmployees);
+
+    it('should collapse every manager for depth 1', () => {
+      expect(getManagerIdsFromDepth(tree, 1).sort()).toEqual([1, 2, 4]);
+    });
+
+    it('should keep the first levels open', () => {
+      expect(getManagerIdsFromDepth(tree, 3)).toEqual([4]);
+      expect(getManagerIdsFromDepth(tree, 4)).toEqual([]);
+    });
+  });
+
+  describe('getTreeDepth', () => {
+    it('should count levels', () => {
+      expect(getTreeDepth(buildTree(mockEmployees))).toBe(4);
+      expect(getTreeDepth([])).toBe(0);
+    });
+  });
+
+  describe('pruneCollapsed', () => {
+    it('should drop the reports of collapsed managers only', () => {
+      const pruned = pruneCollapsed(buildTree(mockEmployees), new Set([2]));
+
+      expect(pruned[0].children.map((child) => child.id)).toEqual([2, 3]);
+      expect(pruned[0].children[0].children).toEqual([]);
+    });
+  });
+
+  describe('withManagementContext', () => {
+    const ids = (employees) => employees.map((emp) => emp.id);
+
+    it('should keep the management chain of each match as context', () => {
+      const matches = filterEmployees(mockEmployees, 'Senior', '');
+      const result = withManagementContext(mockEmployees, matches);
+
+      expect(ids(result.employees)).toEqual([1, 2, 4, 5]);
+      expect([...result.contextIds].sort()).toEqual([1, 2, 4]);
+    });
+
+    it('should keep matches connected instead of orphaned', () => {
+      const matches = filterEmployees(mockEmployees, '', 'Technology');
+      const tree = buildTree(withManagementContext(mockEmployees, matches).employees);
+
+      expect(tree).toHaveLength(1);
+      expect(tree[0].id).toBe(1);
+    });
+
+    it('should optionally add the reports of each match', () => {
+      const matches = filterEmployees(mockEmployees, 'CTO', '');
+      const result = withManagementContext(mockEmployees, matches, { includeDescendants: true });
+
+      expect(ids(result.employees)).toEqual([1, 2, 4, 5]);
+      expect([...result.contextIds].sort()).toEqual([1, 4, 5]);
+    });
+
+    it('should not loop on cyclic data', () => {
+      const cyclic = applyManagerChanges(mockEmployees, [{ employeeId: 2, newManagerId: 5 }]);
+      const matches = filterEmployees(cyclic, 'Senior', '');
+
+      expect(ids(withManagementContext(cyclic, matches).employees)).toEqual([2, 4, 5]);
+    });
+  });
 });
@@ -0,0 +1,130 @@
+/**
+ * Default node and spacing sizes (px) for laid-out charts
+ */
+export const LAYOUT_DEFAULTS = {
+  nodeWidth: 240,
+  nodeHeight: 130,
+  siblingGap: 40,
+  levelGap: 60,
+};
+
+/**
+ * Computes positions for a tree from buildTree, top-down with parents centred over their children
+ * Iterative so very deep or very large orgs don't overflow the call stack
+ * @param {Array} roots - Root nodes with nested children
+ * @param {Object} options - Overrides for LAYOUT_DEFAULTS
+ * @returns {Object} - { nodes: [{ id, employee, x, y, width, height, depth, parentId }],
+ * edges: [{ fromId, toId, points }], width, height }
+ */
+export function layoutTree(roots, options = {}) {
+  const { nodeWidth, nodeHeight, siblingGap, levelGap } = { ...LAYOUT_DEFAULTS, ...options };
+
+  if (!roots || roots.length === 0) {
+    return { nodes: [], edges: [], width: 0, height: 0 };
+  }
+
+  // Post-order pass: width of every subtree
+  const subtreeWidth = new Map();
+  const stack = roots.map((node) => ({ node, visited: false }));
+  while (stack.length > 0) {
+    const entry = stack.pop();
+    const children = entry.node.children || [];
+
+    if (!entry.visited && children.length > 0) {
+      stack.push({ node: entry.node, visited: true });
+      children.forEach((child) => stack.push({ node: child, visited: false }));
+      continue;
+    }
+
+    const childrenWidth = children.reduce((sum, child) => sum + subtreeWidth.get(child), 0)
+      + siblingGap * Math.max(children.length - 1, 0);
+    subtreeWidth.set(entry.node, Math.max(nodeWidth, childrenWidth));
+  }
+
+  // Breadth-first pass: hand each subtree its horizontal span, top-down
+  const order = [];
+  let left = 0;
+  roots.forEach((root) => {
+    order.push({ node: root, left, depth: 0, parentId: null });
+    left += subtreeWidth.get(root) + siblingGap;
+  });
+
+  const totalWidth = left - siblingGap;
+  let maxDepth = 0;
+
+  for (let index = 0; index < order.length; index++) {
+    const item = order[index];
+    maxDepth = Math.max(maxDepth, item.depth);
+
+    const children = item.node.children || [];
+    const childrenWidth = children.reduce((sum, child) => sum + subtreeWidth.get(child), 0)
+      + siblingGap * Math.max(children.length - 1, 0);
+    let childLeft = item.left + (subtreeWidth.get(item.node) - childrenWidth) / 2;
+
+    children.forEach((child) => {
+      order.push({ node: child, left: childLeft, depth: item.depth + 1, parentId: item.node.id });
+      childLeft += subtreeWidth.get(child) + siblingGap;
+    });
+  }
+
+  // Resolve positions bottom-up so parents can centre over their already-placed children
+  const placed = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    const { node, left: spanLeft, depth, parentId } = order[i];
+    const children = node.children || [];
+
+    let x = spanLeft + (subtreeWidth.get(node) - nodeWidth) / 2;
+    if (children.length > 0) {
+      const first = placed.get(children[0].id);
+      const last = placed.get(children[children.length - 1].id);
+      x = (first.x + last.x) / 2;
+    }
+
+    // Strip children so layout nodes stay flat; the employee keeps every other field
+    const { children: _children, ...employee } = node;
+    const layoutNode = {
+      id: node.id,
+      employee,
+      x,
+      y: depth * (nodeHeight + levelGap),
+      width: nodeWidth,
+      height: nodeHeight,
+      depth,
+      parentId,
+      childIds: children.map((child) => child.id),
+    };
+    placed.set(node.id, layoutNode);
+  }
+
+  const nodes = order.map(({ node }) => placed.get(node.id));
+
+  // Elbow connectors: down from the parent, across, then down into the child
+  const edges = [];
+  nodes.forEach((node) => {
+    if (node.parentId === null) return;
+    const parent = placed.get(node.parentId);
+    const startX = parent.x + nodeWidth / 2;
+    const startY = parent.y + nodeHeight;
+    const endX = node.x + nodeWidth / 2;
+    const endY = node.y;
+    const midY = startY + levelGap / 2;
+
+    edges.push({
+      fromId: parent.id,
+      toId: node.id,
+      points: [
+        [startX, startY],
+        [startX, midY],
+        [endX, midY],
+        [endX, endY],
+      ],
+    });
+  });
+
+  return {
+    nodes,
+    edges,
+    width: totalWidth,
+    height: (maxDepth + 1) * nodeHeight + maxDepth * levelGap,
+  };
+}
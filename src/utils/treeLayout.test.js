@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { layoutTree } from './treeLayout';
+import { buildTree } from './treeHelpers';
+
+describe('treeLayout', () => {
+  const mockEmployees = [
+    { id: 1, name: 'CEO', managerId: null },
+    { id: 2, name: 'CTO', managerId: 1 },
+    { id: 3, name: 'CFO', managerId: 1 },
+    { id: 4, name: 'Dev Lead', managerId: 2 },
+  ];
+  const options = { nodeWidth: 100, nodeHeight: 50, siblingGap: 20, levelGap: 30 };
+
+  describe('layoutTree', () => {
+    it('should return an empty layout for no roots', () => {
+      expect(layoutTree([])).toEqual({ nodes: [], edges: [], width: 0, height: 0 });
+    });
+
+    it('should place children side by side and centre parents over them', () => {
+      const layout = layoutTree(buildTree(mockEmployees), options);
+      const byId = new Map(layout.nodes.map((node) => [node.id, node]));
+
+      expect(byId.get(2).x).toBe(0);
+      expect(byId.get(3).x).toBe(120);
+      expect(byId.get(1).x).toBe(60);
+      expect(byId.get(4)).toMatchObject({ x: 0, y: 160, depth: 2, parentId: 2 });
+    });
+
+    it('should report the overall size', () => {
+      const layout = layoutTree(buildTree(mockEmployees), options);
+      expect(layout.width).toBe(220);
+      expect(layout.height).toBe(210);
+    });
+
+    it('should keep employee fields without nested children', () => {
+      const layout = layoutTree(buildTree(mockEmployees), options);
+      expect(layout.nodes[0].employee).toEqual({ id: 1, name: 'CEO', managerId: null });
+      expect(layout.nodes[0].childIds).toEqual([2, 3]);
+    });
+
+    it('should connect every child to its parent', () => {
+      const layout = layoutTree(buildTree(mockEmployees), options);
+
+      expect(layout.edges).toHaveLength(3);
+      expect(layout.edges[0]).toEqual({
+        fromId: 1,
+        toId: 2,
+        points: [[110, 50], [110, 65], [50, 65], [50, 80]],
+      });
+    });
+
+    it('should lay out multiple roots next to each other', () => {
+      const layout = layoutTree(buildTree([{ id: 1, managerId: null }, { id: 2, managerId: null }]), options);
+      expect(layout.nodes.map((node) => node.x)).toEqual([0, 120]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Indexes a tree from buildTree for keyboard navigation
+ * Roots count as siblings of each other. Siblings share one array of ids, so the index stays
+ * linear in size even for very wide levels.
+ * @param {Array} roots - Root nodes with nested children
+ * @returns {Object} - { parentOf, childrenOf, siblingsOf, positionOf, order } where
+ * positionOf is each node's index among its siblings and order is depth-first
+ */
+export function buildNavigationIndex(roots) {
+  const parentOf = new Map();
+  const childrenOf = new Map();
+  const siblingsOf = new Map();
+  const positionOf = new Map();
+  const order = [];
+
+  const rootIds = roots.map((root) => root.id);
+  const stack = [];
+  for (let i = roots.length - 1; i >= 0; i--) {
+    stack.push({ node: roots[i], parentId: null, siblingIds: rootIds, position: i });
+  }
+  while (stack.length > 0) {
+    const { node, parentId, siblingIds, position } = stack.pop();
+    const children = node.children || [];
+    const childIds = children.map((child) => child.id);
+
+    order.push(node.id);
+    parentOf.set(node.id, parentId);
+    siblingsOf.set(node.id, siblingIds);
+    positionOf.set(node.id, position);
+    childrenOf.set(node.id, childIds);
+
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ node: children[i], parentId: node.id, siblingIds: childIds, position: i });
+    }
+  }
+
+  return { parentOf, childrenOf, siblingsOf, positionOf, order };
+}
+
+/**
+ * Finds the node a navigation key moves to, following the chart's top-down layout:
+ * up to the manager, down to the first report, left/right between siblings
+ * @param {Object} index - From buildNavigationIndex
+ * @param {*} currentId - Node that has focus (null focuses the first node)
+ * @param {String} key - KeyboardEvent.key
+ * @returns {*} - Target node id, or null when there is nowhere to go
+ */
+export function getNavigationTarget(index, currentId, key) {
+  const { parentOf, childrenOf, siblingsOf, positionOf, order } = index;
+  if (order.length === 0) return null;
+
+  if (key === 'Home') return order[0];
+  if (key === 'End') return order[order.length - 1];
+  if (currentId === null || !parentOf.has(currentId)) return order[0];
+
+  switch (key) {
+    case 'ArrowUp':
+      return parentOf.get(currentId);
+
+    case 'ArrowDown':
+      return childrenOf.get(currentId)[0] ?? null;
+
+    case 'ArrowLeft':
+    case 'ArrowRight': {
+      const siblings = siblingsOf.get(currentId);
+      const position = positionOf.get(currentId) + (key === 'ArrowLeft' ? -1 : 1);
+      return siblings[position] ?? null;
+    }
+
+    default:
+      return null;
+  }
+}
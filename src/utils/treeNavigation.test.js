@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { buildNavigationIndex, getNavigationTarget } from './treeNavigation';
+import { buildTree } from './treeHelpers';
+
+describe('treeNavigation', () => {
+  const mockEmployees = [
+    { id: 1, name: 'CEO', managerId: null },
+    { id: 2, name: 'CTO', managerId: 1 },
+    { id: 3, name: 'CFO', managerId: 1 },
+    { id: 4, name: 'Dev Lead', managerId: 2 },
+    { id: 5, name: 'Advisor', managerId: null },
+  ];
+  const index = buildNavigationIndex(buildTree(mockEmployees));
+
+  describe('buildNavigationIndex', () => {
+    it('should list nodes depth-first', () => {
+      expect(index.order).toEqual([1, 2, 4, 3, 5]);
+    });
+
+    it('should record parents, children and siblings', () => {
+      expect(index.parentOf.get(4)).toBe(2);
+      expect(index.childrenOf.get(1)).toEqual([2, 3]);
+      expect(index.siblingsOf.get(5)).toEqual([1, 5]);
+      expect(index.positionOf.get(3)).toBe(1);
+      expect(index.positionOf.get(5)).toBe(1);
+    });
+
+    it('should share one list of ids between siblings', () => {
+      expect(index.siblingsOf.get(2)).toBe(index.siblingsOf.get(3));
+      expect(index.siblingsOf.get(2)).toBe(index.childrenOf.get(1));
+    });
+  });
+
+  describe('getNavigationTarget', () => {
+    it('should move up to the manager and down to the first report', () => {
+      expect(getNavigationTarget(index, 4, 'ArrowUp')).toBe(2);
+      expect(getNavigationTarget(index, 1, 'ArrowDown')).toBe(2);
+    });
+
+    it('should move between siblings, including roots', () => {
+      expect(getNavigationTarget(index, 2, 'ArrowRight')).toBe(3);
+      expect(getNavigationTarget(index, 3, 'ArrowLeft')).toBe(2);
+      expect(getNavigationTarget(index, 1, 'ArrowRight')).toBe(5);
+    });
+
+    it('should return null at the edges', () => {
+      expect(getNavigationTarget(index, 1, 'ArrowUp')).toBeNull();
+      expect(getNavigationTarget(index, 4, 'ArrowDown')).toBeNull();
+      expect(getNavigationTarget(index, 3, 'ArrowRight')).toBeNull();
+    });
+
+    it('should jump to the first and last node', () => {
+      expect(getNavigationTarget(index, 3, 'Home')).toBe(1);
+      expect(getNavigationTarget(index, 1, 'End')).toBe(5);
+    });
+
+    it('should start from the first node when nothing has focus', () => {
+      expect(getNavigationTarget(index, null, 'ArrowDown')).toBe(1);
+    });
+  });
+});
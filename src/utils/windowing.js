@@ -0,0 +1,52 @@
+/**
+ * Computes the top offset of every row in a list with variable row heights
+ * @param {Number} count - Number of rows
+ * @param {Function} getHeight - (index) => height of that row
+ * @returns {Array} - count + 1 offsets; the last one is the total height
+ */
+export function buildOffsets(count, getHeight) {
+  const offsets = new Array(count + 1);
+  offsets[0] = 0;
+  for (let i = 0; i < count; i++) {
+    offsets[i + 1] = offsets[i] + getHeight(i);
+  }
+  return offsets;
+}
+
+/**
+ * Finds the index of the row containing a vertical position
+ * @param {Array} offsets - From buildOffsets
+ * @param {Number} position - Distance from the top of the list
+ * @returns {Number} - Row index, clamped to the list
+ */
+function findRow(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) low = mid;
+    else high = mid - 1;
+  }
+  return Math.max(low, 0);
+}
+
+/**
+ * Finds the rows to render for a scroll position
+ * @param {Array} offsets - From buildOffsets
+ * @param {Number} scrollTop - Scroll position of the list
+ * @param {Number} viewportHeight - Visible height of the list
+ * @param {Number} overscan - Extra rows to render above and below
+ * @returns {Object} - { first, last } inclusive row indexes; last < first for an empty list
+ */
+export function getVisibleRange(offsets, scrollTop, viewportHeight, overscan = 0) {
+  const count = offsets.length - 1;
+  if (count <= 0) return { first: 0, last: -1 };
+
+  const first = findRow(offsets, scrollTop);
+  const last = findRow(offsets, scrollTop + viewportHeight);
+
+  return {
+    first: Math.max(first - overscan, 0),
+    last: Math.min(last + overscan, count - 1),
+  };
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { buildOffsets, getVisibleRange } from './windowing';
+
+describe('windowing', () => {
+  describe('buildOffsets', () => {
+    it('should accumulate row heights', () => {
+      expect(buildOffsets(3, (i) => [10, 20, 30][i])).toEqual([0, 10, 30, 60]);
+    });
+  });
+
+  describe('getVisibleRange', () => {
+    const offsets = buildOffsets(100, () => 50);
+
+    it('should cover the rows inside the viewport', () => {
+      expect(getVisibleRange(offsets, 0, 120)).toEqual({ first: 0, last: 2 });
+      expect(getVisibleRange(offsets, 1000, 100)).toEqual({ first: 20, last: 22 });
+    });
+
+    it('should add overscan within the list bounds', () => {
+      expect(getVisibleRange(offsets, 0, 120, 3)).toEqual({ first: 0, last: 5 });
+      expect(getVisibleRange(offsets, 4900, 200, 3)).toEqual({ first: 95, last: 99 });
+    });
+
+    it('should handle variable heights', () => {
+      const mixed = buildOffsets(4, (i) => [100, 10, 10, 100][i]);
+      expect(getVisibleRange(mixed, 105, 10)).toEqual({ first: 1, last: 2 });
+    });
+
+    it('should return an empty range for an empty list', () => {
+      expect(getVisibleRange([0], 0, 500)).toEqual({ first: 0, last: -1 });
+    });
+  });
+});